@@ -1,20 +1,48 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
-import { faBars, faCog, faTimes, faHome, faPlus, faList, faInfo, faEdit, faArrowRight, faTrash, faEye, faPaintBrush } from '@fortawesome/free-solid-svg-icons'
+import { faBars, faCog, faTimes, faHome, faPlus, faList, faInfo, faEdit, faArrowRight, faTrash, faEye, faPaintBrush, faGraduationCap, faRoute, faStethoscope, faLandmark, faCopy, faArrowRightArrowLeft, faMagnifyingGlass, faFileImport, faDoorOpen, faMap, faBookmark, faSuitcase, faQuestionCircle, faEyeSlash, faTableCells } from '@fortawesome/free-solid-svg-icons'
 import MemoryPalace from './components/MemoryPalace'
 import VoiceInterface from './components/VoiceInterface'
 import voiceManager from './utils/VoiceManager.js'
 import SettingsPanel from './components/SettingsPanel'
 import ActionFormModal from './components/ActionFormModal'
 import ObjectInspector from './components/ObjectInspector'
+import ReviewPanel from './components/ReviewPanel'
+import WalkControls from './components/WalkControls'
+import IntegrityReport from './components/IntegrityReport'
+import SearchPanel from './components/SearchPanel'
+import BulkImportPanel from './components/BulkImportPanel'
+import PaoTableEditor from './components/PaoTableEditor'
+import PalaceMap from './components/PalaceMap'
+import TagFilterBar from './components/TagFilterBar'
+import InventoryDrawer from './components/InventoryDrawer'
+import QuizPanel from './components/QuizPanel'
+import RecallPanel from './components/RecallPanel'
+import { useAnthropicStream } from './hooks/useAnthropicStream.js'
 import { EventTypes } from './types/index.ts'
 import MobileMotionController from './utils/MobileMotionController.js'
 import SettingsManager from './services/SettingsManager.js'
+import './styles/App.css'
+import './styles/ActionFormModal.css'
 
 // Create settings manager instance
 const settingsManager = new SettingsManager()
-import './styles/App.css'
-import './styles/ActionFormModal.css'
+
+// Pause at each locus after its narration ends before the walk moves on
+const WALK_DWELL_MS = 2500
+// Pause in each room of a journey before turning to the next door
+const JOURNEY_DWELL_MS = 1500
+
+// Read a cloze blank aloud as "blank" rather than a run of underscores
+const spokenQuizPrompt = (question) => question.prompt.replace(/_{2,}/g, 'blank')
+
+// "Right place, wrong content. That was Kettle: tea at five." for a blind recall attempt
+const describeRecallResult = (result) => {
+  const place = result.spatial.correct ? 'Right place' : 'Wrong place'
+  const content = result.content.correct ? 'right content' : 'wrong content'
+  const information = result.information.replace(/[.!?]+$/, '')
+  return `${place}, ${content}. That was ${result.objectName}${information ? `: ${information}` : ''}.`
+}
 
 function App({core}) {
   const [isLoading, setIsLoading] = useState(true)
@@ -36,6 +64,8 @@ function App({core}) {
   
   const [memoryPalaceCore, setMemoryPalaceCore] = useState(core)
   const [currentPalaceState, setCurrentPalaceState] = useState(null)
+  // Only used to write quiz questions; conversations stream through the voice interface
+  const { generateQuizQuestions, generateMnemonicSuggestions, isConfigured: isAnthropicConfigured } = useAnthropicStream(null, memoryPalaceCore)
   const coreInitializationRef = useRef(false)
   const [actionModalOpen, setActionModalOpen] = useState(false)
   const [currentAction, setCurrentAction] = useState(null)
@@ -50,6 +80,50 @@ function App({core}) {
   const [paintedAreas, setPaintedAreas] = useState(null) // Store painted areas for LLM context
   const [objectInspectorOpen, setObjectInspectorOpen] = useState(false)
   const [isProcessingObjectAction, setIsProcessingObjectAction] = useState(false)
+  const [movingObject, setMovingObject] = useState(null)
+  
+  // Tags whose objects stay lit in the scene; the rest are dimmed
+  const [tagFilter, setTagFilter] = useState([])
+  
+  // Spaced-repetition review state
+  const [reviewItem, setReviewItem] = useState(null)
+  const [reviewProgress, setReviewProgress] = useState(null)
+  const [isProcessingReview, setIsProcessingReview] = useState(false)
+  
+  // Recall quiz state; feedback is the verdict on the previous question
+  const [quizQuestion, setQuizQuestion] = useState(null)
+  const [quizProgress, setQuizProgress] = useState(null)
+  const [quizFeedback, setQuizFeedback] = useState(null)
+  const [isProcessingQuiz, setIsProcessingQuiz] = useState(false)
+  
+  // Blind recall state; result is the last attempt, revealed
+  const [recallState, setRecallState] = useState(null)
+  const [recallResult, setRecallResult] = useState(null)
+  const [isProcessingRecall, setIsProcessingRecall] = useState(false)
+  
+  // Guided memory walk state
+  const [walkState, setWalkState] = useState(null)
+  const walkTimerRef = useRef(null)
+  const journeyTimerRef = useRef(null)
+  
+  // Palace search
+  const [isSearchOpen, setIsSearchOpen] = useState(false)
+  const [isInventoryOpen, setIsInventoryOpen] = useState(false)
+  
+  // Bulk import of study lists
+  const [isImportOpen, setIsImportOpen] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
+  
+  // Person-Action-Object table for the number encoder
+  const [isPaoTableOpen, setIsPaoTableOpen] = useState(false)
+  const [isSavingPaoTable, setIsSavingPaoTable] = useState(false)
+  
+  // Palace-wide map of rooms and doors
+  const [isMapOpen, setIsMapOpen] = useState(false)
+  
+  // Palace integrity report (shown when load/import finds issues, or on demand)
+  const [integrityReport, setIntegrityReport] = useState(null)
+  const [isRepairing, setIsRepairing] = useState(false)
   
   // Minimap state
   const [showMinimap, setShowMinimap] = useState(false)
@@ -114,7 +188,37 @@ function App({core}) {
             console.log('[App] Object created:', object)
             updatePalaceState(core)
           }));
-          
+
+          // Tags and colors may change from the assistant while the inspector is open
+          unsubscribers.push(core.on(EventTypes.OBJECT_UPDATED, (object) => {
+            setSelectedObject(prev => (prev?.id === object?.id ? { ...prev, ...object } : prev))
+            updatePalaceState(core)
+          }));
+
+          // Doors are drawn from connections, so any change to one redraws the room
+          const syncConnections = () => updatePalaceState(core)
+          unsubscribers.push(core.on(EventTypes.CONNECTION_CREATED, syncConnections));
+          unsubscribers.push(core.on(EventTypes.CONNECTION_UPDATED, syncConnections));
+          unsubscribers.push(core.on(EventTypes.CONNECTION_DELETED, syncConnections));
+          unsubscribers.push(core.on(EventTypes.MAP_LAYOUT_UPDATED, syncConnections));
+
+          // Wings only regroup rooms, but the room pickers and settings list them
+          const syncWings = () => updatePalaceState(core)
+          unsubscribers.push(core.on(EventTypes.WING_CREATED, syncWings));
+          unsubscribers.push(core.on(EventTypes.WING_UPDATED, syncWings));
+          unsubscribers.push(core.on(EventTypes.WING_DELETED, syncWings));
+          unsubscribers.push(core.on(EventTypes.ROOM_UPDATED, syncWings));
+
+          // The template library feeds the menu and its forms
+          const syncTemplates = () => updatePalaceState(core)
+          unsubscribers.push(core.on(EventTypes.TEMPLATE_SAVED, syncTemplates));
+          unsubscribers.push(core.on(EventTypes.TEMPLATE_DELETED, syncTemplates));
+
+          // Links between objects are drawn as beams in the room
+          const syncAssociations = () => updatePalaceState(core)
+          unsubscribers.push(core.on(EventTypes.ASSOCIATION_CREATED, syncAssociations));
+          unsubscribers.push(core.on(EventTypes.ASSOCIATION_DELETED, syncAssociations));
+
           unsubscribers.push(core.on(EventTypes.STATE_CHANGED, (room) => {
             console.log('[App] Navigated to room:', room)
             updatePalaceState(core)
@@ -148,6 +252,180 @@ function App({core}) {
             // }
           }));
           
+          // Keep the review panel in sync with sessions started from the menu or by voice
+          const syncReviewSession = () => {
+            setReviewItem(core.getCurrentReviewItem())
+            setReviewProgress(core.getReviewProgress())
+          }
+          unsubscribers.push(core.on(EventTypes.REVIEW_SESSION_STARTED, syncReviewSession));
+          unsubscribers.push(core.on(EventTypes.REVIEW_ITEM_GRADED, syncReviewSession));
+          unsubscribers.push(core.on(EventTypes.REVIEW_SESSION_COMPLETED, (summary) => {
+            console.log('[App] Review session completed:', summary)
+            syncReviewSession()
+          }));
+          
+          // Quiz: face the locus of each question; spoken answers are graded by the voice interface
+          const syncQuiz = () => {
+            const question = core.getCurrentQuizQuestion()
+            setQuizQuestion(question)
+            setQuizProgress(core.getQuizProgress())
+            const object = question && core.state.objects.get(question.objectId)
+            if (object?.position) {
+              memoryPalaceRef.current?.lookAtPosition?.(object.position)
+            }
+            return question
+          }
+          unsubscribers.push(core.on(EventTypes.QUIZ_STARTED, () => {
+            setQuizFeedback(null)
+            syncQuiz()
+          }));
+          unsubscribers.push(core.on(EventTypes.QUIZ_ANSWERED, ({ question, grade, skipped }) => {
+            setQuizFeedback({
+              objectName: question.objectName,
+              expected: question.answer,
+              correct: !!grade?.correct,
+              skipped: !!skipped
+            })
+            const next = syncQuiz()
+            const verdict = skipped
+              ? `The answer was ${question.answer}.`
+              : grade.correct ? 'Correct!' : `Not quite. It was ${question.answer}.`
+            if (next) {
+              speakResponse(`${verdict} ${next.objectName}: ${spokenQuizPrompt(next)}`)
+            } else {
+              speakResponse(verdict)
+            }
+          }));
+          unsubscribers.push(core.on(EventTypes.QUIZ_ENDED, (summary) => {
+            console.log('[App] Quiz ended:', summary)
+            setQuizFeedback(null)
+            syncQuiz()
+            if (summary.answered > 0) {
+              handleCaptionUpdate(`Quiz over: ${summary.correct} of ${summary.answered} correct`, 'synthesis')
+            }
+          }));
+          
+          // Blind recall: labels stay hidden until an answer reveals them, then face the object
+          unsubscribers.push(core.on(EventTypes.RECALL_STARTED, (recall) => {
+            setRecallResult(null)
+            setRecallState(recall)
+          }));
+          unsubscribers.push(core.on(EventTypes.RECALL_ATTEMPTED, ({ result, recall }) => {
+            setRecallResult(result)
+            setRecallState(recall)
+            memoryPalaceRef.current?.lookAtPosition?.(result.position)
+            speakResponse(describeRecallResult(result))
+          }));
+          unsubscribers.push(core.on(EventTypes.RECALL_ENDED, (summary) => {
+            console.log('[App] Blind recall ended:', summary)
+            setRecallResult(null)
+            setRecallState(null)
+            if (summary.attempts > 0) {
+              handleCaptionUpdate(
+                `Blind recall over: ${summary.spatialHits} of ${summary.attempts} places and ${summary.contentHits} of ${summary.attempts} contents right`,
+                'synthesis'
+              )
+            }
+          }));
+          
+          // Guided memory walk: face each locus, narrate it, then advance while playing
+          const clearWalkTimer = () => {
+            clearTimeout(walkTimerRef.current)
+            walkTimerRef.current = null
+          }
+          const scheduleWalkAdvance = (index) => {
+            clearWalkTimer()
+            walkTimerRef.current = setTimeout(() => {
+              const state = core.getWalkState()
+              if (state?.isPlaying && state.index === index) {
+                core.nextLocus()
+              }
+            }, WALK_DWELL_MS)
+          }
+          unsubscribers.push(core.on(EventTypes.WALK_STEP, ({ stop, index }) => {
+            clearWalkTimer()
+            setWalkState(core.getWalkState())
+            memoryPalaceRef.current?.lookAtPosition?.(stop.position)
+            speakResponse(`${stop.name}. ${stop.information}`, {
+              onEnd: () => {
+                if (core.getWalkState()?.index === index) {
+                  scheduleWalkAdvance(index)
+                }
+              }
+            })
+          }));
+          unsubscribers.push(core.on(EventTypes.WALK_PAUSED, (state) => {
+            clearWalkTimer()
+            setWalkState(state)
+          }));
+          unsubscribers.push(core.on(EventTypes.WALK_RESUMED, (state) => {
+            setWalkState(state)
+            scheduleWalkAdvance(state.index)
+          }));
+          unsubscribers.push(core.on(EventTypes.WALK_ENDED, () => {
+            clearWalkTimer()
+            setWalkState(null)
+          }));
+          unsubscribers.push(clearWalkTimer);
+          
+          // Journeys: pause in each room, face the next door, narrate it, then pass through
+          const clearJourneyTimer = () => {
+            clearTimeout(journeyTimerRef.current)
+            journeyTimerRef.current = null
+          }
+          unsubscribers.push(core.on(EventTypes.JOURNEY_STEP, ({ current, index, narration }) => {
+            clearJourneyTimer()
+            journeyTimerRef.current = setTimeout(() => {
+              memoryPalaceRef.current?.lookAtPosition?.(current.position)
+              speakResponse(narration, {
+                onEnd: () => {
+                  if (core.getJourneyState()?.index === index) {
+                    core.nextJourneyStep().catch(error => {
+                      console.error('[App] Journey step failed:', error)
+                      core.endJourney()
+                    })
+                  }
+                }
+              })
+            }, JOURNEY_DWELL_MS)
+          }));
+          unsubscribers.push(core.on(EventTypes.JOURNEY_ENDED, ({ arrived, room }) => {
+            clearJourneyTimer()
+            if (arrived && room) {
+              speakResponse(`You have arrived in ${room.name}.`)
+            }
+          }));
+          unsubscribers.push(clearJourneyTimer);
+          
+          // Face a search result once its room is showing
+          unsubscribers.push(core.on(EventTypes.SEARCH_RESULT_FOCUSED, ({ result }) => {
+            if (result.position) {
+              memoryPalaceRef.current?.lookAtPosition?.(result.position)
+            }
+            handleCaptionUpdate(
+              result.roomId ? `${result.title} — ${result.roomName}` : `${result.title} is in your inventory`,
+              'synthesis'
+            )
+          }));
+          
+          // Refresh the palace switcher when palaces are added, renamed or opened
+          unsubscribers.push(core.on(EventTypes.PALACES_UPDATED, () => {
+            updatePalaceState(core)
+          }));
+          unsubscribers.push(core.on(EventTypes.PALACE_SWITCHED, ({ palace }) => {
+            console.log('[App] Switched palace:', palace)
+            setSelectedObject(null)
+            setTagFilter([])
+            setObjectInspectorOpen(false)
+            updatePalaceState(core)
+          }));
+          
+          // Offer a repair when loaded or imported state has structural issues
+          unsubscribers.push(core.on(EventTypes.STATE_ISSUES_FOUND, (report) => {
+            console.warn('[App] Palace state issues found:', report)
+            setIntegrityReport(report)
+          }));
+          
           // Add error event listener
           unsubscribers.push(core.on(EventTypes.ERROR_OCCURRED, (error) => {
             console.error('[App] Core error:', error)
@@ -166,6 +444,7 @@ function App({core}) {
           unsubscribers.push(core.on('room_image_generation_completed', (data) => {
             console.log('[App] Image generation completed:', data)
             setIsGeneratingImage(false)
+            updatePalaceState(core)
           }));
           
           // Return unsubscribe function that cleans up all listeners
@@ -283,6 +562,18 @@ function App({core}) {
     }
   }, [memoryPalaceCore])
 
+  // Ctrl/Cmd+K opens palace search from anywhere
+  useEffect(() => {
+    const handleSearchShortcut = (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.code === 'KeyK') {
+        event.preventDefault()
+        setIsSearchOpen(true)
+      }
+    }
+    window.addEventListener('keydown', handleSearchShortcut)
+    return () => window.removeEventListener('keydown', handleSearchShortcut)
+  }, [])
+
   // Helper function to update palace state
   const updatePalaceState = (core) => {
     if (core) {
@@ -390,13 +681,25 @@ function App({core}) {
     }
     
     // Handle form-based actions
-    const formActions = ['edit-room', 'go-to-room', 'add-object', 'remove-object']
+    const formActions = [
+      'edit-room', 'go-to-room', 'connect-rooms', 'duplicate-room', 'save-room-template', 'room-from-template',
+      'add-object', 'remove-object', 'new-palace', 'switch-palace', 'rename-palace', 'duplicate-palace', 'delete-palace'
+    ]
     if (formActions.includes(command)) {
       const actionMap = {
         'edit-room': 'edit_room', 
         'go-to-room': 'go_to_room',
+        'connect-rooms': 'connect_rooms',
+        'duplicate-room': 'duplicate_room',
+        'save-room-template': 'manage_room_template',
+        'room-from-template': 'create_room_from_template',
         'add-object': 'add_object',
-        'remove-object': 'remove_object'
+        'remove-object': 'remove_object',
+        'new-palace': 'create_palace',
+        'switch-palace': 'switch_palace',
+        'rename-palace': 'rename_palace',
+        'duplicate-palace': 'duplicate_palace',
+        'delete-palace': 'delete_palace'
       }
       
       setCurrentAction(actionMap[command])
@@ -406,6 +709,32 @@ function App({core}) {
     
     // Handle other menu commands
     switch (command) {
+      case 'start-review':
+        await handleStartReview()
+        break
+      case 'start-quiz':
+        await handleStartQuiz()
+        break
+      case 'blind-recall':
+        await handleToggleRecall()
+        break
+      case 'start-walk':
+        await handleWalkControl('start')
+        break
+      case 'bulk-import':
+        setIsImportOpen(true)
+        break
+      case 'pao-table':
+        setIsPaoTableOpen(true)
+        break
+      case 'palace-map':
+        setIsMapOpen(true)
+        break
+      case 'check-integrity':
+        if (memoryPalaceCore?.isInitialized) {
+          setIntegrityReport(memoryPalaceCore.validatePalace())
+        }
+        break
       case 'home':
         console.log('[App] Home command - could navigate to welcome state')
         break
@@ -417,7 +746,7 @@ function App({core}) {
     }
   }
 
-  const speakResponse = async (text) => {
+  const speakResponse = async (text, { onEnd } = {}) => {
       console.log('[App] Speaking response:', {
         text,
         speechSynthesisSupported: 'speechSynthesis' in window,
@@ -528,6 +857,7 @@ function App({core}) {
         utterance.onend = () => {
           console.log('[App] TTS ended')
           // Caption hiding is now handled at App level
+          onEnd?.()
         }
         
         utterance.onerror = (event) => {
@@ -537,11 +867,13 @@ function App({core}) {
             stack: new Error().stack
           })
           // Caption hiding is now handled at App level
+          onEnd?.()
         }
   
         window.speechSynthesis.speak(utterance)
       } else {
         console.log('[App] TTS skipped - not supported or audio feedback disabled')
+        onEnd?.()
       }
     }
 
@@ -697,6 +1029,11 @@ function App({core}) {
       return
     }
     
+    if (action === 'delete_palace' &&
+        !window.confirm(`Delete the palace "${formData.palaceName}" and everything in it? This cannot be undone.`)) {
+      return
+    }
+    
     try {
       setIsProcessingAction(true)
       
@@ -856,7 +1193,7 @@ function App({core}) {
   }
 
   // Object interaction handlers
-  const handleObjectSelected = async (objectId, objectData = null) => {
+  const handleObjectSelected = async (objectId, objectData = null, { inspect = false } = {}) => {
     console.log('[App] Object selected:', objectId, objectData)
     if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
     
@@ -870,8 +1207,8 @@ function App({core}) {
     }
     
     if (object) {
-      // Check if this is a door (has targetRoomId)
-      if (object.targetRoomId) {
+      // Check if this is a door (has targetRoomId); inspecting opens it in the inspector instead
+      if (object.targetRoomId && !inspect) {
         console.log('[App] Door clicked, navigating to room:', object.targetRoomId)
         try {
           await memoryPalaceCore.navigateToRoom(object.targetRoomId)
@@ -910,8 +1247,9 @@ function App({core}) {
       // Update object through core
       await memoryPalaceCore.updateObject(updatedObject.id, updateParams)
       
-      // Update local state
-      setSelectedObject(updatedObject)
+      // Update local state from the stored object, which keeps fields the inspector doesn't edit
+      const refreshed = memoryPalaceCore.getCurrentRoomObjects().find(obj => obj.id === updatedObject.id)
+      setSelectedObject(refreshed || { ...selectedObject, ...updatedObject })
       updatePalaceState(memoryPalaceCore)
       
       const objectType = updatedObject.targetRoomId !== undefined ? 'door' : 'object'
@@ -925,22 +1263,22 @@ function App({core}) {
     }
   }
 
-  const handleObjectDelete = async (objectId) => {
-    console.log('[App] Object delete:', objectId)
+  const handleObjectDelete = async (objectId, options = {}) => {
+    console.log('[App] Object delete:', objectId, options)
     if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
     
     try {
       setIsProcessingObjectAction(true)
       
-      // Delete object through core
-      await memoryPalaceCore.deleteObject(objectId)
+      // Delete object through core; connection doors may take their return door with them
+      await memoryPalaceCore.deleteObject(objectId, options)
       
       // Close inspector and update state
       setObjectInspectorOpen(false)
       setSelectedObject(null)
       updatePalaceState(memoryPalaceCore)
       
-      handleCaptionUpdate('Object deleted successfully', 'synthesis')
+      handleCaptionUpdate(options.includeReverse ? 'Door and its return door deleted' : 'Object deleted successfully', 'synthesis')
       
     } catch (error) {
       console.error('[App] Error deleting object:', error)
@@ -950,169 +1288,813 @@ function App({core}) {
     }
   }
 
+  // Moving closes the inspector; the next click on the skybox places the object there
   const handleObjectMove = (objectId) => {
     console.log('[App] Object move:', objectId)
-    // TODO: Implement object moving functionality
-    // This could enter a "move mode" where the user clicks to place the object
-    handleCaptionUpdate('Object moving not yet implemented', 'synthesis')
-  }
+    if (!selectedObject || selectedObject.id !== objectId) return
 
-  const handleObjectInspectorClose = () => {
+    setMovingObject(selectedObject)
     setObjectInspectorOpen(false)
-    setSelectedObject(null)
-  }
-
-  // Minimap handlers
-  const handleMinimapToggle = () => {
-    setMinimapCollapsed(!minimapCollapsed)
+    handleCaptionUpdate(`Click where "${selectedObject.name}" should go, or press Escape to cancel`, 'synthesis')
   }
 
-  const handleMinimapLookAt = (rotation) => {
-    console.log('[App] Minimap look at:', rotation)
-    setCameraRotation(rotation)
-    
-    // Update camera in MemoryPalace component
-    if (memoryPalaceRef.current && memoryPalaceRef.current.setCameraRotation) {
-      memoryPalaceRef.current.setCameraRotation(rotation)
+  // Carried objects have no room; placing one puts it down in the current room
+  const handleSkyboxClick = async (position) => {
+    if (!memoryPalaceCore?.isInitialized) return
+    if (!movingObject) {
+      // In blind recall, a click marks the spot the next answer is about
+      if (memoryPalaceCore.getRecallState()) {
+        setRecallState(memoryPalaceCore.pointRecall(position))
+      }
+      return
     }
-  }
 
-  // Mobile motion control handlers
-  const handleMotionControlToggle = async (enabled) => {
-    console.log('[App] Motion control toggle:', enabled)
-    
-    if (enabled) {
-      if (!motionController) {
-        // Create motion controller
-        const controller = new MobileMotionController((rotation) => {
-          setCameraRotation(rotation)
-          // Update camera in MemoryPalace component
-          if (memoryPalaceRef.current && memoryPalaceRef.current.setCameraRotation) {
-            memoryPalaceRef.current.setCameraRotation(rotation)
-          }
-        })
-        
-        setMotionController(controller)
-        
-        const success = await controller.enable()
-        if (success) {
-          setMotionControlEnabled(true)
-          handleCaptionUpdate('Motion control enabled - tilt your device to look around', 'synthesis')
-        } else {
-          handleCaptionUpdate('Motion control permission denied or not supported', 'synthesis')
-        }
+    const object = movingObject
+    setMovingObject(null)
+    try {
+      if (object.roomId) {
+        await memoryPalaceCore.updateObject(object.id, { position })
+        handleCaptionUpdate(`Moved "${object.name}"`, 'synthesis')
       } else {
-        const success = await motionController.enable()
-        if (success) {
-          setMotionControlEnabled(true)
-          handleCaptionUpdate('Motion control enabled', 'synthesis')
-        }
-      }
-    } else {
-      if (motionController) {
-        motionController.disable()
-        setMotionControlEnabled(false)
-        handleCaptionUpdate('Motion control disabled', 'synthesis')
+        await putDownObject(object, position)
       }
+      updatePalaceState(memoryPalaceCore)
+    } catch (error) {
+      console.error('[App] Error moving object:', error)
+      alert(`Error moving object: ${error.message}`)
     }
   }
 
-  const handleMotionControlCalibrate = () => {
-    if (motionController && motionControlEnabled) {
-      motionController.calibrate()
-      handleCaptionUpdate('Motion control calibrated', 'synthesis')
+  useEffect(() => {
+    if (!movingObject) return
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setMovingObject(null)
+        handleCaptionUpdate(
+          movingObject.roomId ? `Left "${movingObject.name}" where it was` : `"${movingObject.name}" stays in your inventory`,
+          'synthesis'
+        )
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [movingObject])
+
+  const handleObjectPickUp = async (objectId) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      const object = await memoryPalaceCore.addObjectToInventory(objectId)
+      setObjectInspectorOpen(false)
+      setSelectedObject(null)
+      updatePalaceState(memoryPalaceCore)
+      handleCaptionUpdate(`Picked up "${object.name}"`, 'synthesis')
+    } catch (error) {
+      console.error('[App] Error picking up object:', error)
+      alert(`Error picking up object: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
     }
   }
 
-  // Painted areas change handler for LLM context
-  const handlePaintedAreasChange = (paintedAreasData) => {
-    console.log('[App] Painted areas changed:', paintedAreasData)
-    setPaintedAreas(paintedAreasData)
+  const putDownObject = async (object, position) => {
+    await memoryPalaceCore.placeObjectFromInventory(object.id, position)
+    memoryPalaceRef.current?.lookAtPosition?.(position)
+    handleCaptionUpdate(`Placed "${object.name}" in ${memoryPalaceCore.getCurrentRoom()?.name}`, 'synthesis')
   }
 
-  // Painted object/door creation handler
-  const handlePaintedObjectCreated = async (paintedItem) => {
-    console.log('[App] Painted item created:', paintedItem)
-    
-    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) {
-      console.warn('[App] Memory Palace Core not initialized, cannot add painted item')
-      return
+  // The next skybox click puts the object down, through the same flow as moving one
+  const handleInventoryPlace = (objectId) => {
+    const object = memoryPalaceCore?.getInventory().find(item => item.id === objectId)
+    if (!object) return
+
+    setMovingObject(object)
+    setIsInventoryOpen(false)
+    handleCaptionUpdate(`Click where "${object.name}" should go, or press Escape to keep carrying it`, 'synthesis')
+  }
+
+  const handleInventoryPlaceAhead = async (objectId) => {
+    const object = memoryPalaceCore?.getInventory().find(item => item.id === objectId)
+    if (!object) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      await putDownObject(object, memoryPalaceRef.current?.screenToWorldPosition?.(0.5, 0.5) || null)
+      setIsInventoryOpen(false)
+      updatePalaceState(memoryPalaceCore)
+    } catch (error) {
+      console.error('[App] Error placing object:', error)
+      alert(`Error placing object: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
     }
+  }
+
+  const handleObjectTag = async (objectId, changes) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
     
     try {
-      if (paintedItem.type === 'door') {
-        console.log('[App] Creating painted door using new TypeScript-aware method')
-        
-        // Use the new createObject method with proper TypeScript parameters
-        const createParams = {
-          name: paintedItem.name,
-          type: 'door',
-          description: paintedItem.description || paintedItem.information,
-          information: (paintedItem.description || paintedItem.information) + ' (Click to configure destination)',
-          position: paintedItem.position,
-          targetRoomId: paintedItem.targetRoomId || '',
-          isPaintedDoor: true,
-          paintData: paintedItem.paintData
-        }
-        
-        const addedObject = await memoryPalaceCore.createObject(createParams)
-        
-        console.log('[App] Painted door added to memory palace:', addedObject)
-        handleCaptionUpdate(`Painted door "${paintedItem.name}" created successfully`, 'synthesis')
-      } else {
-        console.log('[App] Creating painted object using new TypeScript-aware method')
-        
-        // Use the new createObject method with proper TypeScript parameters
-        const createParams = {
-          name: paintedItem.name,
-          type: 'object',
-          information: paintedItem.information,
-          position: paintedItem.position,
-          isPaintedObject: true,
-          paintData: paintedItem.paintData
-        }
-        
-        const addedObject = await memoryPalaceCore.createObject(createParams)
-        
-        console.log('[App] Painted object added to memory palace:', addedObject)
-        handleCaptionUpdate(`Painted object "${paintedItem.name}" created successfully`, 'synthesis')
-      }
-      
-      // Update palace state to reflect the new item
+      setIsProcessingObjectAction(true)
+      const updated = await memoryPalaceCore.tagObject(objectId, changes)
+      setSelectedObject(prev => (prev?.id === objectId ? { ...prev, ...updated } : prev))
       updatePalaceState(memoryPalaceCore)
-      
     } catch (error) {
-      console.error('[App] Error adding painted item:', error)
-      handleCaptionUpdate(`Error creating painted item: ${error.message}`, 'synthesis')
+      console.error('[App] Error tagging object:', error)
+      alert(`Error tagging object: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
     }
   }
 
-  return (
-    <div className={`app ${isMobile ? 'mobile' : 'desktop'} ${isListening ? 'listening' : ''}`}>
-      {/* Always show the MemoryPalace (skybox) as initial state */}
-      <MemoryPalace 
-        ref={memoryPalaceRef}
-        wireframeEnabled={wireframeEnabled}
-        nippleEnabled={nippleEnabled}
-        paintModeEnabled={paintModeEnabled}
-        paintModeType={paintModeType}
-        onCreationModeTriggered={handleCreationModeTriggered}
-        onObjectSelected={handleObjectSelected}
-        onPaintedObjectCreated={handlePaintedObjectCreated}
-        onPaintedAreasChange={handlePaintedAreasChange}
-        onPaintTypeChange={handlePaintTypeChange}
-        selectedObjectId={selectedObject?.id}
-        cameraRotation={cameraRotation}
-        onCameraRotationChange={setCameraRotation}
-        currentRoom={currentPalaceState?.currentRoom}
-        objects={currentPalaceState?.objects || []}
-        creationModeActive={isCreationMode}
-        aiObjectProperties={aiObjectProperties}
-      />
-      
-      {/* Show loading overlay while initializing */}
-      {isLoading && (
-        <div className="app-loading">
+  const handleAttachmentAdd = async (objectId, blob, name) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      await memoryPalaceCore.addAttachment(objectId, blob, name)
+      const updated = memoryPalaceCore.state.objects.get(objectId)
+      setSelectedObject(prev => (prev?.id === objectId ? { ...prev, ...updated } : prev))
+      updatePalaceState(memoryPalaceCore)
+    } catch (error) {
+      console.error('[App] Error adding attachment:', error)
+      alert(`Error adding attachment: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
+    }
+  }
+
+  const handleAttachmentRemove = async (objectId, attachmentId) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      const updated = await memoryPalaceCore.removeAttachment(objectId, attachmentId)
+      setSelectedObject(prev => (prev?.id === objectId ? { ...prev, ...updated } : prev))
+      updatePalaceState(memoryPalaceCore)
+    } catch (error) {
+      console.error('[App] Error removing attachment:', error)
+      alert(`Error removing attachment: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
+    }
+  }
+
+  const getAttachmentUrl = useCallback(
+    (attachmentId) => memoryPalaceCore?.getAttachmentUrl(attachmentId) ?? null,
+    [memoryPalaceCore]
+  )
+
+  // Close the inspector, face the locus and play the clip from its direction
+  const handlePlayAtLocus = async (objectId, attachmentId) => {
+    const object = memoryPalaceCore?.state.objects.get(objectId)
+    if (!object) return
+
+    try {
+      const url = await memoryPalaceCore.getAttachmentUrl(attachmentId)
+      if (!url) throw new Error('The recording is not available on this device')
+      handleObjectInspectorClose()
+      memoryPalaceRef.current?.lookAtPosition?.(object.position)
+      memoryPalaceRef.current?.playAudioAtPosition?.(object.position, url)
+    } catch (error) {
+      console.error('[App] Error playing attachment:', error)
+      alert(`Error playing attachment: ${error.message}`)
+    }
+  }
+
+  const handleMnemonicSave = async (objectId, mnemonic) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      const updated = await memoryPalaceCore.setObjectMnemonic(objectId, mnemonic)
+      setSelectedObject(prev => (prev?.id === objectId ? { ...prev, ...updated } : prev))
+      updatePalaceState(memoryPalaceCore)
+    } catch (error) {
+      console.error('[App] Error saving mnemonic:', error)
+      alert(`Error saving mnemonic: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
+    }
+  }
+
+  // Ask the assistant for imagery tied to the object's room and locus
+  const handleMnemonicSuggest = async (objectId) => {
+    return await generateMnemonicSuggestions(memoryPalaceCore.getMnemonicContext({ objectId }))
+  }
+
+  const handleObjectLink = async (sourceId, targetId, relation) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      await memoryPalaceCore.linkObjects(sourceId, targetId, relation)
+    } catch (error) {
+      console.error('[App] Error linking objects:', error)
+      alert(`Error linking objects: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
+    }
+  }
+
+  const handleObjectUnlink = async (associationId) => {
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) return
+
+    try {
+      setIsProcessingObjectAction(true)
+      await memoryPalaceCore.unlinkObjects(associationId)
+    } catch (error) {
+      console.error('[App] Error unlinking objects:', error)
+      alert(`Error unlinking objects: ${error.message}`)
+    } finally {
+      setIsProcessingObjectAction(false)
+    }
+  }
+
+  // Follow a link: go to the linked object's room and face it
+  const handleJumpToObject = async (objectId) => {
+    const target = memoryPalaceCore?.state.objects.get(objectId)
+    if (!target?.roomId) return
+
+    try {
+      handleObjectInspectorClose()
+      if (target.roomId !== memoryPalaceCore.getCurrentRoom()?.id) {
+        await memoryPalaceCore.navigateToRoom(target.roomId)
+      }
+      memoryPalaceRef.current?.lookAtPosition?.(target.position)
+      handleCaptionUpdate(`${target.name} — ${memoryPalaceCore.state.rooms.get(target.roomId)?.name}`, 'synthesis')
+    } catch (error) {
+      console.error('[App] Error jumping to object:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  // Every memory object in the palace, for the inspector's link picker
+  const linkTargets = useMemo(() => {
+    if (!objectInspectorOpen || !memoryPalaceCore?.isInitialized) return []
+    return Array.from(memoryPalaceCore.state.objects.values())
+      .filter(obj => obj.type !== 'door')
+      .map(obj => ({ id: obj.id, name: obj.name, roomName: memoryPalaceCore.state.rooms.get(obj.roomId)?.name || null }))
+      .sort((a, b) => (a.roomName || '').localeCompare(b.roomName || '') || a.name.localeCompare(b.name))
+  }, [objectInspectorOpen, memoryPalaceCore, currentPalaceState])
+
+  const handleObjectInspectorClose = () => {
+    setObjectInspectorOpen(false)
+    setSelectedObject(null)
+  }
+
+  // Minimap handlers
+  const handleStartReview = async () => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    try {
+      const item = await memoryPalaceCore.startReviewSession()
+      if (!item) {
+        speakResponse('Nothing is due for review right now.')
+      }
+    } catch (error) {
+      console.error('[App] Error starting review:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleReviewGrade = async (grade) => {
+    if (!memoryPalaceCore) return
+
+    setIsProcessingReview(true)
+    try {
+      const next = await memoryPalaceCore.submitReviewGrade(grade)
+      if (!next) {
+        speakResponse('Review complete. Well done!')
+      }
+    } catch (error) {
+      console.error('[App] Error grading review:', error)
+      alert(`Error: ${error.message}`)
+    } finally {
+      setIsProcessingReview(false)
+    }
+  }
+
+  const handleReviewClose = () => {
+    memoryPalaceCore?.endReviewSession()
+  }
+
+  // Quiz the current room, with questions written by the assistant when it is configured
+  const handleStartQuiz = async () => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    setIsProcessingQuiz(true)
+    try {
+      const roomId = memoryPalaceCore.getCurrentRoom()?.id || null
+      const items = memoryPalaceCore.getQuizItems(roomId)
+      let questions = null
+      if (items.length > 0 && isAnthropicConfigured()) {
+        handleCaptionUpdate('Writing quiz questions...', 'synthesis')
+        try {
+          questions = await generateQuizQuestions(items)
+        } catch (error) {
+          console.warn('[App] Could not write quiz questions, using cloze questions instead:', error)
+        }
+      }
+
+      const question = await memoryPalaceCore.startQuiz({ roomId, questions })
+      if (question) {
+        speakResponse(`${question.objectName}: ${spokenQuizPrompt(question)}`)
+      } else {
+        speakResponse('There is nothing to quiz on in this room yet. Give its objects some information first.')
+      }
+    } catch (error) {
+      console.error('[App] Error starting quiz:', error)
+      alert(`Error starting quiz: ${error.message}`)
+    } finally {
+      setIsProcessingQuiz(false)
+    }
+  }
+
+  const handleQuizAnswer = async (answer) => {
+    if (!memoryPalaceCore) return
+
+    setIsProcessingQuiz(true)
+    try {
+      await memoryPalaceCore.answerQuizQuestion(answer)
+    } catch (error) {
+      console.error('[App] Error answering quiz:', error)
+      alert(`Error: ${error.message}`)
+    } finally {
+      setIsProcessingQuiz(false)
+    }
+  }
+
+  const handleQuizSkip = async () => {
+    try {
+      await memoryPalaceCore?.skipQuizQuestion()
+    } catch (error) {
+      console.error('[App] Error skipping quiz question:', error)
+    }
+  }
+
+  const handleQuizClose = () => {
+    memoryPalaceCore?.endQuiz()
+  }
+
+  // Where the user is looking, for recall answers given without clicking a spot
+  const getGazePosition = () => memoryPalaceRef.current?.screenToWorldPosition?.(0.5, 0.5) || null
+
+  const handleToggleRecall = async () => {
+    if (!memoryPalaceCore?.isInitialized) return
+    if (memoryPalaceCore.getRecallState()) {
+      memoryPalaceCore.endRecall()
+      return
+    }
+
+    try {
+      const recall = await memoryPalaceCore.startRecall()
+      if (recall) {
+        setObjectInspectorOpen(false)
+        speakResponse(`Labels hidden. Click or look at a spot and say what belongs there. ${recall.total} to recall.`)
+      } else {
+        speakResponse('There are no objects to recall in this room yet.')
+      }
+    } catch (error) {
+      console.error('[App] Error starting blind recall:', error)
+      alert(`Error starting blind recall: ${error.message}`)
+    }
+  }
+
+  const handleRecallAnswer = async (answer) => {
+    if (!memoryPalaceCore) return
+
+    setIsProcessingRecall(true)
+    try {
+      await memoryPalaceCore.answerRecall(answer, getGazePosition())
+    } catch (error) {
+      console.error('[App] Error answering blind recall:', error)
+      alert(`Error: ${error.message}`)
+    } finally {
+      setIsProcessingRecall(false)
+    }
+  }
+
+  const handleHistoryShortcut = async (action) => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    try {
+      const entry = action === 'redo' ? await memoryPalaceCore.redo() : await memoryPalaceCore.undo()
+      const verb = action === 'redo' ? 'Redone' : 'Undone'
+      handleCaptionUpdate(entry ? `${verb}: ${entry.label}` : `Nothing to ${action}`, 'synthesis')
+    } catch (error) {
+      console.error(`[App] Error during ${action}:`, error)
+    }
+  }
+
+  const handleSearch = (query) => {
+    if (!memoryPalaceCore?.isInitialized) return []
+    return memoryPalaceCore.searchPalace(query, { limit: 8 })
+  }
+
+  const handleSearchSelect = async (result) => {
+    setIsSearchOpen(false)
+    try {
+      await memoryPalaceCore.focusSearchResult(result)
+    } catch (error) {
+      console.error('[App] Error opening search result:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleImportPreview = (text, options) => {
+    return memoryPalaceCore.previewBulkImport(text, options)
+  }
+
+  const handleImportCommit = async (plan) => {
+    if (!memoryPalaceCore?.isInitialized || !plan) return
+
+    setIsImporting(true)
+    try {
+      const result = await memoryPalaceCore.commitBulkImport(plan)
+      setIsImportOpen(false)
+      const newRooms = result.rooms.length > 0
+        ? ` and ${result.rooms.length} new room${result.rooms.length === 1 ? '' : 's'}`
+        : ''
+      speakResponse(`Imported ${result.objects.length} items${newRooms} into your palace.`)
+    } catch (error) {
+      console.error('[App] Error importing study material:', error)
+      alert(`Error: ${error.message}`)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const paoTable = useMemo(() => {
+    if (!isPaoTableOpen || !memoryPalaceCore?.isInitialized) return []
+    return memoryPalaceCore.getPaoTable()
+  }, [isPaoTableOpen, memoryPalaceCore])
+
+  const handlePaoTableSave = async (entries) => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    setIsSavingPaoTable(true)
+    try {
+      await memoryPalaceCore.setPaoEntries(entries)
+      setIsPaoTableOpen(false)
+    } catch (error) {
+      console.error('[App] Error saving PAO table:', error)
+      alert(`Error: ${error.message}`)
+    } finally {
+      setIsSavingPaoTable(false)
+    }
+  }
+
+  // The layout is recomputed whenever the palace changes while the map is open
+  // Tags used in the current room, for the filter bar and the inspector's suggestions
+  const roomTags = useMemo(() => {
+    if (!memoryPalaceCore?.isInitialized) return []
+    return memoryPalaceCore.getAllTags(currentPalaceState?.currentRoom?.id || null)
+  }, [memoryPalaceCore, currentPalaceState])
+
+  const palaceMap = useMemo(() => {
+    if (!isMapOpen || !memoryPalaceCore?.isInitialized) return null
+    return memoryPalaceCore.getPalaceMap()
+  }, [isMapOpen, memoryPalaceCore, currentPalaceState])
+
+  const handleMapNavigate = async (roomId) => {
+    setIsMapOpen(false)
+    try {
+      memoryPalaceCore.endJourney()
+      await memoryPalaceCore.navigateToRoom(roomId)
+    } catch (error) {
+      console.error('[App] Error navigating from map:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleMapConnect = async (fromRoomId, toRoomId, bidirectional) => {
+    try {
+      const { connection, created } = await memoryPalaceCore.createConnection({ roomId: fromRoomId, targetRoomId: toRoomId, bidirectional })
+      handleCaptionUpdate(created.length > 0
+        ? `Added ${bidirectional ? 'two-way' : 'one-way'} door: ${connection.description}`
+        : `Already connected: ${connection.description}`, 'synthesis')
+    } catch (error) {
+      console.error('[App] Error connecting rooms from map:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleMapMoveRoom = async (roomId, position) => {
+    try {
+      await memoryPalaceCore.setMapPosition(roomId, position)
+    } catch (error) {
+      console.error('[App] Error moving room on map:', error)
+    }
+  }
+
+  const handleMapResetLayout = async () => {
+    try {
+      await memoryPalaceCore.resetMapLayout()
+    } catch (error) {
+      console.error('[App] Error resetting map layout:', error)
+    }
+  }
+
+  const handleExportPalaceBundle = async () => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    try {
+      const { bytes, manifest } = await memoryPalaceCore.exportPalaceBundle()
+      const slug = (manifest.palaceName || 'palace').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      const url = URL.createObjectURL(new Blob([bytes], { type: 'application/zip' }))
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `${slug || 'palace'}-${manifest.exportedAt.slice(0, 10)}.zip`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+
+      if (manifest.missingImages.length > 0) {
+        alert(`${manifest.missingImages.length} room image(s) could not be downloaded and were left out of the export.`)
+      }
+      if (manifest.missingAttachments?.length > 0) {
+        alert(`${manifest.missingAttachments.length} attachment(s) have no local copy and were left out of the export.`)
+      }
+    } catch (error) {
+      console.error('[App] Error exporting palace:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleImportPalaceBundle = async (file) => {
+    if (!memoryPalaceCore?.isInitialized) return
+    if (!window.confirm(`Replace the contents of this palace with "${file.name}"? You can export first to keep a copy.`)) return
+
+    try {
+      const manifest = await memoryPalaceCore.importPalaceBundle(new Uint8Array(await file.arrayBuffer()))
+      setIsSettingsOpen(false)
+      speakResponse(`Imported ${manifest.palaceName || 'the palace'} with ${manifest.counts.rooms} rooms and ${manifest.counts.objects} objects.`)
+    } catch (error) {
+      console.error('[App] Error importing palace:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleExportWing = (wingId) => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    try {
+      const data = memoryPalaceCore.exportWing(wingId)
+      const wingName = data.wings.find(wing => wing.id === wingId)?.name || 'wing'
+      const slug = wingName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }))
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `${slug || 'wing'}-${data.exportedAt.slice(0, 10)}.json`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('[App] Error exporting wing:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleImportWing = async (file) => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    try {
+      const result = await memoryPalaceCore.importWing(JSON.parse(await file.text()))
+      setIsSettingsOpen(false)
+      speakResponse(`Added the ${result.wing.name} wing with ${result.rooms.length} rooms and ${result.objectCount} objects.`)
+    } catch (error) {
+      console.error('[App] Error importing wing:', error)
+      alert(`Error: ${error.message}`)
+    }
+  }
+
+  const handleClearPalace = async () => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    await memoryPalaceCore.clearPalace()
+    window.location.reload() // Reload to reset the application state
+  }
+
+  const handleBackupSettingsChange = (backupSettings) => {
+    memoryPalaceCore?.configureBackups(backupSettings)
+  }
+
+  const handleListBackups = async () => {
+    return memoryPalaceCore?.isInitialized ? memoryPalaceCore.listBackups() : []
+  }
+
+  const handleCreateBackup = async () => {
+    await memoryPalaceCore.createBackup('manual')
+  }
+
+  const handleDiffBackup = async (backupId) => {
+    return memoryPalaceCore.diffBackup(backupId)
+  }
+
+  const handleRestoreBackup = async (backup) => {
+    const when = new Date(backup.createdAt).toLocaleString()
+    if (!window.confirm(`Restore the backup from ${when}? The current palace is backed up first.`)) return false
+
+    await memoryPalaceCore.restoreBackup(backup.id)
+    setIsSettingsOpen(false)
+    speakResponse(`Restored the backup from ${when}.`)
+    return true
+  }
+
+  const handleDeleteBackup = async (backupId) => {
+    await memoryPalaceCore.deleteBackup(backupId)
+  }
+
+  const handleIntegrityRepair = async () => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    setIsRepairing(true)
+    try {
+      const result = await memoryPalaceCore.repairPalace()
+      setIntegrityReport(null)
+      speakResponse(`Repaired ${result.repaired} issue${result.repaired === 1 ? '' : 's'} in your palace.`)
+    } catch (error) {
+      console.error('[App] Error repairing palace:', error)
+      alert(`Error: ${error.message}`)
+    } finally {
+      setIsRepairing(false)
+    }
+  }
+
+  const handleWalkControl = async (action) => {
+    if (!memoryPalaceCore?.isInitialized) return
+
+    try {
+      const state = await memoryPalaceCore.controlWalk(action)
+      if (action === 'start' && !state) {
+        speakResponse('There are no objects on your route yet.')
+      }
+    } catch (error) {
+      console.error('[App] Error controlling memory walk:', error)
+    }
+  }
+
+  const handleMinimapToggle = () => {
+    setMinimapCollapsed(!minimapCollapsed)
+  }
+
+  const handleMinimapLookAt = (rotation) => {
+    console.log('[App] Minimap look at:', rotation)
+    setCameraRotation(rotation)
+    
+    // Update camera in MemoryPalace component
+    if (memoryPalaceRef.current && memoryPalaceRef.current.setCameraRotation) {
+      memoryPalaceRef.current.setCameraRotation(rotation)
+    }
+  }
+
+  // Mobile motion control handlers
+  const handleMotionControlToggle = async (enabled) => {
+    console.log('[App] Motion control toggle:', enabled)
+    
+    if (enabled) {
+      if (!motionController) {
+        // Create motion controller
+        const controller = new MobileMotionController((rotation) => {
+          setCameraRotation(rotation)
+          // Update camera in MemoryPalace component
+          if (memoryPalaceRef.current && memoryPalaceRef.current.setCameraRotation) {
+            memoryPalaceRef.current.setCameraRotation(rotation)
+          }
+        })
+        
+        setMotionController(controller)
+        
+        const success = await controller.enable()
+        if (success) {
+          setMotionControlEnabled(true)
+          handleCaptionUpdate('Motion control enabled - tilt your device to look around', 'synthesis')
+        } else {
+          handleCaptionUpdate('Motion control permission denied or not supported', 'synthesis')
+        }
+      } else {
+        const success = await motionController.enable()
+        if (success) {
+          setMotionControlEnabled(true)
+          handleCaptionUpdate('Motion control enabled', 'synthesis')
+        }
+      }
+    } else {
+      if (motionController) {
+        motionController.disable()
+        setMotionControlEnabled(false)
+        handleCaptionUpdate('Motion control disabled', 'synthesis')
+      }
+    }
+  }
+
+  const handleMotionControlCalibrate = () => {
+    if (motionController && motionControlEnabled) {
+      motionController.calibrate()
+      handleCaptionUpdate('Motion control calibrated', 'synthesis')
+    }
+  }
+
+  // Painted areas change handler for LLM context
+  const handlePaintedAreasChange = (paintedAreasData) => {
+    console.log('[App] Painted areas changed:', paintedAreasData)
+    setPaintedAreas(paintedAreasData)
+  }
+
+  // Painted object/door creation handler
+  const handlePaintedObjectCreated = async (paintedItem) => {
+    console.log('[App] Painted item created:', paintedItem)
+    
+    if (!memoryPalaceCore || !memoryPalaceCore.isInitialized) {
+      console.warn('[App] Memory Palace Core not initialized, cannot add painted item')
+      return
+    }
+    
+    try {
+      if (paintedItem.type === 'door') {
+        console.log('[App] Creating painted door using new TypeScript-aware method')
+        
+        // Use the new createObject method with proper TypeScript parameters
+        const createParams = {
+          name: paintedItem.name,
+          type: 'door',
+          description: paintedItem.description || paintedItem.information,
+          information: (paintedItem.description || paintedItem.information) + ' (Click to configure destination)',
+          position: paintedItem.position,
+          targetRoomId: paintedItem.targetRoomId || '',
+          isPaintedDoor: true,
+          paintData: paintedItem.paintData
+        }
+        
+        const addedObject = await memoryPalaceCore.createObject(createParams)
+        
+        console.log('[App] Painted door added to memory palace:', addedObject)
+        handleCaptionUpdate(`Painted door "${paintedItem.name}" created successfully`, 'synthesis')
+      } else {
+        console.log('[App] Creating painted object using new TypeScript-aware method')
+        
+        // Use the new createObject method with proper TypeScript parameters
+        const createParams = {
+          name: paintedItem.name,
+          type: 'object',
+          information: paintedItem.information,
+          position: paintedItem.position,
+          isPaintedObject: true,
+          paintData: paintedItem.paintData
+        }
+        
+        const addedObject = await memoryPalaceCore.createObject(createParams)
+        
+        console.log('[App] Painted object added to memory palace:', addedObject)
+        handleCaptionUpdate(`Painted object "${paintedItem.name}" created successfully`, 'synthesis')
+      }
+      
+      // Update palace state to reflect the new item
+      updatePalaceState(memoryPalaceCore)
+      
+    } catch (error) {
+      console.error('[App] Error adding painted item:', error)
+      handleCaptionUpdate(`Error creating painted item: ${error.message}`, 'synthesis')
+    }
+  }
+
+  return (
+    <div className={`app ${isMobile ? 'mobile' : 'desktop'} ${isListening ? 'listening' : ''}`}>
+      {/* Always show the MemoryPalace (skybox) as initial state */}
+      <MemoryPalace 
+        ref={memoryPalaceRef}
+        wireframeEnabled={wireframeEnabled}
+        nippleEnabled={nippleEnabled}
+        paintModeEnabled={paintModeEnabled}
+        paintModeType={paintModeType}
+        onCreationModeTriggered={handleCreationModeTriggered}
+        onObjectSelected={handleObjectSelected}
+        onPaintedObjectCreated={handlePaintedObjectCreated}
+        onPaintedAreasChange={handlePaintedAreasChange}
+        onPaintTypeChange={handlePaintTypeChange}
+        selectedObjectId={selectedObject?.id}
+        cameraRotation={cameraRotation}
+        onCameraRotationChange={setCameraRotation}
+        currentRoom={currentPalaceState?.currentRoom}
+        skyboxUrl={currentPalaceState?.currentRoomImageUrl}
+        objects={currentPalaceState?.objects || []}
+        creationModeActive={isCreationMode}
+        aiObjectProperties={aiObjectProperties}
+        onHistoryShortcut={handleHistoryShortcut}
+        onSkyboxClick={handleSkyboxClick}
+        tagFilter={tagFilter}
+        associations={currentPalaceState?.associations || []}
+        recallActive={!!recallState}
+        revealedObjectIds={recallState?.revealedObjectIds}
+      />
+      
+      {/* Show loading overlay while initializing */}
+      {isLoading && (
+        <div className="app-loading">
           <div className="loading-content">
             <h1>Palais de Mémoire</h1>
             <div className="loading-spinner"></div>
@@ -1136,6 +2118,7 @@ function App({core}) {
         pendingCreationPosition={pendingCreationPosition}
         paintedAreas={paintedAreas}
         onAiObjectPropertiesUpdate={handleAiObjectPropertiesUpdate}
+        getGazePosition={getGazePosition}
       />
       
       {/* Voice Status Indicator - only shown when listening */}
@@ -1167,6 +2150,18 @@ function App({core}) {
         nippleEnabled={nippleEnabled}
         isOpen={isSettingsOpen}
         onClose={handleSettingsClose}
+        onExportPalace={handleExportPalaceBundle}
+        onImportPalace={handleImportPalaceBundle}
+        wings={currentPalaceState?.wings || []}
+        onExportWing={handleExportWing}
+        onImportWing={handleImportWing}
+        onClearPalace={handleClearPalace}
+        onBackupSettingsChange={handleBackupSettingsChange}
+        onListBackups={handleListBackups}
+        onCreateBackup={handleCreateBackup}
+        onDiffBackup={handleDiffBackup}
+        onRestoreBackup={handleRestoreBackup}
+        onDeleteBackup={handleDeleteBackup}
       />
 
       {/* Object Inspector Modal */}
@@ -1176,11 +2171,129 @@ function App({core}) {
         onClose={handleObjectInspectorClose}
         onEdit={handleObjectEdit}
         availableRooms={memoryPalaceCore?.getAllRooms() || []}
+        reverseDoor={selectedObject?.connectionId ? memoryPalaceCore?.findReverseConnection(selectedObject.connectionId) : null}
         onDelete={handleObjectDelete}
         onMove={handleObjectMove}
+        onPickUp={handleObjectPickUp}
+        onTag={handleObjectTag}
+        knownTags={objectInspectorOpen ? memoryPalaceCore?.getAllTags() || [] : []}
+        onAddAttachment={handleAttachmentAdd}
+        onRemoveAttachment={handleAttachmentRemove}
+        getAttachmentUrl={getAttachmentUrl}
+        onPlayAtLocus={handlePlayAtLocus}
+        related={objectInspectorOpen && selectedObject ? memoryPalaceCore?.getRelatedObjects(selectedObject.id) || [] : []}
+        linkTargets={linkTargets}
+        onLink={handleObjectLink}
+        onUnlink={handleObjectUnlink}
+        onJumpToObject={handleJumpToObject}
+        quizRecord={objectInspectorOpen && selectedObject ? memoryPalaceCore?.getQuizRecord(selectedObject.id) : null}
+        onSaveMnemonic={handleMnemonicSave}
+        onSuggestMnemonic={objectInspectorOpen && isAnthropicConfigured() ? handleMnemonicSuggest : null}
+        isProcessing={isProcessingObjectAction}
+      />
+
+      {/* Tag Filter */}
+      <TagFilterBar
+        tags={roomTags}
+        activeTags={tagFilter}
+        onChange={setTagFilter}
+      />
+
+      {/* Memory Walk Controls */}
+      <WalkControls
+        walkState={walkState}
+        currentRoomName={currentPalaceState?.currentRoom?.name}
+        onControl={handleWalkControl}
+      />
+
+      {/* Review Panel */}
+      <ReviewPanel
+        isOpen={!!reviewItem}
+        item={reviewItem}
+        progress={reviewProgress}
+        onGrade={handleReviewGrade}
+        onClose={handleReviewClose}
+        isProcessing={isProcessingReview}
+      />
+
+      {/* Quiz Panel */}
+      <QuizPanel
+        question={quizQuestion}
+        progress={quizProgress}
+        feedback={quizFeedback}
+        accuracy={quizQuestion ? memoryPalaceCore?.getQuizRecord(quizQuestion.objectId) : null}
+        onAnswer={handleQuizAnswer}
+        onSkip={handleQuizSkip}
+        onClose={handleQuizClose}
+        isProcessing={isProcessingQuiz}
+      />
+
+      {/* Blind Recall Panel */}
+      <RecallPanel
+        recall={recallState}
+        result={recallResult}
+        roomName={currentPalaceState?.currentRoom?.name}
+        onAnswer={handleRecallAnswer}
+        onClose={() => memoryPalaceCore?.endRecall()}
+        isProcessing={isProcessingRecall}
+      />
+
+      {/* Palace Search */}
+      <SearchPanel
+        isOpen={isSearchOpen}
+        onSearch={handleSearch}
+        onSelect={handleSearchSelect}
+        onClose={() => setIsSearchOpen(false)}
+      />
+
+      {/* Inventory */}
+      <InventoryDrawer
+        isOpen={isInventoryOpen}
+        items={currentPalaceState?.inventory || []}
+        currentRoomName={currentPalaceState?.currentRoom?.name}
+        onPlace={handleInventoryPlace}
+        onPlaceAhead={handleInventoryPlaceAhead}
+        onClose={() => setIsInventoryOpen(false)}
         isProcessing={isProcessingObjectAction}
       />
 
+      {/* Bulk Import */}
+      <BulkImportPanel
+        isOpen={isImportOpen}
+        onPreview={handleImportPreview}
+        onCommit={handleImportCommit}
+        onClose={() => setIsImportOpen(false)}
+        isProcessing={isImporting}
+      />
+
+      {/* PAO Table */}
+      <PaoTableEditor
+        isOpen={isPaoTableOpen}
+        entries={paoTable}
+        onSave={handlePaoTableSave}
+        onClose={() => setIsPaoTableOpen(false)}
+        isProcessing={isSavingPaoTable}
+      />
+
+      {/* Palace Map */}
+      <PalaceMap
+        isOpen={isMapOpen}
+        map={palaceMap}
+        onNavigate={handleMapNavigate}
+        onConnect={handleMapConnect}
+        onMoveRoom={handleMapMoveRoom}
+        onResetLayout={handleMapResetLayout}
+        onClose={() => setIsMapOpen(false)}
+      />
+
+      {/* Integrity Report */}
+      <IntegrityReport
+        report={integrityReport}
+        onRepair={handleIntegrityRepair}
+        onClose={() => setIntegrityReport(null)}
+        isProcessing={isRepairing}
+      />
+
       {/* Action Form Modal */}
       <ActionFormModal
         isOpen={actionModalOpen}
@@ -1274,6 +2387,81 @@ function App({core}) {
                     </small>
                   )}
                 </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('connect-rooms')}
+                  disabled={isProcessingAction || !currentPalaceState?.currentRoom || currentPalaceState?.stats?.totalRooms < 2}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faDoorOpen} />
+                    <span>Connect to Existing Room</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.currentRoom || currentPalaceState?.stats?.totalRooms < 2) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : !currentPalaceState?.currentRoom ? 'No current room' : 'No other rooms'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('room-from-template')}
+                  disabled={isProcessingAction || !currentPalaceState?.templates?.length}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faPlus} />
+                    <span>Create Room from Template</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.templates?.length) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No templates saved yet'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('save-room-template')}
+                  disabled={isProcessingAction || !currentPalaceState?.currentRoom}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faBookmark} />
+                    <span>Save Room as Template</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.currentRoom) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No current room'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('duplicate-room')}
+                  disabled={isProcessingAction || !currentPalaceState?.currentRoom}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faCopy} />
+                    <span>Duplicate Current Room</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.currentRoom) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No current room'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('palace-map')}
+                  disabled={isProcessingAction || !currentPalaceState?.stats?.totalRooms}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faMap} />
+                    <span>Palace Map</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.stats?.totalRooms) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No rooms available'}
+                    </small>
+                  )}
+                </button>
                 <button 
                   className="menu-item"
                   onClick={() => handleMenuCommand('regenerate-image')}
@@ -1308,6 +2496,16 @@ function App({core}) {
                     </small>
                   )}
                 </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('bulk-import')}
+                  disabled={isProcessingAction}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faFileImport} />
+                    <span>Import Study List</span>
+                  </div>
+                </button>
                 <button 
                   className="menu-item"
                   onClick={() => handleMenuCommand('remove-object')}
@@ -1325,8 +2523,154 @@ function App({core}) {
                 </button>
               </div>
 
+              <div className="menu-section">
+                <h4>Palace: {currentPalaceState?.activePalace?.name || 'My Palace'}</h4>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('switch-palace')}
+                  disabled={isProcessingAction || (currentPalaceState?.palaces?.length || 0) < 2}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faArrowRightArrowLeft} />
+                    <span>Switch Palace</span>
+                  </div>
+                  {(isProcessingAction || (currentPalaceState?.palaces?.length || 0) < 2) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No other palaces yet'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('new-palace')}
+                  disabled={isProcessingAction}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faLandmark} />
+                    <span>New Palace</span>
+                  </div>
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('rename-palace')}
+                  disabled={isProcessingAction}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faEdit} />
+                    <span>Rename Palace</span>
+                  </div>
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('duplicate-palace')}
+                  disabled={isProcessingAction}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faCopy} />
+                    <span>Duplicate Palace</span>
+                  </div>
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('delete-palace')}
+                  disabled={isProcessingAction || (currentPalaceState?.palaces?.length || 0) < 2}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faTrash} />
+                    <span>Delete Palace</span>
+                  </div>
+                  {(isProcessingAction || (currentPalaceState?.palaces?.length || 0) < 2) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'Your only palace cannot be deleted'}
+                    </small>
+                  )}
+                </button>
+              </div>
+
+              <div className="menu-section">
+                <h4>Review</h4>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('start-walk')}
+                  disabled={isProcessingAction || !currentPalaceState?.stats?.totalObjects}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faRoute} />
+                    <span>Start Memory Walk</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.stats?.totalObjects) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No objects on the route'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('start-review')}
+                  disabled={isProcessingAction || !currentPalaceState?.stats?.totalObjects}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faGraduationCap} />
+                    <span>Review Due Objects</span>
+                  </div>
+                  {(isProcessingAction || !currentPalaceState?.stats?.totalObjects) && (
+                    <small className="disabled-reason">
+                      {isProcessingAction ? 'Processing...' : 'No objects to review'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('start-quiz')}
+                  disabled={isProcessingQuiz || !currentPalaceState?.objects?.length}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faQuestionCircle} />
+                    <span>Quiz This Room</span>
+                  </div>
+                  {(isProcessingQuiz || !currentPalaceState?.objects?.length) && (
+                    <small className="disabled-reason">
+                      {isProcessingQuiz ? 'Writing questions...' : 'No objects in this room'}
+                    </small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('blind-recall')}
+                  disabled={!recallState && !currentPalaceState?.objects?.length}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faEyeSlash} />
+                    <span>{recallState ? 'Stop Blind Recall' : 'Blind Recall'}</span>
+                  </div>
+                  {!recallState && !currentPalaceState?.objects?.length && (
+                    <small className="disabled-reason">No objects in this room</small>
+                  )}
+                </button>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('pao-table')}
+                  disabled={isProcessingAction}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faTableCells} />
+                    <span>PAO Table</span>
+                  </div>
+                </button>
+              </div>
+
               <div className="menu-section">
                 <h4>Help</h4>
+                <button 
+                  className="menu-item"
+                  onClick={() => handleMenuCommand('check-integrity')}
+                  disabled={isProcessingAction}
+                >
+                  <div className="menu-item-content">
+                    <FontAwesomeIcon icon={faStethoscope} />
+                    <span>Check Palace Integrity</span>
+                  </div>
+                </button>
                 <button 
                   className="menu-item"
                   onClick={() => handleMenuCommand('about')}
@@ -1369,6 +2713,25 @@ function App({core}) {
               <FontAwesomeIcon icon={paintModeType === 'objects' ? faHome : faArrowRight} />
             </button>
           )}
+          <button 
+            className="search-toggle"
+            onClick={() => setIsSearchOpen(true)}
+            aria-label="Search palace"
+            title="Search palace (Ctrl+K)"
+          >
+            <FontAwesomeIcon icon={faMagnifyingGlass} />
+          </button>
+          <button 
+            className="inventory-toggle"
+            onClick={() => setIsInventoryOpen(true)}
+            aria-label={`Inventory (${currentPalaceState?.inventory?.length || 0} carried)`}
+            title="Inventory"
+          >
+            <FontAwesomeIcon icon={faSuitcase} />
+            {currentPalaceState?.inventory?.length > 0 && (
+              <span className="inventory-count">{currentPalaceState.inventory.length}</span>
+            )}
+          </button>
           <button 
             className="menu-toggle"
             onClick={handleMenuToggle}
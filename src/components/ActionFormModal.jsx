@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react'
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
 import { faTimes, faCheck, faSpinner } from '@fortawesome/free-solid-svg-icons'
 import { getFormDataProvider } from '../services/FormDataProvider.js'
+import RoomTreePicker from './RoomTreePicker'
+import NumberEncoder from './NumberEncoder'
 
 const ActionFormModal = ({ 
   isOpen, 
@@ -27,11 +29,28 @@ const ActionFormModal = ({
       case 'edit_room':
         return { description: state?.currentRoom?.description || '' }
       case 'go_to_room':
-        return { roomName: '' }
+        return { roomName: '', mode: 'teleport' }
       case 'add_object':
         return { name: '', info: '' }
       case 'remove_object':
         return { name: '' }
+      case 'connect_rooms':
+        return { targetRoomName: '', description: '', direction: 'two-way' }
+      case 'create_palace':
+        return { name: '' }
+      case 'switch_palace':
+      case 'delete_palace':
+        return { palaceName: '' }
+      case 'rename_palace':
+        return { newName: state?.activePalace?.name || '' }
+      case 'duplicate_palace':
+        return { palaceName: state?.activePalace?.name || '', newName: '' }
+      case 'duplicate_room':
+        return { newName: '', clearInformation: false }
+      case 'manage_room_template':
+        return { action: 'save', templateName: state?.currentRoom?.name || '', includeInformation: false }
+      case 'create_room_from_template':
+        return { templateName: '', roomName: '', roomDescription: '' }
       default:
         return {}
     }
@@ -50,7 +69,18 @@ const ActionFormModal = ({
         title: 'Navigate to Room',
         description: 'Move to another room in your palace',
         fields: [
-          { key: 'roomName', label: 'Room Name', type: 'select', required: true, placeholder: 'Select room to navigate to...' }
+          { key: 'roomName', label: 'Room Name', type: 'room-tree', required: true, placeholder: 'Select room to navigate to...' },
+          {
+            key: 'mode',
+            label: 'How to Get There',
+            type: 'select',
+            required: true,
+            placeholder: 'Select how to travel...',
+            options: [
+              { value: 'teleport', label: 'Teleport straight there' },
+              { value: 'walk', label: 'Walk through the doors in between' }
+            ]
+          }
         ]
       },
       add_object: {
@@ -58,7 +88,8 @@ const ActionFormModal = ({
         description: 'Place a new object in the current room',
         fields: [
           { key: 'name', label: 'Object Name', type: 'text', required: true, placeholder: 'Enter object name...' },
-          { key: 'info', label: 'Memory Information', type: 'textarea', required: true, placeholder: 'What information should this object help you remember?' }
+          { key: 'info', label: 'Memory Information', type: 'textarea', required: true, placeholder: 'What information should this object help you remember?' },
+          { key: 'numberHelp', label: 'Number Encoder', type: 'number-encoder', source: 'info', target: 'name' }
         ]
       },
       remove_object: {
@@ -67,6 +98,86 @@ const ActionFormModal = ({
         fields: [
           { key: 'name', label: 'Object Name', type: 'select', required: true, placeholder: 'Select object to remove...' }
         ]
+      },
+      connect_rooms: {
+        title: 'Connect Rooms',
+        description: 'Add a door from the current room to a room that already exists',
+        fields: [
+          { key: 'targetRoomName', label: 'Door Leads To', type: 'select', required: true, placeholder: 'Select room to connect to...' },
+          { key: 'description', label: 'Door Description', type: 'text', required: false, placeholder: 'Leave blank for "Door to <room>"' },
+          {
+            key: 'direction',
+            label: 'Direction',
+            type: 'select',
+            required: true,
+            placeholder: 'Select direction...',
+            options: [
+              { value: 'two-way', label: 'Two-way (adds a return door)' },
+              { value: 'one-way', label: 'One-way' }
+            ]
+          }
+        ]
+      },
+      duplicate_room: {
+        title: 'Duplicate Current Room',
+        description: 'Copy this room with its skybox and objects in the same places; doors are not copied',
+        fields: [
+          { key: 'newName', label: 'Name for the Copy', type: 'text', required: false, placeholder: 'Leave blank for "<name> (copy)"' },
+          { key: 'clearInformation', label: 'Keep the objects but clear their information', type: 'checkbox' }
+        ]
+      },
+      manage_room_template: {
+        title: 'Save Room as Template',
+        description: 'Keep this room\'s skybox and object places in the template library to build new rooms from',
+        fields: [
+          { key: 'templateName', label: 'Template Name', type: 'text', required: true, placeholder: 'e.g. Chapter room' },
+          { key: 'includeInformation', label: 'Also keep what each object holds', type: 'checkbox' }
+        ]
+      },
+      create_room_from_template: {
+        title: 'Create Room from Template',
+        description: 'Build a new room from a saved layout, with a door to it from the current room',
+        fields: [
+          { key: 'templateName', label: 'Template', type: 'select', required: true, placeholder: 'Select template...' },
+          { key: 'roomName', label: 'Room Name', type: 'text', required: false, placeholder: 'Leave blank for the template name' },
+          { key: 'roomDescription', label: 'Room Description', type: 'textarea', required: false, placeholder: 'Leave blank for the template\'s description' }
+        ]
+      },
+      create_palace: {
+        title: 'New Palace',
+        description: 'Start a separate palace with its own rooms, objects and inventory',
+        fields: [
+          { key: 'name', label: 'Palace Name', type: 'text', required: true, placeholder: 'e.g. Spanish, Organic Chemistry...' }
+        ]
+      },
+      switch_palace: {
+        title: 'Switch Palace',
+        description: 'Close this palace and open another',
+        fields: [
+          { key: 'palaceName', label: 'Palace', type: 'select', required: true, placeholder: 'Select palace to open...' }
+        ]
+      },
+      rename_palace: {
+        title: 'Rename Palace',
+        description: 'Give the current palace a new name',
+        fields: [
+          { key: 'newName', label: 'Palace Name', type: 'text', required: true, placeholder: 'Enter new name...' }
+        ]
+      },
+      duplicate_palace: {
+        title: 'Duplicate Palace',
+        description: 'Copy a palace with all its rooms and objects',
+        fields: [
+          { key: 'palaceName', label: 'Palace', type: 'select', required: true, placeholder: 'Select palace to copy...' },
+          { key: 'newName', label: 'Name for the Copy', type: 'text', required: false, placeholder: 'Leave blank for "<name> (copy)"' }
+        ]
+      },
+      delete_palace: {
+        title: 'Delete Palace',
+        description: 'Permanently delete a palace and everything in it',
+        fields: [
+          { key: 'palaceName', label: 'Palace', type: 'select', required: true, placeholder: 'Select palace to delete...' }
+        ]
       }
     }
     return configs[action] || { title: 'Unknown Action', description: '', fields: [] }
@@ -75,14 +186,33 @@ const ActionFormModal = ({
   const getSelectOptions = (field, state) => {
     const dataProvider = getFormDataProvider()
     
+    if (field.options) {
+      return field.options
+    }
+    
     if (field.key === 'roomName') {
       return dataProvider.getRoomOptions(state)
     }
     
+    if (field.key === 'targetRoomName') {
+      // A door can't lead back into the room it is in
+      return dataProvider.getRoomOptions(state).filter(option => option.value !== state?.currentRoom?.name)
+    }
+    
     if (field.key === 'name' && action === 'remove_object') {
       return dataProvider.getObjectOptions(state)
     }
     
+    if (field.key === 'templateName') {
+      return dataProvider.getTemplateOptions(state)
+    }
+    
+    if (field.key === 'palaceName') {
+      // The open palace can't be switched to
+      const palaces = dataProvider.getPalaceOptions(state)
+      return action === 'switch_palace' ? palaces.filter(option => !option.isActive) : palaces
+    }
+    
     return []
   }
 
@@ -155,6 +285,59 @@ const ActionFormModal = ({
           </div>
         )
 
+      case 'checkbox':
+        return (
+          <div key={field.key} className="form-field checkbox-field">
+            <label htmlFor={field.key}>
+              <input
+                id={field.key}
+                type="checkbox"
+                checked={!!formData[field.key]}
+                onChange={(e) => handleInputChange(field.key, e.target.checked)}
+                disabled={isProcessing}
+              />
+              {field.label}
+            </label>
+          </div>
+        )
+
+      case 'room-tree': {
+        // Palaces without wings keep the plain dropdown
+        const tree = getFormDataProvider().getRoomTree(state)
+        if (tree.wings.length > 0) {
+          return (
+            <div key={field.key} className="form-field">
+              <label htmlFor={field.key}>{field.label}</label>
+              <RoomTreePicker
+                id={field.key}
+                tree={tree}
+                value={value}
+                onChange={(roomName) => handleInputChange(field.key, roomName)}
+                currentRoomId={state?.currentRoom?.id}
+                disabled={isProcessing}
+                hasError={!!error}
+              />
+              {error && <span className="field-error">{error}</span>}
+            </div>
+          )
+        }
+      }
+      // falls through
+
+      case 'number-encoder':
+        return (
+          <div key={field.key} className="form-field">
+            <label htmlFor={field.key}>{field.label}</label>
+            <NumberEncoder
+              id={field.key}
+              text={formData[field.source] || ''}
+              getEncodings={(input, options) => getFormDataProvider().getNumberEncodings(input, state, options)}
+              onUseWord={(word) => handleInputChange(field.target, word.charAt(0).toUpperCase() + word.slice(1))}
+              disabled={isProcessing}
+            />
+          </div>
+        )
+
       case 'select':
         const options = getSelectOptions(field, state)
         return (
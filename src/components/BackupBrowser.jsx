@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faClockRotateLeft, faCodeCompare, faPlus, faTrash, faSpinner } from '@fortawesome/free-solid-svg-icons'
+
+const CHANGE_LABELS = {
+  restored: 'Brought back',
+  removed: 'Removed',
+  changed: 'Reverted'
+}
+
+const COLLECTION_LABELS = {
+  rooms: 'Room',
+  objects: 'Object',
+  connections: 'Door',
+  wings: 'Wing'
+}
+
+const BackupBrowser = ({
+  onList,
+  onCreate,
+  onDiff,
+  onRestore,
+  onDelete
+}) => {
+  const [backups, setBackups] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState(null)
+
+  const refresh = async () => {
+    try {
+      setBackups(await onList())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    refresh()
+  }, [])
+
+  const runAction = async (id, action) => {
+    setBusyId(id)
+    try {
+      await action()
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleCompare = (backup) => runAction(backup.id, async () => {
+    setDiff(diff?.backupId === backup.id ? null : await onDiff(backup.id))
+  })
+
+  const handleRestore = (backup) => runAction(backup.id, async () => {
+    if (await onRestore(backup)) {
+      setDiff(null)
+    }
+  })
+
+  const handleDelete = (backup) => runAction(backup.id, async () => {
+    if (!window.confirm(`Delete the backup "${backup.label}"?`)) return
+    await onDelete(backup.id)
+    if (diff?.backupId === backup.id) {
+      setDiff(null)
+    }
+  })
+
+  return (
+    <div className="backup-browser">
+      <div className="settings-actions">
+        <button className="secondary-btn" onClick={() => runAction('new', onCreate)} disabled={busyId !== null}>
+          <FontAwesomeIcon icon={busyId === 'new' ? faSpinner : faPlus} spin={busyId === 'new'} />
+          Back Up Now
+        </button>
+      </div>
+
+      {error && <p className="error-text">{error}</p>}
+
+      {isLoading ? (
+        <p className="backup-empty">Loading backups...</p>
+      ) : backups.length === 0 ? (
+        <p className="backup-empty">No backups yet.</p>
+      ) : (
+        <ul className="backup-list">
+          {backups.map(backup => (
+            <li key={backup.id} className="backup-item">
+              <div className="backup-info">
+                <span className="backup-label">{backup.label}</span>
+                <span className="backup-meta">
+                  {new Date(backup.createdAt).toLocaleString()} · {backup.counts.rooms} rooms, {backup.counts.objects} objects
+                </span>
+              </div>
+              <div className="backup-actions">
+                <button
+                  className="action-btn edit-btn"
+                  onClick={() => handleCompare(backup)}
+                  disabled={busyId !== null}
+                  title="Compare with the current palace"
+                  aria-label={`Compare ${backup.label} with the current palace`}
+                >
+                  <FontAwesomeIcon icon={faCodeCompare} />
+                </button>
+                <button
+                  className="action-btn edit-btn"
+                  onClick={() => handleRestore(backup)}
+                  disabled={busyId !== null}
+                  title="Restore this backup"
+                  aria-label={`Restore ${backup.label}`}
+                >
+                  <FontAwesomeIcon icon={busyId === backup.id ? faSpinner : faClockRotateLeft} spin={busyId === backup.id} />
+                </button>
+                <button
+                  className="action-btn danger-btn"
+                  onClick={() => handleDelete(backup)}
+                  disabled={busyId !== null}
+                  title="Delete this backup"
+                  aria-label={`Delete ${backup.label}`}
+                >
+                  <FontAwesomeIcon icon={faTrash} />
+                </button>
+              </div>
+
+              {diff?.backupId === backup.id && (
+                <div className="backup-diff">
+                  {diff.entries.length === 0 ? (
+                    <p>Identical to the current palace.</p>
+                  ) : (
+                    <>
+                      <p>
+                        Restoring brings back {diff.counts.restored}, removes {diff.counts.removed}
+                        {' '}and reverts {diff.counts.changed} record{diff.counts.changed === 1 ? '' : 's'}.
+                      </p>
+                      <ul>
+                        {diff.entries.map(entry => (
+                          <li key={`${entry.collection}-${entry.id}`} className={`backup-diff-${entry.change}`}>
+                            {CHANGE_LABELS[entry.change]}: {COLLECTION_LABELS[entry.collection]} "{entry.name}"
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default BackupBrowser
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faFileImport, faEye, faCheck, faDoorOpen } from '@fortawesome/free-solid-svg-icons'
+
+const FORMAT_OPTIONS = [
+  { value: 'auto', label: 'Detect automatically' },
+  { value: 'csv', label: 'CSV (term, details)' },
+  { value: 'markdown', label: 'Markdown list' },
+  { value: 'anki', label: 'Anki export (tab separated)' }
+]
+
+// Format implied by an uploaded file's extension
+const FILE_FORMATS = {
+  csv: 'csv',
+  md: 'markdown',
+  markdown: 'markdown',
+  tsv: 'anki'
+}
+
+const PLACEHOLDER = `Paste a list, for example:
+- France: Paris
+- Japan: Tokyo
+  - Largest metropolitan area in the world`
+
+const BulkImportPanel = ({
+  isOpen,
+  onPreview,
+  onCommit,
+  onClose,
+  isProcessing = false
+}) => {
+  const [text, setText] = useState('')
+  const [format, setFormat] = useState('auto')
+  const [roomCapacity, setRoomCapacity] = useState(10)
+  const [roomName, setRoomName] = useState('')
+  const [plan, setPlan] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (isOpen) {
+      setText('')
+      setFormat('auto')
+      setRoomName('')
+      setPlan(null)
+      setError(null)
+    }
+  }, [isOpen])
+
+  // Any change to the input makes the previous preview stale
+  useEffect(() => {
+    setPlan(null)
+    setError(null)
+  }, [text, format, roomCapacity, roomName])
+
+  if (!isOpen) return null
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file) return
+
+    const extension = file.name.split('.').pop().toLowerCase()
+    setFormat(FILE_FORMATS[extension] || 'auto')
+    setText(await file.text())
+    event.target.value = ''
+  }
+
+  const handlePreview = () => {
+    try {
+      setPlan(onPreview(text, { format, roomCapacity: Number(roomCapacity), roomName }))
+      setError(null)
+    } catch (previewError) {
+      setPlan(null)
+      setError(previewError.message)
+    }
+  }
+
+  const roomNames = new Map((plan?.rooms || []).map(room => [room.key, room.name]))
+  let locusNumber = 0
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={isProcessing ? undefined : onClose} />
+
+      <div className="object-inspector bulk-import-panel">
+        <div className="object-inspector-header">
+          <h3>
+            <FontAwesomeIcon icon={faFileImport} />
+            Import Study List
+          </h3>
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="Close import"
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="object-inspector-content">
+          <div className="form-group">
+            <label htmlFor="bulk-import-text">Study material</label>
+            <textarea
+              id="bulk-import-text"
+              className="object-textarea"
+              rows={8}
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder={PLACEHOLDER}
+              disabled={isProcessing}
+            />
+            <input
+              type="file"
+              accept=".csv,.md,.markdown,.txt,.tsv"
+              onChange={handleFile}
+              disabled={isProcessing}
+              aria-label="Load from file"
+            />
+          </div>
+
+          <div className="bulk-import-options">
+            <div className="form-group">
+              <label htmlFor="bulk-import-format">Format</label>
+              <select
+                id="bulk-import-format"
+                className="object-select"
+                value={format}
+                onChange={(e) => setFormat(e.target.value)}
+                disabled={isProcessing}
+              >
+                {FORMAT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-import-capacity">Objects per room</label>
+              <input
+                id="bulk-import-capacity"
+                className="object-input"
+                type="number"
+                min={1}
+                max={40}
+                value={roomCapacity}
+                onChange={(e) => setRoomCapacity(e.target.value)}
+                disabled={isProcessing}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-import-room-name">Name for new rooms</label>
+              <input
+                id="bulk-import-room-name"
+                className="object-input"
+                type="text"
+                value={roomName}
+                onChange={(e) => setRoomName(e.target.value)}
+                placeholder="Current room name"
+                disabled={isProcessing}
+              />
+            </div>
+          </div>
+
+          {error && <p className="bulk-import-error">{error}</p>}
+
+          {plan && (
+            <div className="bulk-import-preview">
+              <p className="bulk-import-summary">
+                {plan.itemCount} {plan.format} item{plan.itemCount === 1 ? '' : 's'} across {plan.rooms.length} room{plan.rooms.length === 1 ? '' : 's'}
+              </p>
+              {plan.rooms.map(room => (
+                <div key={room.key} className="bulk-import-room">
+                  <h4>
+                    {room.name} {room.roomId ? '' : <span className="bulk-import-badge">new</span>}
+                  </h4>
+                  {room.fromKey && !room.roomId && (
+                    <small>
+                      <FontAwesomeIcon icon={faDoorOpen} /> Door from {roomNames.get(room.fromKey) || 'the current room'}
+                    </small>
+                  )}
+                  <ol start={locusNumber + 1}>
+                    {room.items.map(item => {
+                      locusNumber++
+                      return (
+                        <li key={locusNumber}>
+                          <strong>{item.name}</strong>
+                          {item.information && <span> - {item.information}</span>}
+                        </li>
+                      )
+                    })}
+                  </ol>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="edit-actions">
+            <button
+              className="cancel-btn secondary-btn"
+              onClick={handlePreview}
+              disabled={isProcessing || !text.trim()}
+            >
+              <FontAwesomeIcon icon={faEye} />
+              Preview
+            </button>
+            <button
+              className="save-btn primary-btn"
+              onClick={() => onCommit(plan)}
+              disabled={isProcessing || !plan}
+            >
+              <FontAwesomeIcon icon={faCheck} />
+              {isProcessing ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default BulkImportPanel
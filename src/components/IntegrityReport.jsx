@@ -0,0 +1,85 @@
+import React from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faStethoscope, faWrench } from '@fortawesome/free-solid-svg-icons'
+
+const ISSUE_LABELS = {
+  orphaned_object: 'Orphaned objects',
+  orphaned_connection: 'Doors in missing rooms',
+  dangling_target: 'Doors to missing rooms',
+  missing_position: 'Missing positions'
+}
+
+const IntegrityReport = ({
+  report,
+  onRepair,
+  onClose,
+  isProcessing = false
+}) => {
+  if (!report) return null
+
+  const groups = Object.keys(ISSUE_LABELS)
+    .map(type => ({ type, issues: report.issues.filter(issue => issue.type === type) }))
+    .filter(group => group.issues.length > 0)
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={onClose} />
+
+      <div className="object-inspector integrity-report">
+        <div className="object-inspector-header">
+          <h3>
+            <FontAwesomeIcon icon={faStethoscope} />
+            Palace Integrity
+          </h3>
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="Close integrity report"
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="object-inspector-content">
+          {report.valid ? (
+            <p className="integrity-summary">No issues found. Every object and door is accounted for.</p>
+          ) : (
+            <>
+              <p className="integrity-summary">
+                Found {report.issues.length} issue{report.issues.length === 1 ? '' : 's'}
+                {report.source === 'import' ? ' in the imported palace' : ''}.
+                Repairing moves orphaned objects to your inventory, removes doors into or out of missing rooms,
+                and gives misplaced objects a new position. You can undo it.
+              </p>
+
+              {groups.map(({ type, issues }) => (
+                <div key={type} className="integrity-group">
+                  <h4>{ISSUE_LABELS[type]} ({issues.length})</h4>
+                  <ul>
+                    {issues.map(issue => (
+                      <li key={`${issue.collection}-${issue.id}-${issue.type}`}>{issue.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+
+              <div className="object-actions">
+                <button
+                  className="action-btn edit-btn"
+                  onClick={onRepair}
+                  disabled={isProcessing}
+                >
+                  <FontAwesomeIcon icon={faWrench} />
+                  {isProcessing ? 'Repairing...' : 'Repair'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default IntegrityReport
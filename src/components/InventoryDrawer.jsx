@@ -0,0 +1,86 @@
+import React from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faSuitcase, faCrosshairs, faEye } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * Objects the user is carrying, to put down in the current room
+ * "Place" waits for a click on the skybox; "Place ahead" drops the object where the user is looking
+ */
+const InventoryDrawer = ({
+  isOpen,
+  items = [],
+  currentRoomName = null,
+  onPlace,
+  onPlaceAhead,
+  onClose,
+  isProcessing = false
+}) => {
+  if (!isOpen) return null
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={onClose} />
+
+      <aside className="inventory-drawer" role="dialog" aria-label="Inventory">
+        <div className="inventory-header">
+          <h3>
+            <FontAwesomeIcon icon={faSuitcase} />
+            Inventory
+            <small>{items.length}</small>
+          </h3>
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="Close inventory"
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        {items.length === 0 ? (
+          <p className="inventory-empty">
+            Nothing carried. Pick an object up from the inspector to move it to another room.
+          </p>
+        ) : (
+          <ul className="inventory-list">
+            {items.map(item => (
+              <li key={item.id} className="inventory-item">
+                <div className="inventory-item-body">
+                  <span
+                    className="inventory-item-name"
+                    style={item.color ? { borderColor: item.color } : undefined}
+                  >
+                    {item.name}
+                  </span>
+                  {item.information && <p>{item.information}</p>}
+                </div>
+                <div className="inventory-item-actions">
+                  <button
+                    className="secondary-btn"
+                    onClick={() => onPlace(item.id)}
+                    disabled={!currentRoomName || isProcessing}
+                    title={currentRoomName ? `Click on the skybox to place it in ${currentRoomName}` : 'No current room'}
+                  >
+                    <FontAwesomeIcon icon={faCrosshairs} />
+                    Place
+                  </button>
+                  <button
+                    className="secondary-btn"
+                    onClick={() => onPlaceAhead(item.id)}
+                    disabled={!currentRoomName || isProcessing}
+                    title="Place it where you are looking"
+                    aria-label={`Place ${item.name} where you are looking`}
+                  >
+                    <FontAwesomeIcon icon={faEye} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </aside>
+    </>
+  )
+}
+
+export default InventoryDrawer
@@ -3,6 +3,18 @@ import * as THREE from 'three'
 import nipplejs from 'nipplejs'
 import SimpleParticleManager from '../utils/SimpleParticleManager'
 import SettingsManager from '../services/SettingsManager'
+import { matchesTags } from '../utils/tagUtils.ts'
+import { screenToWorldPosition } from '../utils/objectUtils.ts'
+
+// Opacity kept by the off-screen indicators of objects hidden by the tag filter
+const FILTERED_INDICATOR_OPACITY = 0.15
+
+// Faint beams between linked objects, pulled just inside the skybox so they draw over it
+const BEAM_COLOR = 0x9fc6ff
+const BEAM_OPACITY = 0.35
+const BEAM_RADIUS = 490
+const beamFrustum = new THREE.Frustum()
+const beamMatrix = new THREE.Matrix4()
 
 const MemoryPalace = forwardRef(({ 
   wireframeEnabled = false, 
@@ -16,9 +28,16 @@ const MemoryPalace = forwardRef(({
   onPaintedAreasChange = null,
   selectedObjectId = null,
   currentRoom = null,
+  skyboxUrl = null,
   objects = [],
   creationModeActive = false,
-  aiObjectProperties = null
+  aiObjectProperties = null,
+  onHistoryShortcut = null,
+  onSkyboxClick = null,
+  tagFilter = [],
+  associations = [],
+  recallActive = false,
+  revealedObjectIds = []
 }, ref) => {
   const mountRef = useRef(null)
   const sceneRef = useRef(null)
@@ -45,6 +64,26 @@ const MemoryPalace = forwardRef(({
   
   // Camera rotation state - needs to be accessible across all functions
   const cameraRotationRef = useRef({ yaw: 0, pitch: 0 })
+  const cameraTweenRef = useRef(null)
+  const audioListenerRef = useRef(null)
+  const associationBeamsRef = useRef(new Map())
+  const locusAudioRef = useRef(null)
+  
+  // Latest undo/redo handler, read from the keyboard listener set up once on mount
+  const onHistoryShortcutRef = useRef(onHistoryShortcut)
+  onHistoryShortcutRef.current = onHistoryShortcut
+  
+  // Latest skybox click handler (used to place an object being moved)
+  const onSkyboxClickRef = useRef(onSkyboxClick)
+  onSkyboxClickRef.current = onSkyboxClick
+  
+  // Latest tag filter, read by the indicator animation
+  const tagFilterRef = useRef(tagFilter)
+  tagFilterRef.current = tagFilter
+  
+  // Latest blind recall state, read by the indicator animation and click handling
+  const recallRef = useRef({ active: recallActive, revealedObjectIds })
+  recallRef.current = { active: recallActive, revealedObjectIds }
 
   // Paint mode functions
   const initializePaintCanvas = () => {
@@ -671,7 +710,8 @@ const MemoryPalace = forwardRef(({
   }
 
   // Skybox update function for room navigation
-  const updateSkyboxForRoom = (room) => {
+  // imageUrl is the room's local copy when it has one
+  const updateSkyboxForRoom = (room, imageUrl = room?.imageUrl) => {
     if (!skyboxMaterialRef.current) {
       console.warn('[MemoryPalace] Skybox material not ready for room update')
       return
@@ -685,13 +725,13 @@ const MemoryPalace = forwardRef(({
     //   return
     // }
 
-    if (!wireframeEnabled && room?.imageUrl) {
+    if (!wireframeEnabled && imageUrl) {
       // Load room-specific texture
-      console.log('[MemoryPalace] Loading room texture:', room.imageUrl)
+      console.log('[MemoryPalace] Loading room texture:', imageUrl)
       const textureLoader = new THREE.TextureLoader()
       
       textureLoader.load(
-        room.imageUrl,
+        imageUrl,
         (texture) => {
           console.log('[MemoryPalace] Room texture loaded successfully')
           texture.mapping = THREE.EquirectangularReflectionMapping
@@ -855,7 +895,8 @@ const MemoryPalace = forwardRef(({
         swirlSpeed: 1.7,
         swirlTightness: 0.0,
         twinkleSpeed: 0,
-        twinkleIntensity: 2.55
+        twinkleIntensity: 2.55,
+        color: obj.color || null
       })
       sceneRef.current.add(particleSystem)
       
@@ -985,12 +1026,20 @@ const MemoryPalace = forwardRef(({
             })
           }
           
+          // Recolor the particles when the user picks another color
+          if ((marker.userData.objectData.color || null) !== (obj.color || null)) {
+            particleManagerRef.current?.setColor(obj.id, obj.color || null)
+          }
+          
           // Update userData with new object data
           marker.userData.objectData = obj
         }
       }
     })
     
+    applyTagFilter()
+    applyRecallVisibility()
+    
     console.log(`[MemoryPalace] ✅ SCENE: updateObjectMarkers completed`, {
       totalActiveMarkers: currentMarkers.size,
       activeMarkerIds: Array.from(currentMarkers.keys()),
@@ -998,6 +1047,84 @@ const MemoryPalace = forwardRef(({
     })
   }
 
+  // Objects without any of the filtered tags are dimmed; doors always stay lit
+  const isFilteredOut = (obj) => {
+    const isDoor = obj.type === 'door' || obj.targetRoomId !== undefined
+    return !isDoor && tagFilterRef.current.length > 0 && !matchesTags(obj, tagFilterRef.current)
+  }
+
+  const applyTagFilter = () => {
+    if (!particleManagerRef.current) return
+    objectMarkersRef.current.forEach((marker, objectId) => {
+      const obj = marker.userData.objectData
+      if (obj) {
+        particleManagerRef.current.setDimmed(objectId, isFilteredOut(obj))
+      }
+    })
+  }
+
+  // In blind recall, memory objects stay hidden until revealed; doors always show
+  const isHiddenForRecall = (obj) => {
+    if (!obj || !recallRef.current.active) return false
+    const isDoor = obj.type === 'door' || obj.targetRoomId !== undefined
+    return !isDoor && !recallRef.current.revealedObjectIds.includes(obj.id)
+  }
+
+  const applyRecallVisibility = () => {
+    if (!particleManagerRef.current) return
+    objectMarkersRef.current.forEach((marker, objectId) => {
+      particleManagerRef.current.setVisible(objectId, !isHiddenForRecall(marker.userData.objectData))
+    })
+  }
+
+  // Redraw the beams between linked objects in this room from the current marker positions
+  const updateAssociationBeams = (newAssociations) => {
+    if (!sceneRef.current) return
+
+    associationBeamsRef.current.forEach(beam => {
+      sceneRef.current.remove(beam)
+      beam.geometry.dispose()
+      beam.material.dispose()
+    })
+    associationBeamsRef.current.clear()
+
+    newAssociations.forEach(association => {
+      const source = objectMarkersRef.current.get(association.sourceId)
+      const target = objectMarkersRef.current.get(association.targetId)
+      if (!source || !target) return
+
+      const geometry = new THREE.BufferGeometry().setFromPoints([
+        source.position.clone().setLength(BEAM_RADIUS),
+        target.position.clone().setLength(BEAM_RADIUS)
+      ])
+      const material = new THREE.LineBasicMaterial({
+        color: BEAM_COLOR,
+        transparent: true,
+        opacity: BEAM_OPACITY,
+        depthWrite: false
+      })
+      const beam = new THREE.Line(geometry, material)
+      beam.userData = { association, endpoints: [source.position, target.position] }
+      beam.visible = false
+      sceneRef.current.add(beam)
+      associationBeamsRef.current.set(association.id, beam)
+    })
+  }
+
+  // Only show a beam while both of its objects are on screen, and never during blind recall
+  const updateAssociationBeamVisibility = () => {
+    const camera = cameraRef.current
+    if (!camera || associationBeamsRef.current.size === 0) return
+
+    camera.updateMatrixWorld()
+    beamMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+    beamFrustum.setFromProjectionMatrix(beamMatrix)
+    associationBeamsRef.current.forEach(beam => {
+      beam.visible = !recallRef.current.active &&
+        beam.userData.endpoints.every(point => beamFrustum.containsPoint(point))
+    })
+  }
+
   const startObjectAnimation = () => {
     if (animationFrameRef.current) return // Already animating
     
@@ -1019,6 +1146,8 @@ const MemoryPalace = forwardRef(({
       // Animate off-screen indicators
       animateObjectIndicators()
       
+      updateAssociationBeamVisibility()
+      
       animationFrameRef.current = requestAnimationFrame(animate)
     }
     
@@ -1300,9 +1429,15 @@ const MemoryPalace = forwardRef(({
         const spriteOffset = tempVector.sub(camera.position).normalize().multiplyScalar(-0.5)
         indicator.sprite.position.copy(indicatorPosition.clone().add(spriteOffset))
         
-        // Simple static opacity (no pulsing/floating animations)
-        indicator.arrow.material.opacity = indicator.arrow.userData.originalOpacity || 0.8
-        indicator.sprite.material.opacity = 0.9
+        // Simple static opacity (no pulsing/floating animations), faint for filtered-out objects
+        const dim = isFilteredOut(obj) ? FILTERED_INDICATOR_OPACITY : 1
+        indicator.arrow.material.opacity = (indicator.arrow.userData.originalOpacity || 0.8) * dim
+        indicator.sprite.material.opacity = 0.9 * dim
+        
+        // Names and arrows would give a blind recall away
+        const hidden = isHiddenForRecall(obj)
+        indicator.arrow.visible = !hidden
+        indicator.sprite.visible = !hidden
       }
     })
   }
@@ -1390,8 +1525,113 @@ const MemoryPalace = forwardRef(({
     }
   }
 
+  // Point the camera at a yaw/pitch (degrees), using the same clamping as the manual controls
+  const applyCameraRotation = (yaw, pitch) => {
+    cameraRotationRef.current.yaw = Math.max(-135, Math.min(135, yaw))
+    cameraRotationRef.current.pitch = Math.max(-85, Math.min(85, pitch))
+
+    if (!cameraRef.current) return
+
+    const phi = THREE.MathUtils.degToRad(90 - cameraRotationRef.current.pitch)
+    const theta = THREE.MathUtils.degToRad(cameraRotationRef.current.yaw)
+
+    const x = 500 * Math.sin(phi) * Math.cos(theta)
+    const y = 500 * Math.cos(phi)
+    const z = 500 * Math.sin(phi) * Math.sin(theta)
+
+    cameraRef.current.lookAt(x, y, z)
+  }
+
+  // Smoothly turn the camera to a yaw/pitch over the given duration
+  const turnCameraTo = ({ yaw, pitch }, duration = 800) => {
+    if (cameraTweenRef.current) {
+      cancelAnimationFrame(cameraTweenRef.current)
+      cameraTweenRef.current = null
+    }
+
+    const start = { ...cameraRotationRef.current }
+    if (duration <= 0) {
+      applyCameraRotation(yaw, pitch)
+      return
+    }
+
+    const startTime = performance.now()
+    const step = (now) => {
+      const t = Math.min(1, (now - startTime) / duration)
+      const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2
+      applyCameraRotation(
+        start.yaw + (yaw - start.yaw) * eased,
+        start.pitch + (pitch - start.pitch) * eased
+      )
+      cameraTweenRef.current = t < 1 ? requestAnimationFrame(step) : null
+    }
+    cameraTweenRef.current = requestAnimationFrame(step)
+  }
+
+  // Convert a world position on the skybox to the yaw/pitch that faces it
+  const getRotationForPosition = (position) => {
+    const radius = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z) || 1
+    return {
+      yaw: THREE.MathUtils.radToDeg(Math.atan2(position.z, position.x)),
+      pitch: THREE.MathUtils.radToDeg(Math.asin(position.y / radius))
+    }
+  }
+
+  // Stop the clip playing at a locus, if any
+  const stopLocusAudio = () => {
+    const playing = locusAudioRef.current
+    if (!playing) return
+
+    playing.element.pause()
+    playing.element.onended = null
+    playing.sound.disconnect()
+    playing.sound.removeFromParent()
+    locusAudioRef.current = null
+  }
+
+  // Play an audio clip from a point on the skybox, so it is heard from the direction of its locus
+  const playAudioAtPosition = (position, url) => {
+    if (!sceneRef.current || !cameraRef.current || !position || !url) return
+    stopLocusAudio()
+
+    if (!audioListenerRef.current) {
+      audioListenerRef.current = new THREE.AudioListener()
+      cameraRef.current.add(audioListenerRef.current)
+    }
+    const listener = audioListenerRef.current
+    if (listener.context.state === 'suspended') {
+      listener.context.resume()
+    }
+
+    const element = new Audio(url)
+    const sound = new THREE.PositionalAudio(listener)
+    sound.setMediaElementSource(element)
+    // Loci all sit on the skybox, so keep full volume at that distance and let direction do the work
+    sound.setRefDistance(Math.hypot(position.x, position.y, position.z) || 1)
+    sound.position.set(position.x, position.y, position.z)
+    sceneRef.current.add(sound)
+
+    locusAudioRef.current = { sound, element }
+    element.onended = stopLocusAudio
+    element.play().catch(error => {
+      console.error('[MemoryPalace] Could not play audio at locus:', error)
+      stopLocusAudio()
+    })
+  }
+
   // Expose methods to parent component
   useImperativeHandle(ref, () => ({
+    setCameraRotation: (rotation, duration = 0) => {
+      turnCameraTo(rotation, duration)
+    },
+    lookAtPosition: (position, duration = 800) => {
+      if (!position) return
+      turnCameraTo(getRotationForPosition(position), duration)
+    },
+    // Point on the skybox under a spot on screen (0-1 across the viewport); the centre is where the user is looking
+    screenToWorldPosition: (screenX = 0.5, screenY = 0.5) => {
+      return screenToWorldPosition(screenX, screenY, 500, cameraRef.current, THREE)
+    },
     toggleWireframe: (enabled) => {
       if (wireframeSphereRef.current) {
         wireframeSphereRef.current.visible = enabled
@@ -1404,6 +1644,8 @@ const MemoryPalace = forwardRef(({
         cleanupNipple()
       }
     },
+    playAudioAtPosition: playAudioAtPosition,
+    stopLocusAudio: stopLocusAudio,
     updateCameraFov: updateCameraFov,
     cleanupStrokeData: cleanupStrokeData
   }))
@@ -1870,8 +2112,9 @@ const MemoryPalace = forwardRef(({
       // Update the picking ray with the camera and mouse position
       raycaster.setFromCamera(mouse, camera)
 
-      // First check for object marker intersections
+      // First check for object marker intersections, ignoring objects hidden for blind recall
       const objectMarkers = Array.from(objectMarkersRef.current.values())
+        .filter(marker => !isHiddenForRecall(marker.userData.objectData))
       const objectIntersects = raycaster.intersectObjects(objectMarkers)
       
       if (objectIntersects.length > 0) {
@@ -1893,9 +2136,9 @@ const MemoryPalace = forwardRef(({
           }, 500)
         }
         
-        // Notify parent component about object selection
+        // Notify parent component about object selection; Shift/Alt-click inspects a door instead of entering it
         if (onObjectSelected) {
-          onObjectSelected(objectData.id, objectData)
+          onObjectSelected(objectData.id, objectData, { inspect: event.shiftKey || event.altKey })
         }
         
         return // Don't process skybox click if object was clicked
@@ -1906,6 +2149,7 @@ const MemoryPalace = forwardRef(({
       if (skyboxIntersects.length > 0) {
         const intersectionPoint = skyboxIntersects[0].point
         console.log('[MemoryPalace] Skybox single click at point:', intersectionPoint)
+        onSkyboxClickRef.current?.({ x: intersectionPoint.x, y: intersectionPoint.y, z: intersectionPoint.z })
         
         // Add visual feedback for skybox click
         const clickIndicator = new THREE.SphereGeometry(1, 8, 6)
@@ -2199,6 +2443,13 @@ const MemoryPalace = forwardRef(({
 
     // Keyboard event handlers with smart input detection
     const handleKeyDown = (event) => {
+      // Undo (Ctrl/Cmd+Z) and redo (Ctrl/Cmd+Shift+Z); text fields keep their own undo
+      if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ' && !isTypingInInput()) {
+        event.preventDefault()
+        onHistoryShortcutRef.current?.(event.shiftKey ? 'redo' : 'undo')
+        return
+      }
+
       if (keys.hasOwnProperty(event.code)) {
         // Only handle navigation keys if user is NOT typing in an input field
         if (!isTypingInInput()) {
@@ -2298,6 +2549,10 @@ const MemoryPalace = forwardRef(({
     const animate = () => {
       requestAnimationFrame(animate)
 
+      // Pick up rotation applied outside this closure (nipple, guided walk, minimap)
+      yaw = cameraRotationRef.current.yaw
+      pitch = cameraRotationRef.current.pitch
+
       // Process keyboard input for smooth camera rotation
       processKeyboardInput()
 
@@ -2319,6 +2574,16 @@ const MemoryPalace = forwardRef(({
     // Cleanup
     return () => {
       console.log('Cleaning up Memory Palace scene...')
+      if (cameraTweenRef.current) {
+        cancelAnimationFrame(cameraTweenRef.current)
+        cameraTweenRef.current = null
+      }
+      stopLocusAudio()
+      if (audioListenerRef.current) {
+        // The listener's AudioContext is shared by three.js, so it is left open
+        audioListenerRef.current.removeFromParent()
+        audioListenerRef.current = null
+      }
       window.removeEventListener('resize', handleResize)
       window.removeEventListener('mousemove', handleMouseMove)
       window.removeEventListener('mouseup', handleMouseUp)
@@ -2503,9 +2768,9 @@ const MemoryPalace = forwardRef(({
   useEffect(() => {
     if (currentRoom) {
       console.log('[MemoryPalace] Room changed, updating skybox:', currentRoom)
-      updateSkyboxForRoom(currentRoom)
+      updateSkyboxForRoom(currentRoom, skyboxUrl || currentRoom.imageUrl)
     }
-  }, [currentRoom])
+  }, [currentRoom, skyboxUrl])
 
   // Handle objects changes
   useEffect(() => {
@@ -2537,6 +2802,21 @@ const MemoryPalace = forwardRef(({
     }
   }, [objects])
 
+  // Beams follow the markers, so redraw them after the objects above
+  useEffect(() => {
+    updateAssociationBeams(associations)
+  }, [associations, objects])
+
+  // Dim objects that don't carry any of the filtered tags
+  useEffect(() => {
+    applyTagFilter()
+  }, [tagFilter])
+
+  // Hide the loci still to be recalled
+  useEffect(() => {
+    applyRecallVisibility()
+  }, [recallActive, revealedObjectIds])
+
   // Listen for camera settings changes
   useEffect(() => {
     const settingsManager = settingsManagerRef.current
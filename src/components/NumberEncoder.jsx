@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faHashtag } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * Major-system words and PAO images for the numbers in a draft object's information, or
+ * for one typed in; picking a word uses it as the object's name
+ */
+const NumberEncoder = ({
+  id,
+  text,
+  getEncodings,
+  onUseWord,
+  disabled = false
+}) => {
+  const [number, setNumber] = useState('')
+
+  let encodings = []
+  let error = null
+  try {
+    encodings = number.trim()
+      ? getEncodings(number, { fromText: false })
+      : getEncodings(text, { fromText: true })
+  } catch (encodeError) {
+    error = encodeError.message
+  }
+
+  return (
+    <div className="number-encoder">
+      <input
+        id={id}
+        type="text"
+        inputMode="numeric"
+        value={number}
+        onChange={(e) => setNumber(e.target.value)}
+        placeholder="Numbers in the information, or type one..."
+        disabled={disabled}
+      />
+      {error && <span className="field-error">{error}</span>}
+      {!error && encodings.length === 0 && (
+        <p className="number-encoder-empty">No numbers in the information yet</p>
+      )}
+      {encodings.map(encoding => (
+        <div key={encoding.digits} className="number-encoder-result">
+          <p>
+            <FontAwesomeIcon icon={faHashtag} />
+            <strong>{encoding.digits}</strong>
+            <small>{encoding.major}</small>
+          </p>
+          {encoding.words.length > 0 ? (
+            <div className="number-encoder-words">
+              {encoding.words.map(word => (
+                <button
+                  key={word}
+                  type="button"
+                  onClick={() => onUseWord(word)}
+                  disabled={disabled}
+                  title="Use as the object name"
+                >
+                  {word}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="number-encoder-empty">No words in the wordlist; make some from the sounds</p>
+          )}
+          <p className="number-encoder-pao">
+            {encoding.pao.map(chunk => (
+              <span key={`${chunk.role}-${chunk.digits}`}>
+                <em>{chunk.role}</em> {chunk.digits} {chunk.text || `(${chunk.sounds})`}
+              </span>
+            ))}
+          </p>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default NumberEncoder
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faLink, faTimes, faLocationArrow } from '@fortawesome/free-solid-svg-icons'
+import { RELATION_SUGGESTIONS, describeRelated } from '../utils/associationUtils.ts'
+
+const ObjectAssociations = ({
+  object,
+  related = [],
+  linkTargets = [],
+  onLink,
+  onUnlink,
+  onJump,
+  isProcessing = false
+}) => {
+  const [targetId, setTargetId] = useState('')
+  const [relation, setRelation] = useState('')
+
+  useEffect(() => {
+    setTargetId('')
+    setRelation('')
+  }, [object.id])
+
+  // Offer every other memory object, grouped by room
+  const targetsByRoom = useMemo(() => {
+    const groups = new Map()
+    linkTargets
+      .filter(target => target.id !== object.id)
+      .forEach(target => {
+        const roomName = target.roomName || 'Inventory'
+        if (!groups.has(roomName)) groups.set(roomName, [])
+        groups.get(roomName).push(target)
+      })
+    return Array.from(groups.entries())
+  }, [linkTargets, object.id])
+
+  const handleLink = (e) => {
+    e.preventDefault()
+    if (!targetId) return
+    onLink(object.id, targetId, relation.trim() || null)
+    setTargetId('')
+    setRelation('')
+  }
+
+  return (
+    <div className="object-associations">
+      <h5>Related</h5>
+      {related.length > 0 ? (
+        <ul className="object-association-list">
+          {related.map(entry => (
+            <li key={entry.association.id} className={`object-association ${entry.direction}`}>
+              <button
+                className="object-association-jump"
+                onClick={() => onJump(entry.object.id)}
+                disabled={!entry.object.roomId}
+                title={entry.object.roomId ? `Go to ${entry.object.name} in ${entry.roomName}` : 'In your inventory'}
+              >
+                <FontAwesomeIcon icon={faLocationArrow} />
+                <span>{describeRelated(entry)}</span>
+                <small>{entry.roomName || 'inventory'}</small>
+              </button>
+              <button
+                className="object-association-remove"
+                onClick={() => onUnlink(entry.association.id)}
+                aria-label={`Remove link to ${entry.object.name}`}
+                disabled={isProcessing}
+              >
+                <FontAwesomeIcon icon={faTimes} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="object-associations-empty">Not linked to other objects yet</p>
+      )}
+
+      {targetsByRoom.length > 0 && (
+        <form className="object-association-add" onSubmit={handleLink}>
+          <input
+            type="text"
+            value={relation}
+            onChange={(e) => setRelation(e.target.value)}
+            className="object-input"
+            placeholder="relates to"
+            list="object-relation-suggestions"
+            aria-label="Relation"
+            disabled={isProcessing}
+          />
+          <datalist id="object-relation-suggestions">
+            {RELATION_SUGGESTIONS.map(suggestion => <option key={suggestion} value={suggestion} />)}
+          </datalist>
+          <select
+            value={targetId}
+            onChange={(e) => setTargetId(e.target.value)}
+            className="object-select"
+            aria-label="Object to link to"
+            disabled={isProcessing}
+          >
+            <option value="">Link to...</option>
+            {targetsByRoom.map(([roomName, targets]) => (
+              <optgroup key={roomName} label={roomName}>
+                {targets.map(target => (
+                  <option key={target.id} value={target.id}>{target.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+          <button type="submit" className="secondary-btn" disabled={!targetId || isProcessing}>
+            <FontAwesomeIcon icon={faLink} />
+            Link
+          </button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default ObjectAssociations
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faPaperclip, faMicrophone, faStop, faTrash, faVolumeUp, faFile, faDownload } from '@fortawesome/free-solid-svg-icons'
+import { formatFileSize } from '../utils/attachmentUtils.ts'
+
+// Clips are meant to be short cues, so recording stops on its own
+const MAX_RECORDING_MS = 60 * 1000
+
+const ObjectAttachments = ({
+  object,
+  attachmentUrls = {},
+  onAdd,
+  onRemove,
+  onPlayAtLocus,
+  isProcessing = false
+}) => {
+  const [isRecording, setIsRecording] = useState(false)
+  const [recordingError, setRecordingError] = useState(null)
+  const fileInputRef = useRef(null)
+  const recorderRef = useRef(null)
+  const stopTimerRef = useRef(null)
+
+  const attachments = object.attachments || []
+  const canRecord = typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia
+
+  // Stop recording if the inspector closes or moves to another object
+  useEffect(() => {
+    return () => {
+      clearTimeout(stopTimerRef.current)
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.onstop = null
+        recorderRef.current.stop()
+        recorderRef.current.stream.getTracks().forEach(track => track.stop())
+      }
+    }
+  }, [object.id])
+
+  const handleFiles = (e) => {
+    Array.from(e.target.files || []).forEach(file => onAdd(object.id, file, file.name))
+    e.target.value = ''
+  }
+
+  const startRecording = async () => {
+    setRecordingError(null)
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+      const recorder = new MediaRecorder(stream)
+      const chunks = []
+
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data)
+      }
+      recorder.onstop = () => {
+        clearTimeout(stopTimerRef.current)
+        stream.getTracks().forEach(track => track.stop())
+        setIsRecording(false)
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' })
+        if (blob.size > 0) {
+          onAdd(object.id, blob, `Recording ${new Date().toLocaleTimeString()}`)
+        }
+      }
+
+      recorderRef.current = recorder
+      recorder.start()
+      setIsRecording(true)
+      stopTimerRef.current = setTimeout(() => recorder.state === 'recording' && recorder.stop(), MAX_RECORDING_MS)
+    } catch (error) {
+      console.error('[ObjectAttachments] Could not start recording:', error)
+      setRecordingError('Microphone unavailable - check the browser permission.')
+    }
+  }
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop()
+    }
+  }
+
+  return (
+    <div className="object-attachments">
+      {attachments.length > 0 && (
+        <ul className="object-attachment-list" aria-label="Attachments">
+          {attachments.map(attachment => {
+            const url = attachmentUrls[attachment.id]
+            return (
+              <li key={attachment.id} className={`object-attachment ${attachment.kind}`}>
+                {attachment.kind === 'image' && url && (
+                  <a href={url} target="_blank" rel="noopener noreferrer">
+                    <img src={url} alt={attachment.name} className="object-attachment-thumb" />
+                  </a>
+                )}
+                <div className="object-attachment-body">
+                  <span className="object-attachment-name" title={`Reference in notes as attachment:${attachment.id}`}>
+                    {attachment.kind === 'file' && <FontAwesomeIcon icon={faFile} />}
+                    {attachment.name}
+                    <small>{formatFileSize(attachment.size)}</small>
+                  </span>
+                  {attachment.kind === 'audio' && url && (
+                    <audio controls preload="none" src={url} />
+                  )}
+                  {!url && <small className="field-hint">File not available on this device</small>}
+                </div>
+                <div className="object-attachment-actions">
+                  {attachment.kind === 'audio' && url && onPlayAtLocus && (
+                    <button
+                      onClick={() => onPlayAtLocus(object.id, attachment.id)}
+                      title="Play at the locus"
+                      aria-label={`Play ${attachment.name} at the locus`}
+                    >
+                      <FontAwesomeIcon icon={faVolumeUp} />
+                    </button>
+                  )}
+                  {attachment.kind !== 'audio' && url && (
+                    <a href={url} download={attachment.name} title="Download" aria-label={`Download ${attachment.name}`}>
+                      <FontAwesomeIcon icon={faDownload} />
+                    </a>
+                  )}
+                  <button
+                    onClick={() => onRemove(object.id, attachment.id)}
+                    title="Remove attachment"
+                    aria-label={`Remove ${attachment.name}`}
+                    disabled={isProcessing}
+                  >
+                    <FontAwesomeIcon icon={faTrash} />
+                  </button>
+                </div>
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <div className="object-attachment-add">
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          onChange={handleFiles}
+          style={{ display: 'none' }}
+        />
+        <button className="secondary-btn" onClick={() => fileInputRef.current?.click()} disabled={isProcessing || isRecording}>
+          <FontAwesomeIcon icon={faPaperclip} />
+          Attach file
+        </button>
+        {canRecord && (
+          <button
+            className={`secondary-btn ${isRecording ? 'recording' : ''}`}
+            onClick={isRecording ? stopRecording : startRecording}
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={isRecording ? faStop : faMicrophone} />
+            {isRecording ? 'Stop' : 'Record clip'}
+          </button>
+        )}
+      </div>
+      {recordingError && <small className="field-hint">{recordingError}</small>}
+    </div>
+  )
+}
+
+export default ObjectAttachments
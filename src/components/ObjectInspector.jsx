@@ -1,7 +1,12 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
-import { faTimes, faEdit, faTrash, faArrowsAlt, faEye, faMapMarkerAlt, faDoorOpen, faCube } from '@fortawesome/free-solid-svg-icons'
+import { faTimes, faEdit, faTrash, faArrowsAlt, faEye, faMapMarkerAlt, faDoorOpen, faCube, faArrowsLeftRight, faTag, faSuitcase } from '@fortawesome/free-solid-svg-icons'
 import { isDoorObject, isMemoryObject } from '../types/index.ts'
+import { TAG_COLORS } from '../utils/tagUtils.ts'
+import { renderMarkdown } from '../utils/markdownUtils.ts'
+import ObjectAttachments from './ObjectAttachments.jsx'
+import ObjectAssociations from './ObjectAssociations.jsx'
+import ObjectMnemonic from './ObjectMnemonic.jsx'
 
 const ObjectInspector = ({ 
   isOpen, 
@@ -10,13 +15,37 @@ const ObjectInspector = ({
   onEdit, 
   onDelete, 
   onMove,
+  onPickUp,
+  onTag,
+  knownTags = [],
+  onAddAttachment,
+  onRemoveAttachment,
+  getAttachmentUrl,
+  onPlayAtLocus,
+  related = [],
+  linkTargets = [],
+  quizRecord = null,
+  onSaveMnemonic,
+  onSuggestMnemonic = null,
+  onLink,
+  onUnlink,
+  onJumpToObject,
   isProcessing = false,
-  availableRooms = []
+  availableRooms = [],
+  reverseDoor = null
 }) => {
   const [isEditing, setIsEditing] = useState(false)
   const [editName, setEditName] = useState('')
   const [editInfo, setEditInfo] = useState('')
   const [editTargetRoomId, setEditTargetRoomId] = useState('')
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false)
+  const [deleteReverse, setDeleteReverse] = useState(false)
+  const [tagInput, setTagInput] = useState('')
+  const [attachmentUrls, setAttachmentUrls] = useState({})
+
+  // Doors drawn from connections have no separate information; their name is the door's description
+  const isConnectionDoor = !!object && isDoorObject(object) && !!object.connectionId
+  const targetRooms = isConnectionDoor ? availableRooms.filter(room => room.id !== object.roomId) : availableRooms
 
   useEffect(() => {
     if (object) {
@@ -29,15 +58,53 @@ const ObjectInspector = ({
       } else {
         setEditTargetRoomId('')
       }
+      setIsConfirmingDelete(false)
+      setDeleteReverse(false)
+      setTagInput('')
     }
   }, [object])
 
+  // Look up URLs for the object's attachments; the core caches them, so this is cheap on re-render
+  useEffect(() => {
+    const attachments = object?.attachments || []
+    if (!getAttachmentUrl || attachments.length === 0) {
+      setAttachmentUrls({})
+      return
+    }
+
+    let cancelled = false
+    Promise.all(attachments.map(async attachment => [attachment.id, await getAttachmentUrl(attachment.id)]))
+      .then(entries => {
+        if (!cancelled) setAttachmentUrls(Object.fromEntries(entries))
+      })
+      .catch(error => console.error('[ObjectInspector] Error loading attachments:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [object, getAttachmentUrl])
+
+  // Memory information is Markdown; door descriptions stay plain text
+  const informationHtml = useMemo(() => {
+    if (!object || !isMemoryObject(object)) return null
+    return renderMarkdown(object.information || object.info, {
+      resolveAttachmentUrl: attachmentId => attachmentUrls[attachmentId] || null
+    })
+  }, [object, attachmentUrls])
+
+  const canSave = editName.trim() && (isConnectionDoor ? editTargetRoomId : editInfo.trim())
+
   const handleEdit = () => {
     setIsEditing(true)
   }
 
   const handleSaveEdit = () => {
-    if (onEdit && editName.trim() && editInfo.trim()) {
+    if (onEdit && canSave) {
+      if (isConnectionDoor) {
+        onEdit({ id: object.id, name: editName.trim(), targetRoomId: editTargetRoomId })
+        setIsEditing(false)
+        return
+      }
+
       const updatedObject = {
         id: object.id,
         name: editName.trim(),
@@ -67,6 +134,11 @@ const ObjectInspector = ({
   }
 
   const handleDelete = () => {
+    // Doors with a partner get an inline confirmation offering to remove the return door too
+    if (isConnectionDoor && reverseDoor) {
+      setIsConfirmingDelete(true)
+      return
+    }
     if (window.confirm(`Are you sure you want to delete "${object?.name}"? This action cannot be undone.`)) {
       if (onDelete) {
         onDelete(object.id)
@@ -74,6 +146,20 @@ const ObjectInspector = ({
     }
   }
 
+  const handleConfirmDelete = () => {
+    setIsConfirmingDelete(false)
+    if (onDelete) {
+      onDelete(object.id, { includeReverse: deleteReverse })
+    }
+  }
+
+  const handleAddTags = (e) => {
+    e.preventDefault()
+    if (!onTag || !tagInput.trim()) return
+    onTag(object.id, { add: tagInput.split(',') })
+    setTagInput('')
+  }
+
   const handleMove = () => {
     if (onMove) {
       onMove(object.id)
@@ -144,18 +230,30 @@ const ObjectInspector = ({
                 />
               </div>
 
-              <div className="form-group">
-                <label htmlFor="edit-info">{isDoorObject(object) ? 'Door Description' : 'Memory Information'}</label>
-                <textarea
-                  id="edit-info"
-                  value={editInfo}
-                  onChange={(e) => setEditInfo(e.target.value)}
-                  className="object-textarea"
-                  placeholder={isDoorObject(object) ? "Enter door description..." : "Enter memory information..."}
-                  rows={4}
-                  disabled={isProcessing}
-                />
-              </div>
+              {!isConnectionDoor && (
+                <div className="form-group">
+                  <label htmlFor="edit-info">{isDoorObject(object) ? 'Door Description' : 'Memory Information'}</label>
+                  <textarea
+                    id="edit-info"
+                    value={editInfo}
+                    onChange={(e) => setEditInfo(e.target.value)}
+                    className="object-textarea"
+                    placeholder={isDoorObject(object) ? "Enter door description..." : "Enter memory information..."}
+                    rows={isDoorObject(object) ? 4 : 6}
+                    disabled={isProcessing}
+                  />
+                  {isMemoryObject(object) && (
+                    <small className="field-hint">
+                      Markdown: **bold**, *italic*, - lists, [links](https://...), $formulas$.
+                      {object.attachments?.length > 0 && (
+                        <> Show attachments with {object.attachments.map(attachment => (
+                          <code key={attachment.id}>![{attachment.name}](attachment:{attachment.id})</code>
+                        ))}</>
+                      )}
+                    </small>
+                  )}
+                </div>
+              )}
 
               {/* Door-specific fields */}
               {isDoorObject(object) && (
@@ -169,7 +267,7 @@ const ObjectInspector = ({
                     disabled={isProcessing}
                   >
                     <option value="">Select a room...</option>
-                    {availableRooms.map(room => (
+                    {targetRooms.map(room => (
                       <option key={room.id} value={room.id}>
                         {room.name}
                       </option>
@@ -187,7 +285,7 @@ const ObjectInspector = ({
                 <button
                   className="save-btn primary-btn"
                   onClick={handleSaveEdit}
-                  disabled={!editName.trim() || !editInfo.trim() || isProcessing}
+                  disabled={!canSave || isProcessing}
                 >
                   Save Changes
                 </button>
@@ -211,9 +309,117 @@ const ObjectInspector = ({
 
               <div className="object-info">
                 <h4 className="object-name">{object.name}</h4>
-                <p className="object-description">{object.information || object.info}</p>
+                {informationHtml !== null ? (
+                  <div className="object-description markdown-body" dangerouslySetInnerHTML={{ __html: informationHtml }} />
+                ) : (
+                  <p className="object-description">{object.information || object.info}</p>
+                )}
+                {quizRecord?.attempts > 0 && (
+                  <p className="object-quiz-accuracy">
+                    Quiz: {quizRecord.correct} of {quizRecord.attempts} correct ({Math.round(quizRecord.correct / quizRecord.attempts * 100)}%)
+                  </p>
+                )}
               </div>
 
+              {/* The image the information is remembered by, for memory objects */}
+              {isMemoryObject(object) && onSaveMnemonic && (
+                <ObjectMnemonic
+                  object={object}
+                  onSuggest={onSuggestMnemonic}
+                  onSave={onSaveMnemonic}
+                  isProcessing={isProcessing}
+                />
+              )}
+
+              {/* Pictures, audio clips and files, for memory objects */}
+              {isMemoryObject(object) && onAddAttachment && (
+                <ObjectAttachments
+                  object={object}
+                  attachmentUrls={attachmentUrls}
+                  onAdd={onAddAttachment}
+                  onRemove={onRemoveAttachment}
+                  onPlayAtLocus={onPlayAtLocus}
+                  isProcessing={isProcessing}
+                />
+              )}
+
+              {/* Tags and marker color, for memory objects */}
+              {isMemoryObject(object) && onTag && (
+                <div className="object-tags">
+                  <ul className="object-tag-list" aria-label="Tags">
+                    {(object.tags || []).map(tag => (
+                      <li key={tag} className="object-tag-chip">
+                        #{tag}
+                        <button
+                          onClick={() => onTag(object.id, { remove: [tag] })}
+                          aria-label={`Remove tag ${tag}`}
+                          disabled={isProcessing}
+                        >
+                          <FontAwesomeIcon icon={faTimes} />
+                        </button>
+                      </li>
+                    ))}
+                    {!object.tags?.length && <li className="object-tags-empty">No tags yet</li>}
+                  </ul>
+
+                  <form className="object-tag-add" onSubmit={handleAddTags}>
+                    <input
+                      type="text"
+                      value={tagInput}
+                      onChange={(e) => setTagInput(e.target.value)}
+                      className="object-input"
+                      placeholder="Add tags, separated by commas"
+                      list="object-tag-suggestions"
+                      aria-label="New tags"
+                      disabled={isProcessing}
+                    />
+                    <datalist id="object-tag-suggestions">
+                      {knownTags
+                        .filter(({ tag }) => !object.tags?.includes(tag))
+                        .map(({ tag }) => <option key={tag} value={tag} />)}
+                    </datalist>
+                    <button type="submit" className="secondary-btn" disabled={!tagInput.trim() || isProcessing}>
+                      <FontAwesomeIcon icon={faTag} />
+                      Add
+                    </button>
+                  </form>
+
+                  <div className="object-color-picker" role="group" aria-label="Marker color">
+                    <button
+                      className={`object-color-swatch none ${!object.color ? 'selected' : ''}`}
+                      onClick={() => onTag(object.id, { color: null })}
+                      aria-pressed={!object.color}
+                      title="Default colors"
+                      disabled={isProcessing}
+                    />
+                    {Object.entries(TAG_COLORS).map(([name, hex]) => (
+                      <button
+                        key={name}
+                        className={`object-color-swatch ${object.color === hex ? 'selected' : ''}`}
+                        style={{ background: hex }}
+                        onClick={() => onTag(object.id, { color: name })}
+                        aria-pressed={object.color === hex}
+                        title={name}
+                        disabled={isProcessing}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Links to objects here or in other rooms */}
+              {isMemoryObject(object) && onLink && (
+                <ObjectAssociations
+                  object={object}
+                  related={related}
+                  linkTargets={linkTargets}
+                  onLink={onLink}
+                  onUnlink={onUnlink}
+                  onJump={onJumpToObject}
+                  isProcessing={isProcessing}
+                />
+              )}
+
               <div className="object-metadata">
                 <div className="metadata-item">
                   <FontAwesomeIcon icon={faMapMarkerAlt} />
@@ -235,6 +441,14 @@ const ObjectInspector = ({
                           : 'Not configured'
                       }</span>
                     </div>
+                    {isConnectionDoor && (
+                      <div className="metadata-item">
+                        <FontAwesomeIcon icon={faArrowsLeftRight} />
+                        <span>{reverseDoor
+                          ? `Two-way: "${reverseDoor.description || 'Door'}" leads back`
+                          : 'One-way: no door leads back'}</span>
+                      </div>
+                    )}
                     {object.needsConfiguration && (
                       <div className="metadata-item warning">
                         <span>⚠️ Door needs configuration</span>
@@ -250,6 +464,29 @@ const ObjectInspector = ({
                 )}
               </div>
 
+              {isConfirmingDelete && (
+                <div className="door-delete-confirm">
+                  <p>Delete the door "{object.name}"?</p>
+                  <label className="door-delete-reverse">
+                    <input
+                      type="checkbox"
+                      checked={deleteReverse}
+                      onChange={(e) => setDeleteReverse(e.target.checked)}
+                      disabled={isProcessing}
+                    />
+                    Also delete the door back, "{reverseDoor.description || 'Door'}"
+                  </label>
+                  <div className="edit-actions">
+                    <button className="danger-btn" onClick={handleConfirmDelete} disabled={isProcessing}>
+                      Delete
+                    </button>
+                    <button className="cancel-btn secondary-btn" onClick={() => setIsConfirmingDelete(false)} disabled={isProcessing}>
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+
               <div className="object-actions">
                 <button
                   className="action-btn edit-btn"
@@ -271,6 +508,18 @@ const ObjectInspector = ({
                   Move
                 </button>
                 
+                {onPickUp && isMemoryObject(object) && object.roomId && (
+                  <button
+                    className="action-btn pickup-btn"
+                    onClick={() => onPickUp(object.id)}
+                    disabled={isProcessing}
+                    title="Carry it in your inventory to place in another room"
+                  >
+                    <FontAwesomeIcon icon={faSuitcase} />
+                    Pick up
+                  </button>
+                )}
+                
                 <button
                   className="action-btn delete-btn danger-btn"
                   onClick={handleDelete}
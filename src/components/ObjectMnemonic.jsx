@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faLightbulb, faCheck, faTimes, faWandMagicSparkles } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * The image an object is remembered by, with coach suggestions to accept or a mnemonic of
+ * the user's own
+ */
+const ObjectMnemonic = ({
+  object,
+  onSuggest = null,
+  onSave,
+  isProcessing = false
+}) => {
+  const [suggestions, setSuggestions] = useState([])
+  const [isSuggesting, setIsSuggesting] = useState(false)
+  const [draft, setDraft] = useState('')
+
+  useEffect(() => {
+    setSuggestions([])
+    setDraft('')
+  }, [object.id])
+
+  const handleSuggest = async () => {
+    setIsSuggesting(true)
+    try {
+      setSuggestions(await onSuggest(object.id))
+    } catch (error) {
+      console.error('[ObjectMnemonic] Error suggesting mnemonics:', error)
+      alert(`Could not suggest mnemonics: ${error.message}`)
+    } finally {
+      setIsSuggesting(false)
+    }
+  }
+
+  const handleAccept = (mnemonic) => {
+    onSave(object.id, mnemonic)
+    setSuggestions([])
+    setDraft('')
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!draft.trim()) return
+    handleAccept(draft.trim())
+  }
+
+  return (
+    <div className="object-mnemonic">
+      <h5>
+        <FontAwesomeIcon icon={faLightbulb} />
+        Mnemonic
+      </h5>
+      {object.mnemonic ? (
+        <div className="object-mnemonic-current">
+          <p>{object.mnemonic}</p>
+          <button
+            className="object-mnemonic-clear"
+            onClick={() => onSave(object.id, null)}
+            aria-label="Clear mnemonic"
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+      ) : (
+        <p className="object-mnemonic-empty">No mnemonic yet</p>
+      )}
+
+      {suggestions.length > 0 && (
+        <ul className="object-mnemonic-suggestions" aria-label="Suggested mnemonics">
+          {suggestions.map((suggestion, index) => (
+            <li key={index}>
+              <p>{suggestion}</p>
+              <button
+                className="secondary-btn"
+                onClick={() => handleAccept(suggestion)}
+                disabled={isProcessing}
+              >
+                <FontAwesomeIcon icon={faCheck} />
+                Use
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="object-mnemonic-add" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          className="object-input"
+          placeholder="Your own image..."
+          aria-label="Your own mnemonic"
+          disabled={isProcessing}
+        />
+        <button type="submit" className="secondary-btn" disabled={!draft.trim() || isProcessing}>
+          Save
+        </button>
+        {onSuggest && (
+          <button
+            type="button"
+            className="secondary-btn"
+            onClick={handleSuggest}
+            disabled={isSuggesting || isProcessing || !(object.information || '').trim()}
+            title="Ask the coach for vivid images tied to this room and spot"
+          >
+            <FontAwesomeIcon icon={faWandMagicSparkles} />
+            {isSuggesting ? 'Thinking...' : 'Suggest'}
+          </button>
+        )}
+      </form>
+    </div>
+  )
+}
+
+export default ObjectMnemonic
@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faMap, faLink, faUpDownLeftRight, faWandMagicSparkles } from '@fortawesome/free-solid-svg-icons'
+
+// Map coordinates run from 0 to 1; they are drawn on a canvas of this size
+const MAP_WIDTH = 1000
+const MAP_HEIGHT = 700
+const NODE_RADIUS = 28
+// Pointer movement below this many map units is a click, not a drag
+const DRAG_THRESHOLD = 6
+
+/**
+ * Shorten a line so it starts and ends at the edge of the node circles
+ */
+const edgeEnds = (from, to) => {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const length = Math.hypot(dx, dy) || 1
+  const offsetX = (dx / length) * NODE_RADIUS
+  const offsetY = (dy / length) * NODE_RADIUS
+  return {
+    x1: from.x + offsetX,
+    y1: from.y + offsetY,
+    x2: to.x - offsetX,
+    y2: to.y - offsetY
+  }
+}
+
+const PalaceMap = ({
+  isOpen,
+  map,
+  onNavigate,
+  onConnect,
+  onMoveRoom,
+  onResetLayout,
+  onClose,
+  isProcessing = false
+}) => {
+  const [mode, setMode] = useState('connect')
+  const [twoWay, setTwoWay] = useState(true)
+  const [drag, setDrag] = useState(null)
+  const svgRef = useRef(null)
+
+  useEffect(() => {
+    if (isOpen) {
+      setDrag(null)
+    }
+  }, [isOpen])
+
+  if (!isOpen || !map) return null
+
+  const toCanvas = (position) => ({ x: position.x * MAP_WIDTH, y: position.y * MAP_HEIGHT })
+
+  // While arranging, the dragged room follows the pointer
+  const positionOf = (node) => (
+    drag?.moved && mode === 'arrange' && drag.roomId === node.roomId
+      ? drag.current
+      : toCanvas(node.position)
+  )
+
+  const positions = new Map(map.nodes.map(node => [node.roomId, positionOf(node)]))
+
+  const pointerToCanvas = (event) => {
+    const rect = svgRef.current.getBoundingClientRect()
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * MAP_WIDTH,
+      y: ((event.clientY - rect.top) / rect.height) * MAP_HEIGHT
+    }
+  }
+
+  const nodeAt = (point) => map.nodes.find(node => {
+    const position = positions.get(node.roomId)
+    return Math.hypot(position.x - point.x, position.y - point.y) <= NODE_RADIUS
+  })
+
+  const handlePointerDown = (event, node) => {
+    if (isProcessing) return
+    event.preventDefault()
+    svgRef.current.setPointerCapture?.(event.pointerId)
+    const point = pointerToCanvas(event)
+    setDrag({ roomId: node.roomId, start: point, current: point, moved: false })
+  }
+
+  const handlePointerMove = (event) => {
+    if (!drag) return
+    const point = pointerToCanvas(event)
+    const moved = drag.moved || Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > DRAG_THRESHOLD
+    setDrag({ ...drag, current: point, moved })
+  }
+
+  const handlePointerUp = (event) => {
+    if (!drag) return
+    const { roomId, moved } = drag
+    const point = pointerToCanvas(event)
+    setDrag(null)
+
+    if (!moved) {
+      onNavigate(roomId)
+    } else if (mode === 'arrange') {
+      onMoveRoom(roomId, { x: point.x / MAP_WIDTH, y: point.y / MAP_HEIGHT })
+    } else {
+      const target = nodeAt(point)
+      if (target && target.roomId !== roomId) {
+        onConnect(roomId, target.roomId, twoWay)
+      }
+    }
+  }
+
+  const dropTarget = drag?.moved && mode === 'connect' ? nodeAt(drag.current) : null
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={isProcessing ? undefined : onClose} />
+
+      <div className="object-inspector palace-map-panel" role="dialog" aria-label="Palace map">
+        <div className="object-inspector-header">
+          <h3>
+            <FontAwesomeIcon icon={faMap} />
+            Palace Map
+          </h3>
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="Close map"
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="object-inspector-content">
+          <div className="palace-map-toolbar">
+            <div className="palace-map-modes" role="group" aria-label="Drag mode">
+              <button
+                className={`secondary-btn ${mode === 'connect' ? 'active' : ''}`}
+                onClick={() => setMode('connect')}
+                aria-pressed={mode === 'connect'}
+              >
+                <FontAwesomeIcon icon={faLink} />
+                Connect
+              </button>
+              <button
+                className={`secondary-btn ${mode === 'arrange' ? 'active' : ''}`}
+                onClick={() => setMode('arrange')}
+                aria-pressed={mode === 'arrange'}
+              >
+                <FontAwesomeIcon icon={faUpDownLeftRight} />
+                Arrange
+              </button>
+            </div>
+            {mode === 'connect' ? (
+              <label className="palace-map-option">
+                <input type="checkbox" checked={twoWay} onChange={(e) => setTwoWay(e.target.checked)} />
+                Two-way doors
+              </label>
+            ) : (
+              <button className="secondary-btn" onClick={onResetLayout} disabled={isProcessing}>
+                <FontAwesomeIcon icon={faWandMagicSparkles} />
+                Auto Layout
+              </button>
+            )}
+          </div>
+
+          <p className="palace-map-hint">
+            {mode === 'connect'
+              ? 'Click a room to go there. Drag from one room to another to add a door.'
+              : 'Drag rooms to arrange the map. Click a room to go there.'}
+          </p>
+
+          {map.nodes.length === 0 ? (
+            <p className="palace-map-empty">No rooms yet.</p>
+          ) : (
+            <svg
+              ref={svgRef}
+              className={`palace-map ${drag?.moved ? 'dragging' : ''}`}
+              viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={() => setDrag(null)}
+            >
+              <defs>
+                <marker id="palace-map-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                  <path d="M 0 0 L 10 5 L 0 10 z" className="palace-map-arrow" />
+                </marker>
+              </defs>
+
+              {map.edges.map(edge => {
+                const from = positions.get(edge.fromRoomId)
+                const to = positions.get(edge.toRoomId)
+                if (!from || !to) return null
+                return (
+                  <line
+                    key={edge.id}
+                    className={`palace-map-edge ${edge.bidirectional ? '' : 'one-way'}`}
+                    markerEnd={edge.bidirectional ? undefined : 'url(#palace-map-arrow)'}
+                    {...edgeEnds(from, to)}
+                  />
+                )
+              })}
+
+              {drag?.moved && mode === 'connect' && (
+                <line
+                  className="palace-map-edge pending"
+                  x1={positions.get(drag.roomId).x}
+                  y1={positions.get(drag.roomId).y}
+                  x2={drag.current.x}
+                  y2={drag.current.y}
+                />
+              )}
+
+              {map.nodes.map(node => {
+                const { x, y } = positions.get(node.roomId)
+                const classes = [
+                  'palace-map-node',
+                  node.isCurrent ? 'current' : '',
+                  dropTarget?.roomId === node.roomId && dropTarget.roomId !== drag.roomId ? 'drop-target' : ''
+                ].filter(Boolean).join(' ')
+                return (
+                  <g
+                    key={node.roomId}
+                    className={classes}
+                    transform={`translate(${x} ${y})`}
+                    onPointerDown={(event) => handlePointerDown(event, node)}
+                    role="button"
+                    aria-label={`${node.name}, ${node.objectCount} object${node.objectCount === 1 ? '' : 's'}`}
+                  >
+                    <title>{`${node.name}: ${node.objectCount} object${node.objectCount === 1 ? '' : 's'}, ${node.connectionCount} door${node.connectionCount === 1 ? '' : 's'}`}</title>
+                    <circle r={NODE_RADIUS} />
+                    <text className="palace-map-count" dy="0.35em">{node.objectCount}</text>
+                    <text className="palace-map-label" y={NODE_RADIUS + 20}>{node.name}</text>
+                  </g>
+                )
+              })}
+            </svg>
+          )}
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default PalaceMap
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faCheck, faTableCells } from '@fortawesome/free-solid-svg-icons'
+import { majorSounds } from '../utils/numberEncoding.ts'
+
+const ROLES = ['person', 'action', 'object']
+
+const ALL_DIGITS = Array.from({ length: 100 }, (_, index) => String(index).padStart(2, '0'))
+
+/**
+ * Rows for 00 to 99, filled in from the saved entries
+ */
+const toRows = (entries) => {
+  const saved = new Map(entries.map(entry => [entry.digits, entry]))
+  return ALL_DIGITS.map(digits => ({
+    digits,
+    person: saved.get(digits)?.person || '',
+    action: saved.get(digits)?.action || '',
+    object: saved.get(digits)?.object || ''
+  }))
+}
+
+/**
+ * The user's Person-Action-Object table: a person, an action and an object for every
+ * number from 00 to 99, used by the number encoder
+ */
+const PaoTableEditor = ({
+  isOpen,
+  entries = [],
+  onSave,
+  onClose,
+  isProcessing = false
+}) => {
+  const [rows, setRows] = useState([])
+  const [changed, setChanged] = useState(new Set())
+  const [filter, setFilter] = useState('')
+
+  useEffect(() => {
+    if (isOpen) {
+      setRows(toRows(entries))
+      setChanged(new Set())
+      setFilter('')
+    }
+  }, [isOpen])
+
+  if (!isOpen) return null
+
+  const handleChange = (digits, role, value) => {
+    setRows(prev => prev.map(row => row.digits === digits ? { ...row, [role]: value } : row))
+    setChanged(prev => new Set(prev).add(digits))
+  }
+
+  const query = filter.trim().toLowerCase()
+  const visible = query
+    ? rows.filter(row => row.digits.startsWith(query) || ROLES.some(role => row[role].toLowerCase().includes(query)))
+    : rows
+  const filled = rows.filter(row => ROLES.some(role => row[role].trim())).length
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={isProcessing ? undefined : onClose} />
+
+      <div className="object-inspector pao-table-editor">
+        <div className="object-inspector-header">
+          <h3>
+            <FontAwesomeIcon icon={faTableCells} />
+            PAO Table
+          </h3>
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="Close PAO table"
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="object-inspector-content">
+          <p className="pao-table-summary">
+            {filled} of 100 numbers filled in. Longer numbers are split into pairs, read as a
+            person doing an action to an object.
+          </p>
+          <input
+            type="text"
+            className="object-input"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Find a number or a name..."
+            aria-label="Filter PAO table"
+          />
+
+          <div className="pao-table-rows">
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  {ROLES.map(role => <th key={role}>{role}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map(row => (
+                  <tr key={row.digits}>
+                    <th title={majorSounds(row.digits)}>{row.digits}</th>
+                    {ROLES.map(role => (
+                      <td key={role}>
+                        <input
+                          type="text"
+                          className="object-input"
+                          value={row[role]}
+                          onChange={(e) => handleChange(row.digits, role, e.target.value)}
+                          placeholder={majorSounds(row.digits)}
+                          aria-label={`${role} for ${row.digits}`}
+                          disabled={isProcessing}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="edit-actions">
+            <button
+              className="cancel-btn secondary-btn"
+              onClick={onClose}
+              disabled={isProcessing}
+            >
+              Cancel
+            </button>
+            <button
+              className="save-btn primary-btn"
+              onClick={() => onSave(rows.filter(row => changed.has(row.digits)))}
+              disabled={isProcessing || changed.size === 0}
+            >
+              <FontAwesomeIcon icon={faCheck} />
+              {isProcessing ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default PaoTableEditor
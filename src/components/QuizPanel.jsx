@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faQuestionCircle, faCheck, faForward, faPaperPlane } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * Quiz card docked below the scene so the locus stays in view
+ * Answers can be typed here or spoken through the voice interface
+ */
+const QuizPanel = ({
+  question,
+  progress,
+  feedback,
+  accuracy,
+  onAnswer,
+  onSkip,
+  onClose,
+  isProcessing = false
+}) => {
+  const [answer, setAnswer] = useState('')
+  const inputRef = useRef(null)
+
+  // Clear the answer and focus the field for each new question
+  useEffect(() => {
+    setAnswer('')
+    inputRef.current?.focus()
+  }, [question?.id])
+
+  if (!question) return null
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!answer.trim()) return
+    onAnswer(answer.trim())
+  }
+
+  const number = progress ? progress.total - progress.remaining + 1 : 1
+
+  return (
+    <div className="quiz-panel" role="dialog" aria-label="Quiz">
+      <div className="quiz-header">
+        <FontAwesomeIcon icon={faQuestionCircle} />
+        <span className="quiz-object-name">{question.objectName}</span>
+        {progress && (
+          <small className="review-progress">
+            {number} / {progress.total} · {progress.correct} correct
+          </small>
+        )}
+        <button
+          className="close-inspector-btn"
+          onClick={onClose}
+          aria-label="End quiz"
+          disabled={isProcessing}
+        >
+          <FontAwesomeIcon icon={faTimes} />
+        </button>
+      </div>
+
+      {feedback && (
+        <p className={`quiz-feedback ${feedback.skipped ? 'skipped' : feedback.correct ? 'correct' : 'incorrect'}`}>
+          {feedback.skipped ? 'Skipped' : feedback.correct ? 'Correct' : 'Not quite'}
+          {!feedback.correct && <> — {feedback.objectName}: <strong>{feedback.expected}</strong></>}
+        </p>
+      )}
+
+      <p className="quiz-prompt">{question.prompt}</p>
+
+      <form className="quiz-answer" onSubmit={handleSubmit}>
+        <input
+          ref={inputRef}
+          type="text"
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          className="object-input"
+          placeholder="Type or say your answer"
+          aria-label="Your answer"
+          disabled={isProcessing}
+        />
+        <button type="submit" className="walk-btn primary" disabled={!answer.trim() || isProcessing} aria-label="Answer">
+          <FontAwesomeIcon icon={faPaperPlane} />
+        </button>
+        <button type="button" className="walk-btn" onClick={onSkip} disabled={isProcessing} aria-label="Skip question">
+          <FontAwesomeIcon icon={faForward} />
+        </button>
+      </form>
+
+      {accuracy && (
+        <small className="quiz-accuracy">
+          <FontAwesomeIcon icon={faCheck} />
+          {accuracy.correct} of {accuracy.attempts} right on this object before
+        </small>
+      )}
+    </div>
+  )
+}
+
+export default QuizPanel
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faEyeSlash, faCrosshairs, faPaperPlane } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * Blind recall card docked below the scene while a room's labels are hidden
+ * The answer is about the spot last clicked, or the middle of the view when nothing was clicked
+ */
+const RecallPanel = ({
+  recall,
+  result,
+  roomName,
+  onAnswer,
+  onClose,
+  isProcessing = false
+}) => {
+  const [answer, setAnswer] = useState('')
+  const inputRef = useRef(null)
+
+  // Clear the answer and focus the field after each attempt
+  useEffect(() => {
+    setAnswer('')
+    inputRef.current?.focus()
+  }, [result, !!recall])
+
+  if (!recall) return null
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!answer.trim()) return
+    onAnswer(answer.trim())
+  }
+
+  const verdict = result
+    ? result.spatial.correct && result.content.correct ? 'correct' : result.spatial.correct || result.content.correct ? 'partial' : 'incorrect'
+    : null
+
+  return (
+    <div className="quiz-panel" role="dialog" aria-label="Blind recall">
+      <div className="quiz-header">
+        <FontAwesomeIcon icon={faEyeSlash} />
+        <span className="quiz-object-name">Blind recall{roomName ? ` · ${roomName}` : ''}</span>
+        <small className="review-progress">
+          {recall.total - recall.remaining} / {recall.total} · {recall.spatialHits} places, {recall.contentHits} contents
+        </small>
+        <button
+          className="close-inspector-btn"
+          onClick={onClose}
+          aria-label="End blind recall"
+          disabled={isProcessing}
+        >
+          <FontAwesomeIcon icon={faTimes} />
+        </button>
+      </div>
+
+      {result && (
+        <p className={`quiz-feedback ${verdict}`}>
+          {result.spatial.correct ? 'Right place' : 'Wrong place'}, {result.content.correct ? 'right content' : 'wrong content'}
+          {' — '}{result.objectName}{result.information && <>: <strong>{result.information}</strong></>}
+        </p>
+      )}
+
+      <p className="quiz-prompt">
+        {recall.pointer
+          ? 'Spot marked. What belongs there?'
+          : 'Click a spot, or look at it, and say what belongs there.'}
+      </p>
+
+      <form className="quiz-answer" onSubmit={handleSubmit}>
+        <input
+          ref={inputRef}
+          type="text"
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          className="object-input"
+          placeholder="Type or say what was here"
+          aria-label="What belongs at this spot"
+          disabled={isProcessing}
+        />
+        <button type="submit" className="walk-btn primary" disabled={!answer.trim() || isProcessing} aria-label="Answer">
+          <FontAwesomeIcon icon={faPaperPlane} />
+        </button>
+      </form>
+
+      {recall.pointer && (
+        <small className="quiz-accuracy">
+          <FontAwesomeIcon icon={faCrosshairs} />
+          Answering about the spot you clicked
+        </small>
+      )}
+    </div>
+  )
+}
+
+export default RecallPanel
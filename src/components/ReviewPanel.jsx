@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faGraduationCap, faEye } from '@fortawesome/free-solid-svg-icons'
+import { ReviewGrade } from '../types/index.ts'
+
+const GRADE_BUTTONS = [
+  { grade: ReviewGrade.AGAIN, label: 'Again', className: 'again' },
+  { grade: ReviewGrade.HARD, label: 'Hard', className: 'hard' },
+  { grade: ReviewGrade.GOOD, label: 'Good', className: 'good' },
+  { grade: ReviewGrade.EASY, label: 'Easy', className: 'easy' }
+]
+
+const ReviewPanel = ({
+  isOpen,
+  item,
+  progress,
+  onGrade,
+  onClose,
+  isProcessing = false
+}) => {
+  const [isRevealed, setIsRevealed] = useState(false)
+
+  // Hide the answer whenever a new item comes up
+  useEffect(() => {
+    setIsRevealed(false)
+  }, [item?.objectId])
+
+  if (!isOpen || !item) return null
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={onClose} />
+
+      <div className="object-inspector review-panel">
+        <div className="object-inspector-header">
+          <h3>
+            <FontAwesomeIcon icon={faGraduationCap} />
+            Review
+            {progress && (
+              <small className="review-progress">
+                {progress.completed + 1} / {progress.total}
+              </small>
+            )}
+          </h3>
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="End review"
+            disabled={isProcessing}
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        <div className="object-inspector-content">
+          <div className="object-details">
+            <div className="object-info">
+              <h4 className="object-name">{item.name}</h4>
+              {isRevealed ? (
+                <p className="object-description">{item.information}</p>
+              ) : (
+                <p className="review-prompt">What does this object help you remember?</p>
+              )}
+            </div>
+
+            {isRevealed ? (
+              <div className="review-grades">
+                {GRADE_BUTTONS.map(({ grade, label, className }) => (
+                  <button
+                    key={grade}
+                    className={`action-btn review-grade-btn ${className}`}
+                    onClick={() => onGrade(grade)}
+                    disabled={isProcessing}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="object-actions">
+                <button
+                  className="action-btn edit-btn"
+                  onClick={() => setIsRevealed(true)}
+                  disabled={isProcessing}
+                >
+                  <FontAwesomeIcon icon={faEye} />
+                  Show Answer
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default ReviewPanel
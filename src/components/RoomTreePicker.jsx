@@ -0,0 +1,97 @@
+import React, { useState } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faChevronRight, faChevronDown, faLayerGroup } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * Count the rooms in a wing and the wings nested inside it
+ */
+const countRooms = (node) => node.rooms.length + node.children.reduce((total, child) => total + countRooms(child), 0)
+
+/**
+ * Whether a wing holds a room, at any depth
+ */
+const containsRoom = (node, predicate) => (
+  node.rooms.some(predicate) || node.children.some(child => containsRoom(child, predicate))
+)
+
+/**
+ * Collapsible tree of wings and rooms for choosing a room by name
+ * Wings holding the current or selected room start expanded
+ */
+const RoomTreePicker = ({
+  id,
+  tree,
+  value,
+  onChange,
+  currentRoomId = null,
+  disabled = false,
+  hasError = false
+}) => {
+  const [expanded, setExpanded] = useState(() => {
+    const open = new Set()
+    const visit = (node) => {
+      if (containsRoom(node, room => room.id === currentRoomId || room.name === value)) {
+        open.add(node.wing.id)
+      }
+      node.children.forEach(visit)
+    }
+    tree.wings.forEach(visit)
+    return open
+  })
+
+  const toggleWing = (wingId) => {
+    setExpanded(prev => {
+      const next = new Set(prev)
+      next.has(wingId) ? next.delete(wingId) : next.add(wingId)
+      return next
+    })
+  }
+
+  const renderRoom = (room) => (
+    <li key={room.id} role="treeitem" aria-selected={room.name === value}>
+      <button
+        type="button"
+        className={`room-tree-room ${room.name === value ? 'selected' : ''}`}
+        onClick={() => onChange(room.name)}
+        disabled={disabled}
+      >
+        {room.name}
+        {room.id === currentRoomId && <small> (current)</small>}
+      </button>
+    </li>
+  )
+
+  const renderWing = (node) => {
+    const isOpen = expanded.has(node.wing.id)
+    return (
+      <li key={node.wing.id} role="treeitem" aria-expanded={isOpen}>
+        <button
+          type="button"
+          className="room-tree-wing"
+          onClick={() => toggleWing(node.wing.id)}
+          disabled={disabled}
+        >
+          <FontAwesomeIcon icon={isOpen ? faChevronDown : faChevronRight} />
+          <FontAwesomeIcon icon={faLayerGroup} />
+          {node.wing.name}
+          <small>{countRooms(node)}</small>
+        </button>
+        {isOpen && (
+          <ul role="group">
+            {node.children.map(renderWing)}
+            {node.rooms.map(renderRoom)}
+          </ul>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <ul id={id} className={`room-tree ${hasError ? 'error' : ''}`} role="tree">
+      {tree.wings.map(renderWing)}
+      {tree.rooms.map(renderRoom)}
+    </ul>
+  )
+}
+
+export default RoomTreePicker
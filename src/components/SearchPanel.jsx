@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faTimes, faMagnifyingGlass, faHome, faCube, faDoorOpen } from '@fortawesome/free-solid-svg-icons'
+
+const KIND_ICONS = {
+  room: faHome,
+  object: faCube,
+  door: faDoorOpen
+}
+
+/**
+ * Render a snippet with its matched words highlighted
+ */
+const HighlightedSnippet = ({ snippet, highlights }) => {
+  const parts = []
+  let cursor = 0
+
+  highlights.forEach(([start, end], index) => {
+    if (start > cursor) {
+      parts.push(snippet.slice(cursor, start))
+    }
+    parts.push(<mark key={index}>{snippet.slice(start, end)}</mark>)
+    cursor = end
+  })
+  if (cursor < snippet.length) {
+    parts.push(snippet.slice(cursor))
+  }
+
+  return <p className="search-result-snippet">{parts}</p>
+}
+
+const SearchPanel = ({
+  isOpen,
+  onSearch,
+  onSelect,
+  onClose
+}) => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [activeIndex, setActiveIndex] = useState(0)
+  const inputRef = useRef(null)
+
+  // Start fresh and focus the box each time the panel opens
+  useEffect(() => {
+    if (isOpen) {
+      setQuery('')
+      setResults([])
+      setActiveIndex(0)
+      setTimeout(() => inputRef.current?.focus(), 0)
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    setResults(query.trim() ? onSearch(query) : [])
+    setActiveIndex(0)
+  }, [query])
+
+  if (!isOpen) return null
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault()
+      setActiveIndex(index => Math.min(index + 1, results.length - 1))
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, 0))
+    } else if (event.key === 'Enter' && results[activeIndex]) {
+      event.preventDefault()
+      onSelect(results[activeIndex])
+    } else if (event.key === 'Escape') {
+      onClose()
+    }
+  }
+
+  return (
+    <>
+      <div className="object-inspector-backdrop" onClick={onClose} />
+
+      <div className="search-panel" role="dialog" aria-label="Search palace">
+        <div className="search-input-row">
+          <FontAwesomeIcon icon={faMagnifyingGlass} />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Where did I put..."
+            aria-label="Search query"
+          />
+          <button
+            className="close-inspector-btn"
+            onClick={onClose}
+            aria-label="Close search"
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        {query.trim() && (
+          <ul className="search-results">
+            {results.length === 0 ? (
+              <li className="search-empty">No matches</li>
+            ) : results.map((result, index) => (
+              <li key={`${result.kind}-${result.id}`}>
+                <button
+                  className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                  onClick={() => onSelect(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  <FontAwesomeIcon icon={KIND_ICONS[result.kind]} className="search-result-icon" />
+                  <div className="search-result-body">
+                    <div className="search-result-title">
+                      <span>{result.title}</span>
+                      {result.roomName && result.kind !== 'room' && (
+                        <small>{result.roomName}</small>
+                      )}
+                    </div>
+                    {result.snippet && result.field !== 'name' && (
+                      <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                    )}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </>
+  )
+}
+
+export default SearchPanel
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react'
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
-import { faCog, faTimes, faGamepad, faKey, faBrain, faImage, faSave, faDownload, faUpload, faTrash, faPlay, faSpinner, faCamera, faChevronDown, faChevronUp, faExclamationTriangle } from '@fortawesome/free-solid-svg-icons'
+import { faCog, faTimes, faGamepad, faKey, faBrain, faImage, faSave, faDownload, faUpload, faTrash, faPlay, faSpinner, faCamera, faChevronDown, faChevronUp, faExclamationTriangle, faFileZipper, faClockRotateLeft, faLayerGroup } from '@fortawesome/free-solid-svg-icons'
 import { faBorderAll } from '@fortawesome/free-solid-svg-icons'
 import SettingsManager from '../services/SettingsManager.js'
 import { clearState } from '../utils/stateUtils.js'
+import BackupBrowser from './BackupBrowser.jsx'
 
 // Create settings manager instance
 const settingsManager = new SettingsManager()
@@ -15,7 +16,19 @@ const SettingsPanel = ({
   wireframeEnabled = false, 
   nippleEnabled = false,
   isOpen = false,
-  onClose
+  onClose,
+  onExportPalace,
+  onImportPalace,
+  wings = [],
+  onExportWing,
+  onImportWing,
+  onClearPalace,
+  onBackupSettingsChange,
+  onListBackups,
+  onCreateBackup,
+  onDiffBackup,
+  onRestoreBackup,
+  onDeleteBackup
 }) => {
   const [settings, setSettings] = useState(settingsManager.getAllSettings())
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
@@ -26,6 +39,7 @@ const SettingsPanel = ({
   const [testResult, setTestResult] = useState(null) // 'success', 'error', or null
   const [testMessage, setTestMessage] = useState('')
   const [expandedSections, setExpandedSections] = useState(new Set(['api'])) // Only API section expanded by default
+  const [exportWingId, setExportWingId] = useState('')
 
   // Load settings on mount
   useEffect(() => {
@@ -173,6 +187,7 @@ const SettingsPanel = ({
   const handleSaveSettings = () => {
     settingsManager.updateSettings(settings)
     setHasUnsavedChanges(false)
+    onBackupSettingsChange?.({ autoBackup: settings.autoBackup, maxBackupAge: settings.maxBackupAge })
   }
 
   const handleResetSettings = () => {
@@ -183,9 +198,13 @@ const SettingsPanel = ({
   }
 
   const handleClearMemoryPalace = () => {
-    if (window.confirm('Delete all memory palace data? This will permanently remove all rooms, objects, connections, and conversation history. This cannot be undone.')) {
-      clearState()
-      window.location.reload() // Reload to reset the application state
+    if (window.confirm('Delete all memory palace data? This will remove all rooms, objects, connections, and conversation history. If automatic backups are on, you can restore it from Backups.')) {
+      if (onClearPalace) {
+        onClearPalace()
+      } else {
+        clearState()
+        window.location.reload() // Reload to reset the application state
+      }
     }
   }
 
@@ -232,6 +251,22 @@ const SettingsPanel = ({
     }
   }
 
+  const handleImportPalace = (event) => {
+    const file = event.target.files[0]
+    if (file) {
+      onImportPalace?.(file)
+      event.target.value = '' // Reset file input
+    }
+  }
+
+  const handleImportWing = (event) => {
+    const file = event.target.files[0]
+    if (file) {
+      onImportWing?.(file)
+      event.target.value = '' // Reset file input
+    }
+  }
+
   const apiConfigured = settingsManager.isApiConfigured()
   const validation = settingsManager.validateApiConfiguration()
 
@@ -684,6 +719,60 @@ const SettingsPanel = ({
               )}
             </div>
 
+            {/* Backups */}
+            <div className="setting-group">
+              {renderSectionHeader('backups', faClockRotateLeft, 'Backups')}
+              
+              {expandedSections.has('backups') && (
+              <div>
+              
+              <div className="setting-item">
+                <div className="setting-info">
+                  <label htmlFor="auto-backup">Automatic Backups</label>
+                  <p>Back up hourly while the palace changes, and before clearing, importing or deleting rooms</p>
+                </div>
+                <button 
+                  id="auto-backup"
+                  className={`toggle-switch ${settings.autoBackup ? 'active' : ''}`}
+                  onClick={() => handleSettingChange('autoBackup', !settings.autoBackup)}
+                  aria-pressed={settings.autoBackup}
+                >
+                  <span className="toggle-slider"></span>
+                </button>
+              </div>
+
+              <div className="setting-item">
+                <div className="setting-info">
+                  <label htmlFor="max-backup-age">
+                    Keep Backups For: <span className="range-value">{settings.maxBackupAge || 30} days</span>
+                  </label>
+                  <p>Older backups are deleted, except the most recent one</p>
+                </div>
+                <input
+                  type="range"
+                  id="max-backup-age"
+                  min="1"
+                  max="365"
+                  step="1"
+                  value={settings.maxBackupAge || 30}
+                  onChange={(e) => handleSettingChange('maxBackupAge', parseInt(e.target.value, 10))}
+                  className="range-input"
+                />
+              </div>
+
+              {onListBackups && (
+                <BackupBrowser
+                  onList={onListBackups}
+                  onCreate={onCreateBackup}
+                  onDiff={onDiffBackup}
+                  onRestore={onRestoreBackup}
+                  onDelete={onDeleteBackup}
+                />
+              )}
+              </div>
+              )}
+            </div>
+
             {/* Settings Actions */}
             <div className="setting-group">
               {renderSectionHeader('management', faCog, 'Settings Management')}
@@ -691,6 +780,22 @@ const SettingsPanel = ({
               {expandedSections.has('management') && (
               <div>
               
+              <div className="setting-item">
+                <div className="setting-info">
+                  <label htmlFor="persistence-type">Palace Storage</label>
+                  <p>IndexedDB handles large palaces; takes effect after reload, when each palace is moved over as it opens</p>
+                </div>
+                <select
+                  id="persistence-type"
+                  value={settings.persistenceType || 'localStorage'}
+                  onChange={(e) => handleSettingChange('persistenceType', e.target.value)}
+                  className="settings-select"
+                >
+                  <option value="localStorage">Local Storage</option>
+                  <option value="indexedDB">IndexedDB</option>
+                </select>
+              </div>
+              
               <div className="settings-actions">
                 <button 
                   className={`primary-btn ${hasUnsavedChanges ? 'pulse' : ''}`}
@@ -723,6 +828,73 @@ const SettingsPanel = ({
                   </button>
                 </div>
 
+                {onExportPalace && (
+                  <button className="secondary-btn" onClick={onExportPalace}>
+                    <FontAwesomeIcon icon={faFileZipper} />
+                    Export Palace (ZIP)
+                  </button>
+                )}
+
+                {onImportPalace && (
+                  <div className="file-input-wrapper">
+                    <input
+                      type="file"
+                      id="import-palace"
+                      accept=".zip,application/zip"
+                      onChange={handleImportPalace}
+                      style={{ display: 'none' }}
+                    />
+                    <button 
+                      className="secondary-btn"
+                      onClick={() => document.getElementById('import-palace').click()}
+                    >
+                      <FontAwesomeIcon icon={faUpload} />
+                      Import Palace (ZIP)
+                    </button>
+                  </div>
+                )}
+
+                {onExportWing && wings.length > 0 && (
+                  <div className="wing-export">
+                    <select
+                      value={wings.some(wing => wing.id === exportWingId) ? exportWingId : wings[0].id}
+                      onChange={(e) => setExportWingId(e.target.value)}
+                      className="settings-select"
+                      aria-label="Wing to export"
+                    >
+                      {wings.map(wing => (
+                        <option key={wing.id} value={wing.id}>{wing.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="secondary-btn"
+                      onClick={() => onExportWing(wings.some(wing => wing.id === exportWingId) ? exportWingId : wings[0].id)}
+                    >
+                      <FontAwesomeIcon icon={faLayerGroup} />
+                      Export Wing
+                    </button>
+                  </div>
+                )}
+
+                {onImportWing && (
+                  <div className="file-input-wrapper">
+                    <input
+                      type="file"
+                      id="import-wing"
+                      accept=".json,application/json"
+                      onChange={handleImportWing}
+                      style={{ display: 'none' }}
+                    />
+                    <button 
+                      className="secondary-btn"
+                      onClick={() => document.getElementById('import-wing').click()}
+                    >
+                      <FontAwesomeIcon icon={faUpload} />
+                      Import Wing
+                    </button>
+                  </div>
+                )}
+
                 <button className="danger-btn" onClick={handleResetSettings}>
                   <FontAwesomeIcon icon={faTrash} />
                   Reset to Defaults
@@ -0,0 +1,53 @@
+import React from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faFilter, faTimes } from '@fortawesome/free-solid-svg-icons'
+
+/**
+ * Tag chips for the current room; selected tags dim every object that carries none of them
+ * Selected tags stay listed after leaving their room so they can be cleared
+ */
+const TagFilterBar = ({ tags = [], activeTags = [], onChange }) => {
+  const listed = [
+    ...tags,
+    ...activeTags
+      .filter(tag => !tags.some(entry => entry.tag === tag))
+      .map(tag => ({ tag, count: 0 }))
+  ]
+
+  if (listed.length === 0) return null
+
+  const toggleTag = (tag) => {
+    onChange(activeTags.includes(tag)
+      ? activeTags.filter(active => active !== tag)
+      : [...activeTags, tag])
+  }
+
+  return (
+    <div className="tag-filter-bar" role="toolbar" aria-label="Filter objects by tag">
+      <FontAwesomeIcon icon={faFilter} className="tag-filter-icon" />
+      {listed.map(({ tag, count }) => (
+        <button
+          key={tag}
+          className={`tag-filter-chip ${activeTags.includes(tag) ? 'active' : ''}`}
+          onClick={() => toggleTag(tag)}
+          aria-pressed={activeTags.includes(tag)}
+        >
+          #{tag}
+          <small>{count}</small>
+        </button>
+      ))}
+      {activeTags.length > 0 && (
+        <button
+          className="tag-filter-clear"
+          onClick={() => onChange([])}
+          aria-label="Clear tag filter"
+          title="Clear tag filter"
+        >
+          <FontAwesomeIcon icon={faTimes} />
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default TagFilterBar
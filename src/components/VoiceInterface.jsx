@@ -3,12 +3,16 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
 import { faMicrophone, faCircle, faSpinner, faKeyboard, faPaperPlane, faClosedCaptioning } from '@fortawesome/free-solid-svg-icons'
 import { useAnthropicStream } from '../hooks/useAnthropicStream.js'
 import SettingsManager from '../services/SettingsManager.js'
+import { parseWalkCommand } from '../utils/routeUtils.ts'
+import { parseQuizCommand } from '../utils/quizUtils.ts'
+import { parseRecallCommand } from '../utils/recallUtils.ts'
+import { EventTypes } from '../types/index.ts'
 
 // Create settings manager instance
 const settingsManager = new SettingsManager()
 
 
-const VoiceInterface = ({ enabled, speakResponse, isMobile, onCommand, onListeningChange, onCaptionToggle, captionsEnabled, memoryPalaceCore, currentPalaceState, isCreationMode, pendingCreationPosition, paintedAreas, onAiObjectPropertiesUpdate }) => {
+const VoiceInterface = ({ enabled, speakResponse, isMobile, onCommand, onListeningChange, onCaptionToggle, captionsEnabled, memoryPalaceCore, currentPalaceState, isCreationMode, pendingCreationPosition, paintedAreas, onAiObjectPropertiesUpdate, getGazePosition }) => {
   const [isListening, setIsListening] = useState(false)
   const [isSupported, setIsSupported] = useState(false)
   const [isProcessing, setIsProcessing] = useState(false)
@@ -172,6 +176,14 @@ const VoiceInterface = ({ enabled, speakResponse, isMobile, onCommand, onListeni
     }
   }, [])
 
+  // The conversation is about one palace; start afresh when another is opened
+  useEffect(() => {
+    if (!memoryPalaceCore) return
+    return memoryPalaceCore.on(EventTypes.PALACE_SWITCHED, () => {
+      setConversationHistory([])
+    })
+  }, [memoryPalaceCore])
+
   // Auto-start listening when creation mode is activated
   useEffect(() => {
     // Check if core is ready before auto-starting
@@ -207,6 +219,39 @@ const VoiceInterface = ({ enabled, speakResponse, isMobile, onCommand, onListeni
     setIsProcessing(true)
     
     try {
+      // While a quiz is open, whatever is said is the answer, graded locally so it works without an API key
+      if (memoryPalaceCore?.isInitialized && memoryPalaceCore.getCurrentQuizQuestion()) {
+        const quizAction = parseQuizCommand(command)
+        console.log('[VoiceInterface] Handling quiz answer locally:', quizAction || command)
+        if (quizAction === 'end') {
+          memoryPalaceCore.endQuiz()
+        } else if (quizAction === 'skip') {
+          await memoryPalaceCore.skipQuizQuestion()
+        } else {
+          await memoryPalaceCore.answerQuizQuestion(command)
+        }
+        return
+      }
+      
+      // In blind recall, whatever is said is scored against the spot clicked or, failing that, looked at
+      if (memoryPalaceCore?.isInitialized && memoryPalaceCore.getRecallState()) {
+        console.log('[VoiceInterface] Handling recall answer locally:', command)
+        if (parseRecallCommand(command) === 'end') {
+          memoryPalaceCore.endRecall()
+        } else {
+          await memoryPalaceCore.answerRecall(command, getGazePosition?.() || null)
+        }
+        return
+      }
+      
+      // Memory walk controls ("next locus", "pause") are handled locally so stepping stays instant
+      const walkAction = parseWalkCommand(command)
+      if (walkAction && memoryPalaceCore?.isInitialized && (walkAction === 'start' || memoryPalaceCore.getWalkState())) {
+        console.log('[VoiceInterface] Handling walk control locally:', walkAction)
+        await memoryPalaceCore.controlWalk(walkAction)
+        return
+      }
+      
       // Double-check API configuration at runtime to prevent stale state issues
       const isCurrentlyConfigured = settingsManager.isAnthropicConfigured()
       console.log('[VoiceInterface] Runtime API configuration check:', {
@@ -0,0 +1,57 @@
+import React from 'react'
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome'
+import { faPlay, faPause, faStepForward, faStepBackward, faStop, faRoute } from '@fortawesome/free-solid-svg-icons'
+
+const WalkControls = ({ walkState, currentRoomName, onControl }) => {
+  if (!walkState) return null
+
+  const { current, index, total, isPlaying } = walkState
+
+  return (
+    <div className="walk-controls" role="toolbar" aria-label="Memory walk controls">
+      <div className="walk-status">
+        <FontAwesomeIcon icon={faRoute} />
+        <div className="walk-status-text">
+          <span className="walk-locus-name">{current?.name}</span>
+          <small>
+            Locus {index + 1} of {total}{currentRoomName ? ` · ${currentRoomName}` : ''}
+          </small>
+        </div>
+      </div>
+
+      <div className="walk-buttons">
+        <button
+          className="walk-btn"
+          onClick={() => onControl('previous')}
+          disabled={index === 0}
+          aria-label="Previous locus"
+        >
+          <FontAwesomeIcon icon={faStepBackward} />
+        </button>
+        <button
+          className="walk-btn primary"
+          onClick={() => onControl(isPlaying ? 'pause' : 'resume')}
+          aria-label={isPlaying ? 'Pause walk' : 'Resume walk'}
+        >
+          <FontAwesomeIcon icon={isPlaying ? faPause : faPlay} />
+        </button>
+        <button
+          className="walk-btn"
+          onClick={() => onControl('next')}
+          aria-label="Next locus"
+        >
+          <FontAwesomeIcon icon={faStepForward} />
+        </button>
+        <button
+          className="walk-btn"
+          onClick={() => onControl('stop')}
+          aria-label="Stop walk"
+        >
+          <FontAwesomeIcon icon={faStop} />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default WalkControls
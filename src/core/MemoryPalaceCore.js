@@ -5,6 +5,32 @@ import * as roomUtils from '../utils/roomUtils.js'
 import * as objectUtils from '../utils/objectUtils.ts'
 import * as imageGeneration from '../utils/imageGeneration.js'
 import * as inventoryUtils from '../utils/inventoryUtils.ts'
+import * as reviewUtils from '../utils/reviewUtils.ts'
+import * as quizUtils from '../utils/quizUtils.ts'
+import * as recallUtils from '../utils/recallUtils.ts'
+import * as routeUtils from '../utils/routeUtils.ts'
+import * as historyUtils from '../utils/historyUtils.ts'
+import * as validationUtils from '../utils/validationUtils.ts'
+import * as palaceUtils from '../utils/palaceUtils.ts'
+import * as searchUtils from '../utils/searchUtils.ts'
+import * as importUtils from '../utils/importUtils.ts'
+import * as connectionUtils from '../utils/connectionUtils.ts'
+import * as pathUtils from '../utils/pathUtils.ts'
+import * as mapUtils from '../utils/mapUtils.ts'
+import * as bundleUtils from '../utils/bundleUtils.ts'
+import * as backupUtils from '../utils/backupUtils.ts'
+import * as tagUtils from '../utils/tagUtils.ts'
+import * as attachmentUtils from '../utils/attachmentUtils.ts'
+import * as associationUtils from '../utils/associationUtils.ts'
+import * as mnemonicUtils from '../utils/mnemonicUtils.ts'
+import * as numberEncoding from '../utils/numberEncoding.ts'
+import * as templateUtils from '../utils/templateUtils.ts'
+import { createImageStore, copyImages } from '../services/ImageStore.js'
+import { createBackupStore } from '../services/BackupStore.js'
+import { createAttachmentStore, copyAttachments } from '../services/AttachmentStore.js'
+
+// Maximum number of undoable actions kept in memory
+const HISTORY_LIMIT = 50
 
 /**
  * MemoryPalaceCore - Orchestrates the Memory Palace application
@@ -21,28 +47,64 @@ export class MemoryPalaceCore extends EventEmitter {
       enableVoice: true,
       enableSpatialInteraction: true,
       autopilot: false,
+      autoBackup: true,
+      maxBackupAge: backupUtils.DEFAULT_MAX_BACKUP_AGE_DAYS, // days
       ...config
     }
     
     // Application state - managed by utilities
-    this.state = {
-      user: null,
-      rooms: new Map(),
-      objects: new Map(),
-      connections: new Map(),
-      conversationHistory: []
-    }
+    this.state = stateUtils.createEmptyState()
+    
+    // Registry of named palaces; `state` holds the open one
+    this.palaces = palaceUtils.createDefaultRegistry()
     
     // Application status
     this.isInitialized = false
     this.isRunning = false
     this.version = '0.1.0'
+    this.persistenceType = null
     
     // Processing state
     this.isProcessingCommand = false
     this.isGeneratingImage = false
     this.pendingInteraction = null
     
+    // Active spaced-repetition review session
+    this.reviewSession = null
+    
+    // Active recall quiz
+    this.quiz = null
+    
+    // Active blind recall, with labels hidden in one room
+    this.recall = null
+    
+    // Active guided memory walk
+    this.walk = null
+    
+    // Active journey to a room, door by door
+    this.journey = null
+    
+    // Local copies of skybox images, served through object URLs (imageId -> URL)
+    this.imageStore = null
+    this.imageUrls = new Map()
+    
+    // Files attached to objects, served through object URLs (attachmentId -> URL)
+    this.attachmentStore = null
+    this.attachmentUrls = new Map()
+    
+    // Rotating snapshots of the open palace
+    this.backupStore = null
+    this.autoBackupTimer = null
+    
+    // Search index, rebuilt lazily after the palace changes
+    this.searchIndex = null
+    this.searchIndexState = null
+    
+    // Undo/redo history (session only, not persisted)
+    this.history = { undoStack: [], redoStack: [] }
+    // Transactions and undo/redo run one at a time, in call order
+    this.transactionQueue = Promise.resolve()
+    
     // Performance metrics
     this.metrics = {
       initTime: 0,
@@ -63,11 +125,18 @@ export class MemoryPalaceCore extends EventEmitter {
     const startTime = performance.now()
     
     try {
-      // Load state using utility
+      // Open the active palace's storage, then load state using utility
+      this.palaces = palaceUtils.loadRegistry()
+      this.persistenceType = await stateUtils.configurePersistence(
+        this.config.persistence,
+        palaceUtils.getPalaceNamespace(this.palaces.activePalaceId)
+      )
       this.state = await stateUtils.loadState()
       
       // Ensure default state using utility
       this.state = stateUtils.ensureDefaultState(this.state)
+      this.reportStateIssues('load')
+      await this.openPalaceStores()
       
       this.isInitialized = true
       this.metrics.initTime = performance.now() - startTime
@@ -101,6 +170,7 @@ export class MemoryPalaceCore extends EventEmitter {
     try {
       // Apply initial configuration
       await this.applyConfiguration()
+      this.startAutoBackup()
       
       this.isRunning = true
       this.emit('core_started')
@@ -129,6 +199,7 @@ export class MemoryPalaceCore extends EventEmitter {
     try {
       // Save final state using utility
       await stateUtils.saveState(this.state)
+      this.stopAutoBackup()
       
       this.isRunning = false
       this.emit('core_stopped')
@@ -180,12 +251,16 @@ export class MemoryPalaceCore extends EventEmitter {
    * Create a new room
    */
   async createRoom(name, description, options = {}) {
-    const room = await roomUtils.createRoom(this.state, name, description, options)
-    
-    this.metrics.roomsCreated++
-    this.emit(EventTypes.ROOM_CREATED, room)
-    
-    // Generate room image if needed - AWAIT completion before returning
+    const room = await this.transaction(`Create room "${name}"`, async () => {
+      const room = await roomUtils.createRoom(this.state, name, description, options)
+      
+      this.metrics.roomsCreated++
+      this.emit(EventTypes.ROOM_CREATED, room)
+      return room
+    })
+
+    // Generate room image if needed - AWAIT completion before returning, but outside the
+    // transaction so edits made while it renders don't fold into "Create room"
     if (!room.imageUrl && !options.skipImageGeneration) {
       console.log('[MemoryPalaceCore] Starting room image generation and awaiting completion...')
       const imageUrl = await this.generateRoomImage(room.id, description);
@@ -200,29 +275,38 @@ export class MemoryPalaceCore extends EventEmitter {
    * Edit an existing room
    */
   async editRoom(roomId, updates) {
-    const updatedRoom = await roomUtils.editRoom(this.state, roomId, updates)
+    const label = `Edit room "${this.state.rooms.get(roomId)?.name || roomId}"`
+    return this.transaction(label, async () => {
+      const updatedRoom = await roomUtils.editRoom(this.state, roomId, updates)
 
-    // Regenerate image if description changed
-    const originalRoom = this.state.rooms.get(roomId)
-    if (updates.description && originalRoom && updates.description !== originalRoom.description) {
-      this.generateRoomImage(roomId, updates.description)
-    }
+      // Regenerate image if description changed
+      const originalRoom = this.state.rooms.get(roomId)
+      if (updates.description && originalRoom && updates.description !== originalRoom.description) {
+        this.generateRoomImage(roomId, updates.description)
+      }
 
-    this.emit(EventTypes.ROOM_CHANGED, updatedRoom)
-    return updatedRoom
+      this.emit(EventTypes.ROOM_CHANGED, updatedRoom)
+      return updatedRoom
+    })
   }
 
   /**
    * Delete a room
    */
   async deleteRoom(roomId) {
-    const success = await roomUtils.deleteRoom(this.state, roomId)
-    
-    if (success) {
-      this.emit(EventTypes.ROOM_DELETED, { roomId })
+    const label = `Delete room "${this.state.rooms.get(roomId)?.name || roomId}"`
+    if (this.state.rooms.has(roomId)) {
+      await this.backupBeforeChange('delete_room', `Before deleting room "${this.state.rooms.get(roomId).name}"`)
     }
-    
-    return success
+    return this.transaction(label, async () => {
+      const success = await roomUtils.deleteRoom(this.state, roomId)
+      
+      if (success) {
+        this.emit(EventTypes.ROOM_DELETED, { roomId })
+      }
+      
+      return success
+    })
   }
 
   /**
@@ -232,6 +316,11 @@ export class MemoryPalaceCore extends EventEmitter {
     const previousRoomId = this.state.user.currentRoomId
     const targetRoom = await roomUtils.navigateToRoom(this.state, roomId)
 
+    // Blind recall hides one room's labels; leaving the room ends it
+    if (this.recall && this.recall.roomId !== roomId) {
+      this.endRecall()
+    }
+
     this.emit(EventTypes.ROOM_CHANGED, {
       previousRoomId,
       currentRoomId: roomId,
@@ -262,13 +351,19 @@ export class MemoryPalaceCore extends EventEmitter {
         description,
         (progress) => {
           this.emit('room_image_progress', { roomId, ...progress })
-        }
+        },
+        this.imageStore,
+        // A room image arrives in the background; keep it out of any transaction still open
+        update => this.exclusive(update)
       )
 
       if (result.success) {
+        if (result.image) {
+          await this.loadImageUrl(result.image.id)
+        }
         this.emit('room_image_generated', {
           roomId,
-          imageUrl: result.imageUrl,
+          imageUrl: this.getRoomImageUrl(roomId),
           description
         })
         return result.imageUrl
@@ -296,6 +391,118 @@ export class MemoryPalaceCore extends EventEmitter {
     }
   }
 
+  // === ROOM IMAGES ===
+
+  /**
+   * URL to draw a room's skybox from: its local copy when loaded, else the original URL
+   */
+  getRoomImageUrl(roomId) {
+    const room = this.state.rooms.get(roomId)
+    if (!room) return null
+    return (room.imageId && this.imageUrls.get(room.imageId)) || room.imageUrl
+  }
+
+  /**
+   * Get how a room's stored skybox was made (prompt, seed, parameters), without the image data
+   */
+  async getRoomImageInfo(roomId) {
+    const room = this.state.rooms.get(roomId)
+    if (!room?.imageId || !this.imageStore) return null
+
+    const record = await this.imageStore.get(room.imageId)
+    if (!record) return null
+    const { blob, ...info } = record
+    return info
+  }
+
+  /**
+   * Delete stored images that neither a room nor a backup uses
+   * Only run when a palace is opened or cleared, so undoing a room deletion can bring its skybox back
+   * @returns {Promise<string[]>} IDs of the deleted images
+   */
+  async collectImageGarbage() {
+    const keepIds = backupUtils.getBackupImageIds(await this.listBackups())
+    const removed = await imageGeneration.collectImageGarbage(this.state, this.imageStore, keepIds)
+    removed.forEach(imageId => this.releaseImageUrl(imageId))
+    return removed
+  }
+
+  /**
+   * Open the active palace's image and backup stores, tidy images and load them
+   * @private
+   */
+  async openPalaceStores() {
+    const namespace = palaceUtils.getPalaceNamespace(this.palaces.activePalaceId)
+    this.releaseImageUrls()
+    this.releaseAttachmentUrls()
+    // The outgoing palace's databases are closed so they can be deleted
+    await Promise.all([this.imageStore, this.backupStore, this.attachmentStore].map(store => store?.close?.()))
+    this.imageStore = createImageStore({ namespace })
+    this.backupStore = createBackupStore({ namespace })
+    this.attachmentStore = createAttachmentStore({ namespace })
+
+    try {
+      await this.collectImageGarbage()
+      await this.loadRoomImageUrls()
+    } catch (error) {
+      console.warn('[MemoryPalaceCore] Local room images unavailable:', error)
+    }
+
+    try {
+      await this.collectAttachmentGarbage()
+    } catch (error) {
+      console.warn('[MemoryPalaceCore] Attachments unavailable:', error)
+    }
+  }
+
+  /**
+   * Create object URLs for every room with a stored image
+   * @private
+   */
+  async loadRoomImageUrls() {
+    for (const room of this.state.rooms.values()) {
+      if (room.imageId) {
+        await this.loadImageUrl(room.imageId)
+      }
+    }
+  }
+
+  /**
+   * Create an object URL for a stored image
+   * @private
+   */
+  async loadImageUrl(imageId) {
+    if (this.imageUrls.has(imageId)) {
+      return this.imageUrls.get(imageId)
+    }
+
+    const record = await this.imageStore?.get(imageId)
+    if (!record || typeof URL.createObjectURL !== 'function') {
+      return null
+    }
+    const url = URL.createObjectURL(record.blob)
+    this.imageUrls.set(imageId, url)
+    return url
+  }
+
+  /**
+   * @private
+   */
+  releaseImageUrl(imageId) {
+    const url = this.imageUrls.get(imageId)
+    if (url && typeof URL.revokeObjectURL === 'function') {
+      URL.revokeObjectURL(url)
+    }
+    this.imageUrls.delete(imageId)
+  }
+
+  /**
+   * @private
+   */
+  releaseImageUrls() {
+    Array.from(this.imageUrls.keys()).forEach(imageId => this.releaseImageUrl(imageId))
+  }
+
   /**
    * Get current room
    */
@@ -317,6 +524,191 @@ export class MemoryPalaceCore extends EventEmitter {
     return roomUtils.findRoomByName(this.state, name)
   }
 
+  // === WINGS ===
+
+  /**
+   * Create a wing to group rooms in
+   * @param {Object} [options] - description, and parentId to nest it inside another wing
+   */
+  async createWing(name, options = {}) {
+    return this.transaction(`Create wing "${name}"`, async () => {
+      const wing = await roomUtils.createWing(this.state, name, options)
+      this.emit(EventTypes.WING_CREATED, wing)
+      return wing
+    })
+  }
+
+  /**
+   * Rename, describe or move a wing
+   */
+  async editWing(wingId, updates) {
+    const label = `Edit wing "${this.state.wings.get(wingId)?.name || wingId}"`
+    return this.transaction(label, async () => {
+      const wing = await roomUtils.editWing(this.state, wingId, updates)
+      this.emit(EventTypes.WING_UPDATED, wing)
+      return wing
+    })
+  }
+
+  /**
+   * Delete a wing; its rooms and nested wings move to the wing it was inside
+   */
+  async deleteWing(wingId) {
+    const label = `Delete wing "${this.state.wings.get(wingId)?.name || wingId}"`
+    return this.transaction(label, async () => {
+      const success = await roomUtils.deleteWing(this.state, wingId)
+      if (success) {
+        this.emit(EventTypes.WING_DELETED, { wingId })
+      }
+      return success
+    })
+  }
+
+  /**
+   * Put a room in a wing
+   * @param {string|null} wingId - Target wing, or null to take the room out of its wing
+   */
+  async moveRoomToWing(roomId, wingId) {
+    const roomName = this.state.rooms.get(roomId)?.name || roomId
+    const label = wingId
+      ? `Move room "${roomName}" to wing "${this.state.wings.get(wingId)?.name || wingId}"`
+      : `Take room "${roomName}" out of its wing`
+    return this.transaction(label, async () => {
+      const room = await roomUtils.moveRoomToWing(this.state, roomId, wingId)
+      this.emit(EventTypes.ROOM_UPDATED, room)
+      return room
+    })
+  }
+
+  /**
+   * Get all wings
+   */
+  getAllWings() {
+    return roomUtils.getAllWings(this.state)
+  }
+
+  /**
+   * Find wing by name
+   */
+  findWingByName(name) {
+    return roomUtils.findWingByName(this.state, name)
+  }
+
+  /**
+   * Get the rooms in a wing and the wings nested inside it
+   */
+  getRoomsInWing(wingId) {
+    return roomUtils.getRoomsInWing(this.state, wingId)
+  }
+
+  /**
+   * Get the wings a wing sits in, outermost first, ending with the wing itself
+   */
+  getWingPath(wingId) {
+    return roomUtils.getWingPath(this.state, wingId)
+  }
+
+  /**
+   * Get every room grouped by wing
+   */
+  getRoomTree() {
+    return roomUtils.getRoomTree(this.state)
+  }
+
+  /**
+   * Export a wing with its rooms, objects and the doors between them
+   * @throws If the wing doesn't exist
+   */
+  exportWing(wingId) {
+    const data = roomUtils.exportWing(this.state, wingId)
+    if (!data) {
+      throw new Error(`Wing ${wingId} not found`)
+    }
+    return data
+  }
+
+  /**
+   * Add an exported wing to this palace as one undoable step
+   * @param {Object} data - Data from exportWing
+   * @param {Object} [options] - parentId to import it inside an existing wing
+   */
+  async importWing(data, options = {}) {
+    const name = data?.wings?.find(wing => wing.id === data.wingId)?.name || 'wing'
+    return this.transaction(`Import wing "${name}"`, async () => {
+      const result = await roomUtils.importWing(this.state, data, options)
+      this.emit(EventTypes.WING_CREATED, result.wing)
+      return result
+    })
+  }
+
+  // === ROOM TEMPLATES ===
+
+  /**
+   * Copy a room with its skybox and its objects in the same places; doors are not copied
+   * @param {Object} [options] - name for the copy, clearInformation to keep the loci but empty their information
+   */
+  async duplicateRoom(roomId, options = {}) {
+    const label = `Duplicate room "${this.state.rooms.get(roomId)?.name || roomId}"`
+    const room = await this.transaction(label, () => roomUtils.duplicateRoom(this.state, roomId, options))
+
+    this.metrics.roomsCreated++
+    this.emit(EventTypes.ROOM_CREATED, room)
+    return room
+  }
+
+  /**
+   * Save a room's skybox and loci in the template library
+   * @param {Object} [options] - name (defaults to the room's), includeInformation to keep what each object holds
+   */
+  async saveRoomAsTemplate(roomId, options = {}) {
+    const label = `Save room "${this.state.rooms.get(roomId)?.name || roomId}" as a template`
+    const template = await this.transaction(label, () => templateUtils.saveRoomTemplate(this.state, roomId, options))
+
+    this.emit(EventTypes.TEMPLATE_SAVED, template)
+    return template
+  }
+
+  /**
+   * Remove a template from the library
+   */
+  async deleteRoomTemplate(templateId) {
+    const label = `Delete template "${this.state.templates.get(templateId)?.name || templateId}"`
+    const template = await this.transaction(label, () => templateUtils.deleteRoomTemplate(this.state, templateId))
+
+    this.emit(EventTypes.TEMPLATE_DELETED, template)
+    return template
+  }
+
+  /**
+   * Get all room templates, by name
+   */
+  getRoomTemplates() {
+    return templateUtils.getRoomTemplates(this.state)
+  }
+
+  /**
+   * Find a room template by name
+   */
+  findRoomTemplate(name) {
+    return templateUtils.findRoomTemplate(this.state, name)
+  }
+
+  /**
+   * Build a new room from a template, sharing its skybox
+   * @param {Object} [options] - name, description and wingId for the new room
+   */
+  async createRoomFromTemplate(templateId, options = {}) {
+    const template = this.state.templates.get(templateId)
+    const label = `Create room "${options.name || template?.name || templateId}" from a template`
+    const room = await this.transaction(label, () =>
+      templateUtils.createRoomFromTemplate(this.state, templateId, options)
+    )
+
+    this.metrics.roomsCreated++
+    this.emit(EventTypes.ROOM_CREATED, room)
+    return room
+  }
+
   // === OBJECT MANAGEMENT ===
 
   /**
@@ -330,7 +722,9 @@ export class MemoryPalaceCore extends EventEmitter {
       position: params.position 
     })
 
-    const object = await objectUtils.createObject(this.state, params)
+    const object = await this.transaction(`Create ${params.type || 'object'} "${params.name}"`, () =>
+      objectUtils.createObject(this.state, params)
+    )
     
     this.metrics.objectsCreated++
     this.emit(EventTypes.OBJECT_CREATED, object)
@@ -345,7 +739,9 @@ export class MemoryPalaceCore extends EventEmitter {
   async addObject(name, information, position = null, type = ObjectType.OBJECT) {
     console.log(`[MemoryPalaceCore] Adding ${type}`, { name, information: information?.substring(0, 100) + '...', position, type })
 
-    const object = await objectUtils.addObject(this.state, name, information, position, type)
+    const object = await this.transaction(`Create ${type} "${name}"`, () =>
+      objectUtils.addObject(this.state, name, information, position, type)
+    )
     
     this.metrics.objectsCreated++
     this.emit(EventTypes.OBJECT_CREATED, object)
@@ -358,7 +754,15 @@ export class MemoryPalaceCore extends EventEmitter {
    * Update an existing object
    */
   async updateObject(objectId, updates) {
-    const updatedObject = await objectUtils.updateObject(this.state, objectId, updates)
+    // Doors drawn from connections are edited through their connection
+    if (this.state.connections.has(objectId)) {
+      return this.updateConnection(objectId, connectionUtils.toConnectionUpdates(updates))
+    }
+
+    const label = `Update "${this.state.objects.get(objectId)?.name || objectId}"`
+    const updatedObject = await this.transaction(label, () =>
+      objectUtils.updateObject(this.state, objectId, updates)
+    )
     
     this.emit(EventTypes.OBJECT_UPDATED, updatedObject)
     return updatedObject
@@ -366,10 +770,18 @@ export class MemoryPalaceCore extends EventEmitter {
 
   /**
    * Delete an object
+   * @param {Object} [options] - includeReverse, for doors drawn from connections
    */
-  async deleteObject(objectId) {
+  async deleteObject(objectId, options = {}) {
+    if (this.state.connections.has(objectId)) {
+      const deleted = await this.deleteConnection(objectId, options)
+      return deleted.length > 0
+    }
+
     const object = objectUtils.getObject(this.state, objectId)
-    const success = await objectUtils.deleteObject(this.state, objectId)
+    const success = await this.transaction(`Delete "${object?.name || objectId}"`, () =>
+      objectUtils.deleteObject(this.state, objectId)
+    )
 
     if (success) {
       this.emit(EventTypes.OBJECT_DELETED, { objectId, object })
@@ -382,13 +794,53 @@ export class MemoryPalaceCore extends EventEmitter {
    * Add an object to the user's inventory
    */
   async addObjectToInventory(objectId) {
-    const object = await inventoryUtils.addToInventory(this.state, objectId)
+    const label = `Pick up "${this.state.objects.get(objectId)?.name || objectId}"`
+    const object = await this.transaction(label, () =>
+      inventoryUtils.addToInventory(this.state, objectId)
+    )
     if (object) {
       this.emit(EventTypes.OBJECT_UPDATED, object)
     }
     return object
   }
 
+  /**
+   * Put a carried object down in a room (the current room by default)
+   * @param {Object|null} [position] - Where to put it; defaults to a free spot in the room
+   * @throws If the object isn't in the inventory or the room doesn't exist
+   */
+  async placeObjectFromInventory(objectId, position = null, roomId = this.state.user.currentRoomId) {
+    const object = this.state.objects.get(objectId)
+    if (!object) {
+      throw new Error(`Object ${objectId} not found`)
+    }
+    if (!this.state.user.inventory.includes(objectId)) {
+      throw new Error(`"${object.name}" is not in the inventory`)
+    }
+    const room = roomId ? this.state.rooms.get(roomId) : null
+    if (!room) {
+      throw new Error(roomId ? `Room ${roomId} not found` : 'No current room')
+    }
+
+    const placed = await this.transaction(`Place "${object.name}" in "${room.name}"`, () =>
+      inventoryUtils.placeFromInventory(
+        this.state,
+        objectId,
+        room.id,
+        position || objectUtils.generateDefaultPosition(this.state, room.id)
+      )
+    )
+    this.emit(EventTypes.OBJECT_UPDATED, placed)
+    return placed
+  }
+
+  /**
+   * Get the objects the user is carrying, in the order they were picked up
+   */
+  getInventory() {
+    return inventoryUtils.getInventory(this.state)
+  }
+
   /**
    * Get objects in current room
    */
@@ -428,104 +880,1839 @@ export class MemoryPalaceCore extends EventEmitter {
     return objectUtils.screenToWorldPosition(screenX, screenY, sphereRadius, camera)
   }
 
+  // === TAGS ===
+
   /**
-   * Add message to conversation history
+   * Add and remove tags on an object, and optionally set its marker color
+   * @param {Object} changes - add and remove (tag lists), color (hex or named; null clears it)
    */
-  addToHistory(role, content) {
-    stateUtils.addToHistory(this.state, role, content)
+  async tagObject(objectId, changes = {}) {
+    const label = `Tag "${this.state.objects.get(objectId)?.name || objectId}"`
+    const object = await this.transaction(label, () =>
+      tagUtils.tagObject(this.state, objectId, changes)
+    )
+
+    this.emit(EventTypes.OBJECT_UPDATED, object)
+    return object
   }
 
-  // === PUBLIC API ===
+  /**
+   * Count the objects carrying each tag, most used first
+   * @param {string} [roomId] - Only count objects in this room
+   */
+  getAllTags(roomId = null) {
+    return tagUtils.getAllTags(this.state, roomId)
+  }
 
   /**
-   * Get current application state
+   * Get the objects carrying a tag, across the palace or in one room
    */
-  getCurrentState() {
-    const currentRoom = this.getCurrentRoom()
-    const objects = this.getCurrentRoomObjects()
-    
-    return {
-      isInitialized: this.isInitialized,
-      isRunning: this.isRunning,
-      isGeneratingImage: this.isGeneratingImage, // Add loading state
-      currentRoom,
-      objects, // Include both objects AND doors
-      userState: this.state.user,
-      stats: {
-        totalRooms: this.state.rooms.size,
-        totalObjects: this.state.objects.size,
-        totalConnections: this.state.connections.size, // Add this for completeness
-        metrics: this.metrics
-      }
-    }
+  getObjectsByTag(tag, roomId = null) {
+    return tagUtils.getObjectsByTag(this.state, tag, roomId)
   }
 
+  // === MNEMONICS ===
+
   /**
-   * Get application settings
+   * Get what the mnemonic coach needs about an object: its information, room, locus and
+   * the major-system and PAO encodings of any numbers
+   * @param {Object} draft - objectId of an existing object, or the name, information,
+   *   roomId and position of one not yet added
    */
-  getSettings() {
-    return this.state.user.settings || {}
+  getMnemonicContext(draft) {
+    return mnemonicUtils.getMnemonicContext(this.state, draft)
   }
 
   /**
-   * Save state using utility
+   * Keep an accepted mnemonic on an object, next to its information; an empty one clears it
    */
-  async saveState() {
-    await stateUtils.saveState(this.state)
+  async setObjectMnemonic(objectId, mnemonic) {
+    const label = `Set mnemonic for "${this.state.objects.get(objectId)?.name || objectId}"`
+    const object = await this.transaction(label, () =>
+      mnemonicUtils.setObjectMnemonic(this.state, objectId, mnemonic)
+    )
+
+    this.emit(EventTypes.OBJECT_UPDATED, object)
+    return object
   }
 
+  // === NUMBER ENCODING ===
+
   /**
-   * Update application settings
+   * Encode a number as major-system words and a Person-Action-Object split filled in from
+   * the PAO table
+   * @param {string|number} number - Digits, with any spaces or separators
    */
-  async updateSettings(updates) {
-    this.state.user.settings = { ...this.state.user.settings, ...updates }
-    await this.saveState()
-    
-    this.emit('settings_updated', this.state.user.settings)
-    return this.state.user.settings
+  encodeNumber(number) {
+    return numberEncoding.encodeNumber(numberEncoding.parseNumber(number), this.state.paoTable)
   }
 
   /**
-   * Export palace data
+   * Get the PAO table entries, from 00 to 99
    */
-  exportPalace() {
-    return stateUtils.exportState(this.state)
+  getPaoTable() {
+    return numberEncoding.getPaoTable(this.state)
   }
 
   /**
-   * Import palace data
+   * Fill in, change or clear PAO table entries; an entry left empty is removed
+   * @param {Array<Object>} entries - digits with a person, action and object each
    */
-  async importPalace(data) {
-    try {
-      this.state = stateUtils.importState(data)
-      await this.saveState()
-      this.emit('palace_imported', data.metadata)
-      return true
-    } catch (error) {
-      console.error('Failed to import palace:', error)
-      this.emit(EventTypes.ERROR_OCCURRED, { 
-        type: 'import_error', 
-        error: error.message 
-      })
-      return false
-    }
+  async setPaoEntries(entries) {
+    const label = entries.length === 1 ? `Edit PAO entry ${entries[0].digits}` : 'Edit PAO table'
+    const table = await this.transaction(label, () => numberEncoding.setPaoEntries(this.state, entries))
+
+    this.emit(EventTypes.PAO_TABLE_UPDATED, table)
+    return table
   }
 
+  // === ATTACHMENTS ===
+
   /**
-   * Clear all palace data
+   * Attach a file, picture or recorded clip to a memory object
+   * @param {Blob} blob - File data; its type decides whether it is shown as an image or played as audio
+   * @param {string} [name] - File name, defaulting to the File's own
+   * @returns {Promise<Object>} The attachment
    */
-  async clearPalace() {
-    try {
-      await stateUtils.clearState()
+  async addAttachment(objectId, blob, name = null) {
+    if (!this.attachmentStore) {
+      throw new Error('Attachment storage is not available')
+    }
+
+    const attachment = await attachmentUtils.storeAttachment(
+      this.state, this.attachmentStore, objectId, blob, name || blob.name || 'Attachment'
+    )
+    const label = `Attach "${attachment.name}"`
+    const object = await this.transaction(label, () =>
+      attachmentUtils.addAttachment(this.state, objectId, attachment)
+    )
+
+    this.emit(EventTypes.OBJECT_UPDATED, object)
+    return attachment
+  }
+
+  /**
+   * Remove an attachment from an object; undo brings it back until the palace is next opened
+   */
+  async removeAttachment(objectId, attachmentId) {
+    const object = this.state.objects.get(objectId)
+    const name = object?.attachments?.find(attachment => attachment.id === attachmentId)?.name || attachmentId
+    const updated = await this.transaction(`Remove attachment "${name}"`, () =>
+      attachmentUtils.removeAttachment(this.state, objectId, attachmentId)
+    )
+
+    this.emit(EventTypes.OBJECT_UPDATED, updated)
+    return updated
+  }
+
+  /**
+   * URL to show or play an attachment from, or null when its data is missing
+   */
+  async getAttachmentUrl(attachmentId) {
+    if (this.attachmentUrls.has(attachmentId)) {
+      return this.attachmentUrls.get(attachmentId)
+    }
+
+    const record = await this.attachmentStore?.get(attachmentId)
+    if (!record || typeof URL.createObjectURL !== 'function') {
+      return null
+    }
+    const url = URL.createObjectURL(record.blob)
+    this.attachmentUrls.set(attachmentId, url)
+    return url
+  }
+
+  /**
+   * Delete stored attachments that neither an object nor a backup uses
+   * Like image garbage collection, only run when a palace is opened or cleared
+   * @returns {Promise<string[]>} IDs of the deleted attachments
+   */
+  async collectAttachmentGarbage() {
+    const keepIds = backupUtils.getBackupAttachmentIds(await this.listBackups())
+    const removed = await attachmentUtils.collectAttachmentGarbage(this.state, this.attachmentStore, keepIds)
+    removed.forEach(attachmentId => this.releaseAttachmentUrl(attachmentId))
+    return removed
+  }
+
+  /**
+   * @private
+   */
+  releaseAttachmentUrl(attachmentId) {
+    const url = this.attachmentUrls.get(attachmentId)
+    if (url && typeof URL.revokeObjectURL === 'function') {
+      URL.revokeObjectURL(url)
+    }
+    this.attachmentUrls.delete(attachmentId)
+  }
+
+  /**
+   * @private
+   */
+  releaseAttachmentUrls() {
+    Array.from(this.attachmentUrls.keys()).forEach(attachmentId => this.releaseAttachmentUrl(attachmentId))
+  }
+
+  // === ASSOCIATIONS ===
+
+  /**
+   * Link one memory object to another, in any room
+   * @param {string} [relation] - How the source relates to the target, e.g. "causes"; defaults to "relates to"
+   */
+  async linkObjects(sourceId, targetId, relation = null) {
+    const sourceName = this.state.objects.get(sourceId)?.name || sourceId
+    const targetName = this.state.objects.get(targetId)?.name || targetId
+    const association = await this.transaction(`Link "${sourceName}" to "${targetName}"`, () =>
+      associationUtils.createAssociation(this.state, sourceId, targetId, relation)
+    )
+
+    this.emit(EventTypes.ASSOCIATION_CREATED, association)
+    return association
+  }
+
+  /**
+   * Remove a link between two objects
+   */
+  async unlinkObjects(associationId) {
+    const association = this.state.associations.get(associationId)
+    const label = association
+      ? `Unlink "${this.state.objects.get(association.sourceId)?.name}" from "${this.state.objects.get(association.targetId)?.name}"`
+      : `Unlink ${associationId}`
+    const removed = await this.transaction(label, () =>
+      associationUtils.deleteAssociation(this.state, associationId)
+    )
+
+    this.emit(EventTypes.ASSOCIATION_DELETED, removed)
+    return removed
+  }
+
+  /**
+   * Get the objects linked to an object, in either direction
+   */
+  getRelatedObjects(objectId) {
+    return associationUtils.getRelatedObjects(this.state, objectId)
+  }
+
+  /**
+   * Get the links between objects that are both in a room (default: the current room)
+   */
+  getRoomAssociations(roomId = this.state.user.currentRoomId) {
+    return associationUtils.getRoomAssociations(this.state, roomId)
+  }
+
+  // === CONNECTIONS ===
+
+  /**
+   * Create a door between two existing rooms, with a return door unless bidirectional is false
+   * @param {Object} params - roomId, targetRoomId, description, position, paintData, bidirectional, returnDescription
+   */
+  async createConnection(params) {
+    const targetName = this.state.rooms.get(params.targetRoomId)?.name || params.targetRoomId
+    const result = await this.transaction(`Connect to "${targetName}"`, () =>
+      connectionUtils.createConnection(this.state, params)
+    )
+
+    result.created.forEach(connection => this.emit(EventTypes.CONNECTION_CREATED, connection))
+    return result
+  }
+
+  /**
+   * Update a door's description, target room, position or shape
+   */
+  async updateConnection(connectionId, updates) {
+    const label = `Update "${this.state.connections.get(connectionId)?.description || connectionId}"`
+    const connection = await this.transaction(label, () =>
+      connectionUtils.updateConnection(this.state, connectionId, updates)
+    )
+
+    this.emit(EventTypes.CONNECTION_UPDATED, connection)
+    return connection
+  }
+
+  /**
+   * Delete a door, and the door back along it when includeReverse is set
+   * @param {Object} [options] - includeReverse
+   */
+  async deleteConnection(connectionId, options = {}) {
+    const label = `Delete "${this.state.connections.get(connectionId)?.description || connectionId}"`
+    const deleted = await this.transaction(label, () =>
+      connectionUtils.deleteConnection(this.state, connectionId, options)
+    )
+
+    deleted.forEach(connection => this.emit(EventTypes.CONNECTION_DELETED, { connectionId: connection.id, connection }))
+    return deleted
+  }
+
+  /**
+   * Get a connection by ID
+   */
+  getConnection(connectionId) {
+    return connectionUtils.getConnection(this.state, connectionId)
+  }
+
+  /**
+   * Find the door leading back along a connection
+   */
+  findReverseConnection(connectionId) {
+    const connection = connectionUtils.getConnection(this.state, connectionId)
+    return connection ? connectionUtils.findReverseConnection(this.state, connection) : null
+  }
+
+  // === PALACE MAP ===
+
+  /**
+   * Get every room and the doors between them, positioned for the 2D map
+   */
+  getPalaceMap() {
+    return mapUtils.getPalaceMap(this.state)
+  }
+
+  /**
+   * Place a room on the map by hand
+   * @param {{x: number, y: number}} position - From 0 to 1 on each axis
+   */
+  async setMapPosition(roomId, position) {
+    const placed = await mapUtils.setMapPosition(this.state, roomId, position)
+    this.emit(EventTypes.MAP_LAYOUT_UPDATED, { roomId, position: placed })
+    return placed
+  }
+
+  /**
+   * Return the whole map to the automatic layout
+   */
+  async resetMapLayout() {
+    await mapUtils.resetMapLayout(this.state)
+    this.emit(EventTypes.MAP_LAYOUT_UPDATED, { roomId: null, position: null })
+  }
+
+  // === BULK IMPORT ===
+
+  /**
+   * Parse study material and plan where each item would go, without changing anything
+   * @param {string} text - CSV, Markdown list or Anki TSV
+   * @param {Object} [options] - format, roomId, roomCapacity, roomName, roomDescription
+   */
+  previewBulkImport(text, options = {}) {
+    const { format, items } = importUtils.parseStudyMaterial(text, options.format)
+    return importUtils.planBulkImport(this.state, items, format, options)
+  }
+
+  /**
+   * Create the rooms, doors and objects of a previewed plan as one undoable step
+   */
+  async commitBulkImport(plan, options = {}) {
+    const result = await this.transaction(`Import ${plan.itemCount} items`, () =>
+      importUtils.applyBulkImport(this.state, plan)
+    )
+
+    this.metrics.roomsCreated += result.rooms.length
+    this.metrics.objectsCreated += result.objects.length
+    result.rooms.forEach(room => this.emit(EventTypes.ROOM_CREATED, room))
+    result.connections.forEach(connection => this.emit(EventTypes.CONNECTION_CREATED, connection))
+
+    // With nowhere to stand yet, step into the first new room
+    const currentRoom = this.getCurrentRoom()
+    if (!currentRoom && result.rooms.length > 0) {
+      await this.navigateToRoom(result.rooms[0].id)
+    } else {
+      this.emit(EventTypes.ROOM_CHANGED, {
+        previousRoomId: currentRoom?.id || null,
+        currentRoomId: currentRoom?.id || null,
+        currentRoom
+      })
+    }
+
+    // Images are generated one at a time in the background; the import is already saved
+    if (this.config.enableImageGeneration && !options.skipImageGeneration && result.rooms.length > 0) {
+      (async () => {
+        for (const room of result.rooms) {
+          await this.generateRoomImage(room.id, room.description)
+        }
+      })()
+    }
+
+    return result
+  }
+
+  // === UNDO / REDO ===
+
+  /**
+   * Run a mutation as one undoable action
+   * Transactions run one at a time, so each records only its own changes, taken from the record
+   * diffs its saves already compute. The action gets a view of the core whose transactions join
+   * the action's own, so compound actions undo in a single step; calling the core itself from
+   * inside the action would wait for the action to finish. If the action throws, its changes
+   * are rolled back and nothing is recorded.
+   * @param {string} label - Human-readable description shown when undoing
+   * @param {Function} action - Async function performing the mutation, given the core to use for its steps
+   */
+  transaction(label, action) {
+    return this.exclusive(async () => {
+      const stopRecording = historyUtils.recordChanges(this.state)
+      let result
+      try {
+        result = await action(this.transactionScope())
+      } catch (error) {
+        const changes = stopRecording()
+        if (changes.length > 0) {
+          await this.applyHistory(historyUtils.createHistoryEntry(label, changes), 'undo')
+        }
+        throw error
+      }
+
+      const changes = stopRecording()
+      if (changes.length > 0) {
+        this.invalidateSearchIndex()
+        this.history.undoStack.push(historyUtils.createHistoryEntry(label, changes))
+        if (this.history.undoStack.length > HISTORY_LIMIT) {
+          this.history.undoStack.shift()
+        }
+        this.history.redoStack = []
+        this.emitHistoryChanged()
+      }
+      return result
+    })
+  }
+
+  /**
+   * Run work once every earlier transaction has finished, holding later ones until it has
+   * @private
+   */
+  exclusive(work) {
+    const run = this.transactionQueue.then(work)
+    this.transactionQueue = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * The core as a transaction's action sees it: the same core, except that transactions
+   * started through it run straight away as steps of the action
+   * @private
+   */
+  transactionScope() {
+    const scope = new Proxy(this, {
+      get: (core, property) => (property === 'transaction'
+        ? (label, action) => action(scope)
+        : Reflect.get(core, property)),
+      set: (core, property, value) => Reflect.set(core, property, value)
+    })
+    return scope
+  }
+
+  /**
+   * Undo the most recent action
+   * @returns {Object|null} The undone history entry, or null if there is nothing to undo
+   */
+  undo() {
+    return this.exclusive(async () => {
+      const entry = this.history.undoStack.pop()
+      if (!entry) return null
+
+      await this.applyHistory(entry, 'undo')
+      this.history.redoStack.push(entry)
+      this.emitHistoryChanged()
+      return entry
+    })
+  }
+
+  /**
+   * Redo the most recently undone action
+   * @returns {Object|null} The redone history entry, or null if there is nothing to redo
+   */
+  redo() {
+    return this.exclusive(async () => {
+      const entry = this.history.redoStack.pop()
+      if (!entry) return null
+
+      await this.applyHistory(entry, 'redo')
+      this.history.undoStack.push(entry)
+      this.emitHistoryChanged()
+      return entry
+    })
+  }
+
+  /**
+   * Get undo/redo availability and labels
+   */
+  getHistoryState() {
+    const { undoStack, redoStack } = this.history
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack[undoStack.length - 1]?.label || null,
+      redoLabel: redoStack[redoStack.length - 1]?.label || null,
+      undoCount: undoStack.length,
+      redoCount: redoStack.length
+    }
+  }
+
+  /**
+   * Forget all undo/redo history
+   */
+  clearHistory() {
+    this.history = { undoStack: [], redoStack: [] }
+    this.emitHistoryChanged()
+  }
+
+  /**
+   * Restore one side of a history entry and refresh listeners
+   * @private
+   */
+  async applyHistory(entry, direction) {
+    historyUtils.applyHistoryEntry(this.state, entry, direction)
+    this.invalidateSearchIndex()
+
+    // Step out of a room that no longer exists
+    const currentRoomId = this.state.user.currentRoomId
+    if (currentRoomId && !this.state.rooms.has(currentRoomId)) {
+      this.state.user.currentRoomId = roomUtils.getAllRooms(this.state)[0]?.id || null
+    }
+
+    await stateUtils.saveState(this.state)
+
+    this.emit(EventTypes.STATE_CHANGED, { reason: direction, label: entry.label })
+    this.emit(EventTypes.ROOM_CHANGED, {
+      previousRoomId: currentRoomId,
+      currentRoomId: this.state.user.currentRoomId,
+      currentRoom: this.getCurrentRoom()
+    })
+  }
+
+  /**
+   * @private
+   */
+  emitHistoryChanged() {
+    this.emit(EventTypes.HISTORY_CHANGED, this.getHistoryState())
+  }
+
+  // === PALACES ===
+
+  /**
+   * List all palaces, flagging the open one
+   */
+  listPalaces() {
+    return palaceUtils.listPalaces(this.palaces)
+  }
+
+  /**
+   * Get the open palace
+   */
+  getActivePalace() {
+    return palaceUtils.getActivePalace(this.palaces)
+  }
+
+  /**
+   * Find a palace by ID or name
+   */
+  findPalace(idOrName) {
+    return palaceUtils.findPalace(this.palaces, idOrName)
+  }
+
+  /**
+   * Create a new, empty palace
+   * @param {string} name - Palace name (must be unique)
+   * @param {Object} [options] - { switchTo: open it straight away (default true) }
+   */
+  async createPalace(name, options = {}) {
+    const palace = palaceUtils.addPalace(this.palaces, name)
+    this.emitPalacesUpdated()
+
+    if (options.switchTo !== false) {
+      await this.switchPalace(palace.id)
+    }
+    return palace
+  }
+
+  /**
+   * Rename a palace
+   */
+  async renamePalace(palaceId, name) {
+    const palace = palaceUtils.renamePalace(this.palaces, palaceId, name)
+    this.emitPalacesUpdated()
+    return palace
+  }
+
+  /**
+   * Copy a palace's rooms, objects and history into a new palace
+   * @param {string} palaceId - Palace to copy
+   * @param {string} [name] - Name for the copy (defaults to "<name> (copy)")
+   */
+  async duplicatePalace(palaceId, name = null) {
+    const source = palaceUtils.getPalace(this.palaces, palaceId)
+    const copyName = name || palaceUtils.getUniquePalaceName(this.palaces, `${source.name} (copy)`)
+
+    if (palaceId === this.palaces.activePalaceId) {
+      await this.saveState()
+    }
+
+    const copy = palaceUtils.addPalace(this.palaces, copyName)
+    await stateUtils.copyStoredState(
+      palaceUtils.getPalaceNamespace(source.id),
+      palaceUtils.getPalaceNamespace(copy.id)
+    )
+    const isActive = palaceId === this.palaces.activePalaceId
+    const sourceImages = isActive && this.imageStore
+      ? this.imageStore
+      : createImageStore({ namespace: palaceUtils.getPalaceNamespace(source.id) })
+    const sourceAttachments = isActive && this.attachmentStore
+      ? this.attachmentStore
+      : createAttachmentStore({ namespace: palaceUtils.getPalaceNamespace(source.id) })
+    const copyImageStore = createImageStore({ namespace: palaceUtils.getPalaceNamespace(copy.id) })
+    const copyAttachmentStore = createAttachmentStore({ namespace: palaceUtils.getPalaceNamespace(copy.id) })
+    try {
+      await copyImages(sourceImages, copyImageStore)
+      await copyAttachments(sourceAttachments, copyAttachmentStore)
+    } finally {
+      // Only the stores opened for the copy are closed, never the open palace's own
+      const opened = [copyImageStore, copyAttachmentStore]
+      if (sourceImages !== this.imageStore) opened.push(sourceImages)
+      if (sourceAttachments !== this.attachmentStore) opened.push(sourceAttachments)
+      await Promise.all(opened.map(store => store.close()))
+    }
+
+    this.emitPalacesUpdated()
+    return copy
+  }
+
+  /**
+   * Delete a palace and its stored state
+   * Deleting the open palace switches to another one first
+   */
+  async deletePalace(palaceId) {
+    palaceUtils.getPalace(this.palaces, palaceId)
+    if (this.palaces.palaces.length === 1) {
+      throw new Error('Cannot delete the only palace')
+    }
+
+    if (palaceId === this.palaces.activePalaceId) {
+      const next = this.palaces.palaces.find(palace => palace.id !== palaceId)
+      await this.switchPalace(next.id)
+    }
+
+    // Unlist the palace first, so a store that fails to go leaves storage behind, never a
+    // listed palace with half its data
+    const palace = palaceUtils.removePalace(this.palaces, palaceId)
+    this.emitPalacesUpdated()
+
+    const namespace = palaceUtils.getPalaceNamespace(palaceId)
+    const results = await Promise.allSettled([
+      stateUtils.deleteStoredState(namespace),
+      createImageStore({ namespace }).destroy(),
+      createBackupStore({ namespace }).destroy(),
+      createAttachmentStore({ namespace }).destroy()
+    ])
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.warn(`[MemoryPalaceCore] Storage of deleted palace "${palace.name}" was left behind:`, result.reason))
+    return palace
+  }
+
+  /**
+   * Close the open palace and load another
+   * Walks, reviews, quizzes, blind recall and undo history belong to a palace, so they end here
+   */
+  async switchPalace(palaceId) {
+    const palace = palaceUtils.getPalace(this.palaces, palaceId)
+    if (palaceId === this.palaces.activePalaceId) {
+      return palace
+    }
+
+    const previousRoomId = this.state.user?.currentRoomId || null
+    this.endActivities()
+    await stateUtils.flushState()
+
+    this.persistenceType = await stateUtils.configurePersistence(
+      this.config.persistence,
+      palaceUtils.getPalaceNamespace(palace.id)
+    )
+    this.state = stateUtils.ensureDefaultState(await stateUtils.loadState())
+    palaceUtils.setActivePalace(this.palaces, palace.id)
+    this.clearHistory()
+    await this.openPalaceStores()
+
+    this.emit(EventTypes.PALACE_SWITCHED, { palace })
+    this.emitPalacesUpdated()
+    this.emit(EventTypes.ROOM_CHANGED, {
+      previousRoomId,
+      currentRoomId: this.state.user.currentRoomId,
+      currentRoom: this.getCurrentRoom()
+    })
+    this.reportStateIssues('load')
+
+    return palace
+  }
+
+  /**
+   * End any walk, journey, review, quiz or recall, before the palace they run in is replaced
+   * @private
+   */
+  endActivities() {
+    this.endWalk()
+    this.endJourney()
+    this.endReviewSession()
+    this.endQuiz()
+    this.endRecall()
+  }
+
+  /**
+   * @private
+   */
+  emitPalacesUpdated() {
+    this.emit(EventTypes.PALACES_UPDATED, this.listPalaces())
+  }
+
+  // === SEARCH ===
+
+  /**
+   * Search room names and descriptions, object names and information, and door descriptions
+   * @param {string} query - Free text; tolerates typos and partial words
+   * @param {Object} [options] - { limit, kinds }
+   * @returns {Array} Ranked results with snippets
+   */
+  searchPalace(query, options = {}) {
+    if (!this.searchIndex || this.searchIndexState !== this.state) {
+      this.searchIndex = searchUtils.buildSearchIndex(this.state)
+      this.searchIndexState = this.state
+    }
+    return searchUtils.searchIndex(this.searchIndex, query, options)
+  }
+
+  /**
+   * Go to the room holding a search result and ask the view to face it
+   * Results in the inventory have no room, so the user stays put
+   */
+  async focusSearchResult(result) {
+    if (result.roomId) {
+      if (!this.state.rooms.has(result.roomId)) {
+        throw new Error(`Room ${result.roomId} not found`)
+      }
+      if (result.roomId !== this.state.user.currentRoomId) {
+        await this.navigateToRoom(result.roomId)
+      }
+    }
+
+    this.emit(EventTypes.SEARCH_RESULT_FOCUSED, { result })
+    return result
+  }
+
+  /**
+   * @private
+   */
+  invalidateSearchIndex() {
+    this.searchIndex = null
+  }
+
+  // === STATE VALIDATION ===
+
+  /**
+   * Check the palace for orphaned objects, doors leading nowhere and missing positions
+   */
+  validatePalace() {
+    return validationUtils.validateState(this.state)
+  }
+
+  /**
+   * Repair validation issues as one undoable action
+   * @param {Object} [report] - Report to repair; the palace is re-validated if omitted
+   */
+  async repairPalace(report = null) {
+    const result = await this.transaction('Repair palace', () =>
+      validationUtils.repairState(this.state, report || this.validatePalace())
+    )
+
+    if (result.repaired > 0) {
+      this.emit(EventTypes.STATE_REPAIRED, result)
+      this.emit(EventTypes.ROOM_CHANGED, {
+        previousRoomId: this.state.user.currentRoomId,
+        currentRoomId: this.state.user.currentRoomId,
+        currentRoom: this.getCurrentRoom()
+      })
+    }
+
+    return result
+  }
+
+  /**
+   * Validate the palace and announce any issues so the UI can offer a repair
+   * @private
+   */
+  reportStateIssues(source) {
+    const report = this.validatePalace()
+    if (!report.valid) {
+      console.warn(`[MemoryPalaceCore] Found ${report.issues.length} state issue(s) after ${source}`)
+      this.emit(EventTypes.STATE_ISSUES_FOUND, { ...report, source })
+    }
+    return report
+  }
+
+  // === SPACED REPETITION REVIEW ===
+
+  /**
+   * Get objects due for review, optionally limited to one room
+   */
+  getDueReviews(roomId = null) {
+    return reviewUtils.getDueReviewItems(this.state, new Date(), roomId)
+  }
+
+  /**
+   * Get review progress statistics for the whole palace
+   */
+  getReviewStats() {
+    return reviewUtils.getReviewStats(this.state)
+  }
+
+  /**
+   * Record a recall grade for an object and reschedule it
+   */
+  async gradeReview(objectId, grade) {
+    const record = await reviewUtils.gradeObject(this.state, objectId, grade)
+    this.emit(EventTypes.REVIEW_ITEM_GRADED, { objectId, grade, record })
+    return record
+  }
+
+  /**
+   * Start a review session walking through due objects room by room
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - Only review objects in this room
+   * @returns {Object|null} First review item, or null if nothing is due
+   */
+  async startReviewSession(options = {}) {
+    const queue = this.getDueReviews(options.roomId || null)
+    if (queue.length === 0) {
+      this.reviewSession = null
+      return null
+    }
+
+    this.reviewSession = {
+      queue,
+      index: 0,
+      results: [],
+      startedAt: new Date().toISOString()
+    }
+
+    await this.navigateToReviewItem(queue[0])
+    this.emit(EventTypes.REVIEW_SESSION_STARTED, this.getReviewProgress())
+
+    return this.getCurrentReviewItem()
+  }
+
+  /**
+   * Get the item currently being reviewed
+   */
+  getCurrentReviewItem() {
+    if (!this.reviewSession) return null
+    return this.reviewSession.queue[this.reviewSession.index] || null
+  }
+
+  /**
+   * Get progress through the active review session
+   */
+  getReviewProgress() {
+    if (!this.reviewSession) return null
+    const { queue, index, results } = this.reviewSession
+    return {
+      total: queue.length,
+      completed: results.length,
+      remaining: queue.length - index,
+      current: queue[index] || null
+    }
+  }
+
+  /**
+   * Grade the current review item and advance to the next one
+   * @returns {Object|null} Next review item, or null when the session is complete
+   */
+  async submitReviewGrade(grade) {
+    const item = this.getCurrentReviewItem()
+    if (!item) {
+      throw new Error('No active review session')
+    }
+
+    const record = await reviewUtils.gradeObject(this.state, item.objectId, grade)
+    this.reviewSession.results.push({ objectId: item.objectId, grade })
+    this.reviewSession.index++
+
+    const next = this.getCurrentReviewItem()
+    this.emit(EventTypes.REVIEW_ITEM_GRADED, { objectId: item.objectId, grade, record, progress: this.getReviewProgress() })
+
+    if (!next) {
+      this.endReviewSession()
+      return null
+    }
+
+    if (next.roomId !== item.roomId) {
+      await this.navigateToReviewItem(next)
+    }
+    return next
+  }
+
+  /**
+   * End the active review session
+   */
+  endReviewSession() {
+    if (!this.reviewSession) return null
+
+    const summary = {
+      total: this.reviewSession.queue.length,
+      results: this.reviewSession.results,
+      startedAt: this.reviewSession.startedAt,
+      completedAt: new Date().toISOString()
+    }
+    this.reviewSession = null
+
+    this.emit(EventTypes.REVIEW_SESSION_COMPLETED, summary)
+    return summary
+  }
+
+  /**
+   * Move the user into the room holding a review item
+   * @private
+   */
+  async navigateToReviewItem(item) {
+    if (item && this.state.user.currentRoomId !== item.roomId) {
+      await this.navigateToRoom(item.roomId)
+    }
+  }
+
+  // === QUIZ ===
+
+  /**
+   * Get the objects a quiz can ask about, in walk order, optionally limited to one room
+   */
+  getQuizItems(roomId = null) {
+    return quizUtils.getQuizItems(this.state, roomId)
+  }
+
+  /**
+   * Get quiz accuracy across the palace or one room
+   */
+  getQuizStats(roomId = null) {
+    return quizUtils.getQuizStats(this.state, roomId)
+  }
+
+  /**
+   * Get an object's quiz record (attempts, correct answers, recent history)
+   */
+  getQuizRecord(objectId) {
+    return quizUtils.getQuizRecord(this.state, objectId)
+  }
+
+  /**
+   * Start a quiz, asking each question in the room of its object
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - Only ask about objects in this room
+   * @param {Array} [options.questions] - Questions written elsewhere (by the assistant);
+   *   cloze deletions are generated offline when there are none
+   * @param {number} [options.count] - Most questions to generate offline
+   * @returns {Object|null} First question, or null if there is nothing to ask about
+   */
+  async startQuiz(options = {}) {
+    this.endQuiz()
+
+    const questions = options.questions?.length
+      ? options.questions.filter(question => this.state.objects.get(question.objectId)?.roomId)
+      : quizUtils.generateClozeQuestions(this.getQuizItems(options.roomId || null), { count: options.count })
+    if (questions.length === 0) {
+      return null
+    }
+
+    this.quiz = {
+      questions,
+      index: 0,
+      results: [],
+      startedAt: new Date().toISOString()
+    }
+
+    await this.navigateToQuizQuestion(questions[0])
+    this.emit(EventTypes.QUIZ_STARTED, this.getQuizProgress())
+
+    return this.getCurrentQuizQuestion()
+  }
+
+  /**
+   * Get the question currently being asked
+   */
+  getCurrentQuizQuestion() {
+    if (!this.quiz) return null
+    return this.quiz.questions[this.quiz.index] || null
+  }
+
+  /**
+   * Get progress through the active quiz
+   */
+  getQuizProgress() {
+    if (!this.quiz) return null
+    const { questions, index, results } = this.quiz
+    return {
+      total: questions.length,
+      completed: results.length,
+      correct: results.filter(result => result.correct).length,
+      remaining: questions.length - index,
+      current: questions[index] || null
+    }
+  }
+
+  /**
+   * Grade an answer to the current question, record it against the object and move on
+   * @returns {Object} The grade, the object's updated record, the next question (null when
+   *   done) and progress including this answer
+   */
+  async answerQuizQuestion(answer) {
+    const question = this.getCurrentQuizQuestion()
+    if (!question) {
+      throw new Error('No active quiz')
+    }
+
+    const grade = quizUtils.gradeAnswer(question.answer, String(answer || ''))
+    const record = await quizUtils.recordQuizAnswer(this.state, question.objectId, grade)
+    this.quiz.results.push({ questionId: question.id, objectId: question.objectId, ...grade })
+
+    return { grade, record, ...(await this.advanceQuiz(question, { grade, record })) }
+  }
+
+  /**
+   * Move past the current question without answering it; nothing is recorded
+   * @returns {Object} The next question (null when the quiz is over) and progress
+   */
+  async skipQuizQuestion() {
+    const question = this.getCurrentQuizQuestion()
+    if (!question) {
+      throw new Error('No active quiz')
+    }
+    return this.advanceQuiz(question, { skipped: true })
+  }
+
+  /**
+   * Step to the next question, ending the quiz after the last
+   * @private
+   */
+  async advanceQuiz(question, outcome) {
+    this.quiz.index++
+    const next = this.getCurrentQuizQuestion()
+
+    if (next && next.roomId !== question.roomId) {
+      await this.navigateToQuizQuestion(next)
+    }
+    const progress = this.getQuizProgress()
+    this.emit(EventTypes.QUIZ_ANSWERED, { question, ...outcome, progress })
+
+    if (!next) {
+      this.endQuiz()
+    }
+    return { next, progress }
+  }
+
+  /**
+   * End the active quiz
+   */
+  endQuiz() {
+    if (!this.quiz) return null
+
+    const { questions, results, startedAt } = this.quiz
+    const summary = {
+      total: questions.length,
+      answered: results.length,
+      correct: results.filter(result => result.correct).length,
+      results,
+      startedAt,
+      completedAt: new Date().toISOString()
+    }
+    this.quiz = null
+
+    this.emit(EventTypes.QUIZ_ENDED, summary)
+    return summary
+  }
+
+  /**
+   * Move the user into the room holding a question's object
+   * @private
+   */
+  async navigateToQuizQuestion(question) {
+    const roomId = this.state.objects.get(question.objectId)?.roomId || question.roomId
+    if (roomId && this.state.user.currentRoomId !== roomId) {
+      await this.navigateToRoom(roomId)
+    }
+  }
+
+  // === BLIND RECALL ===
+
+  /**
+   * Start blind recall in a room: every memory object's label is hidden until the user
+   * points at its spot and says what belongs there
+   * @param {string} [roomId] - Room to recall, the current room by default
+   * @returns {Object|null} Recall state, or null if the room has no objects
+   */
+  async startRecall(roomId = null) {
+    const targetRoomId = roomId || this.state.user.currentRoomId
+    if (!targetRoomId || !this.state.rooms.has(targetRoomId)) {
+      throw new Error('Room not found')
+    }
+
+    this.endRecall()
+    const loci = recallUtils.getRecallLoci(this.state, targetRoomId)
+    if (loci.length === 0) {
+      return null
+    }
+
+    if (this.state.user.currentRoomId !== targetRoomId) {
+      await this.navigateToRoom(targetRoomId)
+    }
+    this.recall = {
+      roomId: targetRoomId,
+      objectIds: loci.map(obj => obj.id),
+      revealedObjectIds: [],
+      results: [],
+      pointer: null,
+      startedAt: new Date().toISOString()
+    }
+
+    const recallState = this.getRecallState()
+    this.emit(EventTypes.RECALL_STARTED, recallState)
+    return recallState
+  }
+
+  /**
+   * Get the active blind recall: its room, what has been revealed and the spot pointed at
+   */
+  getRecallState() {
+    if (!this.recall) return null
+
+    const { roomId, objectIds, revealedObjectIds, results, pointer } = this.recall
+    const remaining = objectIds.filter(id => this.state.objects.has(id) && !revealedObjectIds.includes(id))
+    return {
+      roomId,
+      total: objectIds.length,
+      revealedObjectIds: [...revealedObjectIds],
+      remaining: remaining.length,
+      attempts: results.length,
+      spatialHits: results.filter(result => result.spatial.correct).length,
+      contentHits: results.filter(result => result.content.correct).length,
+      pointer
+    }
+  }
+
+  /**
+   * Mark the spot the user is pointing at for the next answer
+   */
+  pointRecall(position) {
+    if (!this.recall) {
+      throw new Error('Blind recall is not active')
+    }
+    this.recall.pointer = { x: position.x, y: position.y, z: position.z }
+    return this.getRecallState()
+  }
+
+  /**
+   * Score what the user says belongs at the spot pointed at (or, failing that, where they
+   * are looking), reveal that object and end recall once every object is revealed
+   * @param {string} answer - What the user recalled
+   * @param {Object} [gazePosition] - Where the user is looking, used when nothing was pointed at
+   * @returns {Object} The scored result and the recall state after it
+   */
+  async answerRecall(answer, gazePosition = null) {
+    if (!this.recall) {
+      throw new Error('Blind recall is not active')
+    }
+    const pointedAt = this.recall.pointer || gazePosition
+    if (!pointedAt) {
+      throw new Error('Point at a spot in the room first')
+    }
+
+    const { roomId, objectIds, revealedObjectIds } = this.recall
+    const hidden = objectIds.filter(id => !revealedObjectIds.includes(id))
+    const result = recallUtils.scoreRecall(this.state, roomId, pointedAt, String(answer || ''), hidden)
+    if (!result) {
+      throw new Error('Nothing left to recall')
+    }
+
+    this.recall.revealedObjectIds.push(result.objectId)
+    this.recall.results.push(result)
+    this.recall.pointer = null
+
+    const recallState = this.getRecallState()
+    this.emit(EventTypes.RECALL_ATTEMPTED, { result, recall: recallState })
+
+    if (recallState.remaining === 0) {
+      this.endRecall()
+    }
+    return { result, recall: recallState }
+  }
+
+  /**
+   * End blind recall, showing every label again
+   */
+  endRecall() {
+    if (!this.recall) return null
+
+    const { roomId, objectIds, results, startedAt } = this.recall
+    const summary = {
+      roomId,
+      total: objectIds.length,
+      attempts: results.length,
+      spatialHits: results.filter(result => result.spatial.correct).length,
+      contentHits: results.filter(result => result.content.correct).length,
+      results,
+      startedAt,
+      completedAt: new Date().toISOString()
+    }
+    this.recall = null
+
+    this.emit(EventTypes.RECALL_ENDED, summary)
+    return summary
+  }
+
+  // === MEMORY WALK ===
+
+  /**
+   * Get the walk route: rooms in order, each with its loci in order
+   */
+  getWalkRoute() {
+    return routeUtils.getRouteRooms(this.state).map(room => ({
+      room,
+      objects: routeUtils.getRouteObjects(this.state, room.id)
+    }))
+  }
+
+  /**
+   * Set the order rooms are visited on a walk
+   */
+  async setWalkRoomOrder(roomIds) {
+    const rooms = await routeUtils.setRoomOrder(this.state, roomIds)
+    this.emit(EventTypes.WALK_ROUTE_UPDATED, { roomOrder: rooms.map(room => room.id) })
+    return rooms
+  }
+
+  /**
+   * Set the order objects are visited within a room
+   */
+  async setWalkObjectOrder(roomId, objectIds) {
+    const objects = await routeUtils.setObjectOrder(this.state, roomId, objectIds)
+    this.emit(EventTypes.WALK_ROUTE_UPDATED, { roomId, objectOrder: objects.map(obj => obj.id) })
+    return objects
+  }
+
+  /**
+   * Start a guided walk along the route
+   * @param {Object} [options]
+   * @param {string} [options.roomId] - Begin at the first locus of this room
+   * @returns {Object|null} First stop, or null if the route has no loci
+   */
+  async startWalk(options = {}) {
+    const stops = routeUtils.getWalkStops(this.state)
+    if (stops.length === 0) {
+      this.walk = null
+      return null
+    }
+
+    const startIndex = options.roomId ? stops.findIndex(stop => stop.roomId === options.roomId) : 0
+    this.walk = {
+      stops,
+      index: Math.max(0, startIndex),
+      isPlaying: true
+    }
+
+    this.emit(EventTypes.WALK_STARTED, this.getWalkState())
+    await this.goToWalkStop()
+
+    return this.getCurrentWalkStop()
+  }
+
+  /**
+   * Get the stop the walk is currently at
+   */
+  getCurrentWalkStop() {
+    if (!this.walk) return null
+    return this.walk.stops[this.walk.index] || null
+  }
+
+  /**
+   * Get playback state of the active walk
+   */
+  getWalkState() {
+    if (!this.walk) return null
+    return {
+      isActive: true,
+      isPlaying: this.walk.isPlaying,
+      index: this.walk.index,
+      total: this.walk.stops.length,
+      current: this.getCurrentWalkStop()
+    }
+  }
+
+  /**
+   * Advance to the next locus, ending the walk after the last one
+   */
+  async nextLocus() {
+    if (!this.walk) return null
+
+    if (this.walk.index >= this.walk.stops.length - 1) {
+      this.endWalk()
+      return null
+    }
+
+    this.walk.index++
+    await this.goToWalkStop()
+    return this.getCurrentWalkStop()
+  }
+
+  /**
+   * Step back to the previous locus
+   */
+  async previousLocus() {
+    if (!this.walk) return null
+
+    this.walk.index = Math.max(0, this.walk.index - 1)
+    await this.goToWalkStop()
+    return this.getCurrentWalkStop()
+  }
+
+  /**
+   * Pause automatic advancing
+   */
+  pauseWalk() {
+    if (!this.walk || !this.walk.isPlaying) return
+    this.walk.isPlaying = false
+    this.emit(EventTypes.WALK_PAUSED, this.getWalkState())
+  }
+
+  /**
+   * Resume automatic advancing
+   */
+  resumeWalk() {
+    if (!this.walk || this.walk.isPlaying) return
+    this.walk.isPlaying = true
+    this.emit(EventTypes.WALK_RESUMED, this.getWalkState())
+  }
+
+  /**
+   * End the active walk
+   */
+  endWalk() {
+    if (!this.walk) return
+    const { index, stops } = this.walk
+    this.walk = null
+    this.emit(EventTypes.WALK_ENDED, { index, total: stops.length })
+  }
+
+  /**
+   * Apply a walk control (from buttons, voice or tools)
+   * @param {string} action - start, next, previous, pause, resume or stop
+   * @returns {Object|null} Walk state after the action
+   */
+  async controlWalk(action) {
+    switch (action) {
+      case 'start':
+        await this.startWalk()
+        break
+      case 'next':
+        await this.nextLocus()
+        break
+      case 'previous':
+        await this.previousLocus()
+        break
+      case 'pause':
+        this.pauseWalk()
+        break
+      case 'resume':
+        this.resumeWalk()
+        break
+      case 'stop':
+        this.endWalk()
+        break
+      default:
+        throw new Error(`Unknown walk action: ${action}`)
+    }
+    return this.getWalkState()
+  }
+
+  /**
+   * Move to the room of the current stop and announce it
+   * @private
+   */
+  async goToWalkStop() {
+    const stop = this.getCurrentWalkStop()
+    if (!stop) return
+
+    if (this.state.user.currentRoomId !== stop.roomId) {
+      await this.navigateToRoom(stop.roomId)
+    }
+
+    // Pick up edits made since the walk started
+    const object = this.state.objects.get(stop.objectId)
+    if (object) {
+      stop.name = object.name
+      stop.information = object.information || ''
+      stop.position = object.position
+    }
+
+    this.emit(EventTypes.WALK_STEP, { stop, ...this.getWalkState() })
+  }
+
+  // === JOURNEYS ===
+
+  /**
+   * Find the path through the fewest doors between two rooms
+   * @param {string} toRoomId - Destination room
+   * @param {string} [fromRoomId] - Starting room, defaults to the current room
+   * @returns {Object|null} Path, or null if no doors lead there
+   */
+  findPath(toRoomId, fromRoomId = this.state.user.currentRoomId) {
+    return pathUtils.findPath(this.state, fromRoomId, toRoomId)
+  }
+
+  /**
+   * Describe a path by its room names
+   */
+  describePath(path) {
+    return pathUtils.describePath(this.state, path)
+  }
+
+  /**
+   * Start walking from the current room to another, one door at a time
+   * Each JOURNEY_STEP faces the next door; nextJourneyStep passes through it
+   * @returns {Object} Path being walked (no steps if already there)
+   * @throws If there is no current room or no doors lead to the destination
+   */
+  async startJourney(toRoomId) {
+    const fromRoom = this.getCurrentRoom()
+    if (!fromRoom) {
+      throw new Error('No current room to start from')
+    }
+
+    const path = this.findPath(toRoomId, fromRoom.id)
+    if (!path) {
+      throw new Error(`No doors lead from "${fromRoom.name}" to "${this.state.rooms.get(toRoomId).name}"`)
+    }
+
+    this.endJourney()
+    if (path.steps.length === 0) return path
+
+    this.journey = { path, index: 0 }
+    this.emit(EventTypes.JOURNEY_STARTED, this.getJourneyState())
+    this.emitJourneyStep()
+    return path
+  }
+
+  /**
+   * Get progress of the active journey
+   */
+  getJourneyState() {
+    if (!this.journey) return null
+    const { path, index } = this.journey
+    return {
+      path,
+      index,
+      total: path.steps.length,
+      current: path.steps[index] || null
+    }
+  }
+
+  /**
+   * Pass through the current door, ending the journey on arrival
+   * @returns {Object|null} Next step, or null once arrived
+   */
+  async nextJourneyStep() {
+    if (!this.journey) return null
+
+    const step = this.journey.path.steps[this.journey.index]
+    const journey = this.journey
+    await this.navigateToRoom(step.toRoomId)
+
+    // The journey may have been ended or replaced while navigating
+    if (this.journey !== journey) return null
+
+    journey.index++
+    if (journey.index >= journey.path.steps.length) {
+      this.endJourney(true)
+      return null
+    }
+
+    this.emitJourneyStep()
+    return journey.path.steps[journey.index]
+  }
+
+  /**
+   * End the active journey, whether or not it reached its destination
+   */
+  endJourney(arrived = false) {
+    if (!this.journey) return
+    const { path, index } = this.journey
+    this.journey = null
+    this.emit(EventTypes.JOURNEY_ENDED, {
+      arrived,
+      path,
+      index,
+      room: this.state.rooms.get(arrived ? path.toRoomId : this.state.user.currentRoomId) || null
+    })
+  }
+
+  /**
+   * Announce the door the journey passes through next
+   * @private
+   */
+  emitJourneyStep() {
+    const state = this.getJourneyState()
+    this.emit(EventTypes.JOURNEY_STEP, {
+      ...state,
+      narration: pathUtils.describeStep(this.state, state.current)
+    })
+  }
+
+  /**
+   * Add message to conversation history
+   */
+  addToHistory(role, content) {
+    stateUtils.addToHistory(this.state, role, content)
+  }
+
+  // === PUBLIC API ===
+
+  /**
+   * Get current application state
+   */
+  getCurrentState() {
+    const currentRoom = this.getCurrentRoom()
+    const objects = this.getCurrentRoomObjects()
+    
+    return {
+      isInitialized: this.isInitialized,
+      isRunning: this.isRunning,
+      isGeneratingImage: this.isGeneratingImage, // Add loading state
+      currentRoom,
+      currentRoomImageUrl: currentRoom ? this.getRoomImageUrl(currentRoom.id) : null,
+      objects, // Include both objects AND doors
+      userState: this.state.user,
+      activePalace: this.getActivePalace(),
+      palaces: this.listPalaces(),
+      wings: this.getAllWings(),
+      associations: this.getRoomAssociations(),
+      templates: this.getRoomTemplates(),
+      inventory: this.getInventory(),
+      stats: {
+        totalRooms: this.state.rooms.size,
+        totalObjects: this.state.objects.size,
+        totalConnections: this.state.connections.size, // Add this for completeness
+        metrics: this.metrics
+      }
+    }
+  }
+
+  /**
+   * Get application settings
+   */
+  getSettings() {
+    return this.state.user.settings || {}
+  }
+
+  /**
+   * Save state using utility
+   */
+  async saveState() {
+    this.invalidateSearchIndex()
+    await stateUtils.saveState(this.state)
+  }
+
+  /**
+   * Update application settings
+   */
+  async updateSettings(updates) {
+    this.state.user.settings = { ...this.state.user.settings, ...updates }
+    await this.saveState()
+    
+    this.emit('settings_updated', this.state.user.settings)
+    return this.state.user.settings
+  }
+
+  /**
+   * Export palace data
+   * Objects list their attachments, but the files themselves only travel in exportPalaceBundle
+   */
+  exportPalace() {
+    return stateUtils.exportState(this.state)
+  }
+
+  /**
+   * Import palace data, backing up the current palace first
+   * @param {Object} data - exportState output
+   * @param {Object} [options] - skipBackup when the caller has already taken one
+   */
+  async importPalace(data, options = {}) {
+    if (!options.skipBackup) {
+      await this.backupBeforeChange('import')
+    }
+
+    try {
+      const state = stateUtils.importState(data)
+      this.endActivities()
+      this.state = state
+      await this.saveState()
+      this.clearHistory()
+      this.emit('palace_imported', data.metadata)
+      this.reportStateIssues('import')
+      return true
+    } catch (error) {
+      console.error('Failed to import palace:', error)
+      this.emit(EventTypes.ERROR_OCCURRED, { 
+        type: 'import_error', 
+        error: error.message 
+      })
+      return false
+    }
+  }
+
+  /**
+   * Export the palace as a self-contained ZIP holding its state and skybox images
+   * @param {Object} [options] - fetcher used to download images
+   * @returns {Promise<{bytes: Uint8Array, manifest: Object}>}
+   */
+  async exportPalaceBundle(options = {}) {
+    return bundleUtils.createPalaceBundle(this.state, {
+      palaceName: this.getActivePalace()?.name || null,
+      loadStoredImage: async (imageId) => {
+        const record = await this.imageStore?.get(imageId)
+        return record
+          ? { bytes: new Uint8Array(await record.blob.arrayBuffer()), contentType: record.contentType }
+          : null
+      },
+      loadAttachment: async (attachmentId) => {
+        const record = await this.attachmentStore?.get(attachmentId)
+        return record
+          ? { bytes: new Uint8Array(await record.blob.arrayBuffer()), contentType: record.contentType }
+          : null
+      },
+      ...options
+    })
+  }
+
+  /**
+   * Import a palace bundle, keeping local copies of its skybox images
+   * @param {Uint8Array} bytes - ZIP file contents
+   * @returns {Promise<Object>} Bundle manifest
+   */
+  async importPalaceBundle(bytes) {
+    const { manifest, exportData } = await bundleUtils.readPalaceBundle(bytes, {
+      storeImage: async (image, imageBytes) => {
+        if (!this.imageStore) return null
+        const record = await imageGeneration.storeRoomImage(this.imageStore, {
+          roomId: image.roomIds[0] || null,
+          sourceUrl: image.url,
+          blob: new Blob([imageBytes], { type: image.contentType })
+        })
+        return record.id
+      },
+      storeAttachment: async (attachment, fileBytes) => {
+        if (!this.attachmentStore) return
+        this.releaseAttachmentUrl(attachment.attachmentId)
+        await this.attachmentStore.put({
+          id: attachment.attachmentId,
+          objectId: attachment.objectIds[0] || null,
+          name: attachment.name,
+          contentType: attachment.contentType,
+          size: attachment.size,
+          blob: new Blob([fileBytes], { type: attachment.contentType }),
+          createdAt: new Date().toISOString()
+        })
+      }
+    })
+    if (!(await this.importPalace(exportData))) {
+      throw new Error('Failed to import palace data')
+    }
+    await this.loadRoomImageUrls()
+
+    this.emit(EventTypes.ROOM_CHANGED, {
+      previousRoomId: null,
+      currentRoomId: this.state.user.currentRoomId,
+      currentRoom: this.getCurrentRoom()
+    })
+    return manifest
+  }
+
+  // === BACKUPS ===
+
+  /**
+   * Snapshot the palace and prune old backups
+   * @param {string} [reason] - Why it is taken: auto, manual, clear, import, delete_room or restore
+   * @param {string} [label] - Description for the backup list
+   */
+  async createBackup(reason = 'manual', label = null) {
+    if (!this.backupStore) {
+      throw new Error('Backups are not available until the palace is loaded')
+    }
+
+    const backup = backupUtils.createBackup(this.state, reason, label)
+    await this.backupStore.put(backup)
+    await this.pruneBackups()
+    this.emit(EventTypes.BACKUPS_UPDATED, await this.listBackups())
+    return backupUtils.summarizeBackup(backup)
+  }
+
+  /**
+   * List the open palace's backups, newest first, without their snapshots
+   */
+  async listBackups() {
+    if (!this.backupStore) return []
+    const backups = await this.backupStore.getAll()
+    return backupUtils.sortBackups(backups.map(backupUtils.summarizeBackup))
+  }
+
+  /**
+   * Preview what restoring a backup would bring back, remove or revert
+   */
+  async diffBackup(backupId) {
+    return backupUtils.diffBackup(this.state, await this.getBackup(backupId))
+  }
+
+  /**
+   * Replace the palace with a backup, backing up the current palace first
+   */
+  async restoreBackup(backupId) {
+    const backup = await this.getBackup(backupId)
+    const previousRoomId = this.state.user?.currentRoomId || null
+    this.endWalk()
+    this.endJourney()
+    this.endReviewSession()
+    this.endQuiz()
+    this.endRecall()
+
+    // Always kept, whatever the automatic backup setting, so a restore can itself be undone
+    await this.createBackup('restore')
+    if (!(await this.importPalace(backup.snapshot, { skipBackup: true }))) {
+      throw new Error('Failed to restore backup')
+    }
+    await this.loadRoomImageUrls()
+
+    this.emit(EventTypes.ROOM_CHANGED, {
+      previousRoomId,
+      currentRoomId: this.state.user.currentRoomId,
+      currentRoom: this.getCurrentRoom()
+    })
+    return backupUtils.summarizeBackup(backup)
+  }
+
+  /**
+   * Delete a backup
+   */
+  async deleteBackup(backupId) {
+    await this.getBackup(backupId)
+    await this.backupStore.delete([backupId])
+    this.emit(EventTypes.BACKUPS_UPDATED, await this.listBackups())
+  }
+
+  /**
+   * Delete backups older than maxBackupAge days, keeping at most MAX_BACKUPS
+   * @returns {Promise<string[]>} IDs of the deleted backups
+   */
+  async pruneBackups() {
+    const expired = backupUtils.getExpiredBackupIds(await this.listBackups(), {
+      maxAgeDays: this.config.maxBackupAge
+    })
+    if (expired.length > 0) {
+      await this.backupStore.delete(expired)
+    }
+    return expired
+  }
+
+  /**
+   * Change automatic backup settings, restarting periodic backups if running
+   * @param {Object} settings - { autoBackup, maxBackupAge }
+   */
+  async configureBackups({ autoBackup = this.config.autoBackup, maxBackupAge = this.config.maxBackupAge } = {}) {
+    this.config.autoBackup = autoBackup
+    this.config.maxBackupAge = maxBackupAge
+
+    if (this.isRunning) {
+      this.startAutoBackup()
+    }
+    if (this.backupStore) {
+      await this.pruneBackups()
+    }
+  }
+
+  /**
+   * Start periodic backups, taking one now if due
+   */
+  startAutoBackup() {
+    this.stopAutoBackup()
+    if (!this.config.autoBackup) return
+
+    this.runAutoBackup()
+    this.autoBackupTimer = setInterval(() => this.runAutoBackup(), backupUtils.AUTO_BACKUP_INTERVAL_MS)
+  }
+
+  /**
+   * Stop periodic backups
+   */
+  stopAutoBackup() {
+    if (this.autoBackupTimer) {
+      clearInterval(this.autoBackupTimer)
+      this.autoBackupTimer = null
+    }
+  }
+
+  /**
+   * Take a periodic backup if the palace changed since the last one and it is old enough
+   * @private
+   */
+  async runAutoBackup() {
+    if (!this.config.autoBackup || !this.backupStore) return null
+
+    try {
+      if (!backupUtils.isBackupDue(this.state, await this.listBackups())) {
+        return null
+      }
+      return await this.createBackup('auto')
+    } catch (error) {
+      console.warn('[MemoryPalaceCore] Automatic backup failed:', error)
+      return null
+    }
+  }
+
+  /**
+   * Take a safety backup before a destructive change when automatic backups are on
+   * A failed backup is reported but does not block the change
+   * @private
+   */
+  async backupBeforeChange(reason, label = null) {
+    if (!this.config.autoBackup || !this.backupStore) return null
+
+    try {
+      return await this.createBackup(reason, label)
+    } catch (error) {
+      console.warn('[MemoryPalaceCore] Backup before change failed:', error)
+      this.emit(EventTypes.ERROR_OCCURRED, { type: 'backup_error', error: error.message })
+      return null
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getBackup(backupId) {
+    const backup = await this.backupStore?.get(backupId)
+    if (!backup) {
+      throw new Error(`Backup ${backupId} not found`)
+    }
+    return backup
+  }
+
+  /**
+   * Clear all palace data
+   */
+  async clearPalace() {
+    await this.backupBeforeChange('clear')
+
+    try {
+      this.endActivities()
+      await stateUtils.clearState()
       
       // Reset state to defaults
-      this.state = stateUtils.ensureDefaultState({
-        user: null,
-        rooms: new Map(),
-        objects: new Map(),
-        connections: new Map(),
-        conversationHistory: []
-      })
+      this.state = stateUtils.ensureDefaultState(stateUtils.createEmptyState())
+      this.clearHistory()
+      if (this.imageStore) {
+        await this.collectImageGarbage()
+      }
+      if (this.attachmentStore) {
+        await this.collectAttachmentGarbage()
+      }
       
       this.emit('palace_cleared')
       return true
@@ -560,6 +2747,8 @@ export class MemoryPalaceCore extends EventEmitter {
       running: this.isRunning,
       hasRooms: this.state.rooms.size > 0,
       hasCurrentRoom: !!this.state.user.currentRoomId,
+      persistence: this.persistenceType || null,
+      schemaVersion: this.state.schemaVersion || null,
       lastError: this.lastError || null
     }
   }
@@ -10,6 +10,9 @@ import SettingsManager from '../services/SettingsManager.js'
 // Create settings manager instance
 const settingsManager = new SettingsManager()
 import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { describeRoomTree } from '../utils/roomUtils.js'
+import { QUIZ_SYSTEM_PROMPT, buildQuizPrompt, parseQuizQuestions } from '../utils/quizUtils.ts'
+import { MNEMONIC_SYSTEM_PROMPT, buildMnemonicPrompt, parseMnemonicSuggestions } from '../utils/mnemonicUtils.ts'
 
 export const useAnthropicStream = (onAddMessage, memoryPalaceCore = null, voiceInterface = null) => {
   const [status, setStatus] = useState('idle') // 'idle' | 'thinking' | 'streaming' | 'tool_use' | 'waiting_for_user'
@@ -68,8 +71,8 @@ export const useAnthropicStream = (onAddMessage, memoryPalaceCore = null, voiceI
     }
   }, [])
 
-  // Build request body with memory palace context
-  const buildRequestBody = useCallback((messages, context = {}) => {
+  // Build request body with memory palace context; overrides replace any field (e.g. a task-specific system prompt)
+  const buildRequestBody = useCallback((messages, context = {}, overrides = {}) => {
     const systemPrompt = buildSystemPrompt(context)
     
     // Get available memory palace tools
@@ -83,6 +86,7 @@ export const useAnthropicStream = (onAddMessage, memoryPalaceCore = null, voiceI
       system: systemPrompt,
       messages: messages,
       tools: tools.length > 0 ? tools : undefined,
+      ...overrides,
     }
   }, [])
 
@@ -124,6 +128,12 @@ export const useAnthropicStream = (onAddMessage, memoryPalaceCore = null, voiceI
       contextPrompt += `\n`
     }
 
+    // Open palace context
+    const activePalace = memoryPalaceCore?.getActivePalace?.()
+    if (activePalace) {
+      contextPrompt += `CURRENT PALACE: ${activePalace.name}\n`
+    }
+
     // Current room context
     if (currentRoom) {
       contextPrompt += `CURRENT ROOM: ${currentRoom.name}\n`
@@ -140,27 +150,56 @@ export const useAnthropicStream = (onAddMessage, memoryPalaceCore = null, voiceI
       contextPrompt += `CURRENT ROOM: None (user needs to create a room first)\n`
     }
 
-    // Available rooms context
-    if (rooms.length > 0) {
-      contextPrompt += `\nALL ROOMS IN PALACE (${rooms.length} total):\n${rooms.map(room => {
-        const isCurrent = currentRoom && room.id === currentRoom.id
-        return `- ${room.name}${isCurrent ? ' (CURRENT)' : ''}: ${room.description}`
-      }).join('\n')}\n`
+    // Available rooms context, by name only so large palaces keep the prompt short
+    const roomTree = memoryPalaceCore?.getRoomTree?.() || { wings: [], rooms }
+    const roomCount = memoryPalaceCore?.getAllRooms?.().length ?? rooms.length
+    if (roomCount > 0) {
+      const byWing = roomTree.wings.length > 0 ? ', by wing' : ''
+      contextPrompt += `\nALL ROOMS IN PALACE (${roomCount} total${byWing}):\n${describeRoomTree(roomTree, currentRoom?.id)}\n`
+      contextPrompt += `Use list_rooms (with a wingName for one wing) when you need room descriptions.\n`
     } else {
       contextPrompt += `\nALL ROOMS IN PALACE: None yet (suggest creating the first room)\n`
     }
 
     contextPrompt += `
 MEMORY PALACE TOOLS AVAILABLE:
-- create_door: Create a door/connection that leads to a new room (automatically creates room and bidirectional connections). Accepts optional dimensions parameter.
+- create_door: Create a door/connection that leads to a new room (automatically creates room and bidirectional connections). Accepts optional dimensions parameter, and templateName to build the room from a saved template.
+- connect_rooms: Add a door between two rooms that already exist, two-way (with a return door) or one-way
+- duplicate_room: Copy a room with its skybox and objects in the same places, optionally clearing their information (doors are not copied)
+- manage_room_template: Save a room's skybox and loci as a reusable template, list templates, or delete one
+- create_room_from_template: Build a new room from a template with a two-way door to it from the current room
 - edit_room: Modify current room's description  
-- go_to_room: Navigate to another existing room by name
+- go_to_room: Navigate to another existing room by name (teleports unless mode is "walk")
+- find_path: Find the route through the fewest doors to a room; with walk true, walk there door by door with narration
 - add_object: Add a memory object to the current room
 - remove_object: Remove an object from the current room
-- list_rooms: Show all available rooms with current room marked
+- pickup_object / place_object: Pick an object up into the inventory and put it down in the current room, to move it between rooms
+- list_inventory: List the objects the user is carrying
+- tag_object: Add or remove an object's tags and set its marker color
+- list_objects_by_tag: List the objects carrying a tag anywhere in the palace, or every tag in use
+- suggest_mnemonic: Get an object's room, locus and number encodings (major system, PAO) to propose vivid mnemonic images
+- set_mnemonic: Save the mnemonic image the user accepted on an object, next to its information
+- encode_number: Turn a number into major-system words and a Person-Action-Object image from the user's PAO table
+- link_objects: Link two objects (in any rooms) with a relation like "causes", or remove a link
+- get_related: List the objects linked to an object, with relations and rooms
+- list_rooms: Show all available rooms with current room marked; give a wingName to list one wing with descriptions
+- manage_wing: Group rooms into named wings (wings can nest, e.g. floors): create, edit, delete, add_rooms, remove_rooms
 - get_room_info: Get detailed info about current room and its objects
 - add_object_at_position: Add memory object at specific spatial coordinates (for creation mode). Accepts optional dimensions parameter.
 - narrate: Speak text aloud with speech synthesis and closed captions
+- start_review: Start a spaced-repetition review of objects that are due, room by room
+- grade_review: Grade the user's recall of the current review object (again/hard/good/easy) and advance
+- start_quiz: Quiz the user on objects one at a time at their loci, with questions you write or offline cloze questions
+- answer_quiz: Grade the user's answer to the current quiz question (fuzzy), record it, and ask the next one
+- recall_mode: Start or stop blind recall, which hides a room's labels until the user points at each spot and says what was there
+- undo_last_action: Undo the most recent palace change(s), e.g. an accidental deletion or a bad room edit
+- search_palace: Find rooms, objects and doors anywhere in the palace by text (typo tolerant); can go to and face the best match
+- import_study_material: Turn a pasted list (CSV, Markdown list, Anki export) into evenly spaced objects, adding linked rooms when one fills; previews unless commit is true
+- list_palaces / create_palace / switch_palace: Manage the user's separate named palaces (e.g. one per language or subject)
+- rename_palace / duplicate_palace / delete_palace: Rename, copy or permanently delete a palace (confirm with the user before deleting)
+- check_palace_integrity: Report orphaned objects, doors to missing rooms and missing positions; repair them when asked
+- memory_walk: Start, pause, resume, step (next/previous) or stop the guided walk along the route
+- set_walk_route: Reorder the walk route by room names or by objects in the current room
 
 CRITICAL NARRATION INSTRUCTIONS:
 - ALWAYS use the 'narrate' tool for ALL spoken responses to the user
@@ -177,8 +216,23 @@ AESTHETIC STYLE:
 IMPORTANT GUIDELINES:
 - Always use tools to perform actions rather than just describing them
 - If user wants to create a door/room, use create_door tool which automatically creates both room and connections
+- If user wants a door to a room that already exists, use connect_rooms instead of create_door
+- If user wants another room laid out like one they have ("a new chapter room", "same layout as the Kitchen"), use create_door with templateName or create_room_from_template; save the layout first with manage_room_template, or copy a room outright with duplicate_room
 - If user wants to go somewhere, use go_to_room tool
+- If user wants to move an object to another room, use pickup_object, go to the room, then place_object; use list_inventory when they ask what they are carrying
+- If user asks to walk somewhere ("walk me to the Library") or how rooms connect, use find_path (walk true to go there); the walk narrates each door itself
 - If user asks about current state, use get_room_info or list_rooms tools
+- If user wants to organise rooms by subject or floor ("put these rooms in the Biology wing"), use manage_wing; new rooms made through a door join the wing of the room the door is in
+- If user wants to label or group objects by topic ("tag these as French verbs", "make it red"), use tag_object; to gather them again use list_objects_by_tag
+- When user adds something hard to remember (numbers, lists, abstract facts) or asks for help remembering it, use suggest_mnemonic and offer two or three absurd, vivid images tied to the room and locus; save the one they accept with set_mnemonic rather than changing the object's information
+- When user asks how to picture a number (a date, a phone number, a PIN), use encode_number and build the image from its words or PAO entries instead of inventing your own encoding
+- If user says one fact relates to another ("link mitochondria to ATP", "this causes that"), use link_objects with a short relation; use get_related to follow those links
+- If user asks where something is or wants to find something ("where did I put..."), use search_palace, with goTo when they want to see it
+- If user gives a list to memorise (capitals, a speech outline, a deck of cards), use import_study_material: preview first, then commit once they agree, instead of calling add_object for each item
+- If user wants to walk their palace or says things like "next locus", use memory_walk (the walk narrates each object itself)
+- If user wants to practise or review, use start_review, ask for each object's information without revealing it, then grade_review based on their answer
+- If user wants to be quizzed or tested ("quiz me on this room"), use start_quiz, writing one short question per object from its information, and narrate the first question; while the quiz is open the user's replies are graded and the next question asked automatically (answer_quiz does the same for an answer they give you)
+- If user wants to recall a room without labels or test where things are ("hide the labels", "blind recall"), use recall_mode with action start; while it is on, the user's replies are scored against the spot they point or look at automatically, so do not grade them yourself
 - In CREATION MODE: Use spatial tools (add_object_at_position or create_door) with the provided coordinates
 - Be conversational and helpful while taking concrete actions
 - Encourage exploration and memory association techniques
@@ -189,7 +243,7 @@ When in creation mode, analyze the user's description:
 - Objects: furniture, decorations, books, paintings, sculptures, plants, tools, personal items
 - Doors: doorways, passages, stairs, windows leading elsewhere, portals, archways, gates
 
-NOTE: The create_door tool is the ONLY way to create new rooms - rooms can only be created through door connections.
+NOTE: The create_door tool is the ONLY way to create new rooms from a description - other new rooms come from a template or a copy of an existing room.
 
 Use these tools actively to help users build and navigate their memory palace.`
 
@@ -245,24 +299,92 @@ Use these tools actively to help users build and navigate their memory palace.`
         case 'create_door':
           return `Door creation scheduled: "${input.description}" leading to "${input.targetRoomName}". Memory Palace core not connected.`
         
+        case 'connect_rooms':
+          return `Door scheduled to the existing room "${input.targetRoomName}". Memory Palace core not connected.`
+        
+        case 'duplicate_room':
+        case 'manage_room_template':
+        case 'create_room_from_template':
+          return 'Room templates not available - Memory Palace core not connected.'
+        
         case 'edit_room':
           return `Room editing scheduled: ${input.description}. Memory Palace core not connected.`
         
         case 'go_to_room':
           return `Navigation scheduled to room: ${input.roomName}. Memory Palace core not connected.`
         
+        case 'find_path':
+          return `Route planning not available - Memory Palace core not connected.`
+        
         case 'add_object':
           return `Object creation scheduled: "${input.name}" with info: ${input.info}. Memory Palace core not connected.`
         
         case 'remove_object':
           return `Object removal scheduled: ${input.name}. Memory Palace core not connected.`
         
+        case 'pickup_object':
+        case 'place_object':
+        case 'list_inventory':
+          return 'Inventory not available - Memory Palace core not connected.'
+        
+        case 'tag_object':
+        case 'list_objects_by_tag':
+          return 'Tags not available - Memory Palace core not connected.'
+        
+        case 'suggest_mnemonic':
+        case 'set_mnemonic':
+          return 'Mnemonics not available - Memory Palace core not connected.'
+        case 'encode_number':
+          return 'Number encoding not available - Memory Palace core not connected.'
+        
+        case 'link_objects':
+        case 'get_related':
+          return 'Object links not available - Memory Palace core not connected.'
+        
         case 'list_rooms':
           return 'Room listing not available - Memory Palace core not connected.'
         
+        case 'manage_wing':
+          return 'Wing management not available - Memory Palace core not connected.'
+        
         case 'narrate':
           return `Narration: ${input.text}`
         
+        case 'start_review':
+        case 'grade_review':
+          return 'Review not available - Memory Palace core not connected.'
+        
+        case 'start_quiz':
+        case 'answer_quiz':
+          return 'Quiz not available - Memory Palace core not connected.'
+        
+        case 'recall_mode':
+          return 'Blind recall not available - Memory Palace core not connected.'
+        
+        case 'undo_last_action':
+          return 'Undo not available - Memory Palace core not connected.'
+        
+        case 'check_palace_integrity':
+          return 'Integrity check not available - Memory Palace core not connected.'
+        
+        case 'search_palace':
+          return `Search scheduled for "${input.query}". Memory Palace core not connected.`
+        
+        case 'import_study_material':
+          return 'Bulk import not available - Memory Palace core not connected.'
+        
+        case 'list_palaces':
+        case 'create_palace':
+        case 'switch_palace':
+        case 'rename_palace':
+        case 'duplicate_palace':
+        case 'delete_palace':
+          return 'Palace management not available - Memory Palace core not connected.'
+        
+        case 'memory_walk':
+        case 'set_walk_route':
+          return 'Memory walk not available - Memory Palace core not connected.'
+        
         default:
           return `Unknown tool: ${toolName}`
       }
@@ -294,10 +416,10 @@ Use these tools actively to help users build and navigate their memory palace.`
   }, [])
 
   // Stream a single message
-  const streamMessage = useCallback(async (messages, context = {}, voiceInterface = null) => {
+  const streamMessage = useCallback(async (messages, context = {}, overrides = {}) => {
     const anthropic = getAnthropicClient() // Get client on-demand
 
-    const body = buildRequestBody(messages, context)
+    const body = buildRequestBody(messages, context, overrides)
     console.log('[useAnthropicStream] Request body:', body)
 
     const ctrl = new AbortController()
@@ -516,6 +638,46 @@ Use these tools actively to help users build and navigate their memory palace.`
     return allNewMessages
   }, [status, streamMessage, executeToolCall, onAddMessage])
 
+  // Write quiz questions about these objects in a single streamed reply without tools
+  // Throws when no API key is set, so callers can fall back to offline cloze questions
+  const generateQuizQuestions = useCallback(async (items, options = {}) => {
+    try {
+      const { message } = await streamMessage(
+        [{ role: 'user', content: buildQuizPrompt(items, options) }],
+        {},
+        { system: QUIZ_SYSTEM_PROMPT, tools: undefined, temperature: 0.3 }
+      )
+      const text = message.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('')
+      return parseQuizQuestions(text, items)
+    } finally {
+      setLiveBlocks(null)
+      abortRef.current = null
+    }
+  }, [streamMessage])
+
+  // Suggest mnemonic images for an object in a single streamed reply without tools
+  // Throws when no API key is set
+  const generateMnemonicSuggestions = useCallback(async (context) => {
+    try {
+      const { message } = await streamMessage(
+        [{ role: 'user', content: buildMnemonicPrompt(context) }],
+        {},
+        { system: MNEMONIC_SYSTEM_PROMPT, tools: undefined, temperature: 1 }
+      )
+      const text = message.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('')
+      return parseMnemonicSuggestions(text)
+    } finally {
+      setLiveBlocks(null)
+      abortRef.current = null
+    }
+  }, [streamMessage])
+
   // Abort helper
   const abort = useCallback(() => {
     if (abortRef.current) {
@@ -535,6 +697,8 @@ Use these tools actively to help users build and navigate their memory palace.`
     liveBlocks,
     pendingTool,
     send,
+    generateQuizQuestions,
+    generateMnemonicSuggestions,
     abort,
     isConfigured: () => {
       try {
@@ -4,13 +4,18 @@ import App from './App.jsx'
 import './styles/index.css'
 import './styles/components.css'
 import { MemoryPalaceCore } from './core/MemoryPalaceCore.js'
+import SettingsManager from './services/SettingsManager.js'
+
+const settingsManager = new SettingsManager()
 
 const core = new MemoryPalaceCore({
   enableImageGeneration: true, // Enable real image generation via Replicate
-  persistence: 'localStorage', // Force localStorage to avoid IndexedDB issues
+  persistence: settingsManager.get('persistenceType') || 'localStorage',
   enableVoice: true,
   enableSpatialInteraction: true,
-  autopilot: false
+  autopilot: false,
+  autoBackup: settingsManager.get('autoBackup') !== false,
+  maxBackupAge: settingsManager.get('maxBackupAge') || 30
 })
 
 ReactDOM.createRoot(document.getElementById('root')).render(
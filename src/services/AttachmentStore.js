@@ -0,0 +1,50 @@
+/**
+ * Attachment Stores
+ * Files attached to memory objects - pictures, recorded audio clips and documents -
+ * kept on the device next to the palace
+ *
+ * Every store is a keyed store (see KeyedStore.js) of attachment records.
+ *
+ * A record is { id, objectId, name, contentType, size, blob, createdAt }. Objects list
+ * their attachments (without the data) in `attachments`. Each palace has its own
+ * store; the default (null) namespace uses the un-namespaced database.
+ */
+
+import { IndexedDBKeyedStore, MemoryKeyedStore, copyRecords } from './KeyedStore.js'
+
+const DB_NAME = 'palais_de_memoire_attachments'
+const ATTACHMENT_STORE = 'attachments'
+
+/**
+ * IndexedDB backend - blobs are stored as-is
+ */
+export class IndexedDBAttachmentStore extends IndexedDBKeyedStore {
+  /**
+   * @param {{ namespace?: string|null }} [options] - Palace namespace
+   */
+  constructor({ namespace = null } = {}) {
+    super({ dbName: DB_NAME, storeName: ATTACHMENT_STORE, namespace })
+  }
+}
+
+/**
+ * In-memory backend for environments without IndexedDB; attachments last for the session
+ */
+export class MemoryAttachmentStore extends MemoryKeyedStore {}
+
+/**
+ * Create the attachment store for a palace namespace
+ * @param {{ namespace?: string|null }} [options] - Palace namespace
+ */
+export function createAttachmentStore({ namespace = null } = {}) {
+  return typeof indexedDB !== 'undefined'
+    ? new IndexedDBAttachmentStore({ namespace })
+    : new MemoryAttachmentStore()
+}
+
+/**
+ * Copy every attachment from one store to another (used when duplicating a palace)
+ */
+export function copyAttachments(fromStore, toStore) {
+  return copyRecords(fromStore, toStore)
+}
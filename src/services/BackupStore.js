@@ -0,0 +1,42 @@
+/**
+ * Backup Stores
+ * Snapshots of palace state kept apart from the palace itself, so clearing or
+ * overwriting a palace never takes its backups with it
+ *
+ * Every store is a keyed store (see KeyedStore.js) of backups.
+ *
+ * Backups are created by backupUtils.createBackup. Each palace has its own store;
+ * the default (null) namespace uses the un-namespaced database.
+ */
+
+import { IndexedDBKeyedStore, MemoryKeyedStore } from './KeyedStore.js'
+
+const DB_NAME = 'palais_de_memoire_backups'
+const BACKUP_STORE = 'backups'
+
+/**
+ * IndexedDB backend - large enough for many snapshots of a big palace
+ */
+export class IndexedDBBackupStore extends IndexedDBKeyedStore {
+  /**
+   * @param {{ namespace?: string|null }} [options] - Palace namespace
+   */
+  constructor({ namespace = null } = {}) {
+    super({ dbName: DB_NAME, storeName: BACKUP_STORE, namespace })
+  }
+}
+
+/**
+ * In-memory backend for environments without IndexedDB; backups last for the session
+ */
+export class MemoryBackupStore extends MemoryKeyedStore {}
+
+/**
+ * Create the backup store for a palace namespace
+ * @param {{ namespace?: string|null }} [options] - Palace namespace
+ */
+export function createBackupStore({ namespace = null } = {}) {
+  return typeof indexedDB !== 'undefined'
+    ? new IndexedDBBackupStore({ namespace })
+    : new MemoryBackupStore()
+}
@@ -3,6 +3,8 @@
  * Encapsulates data access patterns used by forms
  */
 
+import { encodeNumber, extractNumbers, parseNumber } from '../utils/numberEncoding.ts'
+
 export class FormDataProvider {
   constructor(core) {
     this.core = core
@@ -19,6 +21,17 @@ export class FormDataProvider {
     }))
   }
 
+  /**
+   * Get rooms grouped by wing for the room picker tree
+   */
+  getRoomTree(state) {
+    const core = state?.core || this.core || (typeof window !== 'undefined' ? window.memoryPalaceCore : null)
+    if (core?.getRoomTree) {
+      return core.getRoomTree()
+    }
+    return { wings: [], rooms: this._getRooms(state) }
+  }
+
   /**
    * Get object options for select dropdowns
    */
@@ -30,6 +43,40 @@ export class FormDataProvider {
     }))
   }
 
+  /**
+   * Get room template options for select dropdowns
+   */
+  getTemplateOptions(state) {
+    const templates = state?.templates || this.core?.getRoomTemplates?.() || []
+    return templates.map(template => ({
+      value: template.name,
+      label: `${template.name} (${template.loci.length} loci)`
+    }))
+  }
+
+  /**
+   * Get palace options for select dropdowns
+   */
+  getPalaceOptions(state) {
+    const palaces = state?.palaces || this.core?.listPalaces?.() || []
+    return palaces.map(palace => ({
+      value: palace.name,
+      label: palace.isActive ? `${palace.name} (current)` : palace.name,
+      isActive: palace.isActive
+    }))
+  }
+
+  /**
+   * Get major-system and PAO encodings of a number, or of each number written in a text
+   * Without a core the PAO table is unknown, so only the sounds and words are given
+   * @param {Object} [options] - fromText to encode the numbers found in the input
+   */
+  getNumberEncodings(input, state, options = {}) {
+    const core = state?.core || this.core || (typeof window !== 'undefined' ? window.memoryPalaceCore : null)
+    const numbers = options.fromText ? extractNumbers(input || '') : [parseNumber(input)]
+    return numbers.map(digits => core?.encodeNumber ? core.encodeNumber(digits) : encodeNumber(digits))
+  }
+
   /**
    * Get rooms using multiple access patterns as fallback
    * @private
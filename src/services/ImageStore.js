@@ -0,0 +1,50 @@
+/**
+ * Image Stores
+ * Local copies of generated skybox images, so rooms keep their skyboxes offline
+ * and after the generator's URLs expire
+ *
+ * Every store is a keyed store (see KeyedStore.js) of image records.
+ *
+ * A record is { id, roomId, sourceUrl, contentType, size, blob, prompt, seed, parameters, createdAt }.
+ * Rooms point at their record through `imageId`. As with palace state, each palace
+ * has its own store; the default (null) namespace uses the un-namespaced database.
+ */
+
+import { IndexedDBKeyedStore, MemoryKeyedStore, copyRecords } from './KeyedStore.js'
+
+const DB_NAME = 'palais_de_memoire_images'
+const IMAGE_STORE = 'images'
+
+/**
+ * IndexedDB backend - blobs are stored as-is
+ */
+export class IndexedDBImageStore extends IndexedDBKeyedStore {
+  /**
+   * @param {{ namespace?: string|null }} [options] - Palace namespace
+   */
+  constructor({ namespace = null } = {}) {
+    super({ dbName: DB_NAME, storeName: IMAGE_STORE, namespace })
+  }
+}
+
+/**
+ * In-memory backend for environments without IndexedDB; images last for the session
+ */
+export class MemoryImageStore extends MemoryKeyedStore {}
+
+/**
+ * Create the image store for a palace namespace
+ * @param {{ namespace?: string|null }} [options] - Palace namespace
+ */
+export function createImageStore({ namespace = null } = {}) {
+  return typeof indexedDB !== 'undefined'
+    ? new IndexedDBImageStore({ namespace })
+    : new MemoryImageStore()
+}
+
+/**
+ * Copy every image from one store to another (used when duplicating a palace)
+ */
+export function copyImages(fromStore, toStore) {
+  return copyRecords(fromStore, toStore)
+}
@@ -0,0 +1,181 @@
+/**
+ * Keyed Stores
+ * The record store that images, backups and attachments are kept in, and that the
+ * IndexedDB state adapter builds on
+ *
+ * Every store implements the same interface:
+ *   put(record)              -> save a record under its key
+ *   get(key)                 -> record or null
+ *   getAll()                 -> every record, in no particular order
+ *   delete(keys)             -> remove records
+ *   close()                  -> release any open database connection
+ *   destroy()                -> remove the store's storage entirely (later, if another tab holds it open)
+ *
+ * Each palace has its own database, named after its namespace; the default (null)
+ * namespace uses the un-namespaced database.
+ */
+
+const DB_VERSION = 1
+
+/**
+ * IndexedDB backend - one database per palace holding a single object store
+ */
+export class IndexedDBKeyedStore {
+  /**
+   * @param {{ dbName: string, storeName: string, namespace?: string|null, keyPath?: string, indexes?: string[] }} options - Database and object store names, the palace namespace, the key path and any fields to index
+   */
+  constructor({ dbName, storeName, namespace = null, keyPath = 'id', indexes = [] }) {
+    this.type = 'indexedDB'
+    this.dbName = namespace ? `${dbName}_${namespace}` : dbName
+    this.storeName = storeName
+    this.keyPath = keyPath
+    this.indexes = indexes
+    this.dbPromise = null
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            const store = db.createObjectStore(this.storeName, { keyPath: this.keyPath })
+            this.indexes.forEach(field => store.createIndex(field, field, { unique: false }))
+          }
+        }
+        request.onsuccess = () => {
+          const db = request.result
+          // Step aside when another tab upgrades the database or it is being deleted
+          db.onversionchange = () => {
+            db.close()
+            this.dbPromise = null
+          }
+          resolve(db)
+        }
+        request.onerror = () => reject(request.error)
+      })
+      this.dbPromise.catch(() => {
+        this.dbPromise = null
+      })
+    }
+    return this.dbPromise
+  }
+
+  async put(record) {
+    await this.transaction('readwrite', store => {
+      store.put(record)
+    })
+    return record
+  }
+
+  async get(key) {
+    const record = await this.transaction('readonly', store => requestToPromise(store.get(key)))
+    return record || null
+  }
+
+  async getAll() {
+    return this.transaction('readonly', store => requestToPromise(store.getAll()))
+  }
+
+  async delete(keys) {
+    await this.transaction('readwrite', store => {
+      keys.forEach(key => store.delete(key))
+    })
+  }
+
+  async close() {
+    if (this.dbPromise) {
+      const db = await this.dbPromise.catch(() => null)
+      db?.close()
+      this.dbPromise = null
+    }
+  }
+
+  async destroy() {
+    await this.close()
+
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.dbName)
+      request.onsuccess = () => resolve()
+      request.onerror = () => reject(request.error)
+      // Not a failure: the browser finishes the delete once the other tab lets go
+      request.onblocked = () => {
+        console.warn(`[KeyedStore] ${this.dbName} is open in another tab; it is deleted once that tab closes it`)
+        resolve()
+      }
+    })
+  }
+
+  /**
+   * Run work against the object store and resolve when the transaction commits
+   * @protected
+   */
+  async transaction(mode, work) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode)
+      let result
+      Promise.resolve(work(tx.objectStore(this.storeName)))
+        .then(value => { result = value })
+        .catch(reject)
+      tx.oncomplete = () => resolve(result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  }
+}
+
+/**
+ * In-memory backend for environments without IndexedDB; records last for the session
+ */
+export class MemoryKeyedStore {
+  constructor({ keyPath = 'id' } = {}) {
+    this.type = 'memory'
+    this.keyPath = keyPath
+    this.records = new Map()
+  }
+
+  async put(record) {
+    this.records.set(record[this.keyPath], record)
+    return record
+  }
+
+  async get(key) {
+    return this.records.get(key) || null
+  }
+
+  async getAll() {
+    return Array.from(this.records.values())
+  }
+
+  async delete(keys) {
+    keys.forEach(key => this.records.delete(key))
+  }
+
+  async close() {}
+
+  async destroy() {
+    this.records.clear()
+  }
+}
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Copy every record from one store to another (used when duplicating a palace)
+ * @returns {Promise<number>} How many records were copied
+ */
+export async function copyRecords(fromStore, toStore) {
+  const records = await fromStore.getAll()
+  for (const record of records) {
+    await toStore.put(record)
+  }
+  return records.length
+}
@@ -0,0 +1,204 @@
+/**
+ * Storage Adapters
+ * Pluggable persistence backends for palace state
+ *
+ * Every adapter implements the same interface:
+ *   load()                 -> { [key]: value } with record collections as { [id]: record }
+ *   writeChanges(changes)  -> persist only what changed since the last write
+ *   clear()                -> remove all persisted palace state
+ *   close()                -> release any open database connection
+ *   destroy()              -> remove the palace's storage entirely
+ *
+ * Each palace is stored under its own namespace; the default (null) namespace
+ * uses the original un-namespaced keys and database.
+ *
+ * `changes` has the shape:
+ *   {
+ *     collections: { [name]: { put: { [id]: record }, delete: [id] } },
+ *     values: { [key]: value }
+ *   }
+ */
+
+import { IndexedDBKeyedStore, requestToPromise } from './KeyedStore.js'
+
+const KEY_PREFIX = 'palais_'
+
+const DB_NAME = 'palais_de_memoire'
+const RECORD_STORE = 'records'
+
+/**
+ * localStorage backend - one JSON blob per state key (the original format)
+ * Only the collections touched by a change are rewritten
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {{ keys?: string[], collections?: string[], namespace?: string|null }} [options] - State keys, which of them are record collections, and the palace namespace
+   */
+  constructor({ keys = [], collections = [], namespace = null } = {}) {
+    this.type = 'localStorage'
+    this.keys = keys
+    this.collections = collections
+    this.prefix = namespace ? `${KEY_PREFIX}${namespace}_` : KEY_PREFIX
+  }
+
+  async isAvailable() {
+    return typeof localStorage !== 'undefined'
+  }
+
+  async load() {
+    const data = {}
+
+    this.keys.forEach(key => {
+      const stored = localStorage.getItem(`${this.prefix}${key}`)
+      if (stored) {
+        try {
+          data[key] = JSON.parse(stored)
+        } catch (error) {
+          console.warn(`Failed to parse stored state for ${key}:`, error)
+        }
+      }
+    })
+
+    return data
+  }
+
+  async writeChanges({ collections = {}, values = {} }) {
+    Object.entries(collections).forEach(([name, { put = {}, delete: deleted = [] }]) => {
+      const storageKey = `${this.prefix}${name}`
+      let current = {}
+      try {
+        current = JSON.parse(localStorage.getItem(storageKey) || '{}') || {}
+      } catch (error) {
+        console.warn(`Failed to parse stored state for ${name}, rewriting:`, error)
+      }
+
+      Object.assign(current, put)
+      deleted.forEach(id => {
+        delete current[id]
+      })
+
+      localStorage.setItem(storageKey, JSON.stringify(current))
+    })
+
+    Object.entries(values).forEach(([key, value]) => {
+      localStorage.setItem(`${this.prefix}${key}`, JSON.stringify(value))
+    })
+  }
+
+  async clear() {
+    this.keys.forEach(key => {
+      localStorage.removeItem(`${this.prefix}${key}`)
+    })
+  }
+
+  async close() {}
+
+  async destroy() {
+    await this.clear()
+  }
+}
+
+/**
+ * IndexedDB backend - one row per record, so a change writes only that record
+ * Palaces saved in localStorage are moved in by stateUtils.configurePersistence
+ */
+export class IndexedDBAdapter extends IndexedDBKeyedStore {
+  /**
+   * @param {{ keys?: string[], collections?: string[], namespace?: string|null }} [options] - State keys, which of them are record collections, and the palace namespace
+   */
+  constructor({ keys = [], collections = [], namespace = null } = {}) {
+    super({ dbName: DB_NAME, storeName: RECORD_STORE, namespace, keyPath: 'key', indexes: ['collection'] })
+    this.keys = keys
+    this.collections = collections
+    this.namespace = namespace
+  }
+
+  async isAvailable() {
+    if (typeof indexedDB === 'undefined') return false
+    try {
+      await this.open()
+      return true
+    } catch (error) {
+      console.warn('[IndexedDBAdapter] IndexedDB unavailable:', error)
+      return false
+    }
+  }
+
+  async load() {
+    const rows = await this.transaction('readonly', store => requestToPromise(store.getAll()))
+    const data = {}
+
+    rows.forEach(row => {
+      if (row.collection) {
+        data[row.collection] = data[row.collection] || {}
+        data[row.collection][row.id] = row.value
+      } else {
+        data[row.key] = row.value
+      }
+    })
+
+    return data
+  }
+
+  async writeChanges({ collections = {}, values = {} }) {
+    await this.transaction('readwrite', store => {
+      Object.entries(collections).forEach(([name, { put = {}, delete: deleted = [] }]) => {
+        Object.entries(put).forEach(([id, value]) => {
+          store.put({ key: recordKey(name, id), collection: name, id, value })
+        })
+        deleted.forEach(id => {
+          store.delete(recordKey(name, id))
+        })
+      })
+
+      Object.entries(values).forEach(([key, value]) => {
+        store.put({ key, collection: null, id: null, value })
+      })
+    })
+  }
+
+  async clear() {
+    await this.transaction('readwrite', store => {
+      store.clear()
+    })
+  }
+}
+
+/**
+ * Express loaded data as a change set that writes every record
+ * @param {Object} data - Data as returned by an adapter's load()
+ * @param {string[]} collections - Which keys are record collections
+ */
+export function toFullChanges(data, collections) {
+  const changes = { collections: {}, values: {} }
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (collections.includes(key)) {
+      changes.collections[key] = { put: value || {} }
+    } else {
+      changes.values[key] = value
+    }
+  })
+
+  return changes
+}
+
+function recordKey(collection, id) {
+  return `${collection}/${id}`
+}
+
+/**
+ * Create a storage adapter for a persistence type
+ * @param {string} type - 'localStorage' or 'indexedDB'
+ * @param {Object} options - { keys, collections, namespace } describing the state layout
+ */
+export function createStorageAdapter(type, options = {}) {
+  switch (type) {
+    case 'indexedDB':
+      return new IndexedDBAdapter(options)
+    case 'localStorage':
+      return new LocalStorageAdapter(options)
+    default:
+      throw new Error(`Unknown persistence type: ${type}`)
+  }
+}
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { normalizeRelation, describeRelated } from '../utils/associationUtils.js'
+import { exportState, importState } from '../utils/stateUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * A cell biology room and a chemistry room, each with two objects
+ */
+async function createPalace(core: any) {
+  const biology = await core.createRoom('Biology', 'A lab with microscopes', { skipImageGeneration: true })
+  const chemistry = await core.createRoom('Chemistry', 'A lab with flasks', { skipImageGeneration: true })
+  const objects: Record<string, any> = {}
+  await core.navigateToRoom(biology.id)
+  objects.cell = await core.addObject('Cell', 'The unit of life')
+  objects.mitochondria = await core.addObject('Mitochondria', 'Powerhouse of the cell')
+  await core.navigateToRoom(chemistry.id)
+  objects.atp = await core.addObject('ATP', 'Adenosine triphosphate')
+  objects.glucose = await core.addObject('Glucose', 'C6H12O6')
+  await core.navigateToRoom(biology.id)
+  return { biology, chemistry, objects }
+}
+
+describe('object associations', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('links objects across rooms and lists them from both ends', async () => {
+    const core = createCore()
+    const { objects } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.ASSOCIATION_CREATED, (association: any) => events.push(association))
+
+    const produces = await core.linkObjects(objects.mitochondria.id, objects.atp.id, '  Produces ')
+    await core.linkObjects(objects.mitochondria.id, objects.cell.id, 'is part of')
+
+    expect(produces).toMatchObject({ sourceId: objects.mitochondria.id, targetId: objects.atp.id, relation: 'produces' })
+    expect(events).toHaveLength(2)
+    expect(core.getRelatedObjects(objects.mitochondria.id).map(describeRelated))
+      .toEqual(['produces → ATP', 'is part of → Cell'])
+    expect(core.getRelatedObjects(objects.atp.id)).toMatchObject([
+      { direction: 'incoming', roomName: 'Biology', object: { id: objects.mitochondria.id } }
+    ])
+    expect(describeRelated(core.getRelatedObjects(objects.atp.id)[0])).toBe('← Mitochondria produces')
+  })
+
+  it('only draws links whose objects are both in the room', async () => {
+    const core = createCore()
+    const { biology, chemistry, objects } = await createPalace(core)
+    await core.linkObjects(objects.mitochondria.id, objects.atp.id, 'produces')
+    const partOf = await core.linkObjects(objects.mitochondria.id, objects.cell.id, 'is part of')
+
+    expect(core.getRoomAssociations()).toEqual([partOf])
+    expect(core.getCurrentState().associations).toEqual([partOf])
+    expect(core.getRoomAssociations(chemistry.id)).toEqual([])
+    expect(core.getRoomAssociations(biology.id)).toHaveLength(1)
+  })
+
+  it('refuses self links, doors and duplicate links', async () => {
+    const core = createCore()
+    const { objects } = await createPalace(core)
+    const door = await core.addObject('Door', 'To chemistry', null, 'door')
+    await core.linkObjects(objects.cell.id, objects.atp.id)
+
+    await expect(core.linkObjects(objects.cell.id, objects.cell.id)).rejects.toThrow('"Cell" cannot be linked to itself')
+    await expect(core.linkObjects(objects.cell.id, door.id)).rejects.toThrow('"Door" is a door')
+    await expect(core.linkObjects(objects.cell.id, objects.atp.id, 'Relates  To'))
+      .rejects.toThrow('"Cell" already relates to "ATP"')
+    expect(core.state.associations.size).toBe(1)
+    expect(normalizeRelation('')).toBe('relates to')
+  })
+
+  it('unlinks with undo and drops links when an object or room is deleted', async () => {
+    const core = createCore()
+    const { chemistry, objects } = await createPalace(core)
+    const produces = await core.linkObjects(objects.mitochondria.id, objects.atp.id, 'produces')
+    await core.linkObjects(objects.cell.id, objects.mitochondria.id, 'contains')
+    await core.linkObjects(objects.glucose.id, objects.cell.id, 'fuels')
+
+    await core.unlinkObjects(produces.id)
+    expect(core.getRelatedObjects(objects.atp.id)).toEqual([])
+    await core.undo()
+    expect(core.getRelatedObjects(objects.atp.id)).toHaveLength(1)
+
+    await core.deleteObject(objects.mitochondria.id)
+    expect(Array.from(core.state.associations.values()).map((a: any) => a.relation)).toEqual(['fuels'])
+
+    await core.deleteRoom(chemistry.id)
+    expect(core.state.associations.size).toBe(0)
+  })
+
+  it('survives export and import and travels with an exported wing', async () => {
+    const core = createCore()
+    const { biology, objects } = await createPalace(core)
+    await core.linkObjects(objects.mitochondria.id, objects.cell.id, 'is part of')
+    await core.linkObjects(objects.mitochondria.id, objects.atp.id, 'produces')
+
+    const restored: any = importState(exportState(core.state))
+    expect(Array.from(restored.associations.values())).toEqual(Array.from(core.state.associations.values()))
+
+    const wing = await core.createWing('Life sciences')
+    await core.moveRoomToWing(biology.id, wing.id)
+    const exported = core.exportWing(wing.id)
+    expect(exported.associations.map((a: any) => a.relation)).toEqual(['is part of'])
+
+    const result = await core.importWing(exported)
+    const [copy] = result.rooms
+    const copiedMitochondria = core.getRoomObjects(copy.id).find((obj: any) => obj.name === 'Mitochondria')
+    expect(core.getRelatedObjects(copiedMitochondria.id).map(describeRelated)).toEqual(['is part of → Cell'])
+    expect(core.getRelatedObjects(copiedMitochondria.id)[0].object.roomId).toBe(copy.id)
+  })
+})
+
+describe('association tools', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('links objects by name and reports the rooms they join', async () => {
+    const core = createCore()
+    const { objects } = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('link_objects', { sourceObject: 'mitochondria', targetObject: 'ATP', relation: 'produces' }))
+      .toBe('Linked: "Mitochondria" produces "ATP" (Biology → Chemistry)')
+    expect(await tool.executeTool('link_objects', { sourceObject: 'cell', targetObject: 'mitochondria' }))
+      .toBe('Linked: "Cell" relates to "Mitochondria"')
+    expect(await tool.executeTool('link_objects', { sourceObject: 'cell', targetObject: 'mitochondria' }))
+      .toBe('Failed to link objects: "Cell" already relates to "Mitochondria"')
+    expect(core.getRelatedObjects(objects.mitochondria.id)).toHaveLength(2)
+  })
+
+  it('lists related objects and removes links', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+    await tool.executeTool('link_objects', { sourceObject: 'mitochondria', targetObject: 'ATP', relation: 'produces' })
+    await tool.executeTool('link_objects', { sourceObject: 'glucose', targetObject: 'mitochondria', relation: 'fuels' })
+
+    expect(await tool.executeTool('get_related', { objectName: 'mitochondria' })).toBe(
+      '"Mitochondria" is linked to 2 objects:\n' +
+      '- produces → ATP (Chemistry): Adenosine triphosphate\n' +
+      '- ← Glucose fuels (Chemistry): C6H12O6'
+    )
+    expect(await tool.executeTool('link_objects', { sourceObject: 'mitochondria', targetObject: 'glucose', unlink: true }))
+      .toBe('Unlinked "Mitochondria" and "Glucose"')
+    expect(await tool.executeTool('link_objects', { sourceObject: 'mitochondria', targetObject: 'glucose', unlink: true }))
+      .toBe('"Mitochondria" and "Glucose" are not linked')
+    expect(await tool.executeTool('get_related', { objectName: 'cell' }))
+      .toBe('"Cell" is not linked to any other objects yet')
+  })
+})
@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { renderMarkdown } from '../utils/markdownUtils.js'
+import { MAX_ATTACHMENT_SIZE, formatFileSize } from '../utils/attachmentUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+async function createPalace(core: any) {
+  const room = await core.createRoom('Lab', 'A chemistry lab', { skipImageGeneration: true })
+  await core.navigateToRoom(room.id)
+  const flask = await core.addObject('Flask', 'Holds the **reagent**')
+  return { room, flask }
+}
+
+describe('markdown rendering', () => {
+  it('renders headings, emphasis, lists and code', () => {
+    const html = renderMarkdown('# Ideal gas\nAt **fixed** *temperature*:\n\n- `PV` is constant\n- snake_case stays\n\n1. First\n2. Second')
+
+    expect(html).toBe([
+      '<h1>Ideal gas</h1>',
+      '<p>At <strong>fixed</strong> <em>temperature</em>:</p>',
+      '<ul><li><code>PV</code> is constant</li><li>snake_case stays</li></ul>',
+      '<ol><li>First</li><li>Second</li></ol>'
+    ].join('\n'))
+  })
+
+  it('keeps formulas as written and renders quotes and fenced code', () => {
+    expect(renderMarkdown('Energy: $E = mc^2$')).toBe('<p>Energy: <span class="md-math">E = mc^2</span></p>')
+    expect(renderMarkdown('$$\na^2 + b^2 = c^2\n$$')).toBe('<div class="md-math">a^2 + b^2 = c^2</div>')
+    expect(renderMarkdown('> Know *thyself*')).toBe('<blockquote><p>Know <em>thyself</em></p></blockquote>')
+    expect(renderMarkdown('```\nif (a < b) **x**\n```')).toBe('<pre><code>if (a &lt; b) **x**</code></pre>')
+  })
+
+  it('escapes HTML and only links safe URLs', () => {
+    expect(renderMarkdown('<script>alert(1)</script>')).toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>')
+    expect(renderMarkdown('[click](javascript:alert(1))')).toBe('<p>click</p>')
+    expect(renderMarkdown('[Source](https://example.com/a?b=1&c=2)')).toBe(
+      '<p><a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">Source</a></p>'
+    )
+    expect(renderMarkdown('[Mercury](https://en.wikipedia.org/wiki/Mercury_(planet))')).toBe(
+      '<p><a href="https://en.wikipedia.org/wiki/Mercury_(planet)" target="_blank" rel="noopener noreferrer">Mercury</a></p>'
+    )
+    expect(renderMarkdown('See https://example.com.')).toBe(
+      '<p>See <a href="https://example.com" target="_blank" rel="noopener noreferrer">https://example.com</a>.</p>'
+    )
+  })
+
+  it('never expands a link, code or formula inside a URL or attribute', () => {
+    const render = (markdown: string) => {
+      const container = document.createElement('div')
+      container.innerHTML = renderMarkdown(markdown)
+      return container
+    }
+
+    const autolinked = render('see http://a[t](http://x/onmouseover=alert(1)//)')
+    expect(autolinked.querySelector('[onmouseover]')).toBeNull()
+    expect(Array.from(autolinked.querySelectorAll('a')).map(a => a.getAttribute('href'))).toEqual(['http://x/onmouseover=alert(1)//'])
+
+    const image = render('![x](http://a/$y$)')
+    expect(image.querySelector('img')).toBeNull()
+    expect(image.querySelector('a')?.getAttribute('href')).toBe('http://a/')
+    expect(image.querySelector('.md-math')?.textContent).toBe('y')
+
+    expect(renderMarkdown('![$a$ "b"](http://a/b.png)')).toBe('<p><img src="http://a/b.png" alt="a &quot;b&quot;" loading="lazy"></p>')
+  })
+
+  it('resolves attachment references, leaving the text while they load', () => {
+    const resolveAttachmentUrl = (id: string) => (id === 'att_1' ? 'blob:local/1' : null)
+
+    expect(renderMarkdown('![Diagram](attachment:att_1)', { resolveAttachmentUrl }))
+      .toBe('<p><img src="blob:local/1" alt="Diagram" loading="lazy"></p>')
+    expect(renderMarkdown('[Notes](attachment:att_1)', { resolveAttachmentUrl }))
+      .toBe('<p><a href="blob:local/1" download="Notes">Notes</a></p>')
+    expect(renderMarkdown('![Diagram](attachment:att_2)', { resolveAttachmentUrl })).toBe('<p>Diagram</p>')
+  })
+})
+
+describe('object attachments', () => {
+  let objectUrls = 0
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+    objectUrls = 0
+    URL.createObjectURL = vi.fn(() => `blob:local/${++objectUrls}`)
+    URL.revokeObjectURL = vi.fn()
+  })
+
+  it('attaches files by kind and serves them from a cached URL', async () => {
+    const core = createCore()
+    const { flask } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.OBJECT_UPDATED, (object: any) => events.push(object))
+
+    const clip = await core.addAttachment(flask.id, new Blob(['sound'], { type: 'audio/webm' }), 'Pronunciation')
+    const picture = await core.addAttachment(flask.id, new Blob(['pixels'], { type: 'image/png' }), 'flask.png')
+    const notes = await core.addAttachment(flask.id, new Blob(['text']), 'notes.txt')
+
+    expect([clip.kind, picture.kind, notes.kind]).toEqual(['audio', 'image', 'file'])
+    expect(notes).toMatchObject({ contentType: 'application/octet-stream', size: 4 })
+    expect(core.state.objects.get(flask.id).attachments.map((a: any) => a.name))
+      .toEqual(['Pronunciation', 'flask.png', 'notes.txt'])
+    expect(events).toHaveLength(3)
+
+    expect(await core.getAttachmentUrl(clip.id)).toBe('blob:local/1')
+    expect(await core.getAttachmentUrl(clip.id)).toBe('blob:local/1')
+    expect(await core.getAttachmentUrl('att_missing')).toBeNull()
+  })
+
+  it('refuses doors and oversized files', async () => {
+    const core = createCore()
+    const { room, flask } = await createPalace(core)
+    const door = await core.addObject('Door', 'To the store', null, 'door')
+    const huge = { size: MAX_ATTACHMENT_SIZE + 1, type: 'video/mp4' } as Blob
+
+    await expect(core.addAttachment(door.id, new Blob(['x']), 'x.txt')).rejects.toThrow('is a door and cannot hold attachments')
+    await expect(core.addAttachment(flask.id, huge, 'movie.mp4'))
+      .rejects.toThrow(`"movie.mp4" is too large (${formatFileSize(MAX_ATTACHMENT_SIZE + 1)})`)
+    expect(await core.attachmentStore.getAll()).toEqual([])
+    expect(door.roomId).toBe(room.id)
+  })
+
+  it('removes attachments with undo and only collects data nothing refers to', async () => {
+    const core = createCore()
+    const { flask } = await createPalace(core)
+    const kept = await core.addAttachment(flask.id, new Blob(['a']), 'kept.txt')
+    const backedUp = await core.addAttachment(flask.id, new Blob(['b']), 'backed-up.txt')
+    await core.createBackup('manual')
+    const dropped = await core.addAttachment(flask.id, new Blob(['c']), 'dropped.txt')
+
+    await core.removeAttachment(flask.id, dropped.id)
+    await core.undo()
+    expect(core.state.objects.get(flask.id).attachments).toHaveLength(3)
+
+    await core.removeAttachment(flask.id, dropped.id)
+    await core.removeAttachment(flask.id, backedUp.id)
+    await expect(core.removeAttachment(flask.id, dropped.id)).rejects.toThrow(`Attachment ${dropped.id} not found on "Flask"`)
+
+    expect(await core.collectAttachmentGarbage()).toEqual([dropped.id])
+    expect((await core.attachmentStore.getAll()).map((record: any) => record.id).sort())
+      .toEqual([kept.id, backedUp.id].sort())
+  })
+
+  it('carries attachments through a palace bundle', async () => {
+    const source = createCore()
+    const { flask } = await createPalace(source)
+    // jsdom's Blob can't be read back, so use the platform's
+    const recording = await new Response('sound', { headers: { 'content-type': 'audio/webm' } }).blob()
+    const clip = await source.addAttachment(flask.id, recording, 'Clip')
+    source.state.objects.get(flask.id).attachments.push({ ...clip, id: 'att_lost', name: 'Lost' })
+
+    const fetcher = async () => ({ bytes: new TextEncoder().encode('pixels'), contentType: 'image/webp' })
+    const { bytes, manifest } = await source.exportPalaceBundle({ fetcher })
+    expect(manifest.attachments).toEqual([{
+      path: 'attachments/001-Clip',
+      attachmentId: clip.id,
+      objectIds: [flask.id],
+      name: 'Clip',
+      contentType: 'audio/webm',
+      size: 5
+    }])
+    expect(manifest.missingAttachments).toEqual([{ attachmentId: 'att_lost', name: 'Lost', error: 'No local copy' }])
+
+    const target = createCore()
+    await target.importPalaceBundle(bytes)
+    const record = await target.attachmentStore.get(clip.id)
+
+    expect(target.state.objects.get(flask.id).attachments[0]).toEqual(clip)
+    expect(record).toMatchObject({ name: 'Clip', contentType: 'audio/webm', objectId: flask.id })
+    expect(record.blob).toMatchObject({ size: 5, type: 'audio/webm' })
+  })
+})
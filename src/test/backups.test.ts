@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createBackup, getExpiredBackupIds, isBackupDue, diffBackup } from '../utils/backupUtils.js'
+import { ensureDefaultState, createEmptyState } from '../utils/stateUtils.js'
+import { BackupSummary } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+const DAY = 24 * 60 * 60 * 1000
+const NOW = Date.parse('2025-06-30T12:00:00.000Z')
+
+function summary(id: string, daysAgo: number): BackupSummary {
+  return {
+    id,
+    createdAt: new Date(NOW - daysAgo * DAY).toISOString(),
+    reason: 'auto',
+    label: 'Automatic backup',
+    fingerprint: id,
+    counts: { rooms: 0, objects: 0, connections: 0 },
+    imageIds: []
+  }
+}
+
+describe('backup rotation', () => {
+  it('deletes backups older than the maximum age but always keeps the newest', () => {
+    const backups = [summary('old', 40), summary('recent', 2), summary('older', 60)]
+    expect(getExpiredBackupIds(backups, { maxAgeDays: 30, now: NOW })).toEqual(['old', 'older'])
+
+    const stale = [summary('a', 90), summary('b', 120)]
+    expect(getExpiredBackupIds(stale, { maxAgeDays: 30, now: NOW })).toEqual(['b'])
+  })
+
+  it('keeps at most the newest maxBackups', () => {
+    const backups = [1, 2, 3, 4, 5].map(day => summary(`day${day}`, day))
+    expect(getExpiredBackupIds(backups, { maxBackups: 3, now: NOW })).toEqual(['day4', 'day5'])
+  })
+
+  it('is due only when the palace changed and the last backup is an interval old', () => {
+    const state: any = ensureDefaultState(createEmptyState())
+    const backup = createBackup(state, 'auto')
+    const later = Date.parse(backup.createdAt) + 2 * 60 * 60 * 1000
+
+    expect(isBackupDue(state, [], { now: later })).toBe(true)
+    expect(isBackupDue(state, [backup], { now: later })).toBe(false)
+
+    state.rooms.set('r1', { id: 'r1', name: 'Hall', description: '', imageUrl: null })
+    expect(isBackupDue(state, [backup], { now: later })).toBe(true)
+    expect(isBackupDue(state, [backup], { now: Date.parse(backup.createdAt) + 1000 })).toBe(false)
+  })
+})
+
+describe('backups in the core', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('backs up before clearing and restores the cleared palace', async () => {
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+    await core.navigateToRoom(room.id)
+    await core.addObject('Globe', 'Countries of Europe')
+
+    await core.clearPalace()
+    expect(core.getAllRooms()).toHaveLength(0)
+
+    const [backup] = await core.listBackups()
+    expect(backup).toMatchObject({ reason: 'clear', label: 'Before clearing the palace', counts: { rooms: 1, objects: 1 } })
+    expect(backup.snapshot).toBeUndefined()
+
+    await core.restoreBackup(backup.id)
+    expect(core.getAllRooms().map((r: any) => r.name)).toEqual(['Library'])
+    expect(core.getCurrentRoom().id).toBe(room.id)
+    expect((await core.listBackups()).map((b: any) => b.reason).sort()).toEqual(['clear', 'restore'])
+  })
+
+  it('previews what a restore would bring back, remove and revert', async () => {
+    const core = createCore()
+    const library = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+    await core.navigateToRoom(library.id)
+    const globe = await core.addObject('Globe', 'Countries of Europe')
+    const backup = await core.createBackup()
+
+    await core.deleteObject(globe.id)
+    await core.editRoom(library.id, { name: 'Reading Room' })
+    await core.createRoom('Attic', 'Dusty', { skipImageGeneration: true })
+
+    const diff = await core.diffBackup(backup.id)
+    expect(diff.counts).toEqual({ restored: 1, removed: 1, changed: 1 })
+    expect(diff.entries).toEqual(expect.arrayContaining([
+      { collection: 'objects', id: globe.id, name: 'Globe', change: 'restored' },
+      { collection: 'rooms', id: library.id, name: 'Library', change: 'changed' },
+      expect.objectContaining({ collection: 'rooms', name: 'Attic', change: 'removed' })
+    ]))
+  })
+
+  it('backs up before deleting a room or importing a palace', async () => {
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+
+    await core.deleteRoom(room.id)
+    await core.importPalace(core.exportPalace())
+
+    const backups = await core.listBackups()
+    expect(backups.map((b: any) => b.label).sort()).toEqual(['Before deleting room "Library"', 'Before importing a palace'])
+  })
+
+  it('takes no automatic backups when they are turned off', async () => {
+    const core = createCore({ autoBackup: false })
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+
+    await core.deleteRoom(room.id)
+    await core.clearPalace()
+    expect(await core.runAutoBackup()).toBeNull()
+    expect(await core.listBackups()).toEqual([])
+  })
+
+  it('prunes by the configured maximum age', async () => {
+    const core = createCore()
+    const old = { ...createBackup(core.state, 'auto'), id: 'old', createdAt: new Date(Date.now() - 10 * DAY).toISOString() }
+    await core.backupStore.put(old)
+
+    await core.createBackup()
+    expect((await core.listBackups()).map((b: any) => b.id)).toContain('old')
+
+    await core.configureBackups({ maxBackupAge: 5 })
+    expect((await core.listBackups()).map((b: any) => b.id)).not.toContain('old')
+  })
+
+  it('keeps skybox images that a backup still refers to', async () => {
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+    await core.imageStore.put({ id: 'img_library', roomId: room.id, blob: null })
+    await core.imageStore.put({ id: 'img_unused', roomId: room.id, blob: null })
+    core.state.rooms.get(room.id).imageId = 'img_library'
+
+    await core.clearPalace()
+
+    expect(await core.imageStore.get('img_library')).not.toBeNull()
+    expect(await core.imageStore.get('img_unused')).toBeNull()
+  })
+
+  it('finds nothing to restore when the palace matches the backup', () => {
+    const state: any = ensureDefaultState(createEmptyState())
+    expect(diffBackup(state, createBackup(state, 'manual')).entries).toEqual([])
+  })
+})
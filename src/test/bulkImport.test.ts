@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { parseStudyMaterial, planBulkImport, getLocusSlots } from '../utils/importUtils.js'
+import { calculateDistance } from '../utils/objectUtils.js'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { ensureDefaultState, createEmptyState } from '../utils/stateUtils.js'
+import { ObjectType } from '../types/index.js'
+import { mockStorage } from './helpers.js'
+
+const capitals = (count: number) =>
+  Array.from({ length: count }, (_, i) => `Country ${i + 1},Capital ${i + 1}`).join('\n')
+
+describe('study material parsing', () => {
+  it('reads CSV with quoted cells and a header row', () => {
+    const { format, items } = parseStudyMaterial('term,definition\nFrance,Paris\n"Congo, Republic of","Brazzaville ""on the river"""', 'auto')
+
+    expect(format).toBe('csv')
+    expect(items).toEqual([
+      { name: 'France', information: 'Paris' },
+      { name: 'Congo, Republic of', information: 'Brazzaville "on the river"' }
+    ])
+  })
+
+  it('reads Markdown lists, folding nested bullets into the item above', () => {
+    const { format, items } = parseStudyMaterial([
+      '# Speech outline',
+      '1. **Opening**: thank the hosts',
+      '   - mention the rain',
+      '2. The problem - costs doubled',
+      '- [ ] Close'
+    ].join('\n'))
+
+    expect(format).toBe('markdown')
+    expect(items).toEqual([
+      { name: 'Opening', information: 'thank the hosts\nmention the rain' },
+      { name: 'The problem', information: 'costs doubled' },
+      { name: 'Close', information: '' }
+    ])
+  })
+
+  it('reads Anki exports, skipping header lines and stripping HTML', () => {
+    const { format, items } = parseStudyMaterial('#separator:tab\n#html:true\nAce of spades\tArnold<br>pumping&nbsp;iron\ttags')
+
+    expect(format).toBe('anki')
+    expect(items).toEqual([{ name: 'Ace of spades', information: 'Arnold\npumping iron' }])
+  })
+
+  it('rejects text without items', () => {
+    expect(() => parseStudyMaterial('   \n', 'markdown')).toThrow('No items found')
+  })
+})
+
+describe('bulk import planning', () => {
+  let state: any
+
+  beforeEach(() => {
+    state = ensureDefaultState(createEmptyState())
+    state.rooms.set('kitchen', {
+      id: 'kitchen', name: 'Kitchen', description: 'Copper pans', imageUrl: null, roomCounter: 1,
+      createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z'
+    })
+    state.user.currentRoomId = 'kitchen'
+  })
+
+  it('spaces loci evenly around the room', () => {
+    const slots = getLocusSlots(10)
+    const gaps = slots.map((slot, i) => calculateDistance(slot, slots[(i + 1) % slots.length]))
+
+    expect(slots).toHaveLength(10)
+    expect(Math.max(...gaps) - Math.min(...gaps)).toBeLessThan(1)
+  })
+
+  it('fills the free loci of the current room, away from existing objects', () => {
+    const existing = getLocusSlots(4)[0]
+    state.objects.set('kettle', { id: 'kettle', roomId: 'kitchen', name: 'Kettle', type: ObjectType.OBJECT, information: '', position: existing })
+
+    const { items } = parseStudyMaterial(capitals(3), 'csv')
+    const plan = planBulkImport(state, items, 'csv', { roomCapacity: 4 })
+
+    expect(plan.rooms).toHaveLength(1)
+    expect(plan.rooms[0].roomId).toBe('kitchen')
+    plan.rooms[0].items.forEach(item => {
+      expect(calculateDistance(item.position, existing)).toBeGreaterThan(100)
+    })
+  })
+
+  it('chains overflow rooms through doors', () => {
+    const { items } = parseStudyMaterial(capitals(25), 'csv')
+    const plan = planBulkImport(state, items, 'csv', { roomCapacity: 10 })
+
+    expect(plan.rooms.map(room => [room.name, room.fromKey, room.items.length])).toEqual([
+      ['Kitchen', null, 10],
+      ['Kitchen 2', 'kitchen', 10],
+      ['Kitchen 3', 'new_1', 5]
+    ])
+  })
+})
+
+describe('bulk import in the core', () => {
+  let core: any
+
+  beforeEach(async () => {
+    globalThis.localStorage = mockStorage
+
+    core = new MemoryPalaceCore({ enableImageGeneration: false })
+    core.state = ensureDefaultState(createEmptyState())
+    core.isInitialized = true
+    const hall = await core.createRoom('Hall', 'Marble floors', { skipImageGeneration: true })
+    await core.navigateToRoom(hall.id)
+  })
+
+  it('creates rooms, doors and objects in walk order as one undoable step', async () => {
+    const plan = core.previewBulkImport(capitals(12), { roomCapacity: 8 })
+    expect(core.state.objects.size).toBe(0)
+
+    const result = await core.commitBulkImport(plan)
+
+    expect(result.objects.map((obj: any) => obj.name)).toEqual(Array.from({ length: 12 }, (_, i) => `Country ${i + 1}`))
+    expect(result.rooms.map((room: any) => room.name)).toEqual(['Hall 2'])
+    expect(Array.from(core.state.connections.values()).map((door: any) => door.description).sort())
+      .toEqual(['Door to Hall 2', 'Return to Hall'])
+
+    await core.undo()
+    expect(core.state.objects.size).toBe(0)
+    expect(core.state.rooms.size).toBe(1)
+    expect(core.state.connections.size).toBe(0)
+  })
+
+  it('previews through the tool before committing', async () => {
+    const tools = new MemoryPalaceToolManager(core)
+    const list = '- Paris\n- Rome\n- Madrid'
+
+    expect(await tools.executeTool('import_study_material', { text: list }, null)).toContain('Nothing has been created yet')
+    expect(core.state.objects.size).toBe(0)
+
+    expect(await tools.executeTool('import_study_material', { text: list, commit: true }, null)).toContain('Imported 3 items')
+    expect(core.getAllRooms()).toHaveLength(1)
+  })
+})
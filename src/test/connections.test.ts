@@ -0,0 +1,215 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { calculateDistance } from '../utils/objectUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+async function createRooms(core: any, ...names: string[]) {
+  const rooms = []
+  for (const name of names) {
+    rooms.push(await core.createRoom(name, `The ${name}`, { skipImageGeneration: true }))
+  }
+  await core.navigateToRoom(rooms[0].id)
+  return rooms
+}
+
+describe('room connections', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('links two existing rooms both ways and emits an event per door', async () => {
+    const core = createCore()
+    const [hall, library] = await createRooms(core, 'Hall', 'Library')
+    const created: any[] = []
+    core.on(EventTypes.CONNECTION_CREATED, (connection: any) => created.push(connection))
+
+    const { connection, returnConnection } = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+
+    expect(connection).toMatchObject({ roomId: hall.id, targetRoomId: library.id, description: 'Door to Library', bidirectional: true })
+    expect(returnConnection).toMatchObject({ roomId: library.id, targetRoomId: hall.id, description: 'Return to Hall' })
+    expect(created.map(door => door.id)).toEqual([connection.id, returnConnection.id])
+    expect(core.getCurrentRoomObjects().find((obj: any) => obj.id === connection.id).targetRoomId).toBe(library.id)
+  })
+
+  it('creates one-way links without a return door', async () => {
+    const core = createCore()
+    const [hall, library] = await createRooms(core, 'Hall', 'Library')
+
+    const { returnConnection } = await core.createConnection({ roomId: hall.id, targetRoomId: library.id, bidirectional: false })
+
+    expect(returnConnection).toBeNull()
+    expect(core.state.connections.size).toBe(1)
+  })
+
+  it('reuses an existing door back instead of adding a second one', async () => {
+    const core = createCore()
+    const [hall, library] = await createRooms(core, 'Hall', 'Library')
+    const back = await core.createConnection({ roomId: library.id, targetRoomId: hall.id, bidirectional: false })
+
+    const { returnConnection, created } = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+
+    expect(returnConnection.id).toBe(back.connection.id)
+    expect(returnConnection.bidirectional).toBe(true)
+    expect(created).toHaveLength(1)
+    expect(core.state.connections.size).toBe(2)
+  })
+
+  it('returns the existing door instead of adding a second one between the same rooms', async () => {
+    const core = createCore()
+    const [hall, library] = await createRooms(core, 'Hall', 'Library')
+    const first = await core.createConnection({ roomId: hall.id, targetRoomId: library.id, bidirectional: false })
+
+    const again = await core.createConnection({ roomId: hall.id, targetRoomId: library.id, description: 'Second door' })
+
+    expect(again.connection.id).toBe(first.connection.id)
+    expect(again.connection).toMatchObject({ description: 'Door to Library', bidirectional: true })
+    expect(again.created).toEqual([again.returnConnection])
+    expect(core.state.connections.size).toBe(2)
+
+    const third = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    expect(third.created).toEqual([])
+    expect(core.state.connections.size).toBe(2)
+  })
+
+  it('places new doors apart from the doors already in a room', async () => {
+    const core = createCore()
+    const [hall, library, attic] = await createRooms(core, 'Hall', 'Library', 'Attic')
+
+    const first = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    const second = await core.createConnection({ roomId: hall.id, targetRoomId: attic.id })
+
+    expect(calculateDistance(first.connection.position, second.connection.position)).toBeGreaterThanOrEqual(100)
+  })
+
+  it('rejects doors to missing rooms or to their own room', async () => {
+    const core = createCore()
+    const [hall] = await createRooms(core, 'Hall')
+
+    await expect(core.createConnection({ roomId: hall.id, targetRoomId: 'missing' })).rejects.toThrow('Room missing not found')
+    await expect(core.createConnection({ roomId: hall.id, targetRoomId: hall.id })).rejects.toThrow('cannot lead to the room it is in')
+    expect(core.state.connections.size).toBe(0)
+  })
+
+  it('retargets a door and deletes it with or without its return door', async () => {
+    const core = createCore()
+    const [hall, library, attic] = await createRooms(core, 'Hall', 'Library', 'Attic')
+    const events: string[] = []
+    core.on(EventTypes.CONNECTION_UPDATED, () => events.push('updated'))
+    core.on(EventTypes.CONNECTION_DELETED, () => events.push('deleted'))
+
+    const toLibrary = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    const retargeted = await core.updateConnection(toLibrary.connection.id, { targetRoomId: attic.id, description: 'Ladder' })
+    expect(retargeted).toMatchObject({ targetRoomId: attic.id, description: 'Ladder' })
+
+    const toAttic = await core.createConnection({ roomId: attic.id, targetRoomId: hall.id })
+    const deleted = await core.deleteConnection(toAttic.connection.id)
+    expect(deleted.map((door: any) => door.id)).toEqual([toAttic.connection.id])
+    expect(core.getConnection(retargeted.id).bidirectional).toBe(false)
+
+    const both = await core.deleteConnection(toAttic.returnConnection.id, { includeReverse: true })
+    expect(both).toHaveLength(1)
+
+    const pair = await core.createConnection({ roomId: library.id, targetRoomId: attic.id })
+    await core.deleteConnection(pair.connection.id, { includeReverse: true })
+    expect(core.getConnection(pair.returnConnection.id)).toBeNull()
+    expect(events).toEqual(['updated', 'deleted', 'deleted', 'deleted', 'deleted'])
+  })
+
+  it('undoes a connection in one step', async () => {
+    const core = createCore()
+    const [hall, library] = await createRooms(core, 'Hall', 'Library')
+
+    await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    await core.undo()
+
+    expect(core.state.connections.size).toBe(0)
+  })
+})
+
+describe('doors drawn from connections', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  function findDoor(core: any, connectionId: string) {
+    return core.getCurrentRoomObjects().find((obj: any) => obj.connectionId === connectionId)
+  }
+
+  it('renames, retargets and moves a door through updateObject', async () => {
+    const core = createCore()
+    const [hall, library, attic] = await createRooms(core, 'Hall', 'Library', 'Attic')
+    const { connection } = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    const position = { x: 0, y: 0, z: -500 }
+
+    await core.updateObject(findDoor(core, connection.id).id, { name: 'Trapdoor', targetRoomId: attic.id, position })
+
+    expect(findDoor(core, connection.id)).toMatchObject({ name: 'Trapdoor', targetRoomId: attic.id, position, bidirectional: false })
+    expect(core.state.objects.size).toBe(0)
+  })
+
+  it('keeps a pair two-way when a door is retargeted to a room that already leads back', async () => {
+    const core = createCore()
+    const [hall, library, attic] = await createRooms(core, 'Hall', 'Library', 'Attic')
+    const toLibrary = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    const fromAttic = await core.createConnection({ roomId: attic.id, targetRoomId: hall.id, bidirectional: false })
+
+    await core.updateObject(toLibrary.connection.id, { targetRoomId: attic.id })
+
+    expect(core.getConnection(toLibrary.connection.id).bidirectional).toBe(true)
+    expect(core.getConnection(fromAttic.connection.id).bidirectional).toBe(true)
+    expect(core.getConnection(toLibrary.returnConnection.id).bidirectional).toBe(false)
+  })
+
+  it('deletes a door through deleteObject, optionally with the door back', async () => {
+    const core = createCore()
+    const [hall, library, attic] = await createRooms(core, 'Hall', 'Library', 'Attic')
+    const toLibrary = await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    const toAttic = await core.createConnection({ roomId: hall.id, targetRoomId: attic.id })
+
+    expect(await core.deleteObject(toLibrary.connection.id)).toBe(true)
+    expect(core.getConnection(toLibrary.returnConnection.id)).toMatchObject({ bidirectional: false })
+
+    expect(await core.deleteObject(toAttic.connection.id, { includeReverse: true })).toBe(true)
+    expect(Array.from(core.state.connections.keys())).toEqual([toLibrary.returnConnection.id])
+  })
+})
+
+describe('connect_rooms tool', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('connects the current room to an existing room by name', async () => {
+    const core = createCore()
+    await createRooms(core, 'Hall', 'Library')
+    const tool = new MemoryPalaceToolManager(core)
+
+    const result = await tool.executeTool('connect_rooms', { targetRoomName: 'library', direction: 'one-way' })
+
+    expect(result).toContain('Successfully created door "Door to Library"')
+    expect(result).toContain('one-way')
+    expect(core.state.rooms.size).toBe(2)
+    expect(core.state.connections.size).toBe(1)
+  })
+
+  it('says so when the rooms are already connected', async () => {
+    const core = createCore()
+    await createRooms(core, 'Hall', 'Library')
+    const tool = new MemoryPalaceToolManager(core)
+    await tool.executeTool('connect_rooms', { targetRoomName: 'Library' })
+
+    expect(await tool.executeTool('connect_rooms', { targetRoomName: 'Library' }))
+      .toBe('The door "Door to Library" already leads from "Hall" to "Library". The existing door "Return to Hall" in "Library" leads back.')
+    expect(core.state.connections.size).toBe(2)
+  })
+
+  it('lists the rooms when the target does not exist', async () => {
+    const core = createCore()
+    await createRooms(core, 'Hall', 'Library')
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('connect_rooms', { targetRoomName: 'Cellar' }))
+      .toBe('Room "Cellar" not found. Available rooms: Hall, Library')
+  })
+})
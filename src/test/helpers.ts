@@ -0,0 +1,44 @@
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import { MemoryBackupStore } from '../services/BackupStore.js'
+import { MemoryImageStore } from '../services/ImageStore.js'
+import { MemoryAttachmentStore } from '../services/AttachmentStore.js'
+import { ensureDefaultState, createEmptyState } from '../utils/stateUtils.js'
+
+// Stub localStorage for tests
+export const mockStorage: Storage = {
+  length: 0,
+  clear: () => {},
+  key: () => null,
+  getItem: () => null,
+  setItem: () => {},
+  removeItem: () => {}
+}
+
+/**
+ * Map-backed localStorage stub that keeps what is written, exposed as `store`
+ */
+export function createMemoryStorage(): Storage & { store: Map<string, string> } {
+  const store = new Map<string, string>()
+  return {
+    store,
+    get length() { return store.size },
+    clear: () => { store.clear() },
+    key: (index: number) => Array.from(store.keys())[index] ?? null,
+    getItem: (key: string) => (store.has(key) ? store.get(key)! : null),
+    setItem: (key: string, value: string) => { store.set(key, value) },
+    removeItem: (key: string) => { store.delete(key) }
+  }
+}
+
+/**
+ * A core on a fresh palace with in-memory stores, ready without initialize()
+ */
+export function createCore(config = {}) {
+  const core: any = new MemoryPalaceCore({ enableImageGeneration: false, ...config })
+  core.state = ensureDefaultState(createEmptyState())
+  core.backupStore = new MemoryBackupStore()
+  core.imageStore = new MemoryImageStore()
+  core.attachmentStore = new MemoryAttachmentStore()
+  core.isInitialized = true
+  return core
+}
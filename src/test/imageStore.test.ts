@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import replicateAPI from '../services/ReplicateAPI.js'
+import { MemoryImageStore, copyImages } from '../services/ImageStore.js'
+import { storeRoomImage, collectImageGarbage } from '../utils/imageGeneration.js'
+import { ensureDefaultState, createEmptyState } from '../utils/stateUtils.js'
+import { createCore, mockStorage } from './helpers.js'
+
+const SKYBOX_URL = 'https://replicate.delivery/generated/skybox.webp'
+
+describe('image store', () => {
+  let objectUrls = 0
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+    objectUrls = 0
+    vi.stubGlobal('fetch', vi.fn(async (url: string) =>
+      url.includes('expired')
+        ? new Response(null, { status: 404, statusText: 'Not Found' })
+        : new Response(`pixels of ${url}`, { headers: { 'content-type': 'image/webp' } })
+    ))
+    URL.createObjectURL = vi.fn(() => `blob:local/${++objectUrls}`)
+    URL.revokeObjectURL = vi.fn()
+    vi.spyOn(replicateAPI, 'isConfigured').mockReturnValue(true)
+    vi.spyOn(replicateAPI, 'generateSkyboxImage').mockResolvedValue({
+      url: SKYBOX_URL,
+      prompt: 'a vaulted library, 360 panorama',
+      parameters: { seed: 42, steps: 28 }
+    } as any)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('keeps a local copy of a generated skybox with its prompt, seed and parameters', async () => {
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+
+    await core.generateRoomImage(room.id, 'Tall shelves')
+
+    const stored = core.state.rooms.get(room.id)
+    expect(stored.imageUrl).toBe(SKYBOX_URL)
+    expect(stored.imageId).toMatch(/^img_/)
+    expect(core.getRoomImageUrl(room.id)).toBe('blob:local/1')
+
+    const info = await core.getRoomImageInfo(room.id)
+    expect(info).toMatchObject({
+      roomId: room.id,
+      sourceUrl: SKYBOX_URL,
+      contentType: 'image/webp',
+      prompt: 'a vaulted library, 360 panorama',
+      seed: 42,
+      parameters: { seed: 42, steps: 28 }
+    })
+    expect(info.blob).toBeUndefined()
+  })
+
+  it('serves the current room from its local copy', async () => {
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+    await core.navigateToRoom(room.id)
+
+    expect(core.getCurrentState().currentRoomImageUrl).toBeNull()
+
+    await core.generateRoomImage(room.id, 'Tall shelves')
+    expect(core.getCurrentState().currentRoomImageUrl).toBe('blob:local/1')
+  })
+
+  it('falls back to the remote URL when the download fails', async () => {
+    vi.mocked(replicateAPI.generateSkyboxImage).mockResolvedValue({ url: 'https://replicate.delivery/expired.webp' } as any)
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+
+    await core.generateRoomImage(room.id, 'Tall shelves')
+
+    expect(core.state.rooms.get(room.id).imageId).toBeNull()
+    expect(core.getRoomImageUrl(room.id)).toBe('https://replicate.delivery/expired.webp')
+  })
+
+  it('deletes images of deleted rooms and keeps the rest', async () => {
+    const store = new MemoryImageStore()
+    const state: any = ensureDefaultState(createEmptyState())
+    const kept: any = await storeRoomImage(store, { roomId: 'kept', sourceUrl: SKYBOX_URL })
+    const orphan: any = await storeRoomImage(store, { roomId: 'deleted', sourceUrl: SKYBOX_URL })
+    state.rooms.set('kept', { id: 'kept', name: 'Kept', imageUrl: SKYBOX_URL, imageId: kept.id })
+
+    expect(await collectImageGarbage(state, store)).toEqual([orphan.id])
+    expect((await store.getAll()).map((record: any) => record.id)).toEqual([kept.id])
+  })
+
+  it('collects garbage when the palace is opened, not when a room is deleted', async () => {
+    const core = createCore()
+    // No backups, which would keep the deleted room's image
+    core.backupStore = null
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+    await core.generateRoomImage(room.id, 'Tall shelves')
+    const imageId = core.state.rooms.get(room.id).imageId
+
+    await core.deleteRoom(room.id)
+    expect(await core.imageStore.get(imageId)).not.toBeNull()
+
+    expect(await core.collectImageGarbage()).toEqual([imageId])
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:local/1')
+  })
+
+  it('copies images between stores', async () => {
+    const from = new MemoryImageStore()
+    const to = new MemoryImageStore()
+    await storeRoomImage(from, { roomId: 'a', sourceUrl: SKYBOX_URL })
+
+    expect(await copyImages(from, to)).toBe(1)
+    expect(await to.getAll()).toEqual(await from.getAll())
+  })
+
+  it('bundles the local copy once the remote URL has expired, and stores bundled images on import', async () => {
+    const core = createCore()
+    const room = await core.createRoom('Library', 'Tall shelves', { skipImageGeneration: true })
+    await core.generateRoomImage(room.id, 'Tall shelves')
+
+    const { bytes, manifest } = await core.exportPalaceBundle({
+      fetcher: async () => { throw new Error('HTTP 404') }
+    })
+    expect(manifest.missingImages).toEqual([
+      { url: '/default_skybox.png', roomIds: [], error: 'HTTP 404' }
+    ])
+    expect(manifest.images.map((image: any) => [image.url, image.roomIds])).toEqual([[SKYBOX_URL, [room.id]]])
+
+    const target = createCore()
+    await target.importPalaceBundle(bytes)
+
+    const imported = target.state.rooms.get(room.id)
+    expect(imported.imageUrl).toBe(SKYBOX_URL)
+    const record = await target.imageStore.get(imported.imageId)
+    expect(record.sourceUrl).toBe(SKYBOX_URL)
+    expect(record.contentType).toBe('image/webp')
+    expect(record.blob.size).toBe(`pixels of ${SKYBOX_URL}`.length)
+    expect(target.getRoomImageUrl(room.id)).toMatch(/^blob:local\//)
+  })
+})
@@ -1,7 +1,13 @@
 import { describe, it, expect, beforeEach } from 'vitest'
+import * as THREE from 'three'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { MemoryBackupStore } from '../services/BackupStore.js'
+import { MemoryImageStore } from '../services/ImageStore.js'
 import { addToInventory, placeFromInventory, getInventory } from '../utils/inventoryUtils.js'
-import { ensureDefaultState, generateId } from '../utils/stateUtils.js'
-import { ObjectType } from '../types/index.js'
+import { screenToWorldPosition } from '../utils/objectUtils.js'
+import { ensureDefaultState, createEmptyState, generateId } from '../utils/stateUtils.js'
+import { EventTypes, ObjectType } from '../types/index.js'
 
 // Stub localStorage for tests
 const mockStorage = {
@@ -77,3 +83,117 @@ describe('inventory utilities', () => {
   })
 })
 
+function createCore() {
+  const core: any = new MemoryPalaceCore({ enableImageGeneration: false })
+  core.state = ensureDefaultState(createEmptyState())
+  core.backupStore = new MemoryBackupStore()
+  core.imageStore = new MemoryImageStore()
+  core.isInitialized = true
+  return core
+}
+
+/**
+ * A kitchen with a kettle and a cellar with a barrel; the user stands in the kitchen
+ */
+async function createPalace(core: any) {
+  const kitchen = await core.createRoom('Kitchen', 'A farmhouse kitchen', { skipImageGeneration: true })
+  const cellar = await core.createRoom('Cellar', 'A damp wine cellar', { skipImageGeneration: true })
+  await core.navigateToRoom(cellar.id)
+  const barrel = await core.addObject('Barrel', 'Oak ages the wine')
+  await core.navigateToRoom(kitchen.id)
+  const kettle = await core.addObject('Kettle', 'Water boils at 100°C', { x: 0, y: 0, z: -400 })
+  return { kitchen, cellar, kettle, barrel }
+}
+
+describe('carrying objects between rooms', () => {
+  beforeEach(() => {
+    // @ts-ignore
+    globalThis.localStorage = mockStorage
+  })
+
+  it('picks an object up in one room and places it in another', async () => {
+    const core = createCore()
+    const { cellar, kettle } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.OBJECT_UPDATED, (object: any) => events.push(object.roomId))
+
+    await core.addObjectToInventory(kettle.id)
+    expect(core.getCurrentState().inventory.map((obj: any) => obj.name)).toEqual(['Kettle'])
+    expect(core.getCurrentRoomObjects()).toEqual([])
+
+    await core.navigateToRoom(cellar.id)
+    const placed = await core.placeObjectFromInventory(kettle.id, { x: 100, y: 50, z: 400 })
+
+    expect(placed).toMatchObject({ roomId: cellar.id, position: { x: 100, y: 50, z: 400 } })
+    expect(core.getInventory()).toEqual([])
+    expect(core.getCurrentRoomObjects().map((obj: any) => obj.name)).toEqual(['Barrel', 'Kettle'])
+    expect(events).toEqual([null, cellar.id])
+  })
+
+  it('finds a free spot when no position is given and undoes the placement', async () => {
+    const core = createCore()
+    const { cellar, kettle, barrel } = await createPalace(core)
+    await core.addObjectToInventory(kettle.id)
+    await core.navigateToRoom(cellar.id)
+
+    const placed = await core.placeObjectFromInventory(kettle.id)
+    expect(placed.position).not.toEqual(barrel.position)
+    expect(placed.position).not.toEqual({ x: 0, y: 0, z: -400 })
+
+    await core.undo()
+    expect(core.getInventory().map((obj: any) => obj.id)).toEqual([kettle.id])
+    expect(core.state.objects.get(kettle.id).roomId).toBeNull()
+  })
+
+  it('refuses objects that are not carried and rooms that do not exist', async () => {
+    const core = createCore()
+    const { kettle, barrel } = await createPalace(core)
+    await core.addObjectToInventory(kettle.id)
+
+    await expect(core.placeObjectFromInventory(barrel.id)).rejects.toThrow('"Barrel" is not in the inventory')
+    await expect(core.placeObjectFromInventory(kettle.id, null, 'missing')).rejects.toThrow('Room missing not found')
+    await expect(core.placeObjectFromInventory('missing')).rejects.toThrow('Object missing not found')
+    expect(core.getInventory()).toHaveLength(1)
+  })
+
+  it('places at the point on the skybox under the cursor', () => {
+    const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000)
+    camera.lookAt(0, 0, -1)
+    camera.updateMatrixWorld()
+
+    const ahead = screenToWorldPosition(0.5, 0.5, 500, camera, THREE)
+    expect(ahead.x).toBeCloseTo(0)
+    expect(ahead.y).toBeCloseTo(0)
+    // The skybox sphere is faceted, so hits land a little inside its radius
+    expect(ahead.z).toBeCloseTo(-500, -1)
+
+    const above = screenToWorldPosition(0.5, 0.25, 500, camera, THREE)
+    expect(above.y).toBeGreaterThan(0)
+    expect(Math.hypot(above.x, above.y, above.z)).toBeCloseTo(500, -1)
+  })
+})
+
+describe('inventory tools', () => {
+  beforeEach(() => {
+    // @ts-ignore
+    globalThis.localStorage = mockStorage
+  })
+
+  it('lists the inventory and places carried objects in the current room', async () => {
+    const core = createCore()
+    const { cellar } = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('list_inventory', {}))
+      .toBe('The inventory is empty. Pick up an object to carry it to another room.')
+    await tool.executeTool('pickup_object', { name: 'kettle' })
+    expect(await tool.executeTool('list_inventory', {})).toBe('Carrying 1 object:\n- Kettle: Water boils at 100°C')
+
+    await core.navigateToRoom(cellar.id)
+    expect(await tool.executeTool('place_object', { name: 'barrel' }))
+      .toBe('Object "barrel" is not in the inventory. Carrying: Kettle')
+    expect(await tool.executeTool('place_object', { name: 'kett', position: { x: 1, y: 2, z: 3 } }))
+      .toBe('Placed "Kettle" in "Cellar"')
+    expect(core.getRoomObjects(cellar.id).find((obj: any) => obj.name === 'Kettle').position).toEqual({ x: 1, y: 2, z: 3 })
+  })
+})
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { buildMnemonicPrompt, parseMnemonicSuggestions } from '../utils/mnemonicUtils.js'
+import { encodeNumber, extractNumbers } from '../utils/numberEncoding.js'
+import { exportState, importState } from '../utils/stateUtils.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * A biology lab with a microscope at eye level, the Krebs cycle beside it and a lamp overhead
+ */
+async function createLab(core: any) {
+  const lab = await core.createRoom('Lab', 'A biology lab with a humming fridge', { skipImageGeneration: true })
+  await core.navigateToRoom(lab.id)
+  const microscope = await core.addObject('Microscope', 'Cells were first seen in 1665', { x: 0, y: 0, z: -400 })
+  const krebs = await core.addObject('Krebs cycle', 'The Krebs cycle has 8 steps', { x: 100, y: 0, z: -380 })
+  await core.addObject('Lamp', 'Light', { x: 0, y: 400, z: 0 })
+  return { lab, microscope, krebs }
+}
+
+describe('number encodings', () => {
+  it('finds the numbers in a text', () => {
+    expect(extractNumbers('The Krebs cycle has 8 steps')).toEqual(['8'])
+    expect(extractNumbers('1,000 soldiers left at 9:15, and 9 came back')).toEqual(['1000', '9', '15'])
+    expect(extractNumbers('No numbers here')).toEqual([])
+  })
+
+  it('gives major-system sounds and a person-action-object split', () => {
+    expect(encodeNumber('1789')).toEqual({
+      digits: '1789',
+      major: 't/d k/g f/v p/b',
+      words: ['duck fob'],
+      pao: [
+        { role: 'person', digits: '17', sounds: 't/d k/g', text: null },
+        { role: 'action', digits: '89', sounds: 'f/v p/b', text: null }
+      ]
+    })
+    expect(encodeNumber('31415').pao.map(chunk => chunk.role)).toEqual(['person', 'action', 'object'])
+  })
+
+  it('reads suggestions from the assistant reply', () => {
+    expect(parseMnemonicSuggestions('Sure:\n["A giant fish", " ", "An ivy-covered Ferrari"]')).toEqual([
+      'A giant fish', 'An ivy-covered Ferrari'
+    ])
+    expect(parseMnemonicSuggestions('Picture a giant fish.')).toEqual(['Picture a giant fish.'])
+    expect(parseMnemonicSuggestions('  ')).toEqual([])
+  })
+})
+
+describe('mnemonic coach', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('describes the room, the locus and the numbers to encode', async () => {
+    const core = createCore()
+    const { krebs } = await createLab(core)
+
+    const context = core.getMnemonicContext({ objectId: krebs.id })
+    expect(context).toMatchObject({
+      objectName: 'Krebs cycle',
+      roomName: 'Lab',
+      roomDescription: 'A biology lab with a humming fridge',
+      locus: 'at eye level, near the Microscope and the Lamp',
+      numbers: [{ digits: '8', major: 'f/v' }]
+    })
+    expect(buildMnemonicPrompt(context)).toBe(
+      'Suggest mnemonic images for this memory palace object:\n' +
+      'Object: Krebs cycle\nInformation: The Krebs cycle has 8 steps\n' +
+      'Room: Lab (A biology lab with a humming fridge)\n' +
+      'Locus: at eye level, near the Microscope and the Lamp\n' +
+      'Number 8: major system f/v (ivy); PAO person 8 (f/v)'
+    )
+
+    const draft = core.getMnemonicContext({ name: 'Pi', information: '3.14', roomId: core.getCurrentRoom().id })
+    expect(draft).toMatchObject({ objectId: null, locus: null, numbers: [{ digits: '3' }, { digits: '14' }] })
+  })
+
+  it('keeps an accepted mnemonic apart from the information, undoably', async () => {
+    const core = createCore()
+    const { krebs } = await createLab(core)
+
+    const updated = await core.setObjectMnemonic(krebs.id, '  A fish (8 = f) pedals a bicycle through the fridge  ')
+    expect(updated).toMatchObject({ information: 'The Krebs cycle has 8 steps', mnemonic: 'A fish (8 = f) pedals a bicycle through the fridge' })
+    expect(core.searchPalace('bicycle')[0]).toMatchObject({ id: krebs.id, field: 'mnemonic' })
+
+    const restored: any = importState(exportState(core.state))
+    expect(restored.objects.get(krebs.id).mnemonic).toBe('A fish (8 = f) pedals a bicycle through the fridge')
+
+    await core.undo()
+    expect(core.state.objects.get(krebs.id).mnemonic).toBeUndefined()
+
+    await core.setObjectMnemonic(krebs.id, 'A fish')
+    expect((await core.setObjectMnemonic(krebs.id, '')).mnemonic).toBeUndefined()
+  })
+})
+
+describe('mnemonic tools', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('briefs the assistant and saves the mnemonic the user accepts', async () => {
+    const core = createCore()
+    await createLab(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('suggest_mnemonic', { objectName: 'microscope' })).toBe(
+      'Mnemonic brief:\n' +
+      'Object: Microscope\nInformation: Cells were first seen in 1665\n' +
+      'Room: Lab (A biology lab with a humming fridge)\n' +
+      'Locus: at eye level, near the Krebs cycle and the Lamp\n' +
+      'Number 1665: major system t/d j/sh/ch j/sh/ch l (dish jail); PAO person 16 (t/d j/sh/ch), action 65 (j/sh/ch l)\n' +
+      'Propose two or three absurd, vivid images that tie the information to this room and locus, ' +
+      'turning numbers into words with the sounds above. When the user picks one, save it with set_mnemonic.'
+    )
+    expect(await tool.executeTool('suggest_mnemonic', { objectName: 'Octopus', information: '8 arms' })).toContain(
+      'When the user picks one, add the object and then save it with set_mnemonic.'
+    )
+    expect(await tool.executeTool('set_mnemonic', { objectName: 'Microscope', mnemonic: 'A dish of jelly (16) on a leash (65)' })).toBe(
+      'Saved the mnemonic for "Microscope": A dish of jelly (16) on a leash (65)'
+    )
+    expect(await tool.executeTool('set_mnemonic', { objectName: 'Microscope', mnemonic: '' })).toBe('Cleared the mnemonic for "Microscope"')
+    expect(await tool.executeTool('set_mnemonic', { objectName: 'Telescope', mnemonic: 'x' })).toMatch(/^Failed to set mnemonic: Object "Telescope" not found/)
+  })
+})
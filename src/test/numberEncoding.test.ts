@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { FormDataProvider } from '../services/FormDataProvider.js'
+import {
+  encodeMajor,
+  findMajorWords,
+  parseNumber,
+  wordToDigits
+} from '../utils/numberEncoding.js'
+import { MAJOR_WORDLIST } from '../utils/majorWordlist.js'
+import { exportState, importState } from '../utils/stateUtils.js'
+import { createCore, mockStorage } from './helpers.js'
+
+describe('major system', () => {
+  it('reads the number a word stands for from its consonant sounds', () => {
+    expect(wordToDigits('rocket')).toBe('471')
+    expect(wordToDigits('knife')).toBe('28')
+    expect(wordToDigits('comb')).toBe('73')
+    expect(wordToDigits('judge')).toBe('66')
+    expect(wordToDigits('lace')).toBe('50')
+    expect(wordToDigits('light')).toBe('51')
+    expect(wordToDigits('butter')).toBe('914')
+    expect(wordToDigits('taxi')).toBe('170')
+  })
+
+  it('has a wordlist peg for every number from 0 to 99', () => {
+    for (let number = 0; number < 100; number++) {
+      expect(findMajorWords(String(number)).length, String(number)).toBeGreaterThan(0)
+      expect(findMajorWords(String(number).padStart(2, '0')).length, String(number)).toBeGreaterThan(0)
+    }
+    expect(MAJOR_WORDLIST.every(word => wordToDigits(word).length > 0)).toBe(true)
+  })
+
+  it('says a number in as few words as it can', () => {
+    expect(encodeMajor('471')).toEqual(['rocket'])
+    expect(encodeMajor('1665')).toEqual(['dish jail'])
+    expect(encodeMajor('3141592653').every(phrase => wordToDigits(phrase) === '3141592653')).toBe(true)
+    expect(encodeMajor('3141592653')[0].split(' ')).toHaveLength(4)
+    expect(encodeMajor('')).toEqual([])
+  })
+
+  it('takes the digits of a typed number and rejects anything else', () => {
+    expect(parseNumber('3.14159')).toBe('314159')
+    expect(parseNumber(' 555-0199 ')).toBe('5550199')
+    expect(parseNumber(1066)).toBe('1066')
+    expect(() => parseNumber('twelve')).toThrow('"twelve" is not a number')
+    expect(() => parseNumber('')).toThrow('Give a number to encode')
+    expect(() => parseNumber('1'.repeat(41))).toThrow('Numbers of up to 40 digits can be encoded')
+  })
+})
+
+describe('PAO table', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('fills the PAO split from the table, undoably, and keeps it in exports', async () => {
+    const core = createCore()
+    const table = await core.setPaoEntries([
+      { digits: '17', person: ' Tom Kite ', action: 'flying', object: 'a kite' },
+      { digits: '89', person: 'Pablo Picasso', action: 'painting', object: 'a palette' }
+    ])
+    expect(table.map((entry: any) => entry.digits)).toEqual(['17', '89'])
+
+    expect(core.encodeNumber('1789').pao).toEqual([
+      { role: 'person', digits: '17', sounds: 't/d k/g', text: 'Tom Kite' },
+      { role: 'action', digits: '89', sounds: 'f/v p/b', text: 'painting' }
+    ])
+
+    const restored: any = importState(exportState(core.state))
+    expect(restored.paoTable.get('89').object).toBe('a palette')
+
+    await core.setPaoEntries([{ digits: '7', person: 'James Bond' }, { digits: '89', person: '', action: '', object: '' }])
+    expect(core.getPaoTable().map((entry: any) => entry.digits)).toEqual(['07', '17'])
+
+    await core.undo()
+    expect(core.getPaoTable().map((entry: any) => entry.digits)).toEqual(['17', '89'])
+
+    await expect(core.setPaoEntries([{ digits: '123', person: 'x' }])).rejects.toThrow('PAO entries are numbered 00 to 99, not "123"')
+  })
+})
+
+describe('number encoding tool and form helper', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('encodes a number for the assistant', async () => {
+    const core = createCore()
+    await core.setPaoEntries([{ digits: '16', person: 'Dr Seuss', action: 'juggling', object: 'a dish' }])
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('encode_number', { number: '1665' })).toBe(
+      'Encodings of 1665:\n' +
+      'Major system: t/d j/sh/ch j/sh/ch l\n' +
+      'Words: dish jail\n' +
+      'PAO: person 16 Dr Seuss, action 65 (j/sh/ch l)\n' +
+      'No PAO table entry for 65; picture the role from the sounds, or fill in the PAO table from the menu'
+    )
+    expect(await tool.executeTool('encode_number', { number: 'abc' })).toBe('Failed to encode number: "abc" is not a number')
+  })
+
+  it('encodes the numbers in a draft object\'s information for the add-object form', async () => {
+    const core = createCore()
+    await core.setPaoEntries([{ digits: '14', person: 'Nikola Tesla' }])
+    const provider = new FormDataProvider(core)
+
+    const encodings = provider.getNumberEncodings('Hastings was fought in 1066, Agincourt in 1415', null, { fromText: true })
+    expect(encodings.map((encoding: any) => encoding.digits)).toEqual(['1066', '1415'])
+    expect(encodings[1].pao[0].text).toBe('Nikola Tesla')
+    expect(provider.getNumberEncodings('471', null)[0].words).toEqual(['rocket'])
+
+    // Without a core the table is unknown but the wordlist still works
+    expect(new FormDataProvider(null).getNumberEncodings('471', null)[0]).toMatchObject({ words: ['rocket'], pao: [{ text: null }, { text: null }] })
+  })
+})
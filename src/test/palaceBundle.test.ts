@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createZip, readZip, crc32 } from '../utils/zipUtils.js'
+import { createPalaceBundle, readPalaceBundle, decodeDataUrl, DEFAULT_SKYBOX_URL } from '../utils/bundleUtils.js'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import { ensureDefaultState, createEmptyState } from '../utils/stateUtils.js'
+import { ObjectType } from '../types/index.js'
+import { mockStorage } from './helpers.js'
+
+const timestamps = { createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' }
+
+// Fake image server: every URL but the expired one returns its own bytes
+const fetched: string[] = []
+async function fetcher(url: string) {
+  fetched.push(url)
+  if (url.includes('expired')) throw new Error('HTTP 404')
+  return { bytes: new TextEncoder().encode(`pixels of ${url}`), contentType: 'image/webp' }
+}
+
+function buildState() {
+  const state: any = ensureDefaultState(createEmptyState())
+  const room = (id: string, name: string, imageUrl: string | null, roomCounter: number) =>
+    state.rooms.set(id, { id, name, description: `${name} walls`, imageUrl, roomCounter, ...timestamps })
+
+  room('kitchen', 'Kitchen', 'https://replicate.delivery/kitchen.webp', 1)
+  room('pantry', 'Pantry', 'https://replicate.delivery/kitchen.webp', 2)
+  room('hall', 'Hall', DEFAULT_SKYBOX_URL, 3)
+  room('attic', 'Attic', 'https://replicate.delivery/expired.webp', 4)
+  state.objects.set('kettle', {
+    id: 'kettle', roomId: 'kitchen', name: 'Kettle', type: ObjectType.OBJECT,
+    information: 'Boils at 100°C', position: { x: 1, y: 2, z: 3 }, ...timestamps
+  })
+  state.user.currentRoomId = 'kitchen'
+  return state
+}
+
+describe('zip archives', () => {
+  it('computes the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926)
+  })
+
+  it('round-trips text and binary entries', async () => {
+    const binary = new Uint8Array([0, 255, 1, 254])
+    const files = await readZip(createZip([
+      { name: 'notes/café.txt', data: 'Déjà vu' },
+      { name: 'image.bin', data: binary }
+    ]))
+
+    expect(new TextDecoder().decode(files.get('notes/café.txt'))).toBe('Déjà vu')
+    expect(Array.from(files.get('image.bin')!)).toEqual([0, 255, 1, 254])
+  })
+
+  it('rejects corrupted archives', async () => {
+    const zip = createZip([{ name: 'a.txt', data: 'hello' }])
+    zip[35] ^= 0xff
+
+    await expect(readZip(zip)).rejects.toThrow('corrupt')
+    await expect(readZip(new Uint8Array(40))).rejects.toThrow('Not a ZIP archive')
+  })
+})
+
+describe('palace bundles', () => {
+  beforeEach(() => {
+    fetched.length = 0
+  })
+
+  it('stores each skybox once, including the default, and lists images it could not fetch', async () => {
+    const { manifest } = await createPalaceBundle(buildState(), { fetcher, palaceName: 'Home' })
+
+    expect(fetched.filter(url => url.includes('kitchen'))).toHaveLength(1)
+    expect(manifest.images.map(image => [image.url, image.roomIds])).toEqual([
+      [DEFAULT_SKYBOX_URL, ['hall']],
+      ['https://replicate.delivery/kitchen.webp', ['kitchen', 'pantry']]
+    ])
+    expect(manifest.missingImages).toEqual([
+      { url: 'https://replicate.delivery/expired.webp', roomIds: ['attic'], error: 'HTTP 404' }
+    ])
+    expect(manifest.counts).toEqual({ rooms: 4, objects: 1, connections: 0 })
+  })
+
+  it('restores remote skyboxes as local copies and keeps app images', async () => {
+    const { bytes } = await createPalaceBundle(buildState(), { fetcher })
+    const { exportData } = await readPalaceBundle(bytes)
+    const rooms = exportData.data.rooms
+
+    const kitchenImage = decodeDataUrl(rooms.kitchen.imageUrl)!
+    expect(kitchenImage.contentType).toBe('image/webp')
+    expect(new TextDecoder().decode(kitchenImage.bytes)).toBe('pixels of https://replicate.delivery/kitchen.webp')
+    expect(rooms.pantry.imageUrl).toBe(rooms.kitchen.imageUrl)
+    expect(rooms.hall.imageUrl).toBe(DEFAULT_SKYBOX_URL)
+    expect(rooms.attic.imageUrl).toBe('https://replicate.delivery/expired.webp')
+  })
+
+  it('rejects archives that are not palace bundles', async () => {
+    await expect(readPalaceBundle(createZip([{ name: 'a.txt', data: 'hi' }]))).rejects.toThrow('Not a palace bundle')
+  })
+})
+
+describe('palace bundles in the core', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('round-trips a palace through a bundle', async () => {
+    const source: any = new MemoryPalaceCore({ enableImageGeneration: false })
+    source.state = buildState()
+    source.isInitialized = true
+    const { bytes } = await source.exportPalaceBundle({ fetcher })
+
+    const target: any = new MemoryPalaceCore({ enableImageGeneration: false })
+    target.state = ensureDefaultState(createEmptyState())
+    target.isInitialized = true
+    const manifest = await target.importPalaceBundle(bytes)
+
+    expect(manifest.palaceName).toBe('My Palace')
+    expect(target.getAllRooms().map((room: any) => room.name)).toEqual(['Kitchen', 'Pantry', 'Hall', 'Attic'])
+    expect(target.state.objects.get('kettle')).toEqual(source.state.objects.get('kettle'))
+    expect(target.getCurrentRoom().imageUrl).toMatch(/^data:image\/webp;base64,/)
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { getMapEdges, layoutPalaceMap } from '../utils/mapUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * Hall ⇄ Library, with a one-way chute from Hall to Cellar and an unconnected Attic
+ */
+async function createPalace(core: any) {
+  const rooms: Record<string, any> = {}
+  for (const name of ['Hall', 'Library', 'Cellar', 'Attic']) {
+    rooms[name] = await core.createRoom(name, `The ${name}`, { skipImageGeneration: true })
+  }
+  await core.createConnection({ roomId: rooms.Hall.id, targetRoomId: rooms.Library.id })
+  await core.createConnection({ roomId: rooms.Hall.id, targetRoomId: rooms.Cellar.id, bidirectional: false })
+  await core.navigateToRoom(rooms.Hall.id)
+  await core.addObject('Lamp', 'A brass lamp')
+  await core.addObject('Rug', 'A red rug')
+  return rooms
+}
+
+describe('palace map', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('merges the doors between two rooms into one edge', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+
+    const edges = getMapEdges(core.state)
+
+    expect(edges).toHaveLength(2)
+    const toLibrary: any = edges.find(edge => edge.toRoomId === rooms.Library.id)
+    expect(toLibrary).toMatchObject({ fromRoomId: rooms.Hall.id, bidirectional: true })
+    expect(toLibrary.connectionIds).toHaveLength(2)
+    expect(edges.find(edge => edge.toRoomId === rooms.Cellar.id)).toMatchObject({ bidirectional: false })
+  })
+
+  it('lists every room with its object count and marks the current one', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+
+    const { nodes } = core.getPalaceMap()
+
+    expect(nodes.map((node: any) => node.name)).toEqual(['Hall', 'Library', 'Cellar', 'Attic'])
+    expect(nodes[0]).toMatchObject({ roomId: rooms.Hall.id, objectCount: 2, connectionCount: 2, isCurrent: true, pinned: false })
+    expect(nodes[3]).toMatchObject({ objectCount: 0, isCurrent: false })
+  })
+
+  it('lays rooms out deterministically inside the map', () => {
+    const roomIds = ['a', 'b', 'c', 'd']
+    const edges = [{ fromRoomId: 'a', toRoomId: 'b' }, { fromRoomId: 'b', toRoomId: 'c' }]
+
+    const layout = layoutPalaceMap(roomIds, edges)
+
+    expect(layoutPalaceMap(roomIds, edges)).toEqual(layout)
+    Object.values(layout).forEach(({ x, y }) => {
+      expect(x).toBeGreaterThan(0)
+      expect(x).toBeLessThan(1)
+      expect(y).toBeGreaterThan(0)
+      expect(y).toBeLessThan(1)
+    })
+    const distance = (p: string, q: string) => Math.hypot(layout[p].x - layout[q].x, layout[p].y - layout[q].y)
+    expect(distance('a', 'b')).toBeLessThan(distance('a', 'd'))
+  })
+
+  it('keeps fixed positions where they are', () => {
+    const layout = layoutPalaceMap(['a', 'b', 'c'], [{ fromRoomId: 'a', toRoomId: 'b' }], { a: { x: 0.2, y: 0.3 } })
+
+    expect(layout.a).toEqual({ x: 0.2, y: 0.3 })
+  })
+
+  it('saves a hand-placed room without moving the others', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.MAP_LAYOUT_UPDATED, (event: any) => events.push(event))
+    const before = core.getPalaceMap().nodes
+
+    await core.setMapPosition(rooms.Attic.id, { x: 0.9, y: 2 })
+
+    const after = core.getPalaceMap().nodes
+    expect(after[3].position).toEqual({ x: 0.9, y: 0.92 })
+    expect(after.slice(0, 3).map((node: any) => node.position)).toEqual(before.slice(0, 3).map((node: any) => node.position))
+    expect(after.every((node: any) => node.pinned)).toBe(true)
+    expect(events).toEqual([{ roomId: rooms.Attic.id, position: { x: 0.9, y: 0.92 } }])
+  })
+
+  it('returns to the automatic layout on reset', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+    const automatic = core.getPalaceMap().nodes.map((node: any) => node.position)
+
+    await core.setMapPosition(rooms.Hall.id, { x: 0.1, y: 0.1 })
+    await core.resetMapLayout()
+
+    expect(core.state.user.mapLayout).toEqual({})
+    expect(core.getPalaceMap().nodes.map((node: any) => node.position)).toEqual(automatic)
+  })
+
+  it('rejects positions for missing rooms', async () => {
+    const core = createCore()
+    await createPalace(core)
+
+    await expect(core.setMapPosition('missing', { x: 0.5, y: 0.5 })).rejects.toThrow('Room missing not found')
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { DEFAULT_PALACE_ID, loadRegistry } from '../utils/palaceUtils.js'
+import { exportState } from '../utils/stateUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createMemoryStorage } from './helpers.js'
+
+describe('palace registry', () => {
+  let storage: ReturnType<typeof createMemoryStorage>
+  let core: any
+
+  beforeEach(async () => {
+    storage = createMemoryStorage()
+    globalThis.localStorage = storage
+
+    core = new MemoryPalaceCore({ enableImageGeneration: false, persistence: 'localStorage' })
+    await core.initialize()
+    const kitchen = await core.createRoom('Kitchen', 'Warm and bright', { skipImageGeneration: true })
+    await core.navigateToRoom(kitchen.id)
+  })
+
+  it('starts with the default palace on the original storage keys', () => {
+    expect(core.listPalaces()).toEqual([expect.objectContaining({ id: DEFAULT_PALACE_ID, isActive: true })])
+    expect(storage.getItem('palais_rooms')).toContain('Kitchen')
+  })
+
+  it('keeps rooms, inventory and history separate per palace', async () => {
+    core.addToHistory('user', 'hello kitchen')
+    await core.saveState()
+
+    const spanish = await core.createPalace('Spanish')
+    expect(core.getActivePalace().id).toBe(spanish.id)
+    expect(core.getAllRooms()).toHaveLength(0)
+    expect(core.state.conversationHistory).toHaveLength(0)
+
+    await core.createRoom('Plaza', 'Sunny square', { skipImageGeneration: true })
+    await core.switchPalace(DEFAULT_PALACE_ID)
+
+    expect(core.getAllRooms().map((room: any) => room.name)).toEqual(['Kitchen'])
+    expect(core.state.conversationHistory[0].content).toBe('hello kitchen')
+    expect(loadRegistry().activePalaceId).toBe(DEFAULT_PALACE_ID)
+  })
+
+  it('duplicates a palace with its contents', async () => {
+    const copy = await core.duplicatePalace(DEFAULT_PALACE_ID)
+    expect(copy.name).toBe('My Palace (copy)')
+
+    await core.switchPalace(copy.id)
+    expect(core.getAllRooms().map((room: any) => room.name)).toEqual(['Kitchen'])
+  })
+
+  it('rejects duplicate names and deleting the only palace', async () => {
+    await expect(core.createPalace('my palace')).rejects.toThrow('already exists')
+    await expect(core.deletePalace(DEFAULT_PALACE_ID)).rejects.toThrow('only palace')
+  })
+
+  it('switches away before deleting the open palace and removes its storage', async () => {
+    const spanish = await core.createPalace('Spanish')
+    await core.createRoom('Plaza', 'Sunny square', { skipImageGeneration: true })
+
+    await core.deletePalace(spanish.id)
+
+    expect(core.getActivePalace().id).toBe(DEFAULT_PALACE_ID)
+    expect(core.listPalaces()).toHaveLength(1)
+    expect(Array.from(storage.store.keys()).some(key => key.includes(spanish.id))).toBe(false)
+  })
+
+  it('ends a running walk and quiz when the palace is cleared or replaced by an import', async () => {
+    const ended: string[] = []
+    core.on(EventTypes.WALK_ENDED, () => ended.push('walk'))
+    core.on(EventTypes.QUIZ_ENDED, () => ended.push('quiz'))
+    await core.addObject('Kettle', 'Water boils at 100 degrees', { x: 0, y: 0, z: -400 })
+    const exported = exportState(core.state)
+
+    await core.startWalk()
+    expect(await core.startQuiz()).toBeTruthy()
+    await core.importPalace(exported)
+    expect(ended).toEqual(['walk', 'quiz'])
+
+    await core.startWalk()
+    await core.startQuiz()
+    await core.clearPalace()
+    expect(ended).toEqual(['walk', 'quiz', 'walk', 'quiz'])
+    expect(core.getWalkState()).toBeNull()
+  })
+
+  it('manages palaces by name through tools', async () => {
+    const tools = new MemoryPalaceToolManager(core)
+
+    expect(await tools.executeTool('create_palace', { name: 'Talks' }, null)).toContain('Created and opened')
+    expect(await tools.executeTool('rename_palace', { newName: 'Conference Talks' }, null)).toContain('"Conference Talks"')
+    expect(await tools.executeTool('switch_palace', { palaceName: 'my palace' }, null)).toContain('standing in Kitchen')
+    expect(await tools.executeTool('list_palaces', {}, null)).toContain('My Palace (current)')
+    expect(await tools.executeTool('switch_palace', { palaceName: 'Nope' }, null)).toContain('not found')
+  })
+})
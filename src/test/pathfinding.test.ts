@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { findPath, describePath } from '../utils/pathUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * Hall ⇄ Corridor ⇄ Library ⇄ Study, with a one-way chute from Hall to Study and an unconnected Attic
+ */
+async function createPalace(core: any) {
+  const rooms: Record<string, any> = {}
+  for (const name of ['Hall', 'Corridor', 'Library', 'Study', 'Attic']) {
+    rooms[name] = await core.createRoom(name, `The ${name}`, { skipImageGeneration: true })
+  }
+  await core.createConnection({ roomId: rooms.Hall.id, targetRoomId: rooms.Corridor.id })
+  await core.createConnection({ roomId: rooms.Corridor.id, targetRoomId: rooms.Library.id })
+  await core.createConnection({ roomId: rooms.Library.id, targetRoomId: rooms.Study.id })
+  await core.createConnection({ roomId: rooms.Hall.id, targetRoomId: rooms.Study.id, description: 'Chute', bidirectional: false })
+  await core.navigateToRoom(rooms.Hall.id)
+  return rooms
+}
+
+describe('path finding', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('finds the path through the fewest doors', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+
+    const path: any = findPath(core.state, rooms.Hall.id, rooms.Library.id)
+    expect(describePath(core.state, path)).toBe('Hall → Corridor → Library')
+    expect(path.steps.map((step: any) => step.doorDescription)).toEqual(['Door to Corridor', 'Door to Library'])
+
+    expect(describePath(core.state, findPath(core.state, rooms.Hall.id, rooms.Study.id) as any)).toBe('Hall → Study')
+  })
+
+  it('follows one-way doors only in their direction', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+
+    const back: any = findPath(core.state, rooms.Study.id, rooms.Hall.id)
+    expect(describePath(core.state, back)).toBe('Study → Library → Corridor → Hall')
+  })
+
+  it('returns no path to unconnected rooms and an empty one to the same room', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+
+    expect(findPath(core.state, rooms.Hall.id, rooms.Attic.id)).toBeNull()
+    expect(findPath(core.state, rooms.Hall.id, rooms.Hall.id)?.steps).toEqual([])
+    expect(() => findPath(core.state, rooms.Hall.id, 'missing')).toThrow('Room missing not found')
+  })
+})
+
+describe('journeys', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('walks room by room, narrating each door, and ends on arrival', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+    const narration: string[] = []
+    const ended: any[] = []
+    core.on(EventTypes.JOURNEY_STEP, (step: any) => narration.push(step.narration))
+    core.on(EventTypes.JOURNEY_ENDED, (event: any) => ended.push(event))
+
+    await core.startJourney(rooms.Library.id)
+    expect(core.getCurrentRoom().id).toBe(rooms.Hall.id)
+
+    await core.nextJourneyStep()
+    expect(core.getCurrentRoom().id).toBe(rooms.Corridor.id)
+    expect(core.getJourneyState()).toMatchObject({ index: 1, total: 2 })
+
+    expect(await core.nextJourneyStep()).toBeNull()
+    expect(core.getCurrentRoom().id).toBe(rooms.Library.id)
+    expect(core.getJourneyState()).toBeNull()
+
+    expect(narration).toEqual(['Through "Door to Corridor" into Corridor.', 'Through "Door to Library" into Library.'])
+    expect(ended).toEqual([expect.objectContaining({ arrived: true, room: expect.objectContaining({ name: 'Library' }) })])
+  })
+
+  it('refuses journeys to rooms no door leads to', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+
+    await expect(core.startJourney(rooms.Attic.id)).rejects.toThrow('No doors lead from "Hall" to "Attic"')
+  })
+})
+
+describe('find_path tool', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('describes a route without moving', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    const result = await tool.executeTool('find_path', { targetRoomName: 'Library' })
+
+    expect(result).toBe('Path from "Hall" to "Library" (2 doors): Hall → Corridor → Library')
+    expect(core.getCurrentRoom().id).toBe(rooms.Hall.id)
+    expect(core.getJourneyState()).toBeNull()
+  })
+
+  it('starts a journey when asked to walk, and teleporting abandons it', async () => {
+    const core = createCore()
+    const rooms = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('go_to_room', { roomName: 'Library', mode: 'walk' })).toContain('Walking to "Library" through 2 doors')
+    expect(core.getJourneyState().current.toRoomId).toBe(rooms.Corridor.id)
+
+    expect(await tool.executeTool('go_to_room', { roomName: 'Study' })).toBe('Successfully navigated to room: Study')
+    expect(core.getJourneyState()).toBeNull()
+  })
+
+  it('suggests teleporting when no doors lead there', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('find_path', { targetRoomName: 'Attic', walk: true }))
+      .toBe('No doors lead from "Hall" to "Attic". Use go_to_room to teleport there instead.')
+  })
+})
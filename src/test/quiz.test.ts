@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import {
+  createCloze,
+  generateClozeQuestions,
+  gradeAnswer,
+  parseQuizCommand,
+  parseQuizQuestions
+} from '../utils/quizUtils.js'
+import { exportState, importState } from '../utils/stateUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * A history room with two objects and an empty frame, and a science room with one; the user ends up in science
+ */
+async function createPalace(core: any) {
+  const history = await core.createRoom('History', 'A hall of portraits', { skipImageGeneration: true })
+  const science = await core.createRoom('Science', 'A cluttered laboratory', { skipImageGeneration: true })
+  await core.navigateToRoom(history.id)
+  const bastille = await core.addObject('Bastille', 'The Bastille was stormed in 1789.')
+  const crown = await core.addObject('Crown', 'Napoleon crowned himself Emperor. It happened in Notre-Dame.')
+  await core.addObject('Empty frame', '')
+  await core.navigateToRoom(science.id)
+  const flask = await core.addObject('Flask', 'Water boils at 100 degrees')
+  return { history, science, bastille, crown, flask }
+}
+
+describe('quiz questions', () => {
+  it('blanks figures first, then names, then long words', () => {
+    expect(createCloze('The Bastille was stormed in 1789.')).toEqual({ prompt: 'The Bastille was stormed in _____.', answer: '1789' })
+    expect(createCloze('Napoleon crowned himself Emperor.')).toEqual({ prompt: 'Napoleon crowned himself _____.', answer: 'Emperor' })
+    expect(createCloze('Powerhouse of the cell')).toEqual({ prompt: '_____ of the cell', answer: 'Powerhouse' })
+    expect(createCloze('C6H12O6')).toBeNull()
+    expect(createCloze('it is so')).toBeNull()
+  })
+
+  it('asks a plain recall question when there is nothing to blank', () => {
+    const questions = generateClozeQuestions([
+      { objectId: 'o1', roomId: 'r1', name: 'Glucose', information: 'C6H12O6' },
+      { objectId: 'o2', roomId: 'r1', name: 'Cell', information: 'The unit of life' }
+    ])
+    expect(questions).toEqual([
+      { id: 'quiz_1', objectId: 'o1', roomId: 'r1', objectName: 'Glucose', prompt: 'What does "Glucose" help you remember?', answer: 'C6H12O6', source: 'cloze' },
+      { id: 'quiz_2', objectId: 'o2', roomId: 'r1', objectName: 'Cell', prompt: 'The _____ of life', answer: 'unit', source: 'cloze' }
+    ])
+  })
+
+  it('reads questions from the assistant reply and drops unknown objects', () => {
+    const items = [{ objectId: 'o1', roomId: 'r1', name: 'Bastille', information: 'Stormed in 1789' }]
+    const reply = 'Here you go:\n[{"object": "bastille", "question": "When was it stormed?", "answer": "1789"},' +
+      ' {"object": "Eiffel Tower", "question": "How tall?", "answer": "330 m"}, {"object": "Bastille", "question": ""}]'
+
+    expect(parseQuizQuestions(reply, items)).toEqual([
+      { id: 'quiz_1', objectId: 'o1', roomId: 'r1', objectName: 'Bastille', prompt: 'When was it stormed?', answer: '1789', source: 'ai' }
+    ])
+    expect(parseQuizQuestions('I cannot write questions for these.', items)).toEqual([])
+    expect(parseQuizQuestions('[not json]', items)).toEqual([])
+  })
+})
+
+describe('answer grading', () => {
+  it('forgives typos, case, accents, articles and spoken filler', () => {
+    expect(gradeAnswer('Paris', 'paris')).toMatchObject({ correct: true, score: 1 })
+    expect(gradeAnswer('Notre-Dame', 'notre dame')).toMatchObject({ correct: true, score: 1 })
+    expect(gradeAnswer('Emperor', 'the emperer').correct).toBe(true)
+    expect(gradeAnswer('Café de Flore', 'cafe de flore').correct).toBe(true)
+    expect(gradeAnswer('Paris', "I think it's Paris").correct).toBe(true)
+    expect(gradeAnswer('Paris', "I think it's in Paris").correct).toBe(true)
+    expect(gradeAnswer('Paris', 'the answer is Paris').correct).toBe(true)
+    expect(gradeAnswer('Paris', 'Paris, France').correct).toBe(true)
+    expect(gradeAnswer('1789', 'in 1789').correct).toBe(true)
+    expect(gradeAnswer('100°C', '100 degrees').correct).toBe(true)
+  })
+
+  it('wants figures exactly and rejects wrong answers and lists of guesses', () => {
+    expect(gradeAnswer('1789', '1789')).toMatchObject({ correct: true, score: 1 })
+    expect(gradeAnswer('1789', '1798')).toMatchObject({ correct: false, score: 0 })
+    expect(gradeAnswer('Paris', 'London').correct).toBe(false)
+    expect(gradeAnswer('Paris', 'London Berlin Paris Rome').correct).toBe(false)
+    expect(gradeAnswer('Paris', 'maybe Paris or Rome').correct).toBe(false)
+    expect(gradeAnswer('mitochondria', '').score).toBe(0)
+  })
+
+  it('recognises spoken quiz controls', () => {
+    expect(parseQuizCommand('Skip')).toBe('skip')
+    expect(parseQuizCommand('pass this one')).toBe('skip')
+    expect(parseQuizCommand('End the quiz.')).toBe('end')
+    expect(parseQuizCommand('stop')).toBeNull()
+    expect(parseQuizCommand('Paris')).toBeNull()
+  })
+})
+
+describe('quiz sessions', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('asks about each object in its room and records per-object accuracy', async () => {
+    const core = createCore()
+    const { history, science, bastille, crown, flask } = await createPalace(core)
+    const answered: any[] = []
+    core.on(EventTypes.QUIZ_ANSWERED, (event: any) => answered.push(event))
+    const ended: any[] = []
+    core.on(EventTypes.QUIZ_ENDED, (summary: any) => ended.push(summary))
+
+    const first = await core.startQuiz()
+    expect(first).toMatchObject({ objectId: bastille.id, prompt: 'The Bastille was stormed in _____.', answer: '1789' })
+    expect(core.getCurrentRoom().id).toBe(history.id)
+    expect(core.getQuizProgress()).toMatchObject({ total: 3, completed: 0, remaining: 3 })
+
+    const result = await core.answerQuizQuestion('seventeen eighty nine')
+    expect(result.grade).toMatchObject({ correct: false, expected: '1789' })
+    expect(result.next.objectId).toBe(crown.id)
+    expect(core.getQuizRecord(bastille.id)).toMatchObject({ attempts: 1, correct: 0 })
+
+    await core.skipQuizQuestion()
+    expect(core.getQuizRecord(crown.id)).toBeNull()
+    expect(core.getCurrentRoom().id).toBe(science.id)
+
+    const last = await core.answerQuizQuestion('100')
+    expect(last).toMatchObject({ next: null, progress: { total: 3, completed: 2, correct: 1 } })
+    expect(answered.map(event => [event.question.objectName, event.skipped || false])).toEqual([
+      ['Bastille', false], ['Crown', true], ['Flask', false]
+    ])
+    expect(ended).toMatchObject([{ total: 3, answered: 2, correct: 1 }])
+    expect(core.getCurrentQuizQuestion()).toBeNull()
+
+    expect(core.getQuizRecord(flask.id)).toMatchObject({ attempts: 1, correct: 1 })
+    expect(core.getQuizStats()).toMatchObject({ total: 3, quizzed: 2, attempts: 2, correct: 1, accuracy: 0.5 })
+    await expect(core.answerQuizQuestion('anything')).rejects.toThrow('No active quiz')
+  })
+
+  it('uses questions written elsewhere and limits a quiz to one room', async () => {
+    const core = createCore()
+    const { history, flask } = await createPalace(core)
+    expect(core.getQuizItems(history.id).map((item: any) => item.name)).toEqual(['Bastille', 'Crown'])
+
+    const question = await core.startQuiz({
+      questions: [{ id: 'quiz_1', objectId: flask.id, roomId: flask.roomId, objectName: 'Flask', prompt: 'Boiling point of water?', answer: '100 degrees', source: 'ai' }]
+    })
+    expect(question.prompt).toBe('Boiling point of water?')
+    expect((await core.answerQuizQuestion('a hundred degrees')).grade.correct).toBe(false)
+
+    const roomQuiz = await core.startQuiz({ roomId: history.id, count: 1 })
+    expect(roomQuiz.objectName).toBe('Bastille')
+    expect(core.getQuizProgress().total).toBe(1)
+    expect(core.endQuiz()).toMatchObject({ total: 1, answered: 0 })
+  })
+
+  it('keeps accuracy through export and forgets it with the object', async () => {
+    const core = createCore()
+    const { bastille } = await createPalace(core)
+    await core.startQuiz()
+    await core.answerQuizQuestion('1789')
+
+    const restored: any = importState(exportState(core.state))
+    expect(restored.quizStats.get(bastille.id)).toMatchObject({ attempts: 1, correct: 1 })
+
+    await core.deleteObject(bastille.id)
+    expect(core.getQuizRecord(bastille.id)).toBeNull()
+  })
+})
+
+describe('quiz tools', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('starts a quiz with written questions and grades answers', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('answer_quiz', { answer: 'Paris' })).toBe('No active quiz. Use start_quiz to begin one.')
+    expect(await tool.executeTool('start_quiz', {
+      roomName: 'History',
+      questions: [
+        { object: 'Crown', question: 'Where was Napoleon crowned?', answer: 'Notre-Dame' },
+        { object: 'Bastille', question: 'When was the Bastille stormed?', answer: '1789' }
+      ]
+    })).toBe(
+      'Quiz started with 2 questions (your questions). Question 1 of 2, about "Crown": Where was Napoleon crowned?\n' +
+      'Ask the user without revealing the answer, then pass what they say to answer_quiz.'
+    )
+    expect(await tool.executeTool('answer_quiz', { answer: 'notre dam' })).toBe(
+      'Correct! "Crown": Notre-Dame\nAccuracy on "Crown": 1 of 1\n' +
+      'Question 2 of 2, about "Bastille": When was the Bastille stormed?'
+    )
+    expect(await tool.executeTool('answer_quiz', { answer: '1798' })).toBe(
+      'Not quite. The answer for "Bastille" was: 1789 (the user said "1798")\nAccuracy on "Bastille": 0 of 1\n' +
+      'Quiz complete: 1 of 2 answered correctly.'
+    )
+  })
+
+  it('falls back to cloze questions and can skip', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('start_quiz', { currentRoomOnly: true })).toBe(
+      'Quiz started with 1 question (cloze questions from the objects\' information). Question 1 of 1, about "Flask": Water boils at _____ degrees\n' +
+      'Ask the user without revealing the answer, then pass what they say to answer_quiz.'
+    )
+    expect(await tool.executeTool('answer_quiz', { skip: true })).toBe(
+      'Skipped "Flask". The answer was: 100\nQuiz complete: 0 of 0 answered correctly.'
+    )
+    expect(await tool.executeTool('start_quiz', { roomName: 'Attic' })).toBe('Room "Attic" not found')
+  })
+})
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { parseRecallCommand, scoreRecall } from '../utils/recallUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * A kitchen with a kettle straight ahead and a clock to the right, and a door to a hall
+ */
+async function createKitchen(core: any) {
+  const kitchen = await core.createRoom('Kitchen', 'A farmhouse kitchen', { skipImageGeneration: true })
+  const hall = await core.createRoom('Hall', 'A long hall', { skipImageGeneration: true })
+  await core.navigateToRoom(kitchen.id)
+  const kettle = await core.addObject('Kettle', 'Tea at five', { x: 0, y: 0, z: -400 })
+  const clock = await core.addObject('Clock', 'The train leaves at 9:15', { x: 400, y: 0, z: 0 })
+  await core.addObject('Hall door', 'Leads to the hall', { x: -400, y: 0, z: 0 }, 'door')
+  return { kitchen, hall, kettle, clock }
+}
+
+describe('recall scoring', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('scores the place on the skybox and the content with fuzzy matching', async () => {
+    const core = createCore()
+    const { kitchen, kettle } = await createKitchen(core)
+
+    // Same direction as the kettle, nearer the viewer
+    const result = scoreRecall(core.state, kitchen.id, { x: 0, y: 10, z: -100 }, 'the ketle')
+    expect(result).toMatchObject({ objectId: kettle.id, objectName: 'Kettle', spatial: { correct: true }, content: { correct: true } })
+    expect(result!.distance).toBeLessThan(100)
+  })
+
+  it('judges the object named, wherever the user pointed', async () => {
+    const core = createCore()
+    const { kitchen, clock } = await createKitchen(core)
+
+    const result = scoreRecall(core.state, kitchen.id, { x: 0, y: 0, z: -500 }, 'the clock')
+    expect(result).toMatchObject({ objectId: clock.id, spatial: { correct: false }, content: { correct: true } })
+    expect(result!.spatial.score).toBe(0)
+
+    // Naming every object is not recalling one
+    expect(scoreRecall(core.state, kitchen.id, { x: 0, y: 0, z: -500 }, 'the kettle, the clock or the door')?.content.correct).toBe(false)
+  })
+
+  it('falls back to the nearest hidden object when the answer names none', async () => {
+    const core = createCore()
+    const { kitchen, kettle, clock } = await createKitchen(core)
+
+    expect(scoreRecall(core.state, kitchen.id, { x: 500, y: 0, z: 0 }, 'a teapot')).toMatchObject({
+      objectId: clock.id, spatial: { correct: true }, content: { correct: false }
+    })
+    expect(scoreRecall(core.state, kitchen.id, { x: 500, y: 0, z: 0 }, 'a teapot', [kettle.id])?.objectId).toBe(kettle.id)
+    expect(scoreRecall(core.state, kitchen.id, { x: 500, y: 0, z: 0 }, 'a teapot', [])).toBeNull()
+  })
+
+  it('recognises a spoken request to stop', () => {
+    expect(parseRecallCommand('Stop blind recall.')).toBe('end')
+    expect(parseRecallCommand('end recall mode')).toBe('end')
+    expect(parseRecallCommand('the clock')).toBeNull()
+  })
+})
+
+describe('blind recall sessions', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('reveals each object as it is recalled and ends when all are revealed', async () => {
+    const core = createCore()
+    const { kettle, clock } = await createKitchen(core)
+    const attempts: any[] = []
+    core.on(EventTypes.RECALL_ATTEMPTED, (event: any) => attempts.push(event.result))
+    const ended: any[] = []
+    core.on(EventTypes.RECALL_ENDED, (summary: any) => ended.push(summary))
+
+    expect(await core.startRecall()).toMatchObject({ total: 2, remaining: 2, revealedObjectIds: [], pointer: null })
+    await expect(core.answerRecall('kettle')).rejects.toThrow('Point at a spot')
+
+    core.pointRecall({ x: 0, y: 0, z: -500 })
+    expect(core.getRecallState().pointer).toEqual({ x: 0, y: 0, z: -500 })
+    const first = await core.answerRecall('kettle, tea at five')
+    expect(first.result).toMatchObject({ objectId: kettle.id, spatial: { correct: true }, content: { correct: true } })
+    expect(first.recall).toMatchObject({ revealedObjectIds: [kettle.id], remaining: 1, pointer: null })
+
+    // No click, so the gaze is used; the kettle is revealed and no longer a candidate
+    const second = await core.answerRecall('no idea', { x: 0, y: 0, z: -500 })
+    expect(second.result).toMatchObject({ objectId: clock.id, spatial: { correct: false }, content: { correct: false } })
+
+    expect(attempts).toHaveLength(2)
+    expect(ended).toMatchObject([{ total: 2, attempts: 2, spatialHits: 1, contentHits: 1 }])
+    expect(core.getRecallState()).toBeNull()
+  })
+
+  it('ends when the user leaves the room and skips rooms without objects', async () => {
+    const core = createCore()
+    const { hall } = await createKitchen(core)
+
+    await core.startRecall()
+    await core.navigateToRoom(hall.id)
+    expect(core.getRecallState()).toBeNull()
+
+    expect(await core.startRecall()).toBeNull()
+    expect(() => core.pointRecall({ x: 0, y: 0, z: -500 })).toThrow('Blind recall is not active')
+  })
+})
+
+describe('recall tool', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('starts, reports and stops blind recall', async () => {
+    const core = createCore()
+    await createKitchen(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('recall_mode', { action: 'stop' })).toBe('Blind recall is not active.')
+    expect(await tool.executeTool('recall_mode', { action: 'start' })).toBe(
+      'Blind recall started in "Kitchen": 2 objects hidden.\n' +
+      'Ask the user to look or click at a spot and say what belongs there; their replies are scored and the object revealed automatically.'
+    )
+    await core.answerRecall('kettle', { x: 0, y: 0, z: -500 })
+    expect(await tool.executeTool('recall_mode', { action: 'status' })).toBe(
+      'Blind recall: 1 of 2 objects still hidden. 1 of 1 spots right, 1 of 1 contents right.'
+    )
+    expect(await tool.executeTool('recall_mode', { action: 'stop' })).toBe(
+      'Blind recall ended. 1 of 1 spots right, 1 of 1 contents right.'
+    )
+    expect(await tool.executeTool('recall_mode', { action: 'start', roomName: 'Attic' })).toBe('Room "Attic" not found')
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  createReviewRecord,
+  scheduleReview,
+  gradeObject,
+  getDueReviewItems,
+  getReviewStats
+} from '../utils/reviewUtils.js'
+import { deleteObject } from '../utils/objectUtils.js'
+import { ensureDefaultState, createEmptyState, generateId } from '../utils/stateUtils.js'
+import { ObjectType, ReviewGrade } from '../types/index.js'
+import { mockStorage } from './helpers.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe('review utilities', () => {
+  let state: any
+  let firstRoomId: string
+  let secondRoomId: string
+
+  const addRoom = (roomCounter: number) => {
+    const id = generateId()
+    state.rooms.set(id, {
+      id,
+      name: `Room ${roomCounter}`,
+      description: '',
+      imageUrl: null,
+      roomCounter,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    })
+    return id
+  }
+
+  const addObject = (roomId: string | null, objectCounter: number, type = ObjectType.OBJECT) => {
+    const id = generateId()
+    state.objects.set(id, {
+      id,
+      roomId,
+      userId: state.user.id,
+      name: `Object ${objectCounter}`,
+      information: `Info ${objectCounter}`,
+      position: { x: 0, y: 0, z: 0 },
+      objectCounter,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      type
+    })
+    return id
+  }
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+
+    state = ensureDefaultState(createEmptyState())
+    // Created out of order to check rooms are walked by roomCounter
+    secondRoomId = addRoom(2)
+    firstRoomId = addRoom(1)
+  })
+
+  it('schedules intervals with SM-2', () => {
+    const now = new Date('2025-01-01T00:00:00Z')
+    let record = createReviewRecord('obj', now)
+
+    record = scheduleReview(record, ReviewGrade.GOOD, now)
+    expect(record.interval).toBe(1)
+    expect(record.repetitions).toBe(1)
+
+    record = scheduleReview(record, ReviewGrade.GOOD, now)
+    expect(record.interval).toBe(6)
+
+    record = scheduleReview(record, ReviewGrade.GOOD, now)
+    expect(record.interval).toBe(15)
+    expect(new Date(record.dueAt).getTime()).toBe(now.getTime() + 15 * DAY_MS)
+  })
+
+  it('resets repetitions and lowers ease on a lapse', () => {
+    const now = new Date()
+    let record = createReviewRecord('obj', now)
+    record = scheduleReview(record, ReviewGrade.EASY, now)
+    record = scheduleReview(record, ReviewGrade.EASY, now)
+    const easeBefore = record.ease
+
+    record = scheduleReview(record, ReviewGrade.AGAIN, now)
+    expect(record.repetitions).toBe(0)
+    expect(record.interval).toBe(1)
+    expect(record.lapses).toBe(1)
+    expect(record.ease).toBeLessThan(easeBefore)
+    expect(record.history).toHaveLength(3)
+  })
+
+  it('never drops ease below the SM-2 minimum', () => {
+    let record = createReviewRecord('obj')
+    for (let i = 0; i < 10; i++) {
+      record = scheduleReview(record, ReviewGrade.AGAIN)
+    }
+    expect(record.ease).toBe(1.3)
+  })
+
+  it('lists due objects room by room, skipping doors and carried objects', () => {
+    const later = addObject(secondRoomId, 3)
+    const first = addObject(firstRoomId, 2)
+    const second = addObject(firstRoomId, 4)
+    addObject(firstRoomId, 5, ObjectType.DOOR)
+    addObject(null, 6)
+
+    const items = getDueReviewItems(state)
+    expect(items.map(item => item.objectId)).toEqual([first, second, later])
+    expect(getDueReviewItems(state, new Date(), secondRoomId)).toHaveLength(1)
+  })
+
+  it('removes graded objects from the due list until they come due again', async () => {
+    const objectId = addObject(firstRoomId, 1)
+    const now = new Date()
+
+    await gradeObject(state, objectId, ReviewGrade.GOOD, now)
+    expect(getDueReviewItems(state, now)).toHaveLength(0)
+    expect(getDueReviewItems(state, new Date(now.getTime() + 2 * DAY_MS))).toHaveLength(1)
+
+    const stats = getReviewStats(state, now)
+    expect(stats).toMatchObject({ total: 1, due: 0, neverReviewed: 0 })
+  })
+
+  it('drops review records when the object is deleted', async () => {
+    const objectId = addObject(firstRoomId, 1)
+    await gradeObject(state, objectId, ReviewGrade.HARD)
+    expect(state.reviews.has(objectId)).toBe(true)
+
+    await deleteObject(state, objectId)
+    expect(state.reviews.has(objectId)).toBe(false)
+  })
+})
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { collectImageGarbage } from '../utils/imageGeneration.js'
+import { exportState, importState } from '../utils/stateUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * A chapter room with a stored skybox, two loci and a door to a hall
+ */
+async function createPalace(core: any) {
+  const hall = await core.createRoom('Hall', 'A marble hall', { skipImageGeneration: true })
+  const chapter = await core.createRoom('Chapter 1', 'A reading room with ten alcoves', {
+    imageUrl: 'https://example.com/reading-room.png',
+    skipImageGeneration: true
+  })
+  await core.editRoom(chapter.id, { imageId: 'img_reading_room' })
+  await core.navigateToRoom(chapter.id)
+  const desk = await core.addObject('Desk', 'The French Revolution began in 1789', { x: 100, y: 0, z: -200 })
+  const lamp = await core.addObject('Lamp', 'The Bastille fell on 14 July', { x: -50, y: 20, z: 300 })
+  await core.tagObject(lamp.id, { add: 'dates', color: '#ff0000' })
+  await core.createConnection({ roomId: chapter.id, targetRoomId: hall.id })
+  return { hall, chapter, desk, lamp }
+}
+
+function memoryObjects(core: any, roomId: string) {
+  return core.getRoomObjects(roomId).filter((obj: any) => obj.type === 'object')
+}
+
+describe('room duplication', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('copies the skybox and objects in place, leaving the doors behind', async () => {
+    const core = createCore()
+    const { chapter, desk } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.ROOM_CREATED, (room: any) => events.push(room))
+    const objectCounter = core.state.user.objectCounter
+
+    const copy = await core.duplicateRoom(chapter.id)
+
+    expect(copy).toMatchObject({ name: 'Chapter 1 (copy)', imageUrl: chapter.imageUrl, imageId: 'img_reading_room' })
+    expect(events).toEqual([copy])
+    expect(core.getRoomObjects(copy.id).map((obj: any) => [obj.name, obj.information, obj.position])).toEqual([
+      ['Desk', desk.information, desk.position],
+      ['Lamp', 'The Bastille fell on 14 July', { x: -50, y: 20, z: 300 }]
+    ])
+    expect(core.getRoomObjects(copy.id).find((obj: any) => obj.name === 'Lamp')).toMatchObject({ tags: ['dates'], color: '#ff0000' })
+    expect(Array.from(core.state.connections.values()).filter((conn: any) => conn.roomId === copy.id)).toEqual([])
+    expect(core.state.user.objectCounter).toBe(objectCounter + 2)
+  })
+
+  it('can clear the information and is undone in one step', async () => {
+    const core = createCore()
+    const { chapter, desk } = await createPalace(core)
+    await core.setObjectMnemonic(desk.id, 'A desk drawer storming the Bastille')
+
+    const copy = await core.duplicateRoom(chapter.id, { name: 'Chapter 2', clearInformation: true })
+    expect(copy.name).toBe('Chapter 2')
+    expect(memoryObjects(core, copy.id).map((obj: any) => obj.information)).toEqual(['', ''])
+    expect(memoryObjects(core, copy.id).map((obj: any) => obj.mnemonic)).toEqual([undefined, undefined])
+
+    await core.undo()
+    expect(core.state.rooms.has(copy.id)).toBe(false)
+    expect(core.findRoomByName('Chapter 2')).toBeFalsy()
+    await expect(core.duplicateRoom('missing')).rejects.toThrow('Room missing not found')
+  })
+})
+
+describe('room templates', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('saves a room layout without its information and replaces templates by name', async () => {
+    const core = createCore()
+    const { chapter } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.TEMPLATE_SAVED, (template: any) => events.push(template))
+
+    const template = await core.saveRoomAsTemplate(chapter.id, { name: 'Chapter room' })
+    expect(template).toMatchObject({
+      name: 'Chapter room',
+      description: 'A reading room with ten alcoves',
+      imageId: 'img_reading_room',
+      sourceRoomId: chapter.id
+    })
+    expect(template.loci).toEqual([
+      { name: 'Desk', information: '', position: { x: 100, y: 0, z: -200 }, tags: [], color: null },
+      { name: 'Lamp', information: '', position: { x: -50, y: 20, z: 300 }, tags: ['dates'], color: '#ff0000' }
+    ])
+
+    const replaced = await core.saveRoomAsTemplate(chapter.id, { name: 'CHAPTER ROOM', includeInformation: true })
+    expect(replaced.id).toBe(template.id)
+    expect(replaced.loci[0].information).toBe('The French Revolution began in 1789')
+    expect(core.getRoomTemplates()).toHaveLength(1)
+    expect(events).toHaveLength(2)
+  })
+
+  it('builds rooms from a template that survive export and keep the skybox image', async () => {
+    const core = createCore()
+    const { chapter } = await createPalace(core)
+    const template = await core.saveRoomAsTemplate(chapter.id, { name: 'Chapter room' })
+    await core.imageStore.put({ id: 'img_reading_room', blob: new Blob(['pixels']) })
+
+    const room = await core.createRoomFromTemplate(template.id, { name: 'Chapter 2' })
+    expect(room).toMatchObject({ name: 'Chapter 2', description: template.description, imageId: 'img_reading_room' })
+    expect(memoryObjects(core, room.id).map((obj: any) => obj.name)).toEqual(['Desk', 'Lamp'])
+
+    await core.deleteRoom(room.id)
+    await core.deleteRoom(chapter.id)
+    expect(await collectImageGarbage(core.state, core.imageStore)).toEqual([])
+
+    const restored: any = importState(exportState(core.state))
+    expect(Array.from(restored.templates.values())).toEqual([template])
+
+    await core.deleteRoomTemplate(template.id)
+    expect(core.getRoomTemplates()).toEqual([])
+    expect(await collectImageGarbage(core.state, core.imageStore)).toEqual(['img_reading_room'])
+  })
+})
+
+describe('room template tools', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('saves, lists and deletes templates and duplicates rooms', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('manage_room_template', { action: 'list' }))
+      .toBe('No room templates yet. Save a room as a template to reuse its layout.')
+    expect(await tool.executeTool('manage_room_template', { action: 'save', templateName: 'Chapter room' }))
+      .toBe('Saved room "Chapter 1" as template "Chapter room" with 2 loci')
+    expect(await tool.executeTool('manage_room_template', { action: 'list' }))
+      .toBe('Room templates (1):\n- Chapter room: 2 loci')
+    expect(await tool.executeTool('duplicate_room', { newName: 'Chapter 1b', clearInformation: true }))
+      .toBe('Duplicated room "Chapter 1" as "Chapter 1b" with 2 objects with their information cleared. It has no doors yet; use connect_rooms to reach it.')
+    expect(await tool.executeTool('manage_room_template', { action: 'delete', templateName: 'chapter' }))
+      .toBe('Deleted template "Chapter room". Rooms built from it were kept.')
+    expect(await tool.executeTool('manage_room_template', { action: 'delete', templateName: 'chapter' }))
+      .toBe('Failed to manage room template: Template "chapter" not found. Available templates: none')
+  })
+
+  it('creates rooms from a template through a door', async () => {
+    const core = createCore()
+    const { chapter } = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+    await core.saveRoomAsTemplate(chapter.id, { name: 'Chapter room' })
+
+    expect(await tool.executeTool('create_door', { targetRoomName: 'Chapter 2', templateName: 'cathedral', position: { x: 0, y: 0, z: 400 } }))
+      .toBe('Failed to create door: Template "cathedral" not found. Available templates: Chapter room')
+    expect(await tool.executeTool('create_door', { targetRoomName: 'Chapter 2', templateName: 'chapter', position: { x: 0, y: 0, z: 400 } }))
+      .toBe('Successfully created door "Door to Chapter 2" leading to the new room "Chapter 2" (built from template "Chapter room" with 2 loci). A return door has been automatically placed in the new room.')
+
+    const second = core.findRoomByName('Chapter 2')
+    expect(second).toMatchObject({ description: 'A reading room with ten alcoves', imageId: 'img_reading_room' })
+    expect(memoryObjects(core, second.id).map((obj: any) => obj.name)).toEqual(['Desk', 'Lamp'])
+
+    expect(await tool.executeTool('create_room_from_template', { templateName: 'Chapter room', roomName: 'Chapter 3' }))
+      .toBe('Created room "Chapter 3" from template "Chapter room" with 2 loci. The door "Door to Chapter 3" in "Chapter 1" leads there, with a return door back.')
+    await core.undo()
+    expect(core.findRoomByName('Chapter 3')).toBeFalsy()
+  })
+
+  it('rolls back a door that fails halfway and keeps the object it was converting', async () => {
+    const core = createCore()
+    const { desk } = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+    core.clearHistory()
+    vi.spyOn(core, 'createConnection').mockRejectedValue(new Error('The wall is load-bearing'))
+
+    expect(await tool.executeTool('create_door', { targetRoomName: 'Chapter 2', targetRoomDescription: 'A reading room', objectId: desk.id }))
+      .toBe('Failed to create door: The wall is load-bearing')
+    expect(core.state.objects.has(desk.id)).toBe(true)
+    expect(core.findRoomByName('Chapter 2')).toBeFalsy()
+    expect(core.getHistoryState().canUndo).toBe(false)
+  })
+})
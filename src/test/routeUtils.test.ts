@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  getRouteRooms,
+  getRouteObjects,
+  getWalkStops,
+  setRoomOrder,
+  setObjectOrder,
+  moveRouteObject,
+  parseWalkCommand
+} from '../utils/routeUtils.js'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import { ensureDefaultState, createEmptyState, generateId } from '../utils/stateUtils.js'
+import { ObjectType } from '../types/index.js'
+import { mockStorage } from './helpers.js'
+
+function addRoom(state: any, roomCounter: number) {
+  const id = generateId()
+  state.rooms.set(id, {
+    id,
+    name: `Room ${roomCounter}`,
+    description: '',
+    imageUrl: null,
+    roomCounter,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  })
+  return id
+}
+
+function addObject(state: any, roomId: string, objectCounter: number, type = ObjectType.OBJECT) {
+  const id = generateId()
+  state.objects.set(id, {
+    id,
+    roomId,
+    userId: state.user.id,
+    name: `Object ${objectCounter}`,
+    information: `Info ${objectCounter}`,
+    position: { x: 100, y: 0, z: objectCounter },
+    objectCounter,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    type
+  })
+  return id
+}
+
+describe('route utilities', () => {
+  let state: any
+  let roomA: string
+  let roomB: string
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+
+    state = ensureDefaultState(createEmptyState())
+    roomA = addRoom(state, 1)
+    roomB = addRoom(state, 2)
+  })
+
+  it('defaults to creation order and skips doors', () => {
+    const second = addObject(state, roomA, 2)
+    const first = addObject(state, roomA, 1)
+    addObject(state, roomA, 3, ObjectType.DOOR)
+
+    expect(getRouteRooms(state).map(room => room.id)).toEqual([roomA, roomB])
+    expect(getRouteObjects(state, roomA).map(obj => obj.id)).toEqual([first, second])
+  })
+
+  it('follows the stored order and appends unlisted items', async () => {
+    const first = addObject(state, roomA, 1)
+    const second = addObject(state, roomA, 2)
+    const third = addObject(state, roomA, 3)
+
+    await setRoomOrder(state, [roomB])
+    await setObjectOrder(state, roomA, [third])
+
+    expect(getRouteRooms(state).map(room => room.id)).toEqual([roomB, roomA])
+    expect(getRouteObjects(state, roomA).map(obj => obj.id)).toEqual([third, first, second])
+
+    await moveRouteObject(state, first, 0)
+    expect(getRouteObjects(state, roomA).map(obj => obj.id)).toEqual([first, third, second])
+  })
+
+  it('rejects objects from another room', async () => {
+    const other = addObject(state, roomB, 1)
+    await expect(setObjectOrder(state, roomA, [other])).rejects.toThrow('not found in room')
+  })
+
+  it('flattens the route into walk stops', async () => {
+    const inB = addObject(state, roomB, 1)
+    const inA = addObject(state, roomA, 2)
+    await setRoomOrder(state, [roomB, roomA])
+
+    expect(getWalkStops(state).map(stop => stop.objectId)).toEqual([inB, inA])
+  })
+
+  it('parses spoken walk controls', () => {
+    expect(parseWalkCommand('Next locus.')).toBe('next')
+    expect(parseWalkCommand('go back')).toBe('previous')
+    expect(parseWalkCommand('pause the walk')).toBe('pause')
+    expect(parseWalkCommand('continue')).toBe('resume')
+    expect(parseWalkCommand('start the memory walk')).toBe('start')
+    expect(parseWalkCommand('stop walk')).toBe('stop')
+    expect(parseWalkCommand('next to the fireplace add a clock')).toBeNull()
+  })
+})
+
+describe('memory walk', () => {
+  let core: any
+  let roomA: string
+  let roomB: string
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+
+    core = new MemoryPalaceCore({ enableImageGeneration: false })
+    core.state = ensureDefaultState(core.state)
+    core.isInitialized = true
+
+    roomA = addRoom(core.state, 1)
+    roomB = addRoom(core.state, 2)
+    addObject(core.state, roomA, 1)
+    addObject(core.state, roomB, 2)
+  })
+
+  it('walks through rooms in order and ends after the last locus', async () => {
+    const steps: string[] = []
+    let ended = false
+    core.on('walk_step', ({ stop }: any) => steps.push(stop.roomId))
+    core.on('walk_ended', () => { ended = true })
+
+    await core.startWalk()
+    expect(core.state.user.currentRoomId).toBe(roomA)
+
+    await core.controlWalk('next')
+    expect(core.state.user.currentRoomId).toBe(roomB)
+
+    await core.controlWalk('next')
+    expect(steps).toEqual([roomA, roomB])
+    expect(ended).toBe(true)
+    expect(core.getWalkState()).toBeNull()
+  })
+
+  it('pauses and resumes playback', async () => {
+    await core.startWalk()
+    await core.controlWalk('pause')
+    expect(core.getWalkState().isPlaying).toBe(false)
+    await core.controlWalk('resume')
+    expect(core.getWalkState().isPlaying).toBe(true)
+  })
+})
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { buildSearchIndex, searchIndex, editDistance, tokenize } from '../utils/searchUtils.js'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { ensureDefaultState, createEmptyState } from '../utils/stateUtils.js'
+import { ObjectType } from '../types/index.js'
+import { mockStorage } from './helpers.js'
+
+const timestamps = { createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' }
+
+function buildState() {
+  const state: any = ensureDefaultState(createEmptyState())
+  state.rooms.set('kitchen', { id: 'kitchen', name: 'Kitchen', description: 'Copper pans hang over the stove', imageUrl: null, roomCounter: 1, ...timestamps })
+  state.rooms.set('library', { id: 'library', name: 'Library', description: 'Shelves of old atlases', imageUrl: null, roomCounter: 2, ...timestamps })
+  state.objects.set('kettle', {
+    id: 'kettle', roomId: 'kitchen', name: 'Kettle', type: ObjectType.OBJECT,
+    information: 'The mitochondria is the powerhouse of the cell, producing ATP through respiration',
+    position: { x: 10, y: 0, z: 0 }, ...timestamps
+  })
+  state.objects.set('globe', {
+    id: 'globe', roomId: 'library', name: 'Spinning Globe', type: ObjectType.OBJECT,
+    information: 'Capital of Australia is Canberra', position: { x: 0, y: 0, z: 10 }, ...timestamps
+  })
+  state.objects.set('key', {
+    id: 'key', roomId: null, name: 'Brass Key', type: ObjectType.OBJECT,
+    information: 'Opens the cellar', position: { x: 0, y: 0, z: 0 }, ...timestamps
+  })
+  state.user.inventory.push('key')
+  state.connections.set('arch', { id: 'arch', roomId: 'kitchen', targetRoomId: 'library', description: 'Stone archway', position: { x: 0, y: 5, z: 0 }, ...timestamps })
+  return state
+}
+
+describe('search utilities', () => {
+  let index: ReturnType<typeof buildSearchIndex>
+
+  beforeEach(() => {
+    index = buildSearchIndex(buildState())
+  })
+
+  it('tokenizes with positions and folds accents', () => {
+    expect(tokenize('Café au lait!')).toEqual([
+      { term: 'cafe', start: 0, end: 4 },
+      { term: 'au', start: 5, end: 7 },
+      { term: 'lait', start: 8, end: 12 }
+    ])
+  })
+
+  it('measures edit distance including transpositions', () => {
+    expect(editDistance('kettle', 'ketlte', 2)).toBe(1)
+    expect(editDistance('globe', 'glove', 2)).toBe(1)
+    expect(editDistance('atlas', 'kitchen', 2)).toBe(3)
+  })
+
+  it('finds objects by their information and ranks names above descriptions', () => {
+    const results = searchIndex(index, 'mitochondria')
+    expect(results[0]).toMatchObject({ id: 'kettle', kind: 'object', roomName: 'Kitchen', field: 'information' })
+
+    const kitchen = searchIndex(index, 'kitchen')
+    expect(kitchen[0]).toMatchObject({ id: 'kitchen', kind: 'room' })
+  })
+
+  it('tolerates typos and partial words', () => {
+    expect(searchIndex(index, 'mitocondria')[0]?.id).toBe('kettle')
+    expect(searchIndex(index, 'canb')[0]?.id).toBe('globe')
+  })
+
+  it('ignores filler words in natural questions', () => {
+    const results = searchIndex(index, 'Where did I put the brass key?')
+    expect(results[0]).toMatchObject({ id: 'key', roomId: null, roomName: 'Inventory' })
+  })
+
+  it('searches door descriptions and filters by kind', () => {
+    expect(searchIndex(index, 'archway')[0]).toMatchObject({ id: 'arch', kind: 'door', roomId: 'kitchen' })
+    expect(searchIndex(index, 'archway', { kinds: ['room'] })).toHaveLength(0)
+  })
+
+  it('returns snippets with highlighted matches', () => {
+    const [result] = searchIndex(index, 'respiration')
+    const [start, end] = result.highlights[0]
+    expect(result.snippet.slice(start, end)).toBe('respiration')
+  })
+})
+
+describe('palace search in the core', () => {
+  let core: any
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+
+    core = new MemoryPalaceCore({ enableImageGeneration: false })
+    core.state = buildState()
+    core.state.user.currentRoomId = 'kitchen'
+    core.isInitialized = true
+  })
+
+  it('refreshes the index after changes', async () => {
+    expect(core.searchPalace('telescope')).toHaveLength(0)
+
+    await core.addObject('Telescope', 'Galileo saw the moons of Jupiter', { x: 1, y: 0, z: 0 })
+    expect(core.searchPalace('telescope')[0]?.title).toBe('Telescope')
+  })
+
+  it('goes to the room of a result and announces it', async () => {
+    const focused: any[] = []
+    core.on('search_result_focused', ({ result }: any) => focused.push(result))
+
+    const tools = new MemoryPalaceToolManager(core)
+    const response = await tools.executeTool('search_palace', { query: 'canbera', goTo: true }, null)
+
+    expect(response).toContain('Spinning Globe')
+    expect(core.state.user.currentRoomId).toBe('library')
+    expect(focused[0].position).toEqual({ x: 0, y: 0, z: 10 })
+  })
+})
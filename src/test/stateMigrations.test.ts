@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  migrateStateData
+} from '../utils/migrationUtils.js'
+import { validateState, repairState } from '../utils/validationUtils.js'
+import {
+  StateKeys,
+  MAP_COLLECTIONS,
+  createEmptyState,
+  ensureDefaultState,
+  exportState,
+  importState,
+  loadState,
+  setStorageAdapter
+} from '../utils/stateUtils.js'
+import { LocalStorageAdapter } from '../services/StorageAdapters.js'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import { ObjectType } from '../types/index.js'
+import { createMemoryStorage, mockStorage } from './helpers.js'
+
+const room = (id: string) => ({
+  id,
+  name: `Room ${id}`,
+  description: '',
+  imageUrl: null,
+  roomCounter: 1,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt: '2025-01-01T00:00:00.000Z'
+})
+
+// A v0.1.0 export with an object saved under connections and `info` instead of `information`
+const legacyExport = () => ({
+  version: '0.1.0',
+  exportedAt: '2025-01-01T00:00:00.000Z',
+  data: {
+    user: { id: 'u1', currentRoomId: 'a', roomCounter: 1, objectCounter: 2, inventory: [] },
+    rooms: { a: room('a') },
+    objects: {
+      o1: { id: 'o1', roomId: 'a', name: 'Lamp', info: 'Light of reason', position: { x: 1, y: 0, z: 0 } }
+    },
+    connections: {
+      o2: { id: 'o2', roomId: 'a', name: 'Clock', info: 'Time flies', position: { x: 0, y: 1, z: 0 } },
+      c1: { id: 'c1', roomId: 'a', targetRoomId: 'a', position: { x: 0, y: 0, z: 1 } }
+    }
+  }
+})
+
+describe('schema migrations', () => {
+  it('treats unversioned data as the legacy schema', () => {
+    expect(getSchemaVersion({})).toBe(1)
+    expect(getSchemaVersion({ schemaVersion: CURRENT_SCHEMA_VERSION })).toBe(CURRENT_SCHEMA_VERSION)
+  })
+
+  it('moves objects out of connections and renames info', () => {
+    const input = legacyExport().data
+    const { data, applied } = migrateStateData(input)
+
+    expect(applied.map(migration => migration.version)).toEqual([2])
+    expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION)
+    expect(Object.keys(data.connections)).toEqual(['c1'])
+    expect(data.objects.o1).toMatchObject({ information: 'Light of reason', type: ObjectType.OBJECT })
+    expect(data.objects.o1).not.toHaveProperty('info')
+    expect(data.objects.o2).toMatchObject({ information: 'Time flies', roomId: 'a' })
+    expect(input.connections).toHaveProperty('o2')
+  })
+
+  it('skips migrations already applied', () => {
+    const { applied } = migrateStateData({ schemaVersion: CURRENT_SCHEMA_VERSION, objects: {} })
+    expect(applied).toHaveLength(0)
+  })
+
+  it('refuses exports from a newer schema', () => {
+    expect(() => importState({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, data: {} })).toThrow('newer than supported')
+  })
+
+  it('migrates on import and stamps the version on export', () => {
+    const state: any = importState(legacyExport())
+
+    expect(state.objects.get('o2')?.information).toBe('Time flies')
+    expect(state.connections.has('o2')).toBe(false)
+
+    const exported: any = exportState(state)
+    expect(exported.schemaVersion).toBe(CURRENT_SCHEMA_VERSION)
+    expect(exported.data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION)
+  })
+
+  it('migrates stored state on load and writes it back', async () => {
+    const storage = createMemoryStorage()
+    globalThis.localStorage = storage
+    setStorageAdapter(new LocalStorageAdapter({
+      keys: Object.values(StateKeys),
+      collections: MAP_COLLECTIONS
+    }))
+    const { data } = legacyExport()
+    Object.entries(data).forEach(([key, value]) => storage.setItem(`palais_${key}`, JSON.stringify(value)))
+
+    const state: any = await loadState()
+
+    expect(state.objects.get('o2')?.information).toBe('Time flies')
+    expect(JSON.parse(storage.getItem('palais_schemaVersion')!)).toBe(CURRENT_SCHEMA_VERSION)
+    expect(Object.keys(JSON.parse(storage.getItem('palais_connections')!))).toEqual(['c1'])
+  })
+})
+
+describe('state validation', () => {
+  let state: any
+
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+    setStorageAdapter(new LocalStorageAdapter({ keys: [], collections: [] }))
+
+    state = ensureDefaultState(createEmptyState())
+    state.rooms.set('a', room('a'))
+    state.objects.set('lost', {
+      id: 'lost', roomId: 'gone', name: 'Lost', type: ObjectType.OBJECT, information: '', position: { x: 1, y: 0, z: 0 }
+    })
+    state.objects.set('floating', {
+      id: 'floating', roomId: 'a', name: 'Floating', type: ObjectType.OBJECT, information: '', position: null
+    })
+    state.objects.set('door', {
+      id: 'door', roomId: 'a', name: 'Old Door', type: ObjectType.DOOR, targetRoomId: 'gone', position: { x: 0, y: 0, z: 1 }
+    })
+    state.connections.set('c1', { id: 'c1', roomId: 'a', targetRoomId: 'gone', position: { x: 0, y: 0, z: 0 } })
+  })
+
+  it('reports orphaned objects, dangling targets and missing positions', () => {
+    const report = validateState(state)
+
+    expect(report.valid).toBe(false)
+    expect(report.counts).toEqual({
+      orphaned_object: 1,
+      orphaned_connection: 0,
+      dangling_target: 2,
+      missing_position: 1
+    })
+  })
+
+  it('repairs every reported issue', async () => {
+    const result = await repairState(state)
+
+    expect(result.repaired).toBe(4)
+    expect(state.user.inventory).toContain('lost')
+    expect(state.objects.get('lost').roomId).toBeNull()
+    expect(state.objects.get('floating').position).toHaveProperty('x')
+    expect(state.objects.get('door')).toMatchObject({ targetRoomId: '', needsConfiguration: true })
+    expect(state.connections.has('c1')).toBe(false)
+    expect(validateState(state).valid).toBe(true)
+  })
+
+  it('repairs through the core as one undoable action', async () => {
+    const core: any = new MemoryPalaceCore({ enableImageGeneration: false })
+    core.state = state
+    core.isInitialized = true
+    // Undo history is built from save diffs, so start from the broken palace as stored
+    await core.saveState()
+
+    await core.repairPalace()
+    expect(core.validatePalace().valid).toBe(true)
+
+    await core.undo()
+    expect(core.validatePalace().issues).toHaveLength(4)
+  })
+})
@@ -0,0 +1,304 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { LocalStorageAdapter, createStorageAdapter } from '../services/StorageAdapters.js'
+import {
+  StateKeys,
+  MAP_COLLECTIONS,
+  createEmptyState,
+  ensureDefaultState,
+  loadState,
+  saveState,
+  clearState,
+  setStorageAdapter,
+  configurePersistence,
+  copyStoredState,
+  deleteStoredState
+} from '../utils/stateUtils.js'
+import { createMemoryStorage } from './helpers.js'
+
+// Adapter that records every write for assertions
+function createRecordingAdapter() {
+  const writes: any[] = []
+  return {
+    type: 'memory',
+    writes,
+    load: async () => ({}),
+    writeChanges: async (changes: any) => { writes.push(changes) },
+    clear: async () => {}
+  }
+}
+
+/**
+ * Just enough of indexedDB to open, read, write and delete databases: like a browser, a
+ * delete first asks open connections to close, is blocked while any stay open, and goes
+ * ahead once the last one closes
+ */
+function createFakeIndexedDB() {
+  const connections: any[] = []
+  const databases = new Map<string, Map<string, any>>()
+  const pendingDeletes = new Map<string, () => void>()
+  const later = (fn: () => void) => setTimeout(fn, 0)
+  const request = (result?: any) => {
+    const req: any = { result }
+    later(() => req.onsuccess?.())
+    return req
+  }
+  return {
+    connections,
+    databases,
+    open(name: string) {
+      const req: any = {}
+      later(() => {
+        if (!databases.has(name)) databases.set(name, new Map())
+        const db: any = {
+          name,
+          closed: false,
+          onversionchange: null,
+          objectStoreNames: { contains: () => true },
+          close() {
+            db.closed = true
+            if (!connections.some(other => other.name === name && !other.closed)) {
+              pendingDeletes.get(name)?.()
+            }
+          },
+          transaction() {
+            const rows = databases.get(name)!
+            const tx: any = {
+              objectStore: () => ({
+                put: (row: any) => { rows.set(row.key, row) },
+                delete: (key: string) => { rows.delete(key) },
+                clear: () => { rows.clear() },
+                getAll: () => request(Array.from(rows.values())),
+                count: () => request(rows.size)
+              })
+            }
+            later(() => later(() => tx.oncomplete()))
+            return tx
+          }
+        }
+        connections.push(db)
+        req.result = db
+        req.onsuccess()
+      })
+      return req
+    },
+    deleteDatabase(name: string) {
+      const req: any = {}
+      later(() => {
+        const open = () => connections.filter(db => db.name === name && !db.closed)
+        const remove = () => {
+          pendingDeletes.delete(name)
+          databases.delete(name)
+          req.onsuccess()
+        }
+        open().forEach(db => db.onversionchange?.())
+        if (open().length > 0) {
+          pendingDeletes.set(name, remove)
+          req.onblocked()
+        } else {
+          remove()
+        }
+      })
+      return req
+    }
+  }
+}
+
+const room = (id: string) => ({
+  id,
+  name: `Room ${id}`,
+  description: '',
+  imageUrl: null,
+  roomCounter: 1,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt: '2025-01-01T00:00:00.000Z'
+})
+
+describe('saveState record diffing', () => {
+  let adapter: ReturnType<typeof createRecordingAdapter>
+  let state: any
+
+  beforeEach(() => {
+    adapter = createRecordingAdapter()
+    setStorageAdapter(adapter)
+    state = ensureDefaultState(createEmptyState())
+  })
+
+  it('writes only changed records after the first save', async () => {
+    state.rooms.set('a', room('a'))
+    state.rooms.set('b', room('b'))
+    await saveState(state)
+
+    state.rooms.set('b', { ...room('b'), name: 'Renamed' })
+    await saveState(state)
+
+    const last = adapter.writes[adapter.writes.length - 1]
+    expect(Object.keys(last.collections)).toEqual(['rooms'])
+    expect(Object.keys(last.collections.rooms.put)).toEqual(['b'])
+    expect(last.values).toEqual({})
+  })
+
+  it('deletes removed records and skips no-op saves', async () => {
+    state.rooms.set('a', room('a'))
+    await saveState(state)
+    const writeCount = adapter.writes.length
+
+    await saveState(state)
+    expect(adapter.writes.length).toBe(writeCount)
+
+    state.rooms.delete('a')
+    await saveState(state)
+    expect(adapter.writes[adapter.writes.length - 1].collections.rooms.delete).toEqual(['a'])
+  })
+
+  it('retries the puts and deletes of a failed write, and only those', async () => {
+    state.rooms.set('a', room('a'))
+    state.rooms.set('b', room('b'))
+    state.rooms.set('c', room('c'))
+    await saveState(state)
+
+    const writeChanges = adapter.writeChanges
+    adapter.writeChanges = async () => { throw new Error('Quota exceeded') }
+    state.rooms.delete('a')
+    state.rooms.set('b', { ...room('b'), name: 'Renamed' })
+    await saveState(state)
+
+    adapter.writeChanges = writeChanges
+    await saveState(state)
+    const retry = adapter.writes[adapter.writes.length - 1]
+    expect(retry.collections.rooms.delete).toEqual(['a'])
+    expect(Object.keys(retry.collections.rooms.put)).toEqual(['b'])
+  })
+})
+
+describe('LocalStorageAdapter', () => {
+  let storage: ReturnType<typeof createMemoryStorage>
+
+  beforeEach(() => {
+    storage = createMemoryStorage()
+    globalThis.localStorage = storage
+    setStorageAdapter(new LocalStorageAdapter({
+      keys: Object.values(StateKeys),
+      collections: MAP_COLLECTIONS
+    }))
+  })
+
+  it('round-trips state in the palais_* key format', async () => {
+    const state: any = ensureDefaultState(createEmptyState())
+    state.rooms.set('a', room('a'))
+    await saveState(state)
+
+    expect(JSON.parse(storage.getItem('palais_rooms')!)).toHaveProperty('a')
+
+    const loaded: any = await loadState()
+    expect(loaded.rooms.get('a')?.name).toBe('Room a')
+    expect(loaded.user.id).toBe(state.user.id)
+  })
+
+  it('merges record changes into the stored collection', async () => {
+    storage.setItem('palais_rooms', JSON.stringify({ a: room('a'), b: room('b') }))
+    const state: any = await loadState()
+
+    state.rooms.delete('a')
+    await saveState(state, StateKeys.ROOMS)
+
+    expect(Object.keys(JSON.parse(storage.getItem('palais_rooms')!))).toEqual(['b'])
+  })
+
+  it('clears all palace keys', async () => {
+    const state = ensureDefaultState(createEmptyState())
+    await saveState(state)
+    await clearState()
+
+    expect(storage.getItem('palais_user')).toBeNull()
+  })
+})
+
+describe('createStorageAdapter', () => {
+  it('rejects unknown persistence types', () => {
+    expect(() => createStorageAdapter('floppy')).toThrow('Unknown persistence type')
+  })
+
+  it('reports IndexedDB as unavailable when the API is missing', async () => {
+    const adapter = createStorageAdapter('indexedDB', { keys: [], collections: [] })
+    expect(adapter.type).toBe('indexedDB')
+    expect(await adapter.isAvailable()).toBe(typeof indexedDB !== 'undefined')
+  })
+})
+
+describe('IndexedDB connections', () => {
+  const realIndexedDB = (globalThis as any).indexedDB
+  let fakeIndexedDB: ReturnType<typeof createFakeIndexedDB>
+
+  beforeEach(() => {
+    fakeIndexedDB = createFakeIndexedDB()
+    ;(globalThis as any).indexedDB = fakeIndexedDB
+  })
+
+  afterEach(() => {
+    (globalThis as any).indexedDB = realIndexedDB
+  })
+
+  it('closes an open connection when its database is deleted elsewhere', async () => {
+    const open = createStorageAdapter('indexedDB', { namespace: 'palace_1' })
+    await open.isAvailable()
+
+    await createStorageAdapter('indexedDB', { namespace: 'palace_1' }).destroy()
+    expect(fakeIndexedDB.connections[0].closed).toBe(true)
+  })
+
+  it('leaves a blocked delete pending until the other tab closes the database', async () => {
+    const stuck = await new Promise<any>(resolve => {
+      const request: any = fakeIndexedDB.open('palais_de_memoire_palace_2')
+      request.onsuccess = () => resolve(request.result)
+    })
+
+    await createStorageAdapter('indexedDB', { namespace: 'palace_2' }).destroy()
+    expect(fakeIndexedDB.databases.has('palais_de_memoire_palace_2')).toBe(true)
+
+    stuck.close()
+    expect(fakeIndexedDB.databases.has('palais_de_memoire_palace_2')).toBe(false)
+  })
+
+  it('closes the outgoing adapter when persistence moves to another palace', async () => {
+    const outgoing = createStorageAdapter('indexedDB', { namespace: 'palace_3' })
+    await outgoing.isAvailable()
+    setStorageAdapter(outgoing)
+
+    expect(await configurePersistence('indexedDB', 'palace_4')).toBe('indexedDB')
+    expect(fakeIndexedDB.connections.filter(db => !db.closed).map(db => db.name)).toEqual([
+      'palais_de_memoire_palace_4'
+    ])
+  })
+
+  it('moves a palace across when the storage setting changes either way', async () => {
+    const storage = createMemoryStorage()
+    globalThis.localStorage = storage
+
+    await configurePersistence('localStorage', 'palace_5')
+    const state: any = ensureDefaultState(createEmptyState())
+    state.rooms.set('r1', room('r1'))
+    await saveState(state)
+
+    await configurePersistence('indexedDB', 'palace_5')
+    expect(storage.getItem('palais_palace_5_rooms')).toBeNull()
+    expect(((await loadState()) as any).rooms.get('r1')?.name).toBe('Room r1')
+
+    await configurePersistence('localStorage', 'palace_5')
+    expect(fakeIndexedDB.databases.has('palais_de_memoire_palace_5')).toBe(false)
+    expect(((await loadState()) as any).rooms.get('r1')?.name).toBe('Room r1')
+  })
+
+  it('copies and deletes a palace still stored under the other backend', async () => {
+    const storage = createMemoryStorage()
+    globalThis.localStorage = storage
+    storage.setItem('palais_palace_6_rooms', JSON.stringify({ r1: room('r1') }))
+    await configurePersistence('indexedDB', 'palace_7')
+
+    await copyStoredState('palace_6', 'palace_8')
+    await configurePersistence('indexedDB', 'palace_8')
+    expect(((await loadState()) as any).rooms.get('r1')?.name).toBe('Room r1')
+
+    await deleteStoredState('palace_6')
+    expect(storage.getItem('palais_palace_6_rooms')).toBeNull()
+  })
+})
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { normalizeTags, normalizeColor, matchesTags } from '../utils/tagUtils.js'
+import { getRoomObjectStats } from '../utils/objectUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * Two French verbs in the Hall, one in the Library, and an untagged lamp in the Hall
+ */
+async function createPalace(core: any) {
+  const library = await core.createRoom('Library', 'The library', { skipImageGeneration: true })
+  const hall = await core.createRoom('Hall', 'The hall', { skipImageGeneration: true })
+  const objects: Record<string, any> = {}
+  await core.navigateToRoom(hall.id)
+  objects.etre = await core.addObject('Être', 'To be')
+  objects.avoir = await core.addObject('Avoir', 'To have')
+  objects.lamp = await core.addObject('Lamp', 'A brass lamp')
+  await core.navigateToRoom(library.id)
+  objects.aller = await core.addObject('Aller', 'To go')
+  await core.navigateToRoom(hall.id)
+
+  await core.tagObject(objects.etre.id, { add: ['French', 'verbs'] })
+  await core.tagObject(objects.avoir.id, { add: '#french, irregular' })
+  await core.tagObject(objects.aller.id, { add: ['french'] })
+  return { hall, library, objects }
+}
+
+describe('tag normalization', () => {
+  it('lowercases tags, drops the hash and duplicates', () => {
+    expect(normalizeTags(['#French  Verbs', 'french verbs', ' ', 'Grammar'])).toEqual(['french verbs', 'grammar'])
+    expect(normalizeTags('a, #B,,c')).toEqual(['a', 'b', 'c'])
+  })
+
+  it('accepts named and hex colors', () => {
+    expect(normalizeColor('Blue')).toBe('#539bf5')
+    expect(normalizeColor('#3AF')).toBe('#33aaff')
+    expect(normalizeColor('none')).toBeNull()
+    expect(() => normalizeColor('sparkly')).toThrow('Invalid color "sparkly"')
+  })
+
+  it('matches objects carrying any filtered tag', () => {
+    const object: any = { type: 'object', tags: ['french', 'verbs'] }
+
+    expect(matchesTags(object, [])).toBe(true)
+    expect(matchesTags(object, ['Verbs', 'german'])).toBe(true)
+    expect(matchesTags(object, ['german'])).toBe(false)
+    expect(matchesTags({ type: 'object' } as any, ['german'])).toBe(false)
+  })
+})
+
+describe('object tags', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('adds and removes tags and sets the marker color', async () => {
+    const core = createCore()
+    const { objects } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.OBJECT_UPDATED, (object: any) => events.push(object))
+
+    const tagged = await core.tagObject(objects.etre.id, { add: ['grammar'], remove: ['verbs'], color: 'green' })
+
+    expect(tagged).toMatchObject({ tags: ['french', 'grammar'], color: '#57ab5a' })
+    expect(events).toHaveLength(1)
+
+    const recolored = await core.tagObject(objects.etre.id, { add: [] })
+    expect(recolored.color).toBe('#57ab5a')
+    expect((await core.tagObject(objects.etre.id, { color: null })).color).toBeNull()
+  })
+
+  it('refuses to tag doors and keeps invalid colors out', async () => {
+    const core = createCore()
+    const { hall, library, objects } = await createPalace(core)
+    await core.createConnection({ roomId: hall.id, targetRoomId: library.id })
+    const door = core.getCurrentRoomObjects().find((obj: any) => obj.type === 'door')
+    const before = core.state.objects.get(objects.lamp.id)
+
+    await expect(core.tagObject(door.id, { add: ['exit'] })).rejects.toThrow('not found')
+    await expect(core.tagObject(objects.lamp.id, { color: 'sparkly' })).rejects.toThrow('Invalid color')
+    expect(core.state.objects.get(objects.lamp.id)).toEqual(before)
+  })
+
+  it('counts tags across the palace or in one room and finds tagged objects', async () => {
+    const core = createCore()
+    const { hall, objects } = await createPalace(core)
+
+    expect(core.getAllTags()).toEqual([
+      { tag: 'french', count: 3 },
+      { tag: 'irregular', count: 1 },
+      { tag: 'verbs', count: 1 }
+    ])
+    expect(core.getAllTags(hall.id).find((entry: any) => entry.tag === 'french').count).toBe(2)
+    expect(core.getObjectsByTag('#French').map((obj: any) => obj.id))
+      .toEqual([objects.etre.id, objects.avoir.id, objects.aller.id])
+    expect(core.getObjectsByTag('french', hall.id)).toHaveLength(2)
+    expect(getRoomObjectStats(core.state, hall.id).tags).toEqual({ french: 2, verbs: 1, irregular: 1 })
+  })
+
+  it('normalizes tags edited through updateObject and undoes tagging', async () => {
+    const core = createCore()
+    const { objects } = await createPalace(core)
+
+    const updated = await core.updateObject(objects.lamp.id, { tags: ['#Light', 'light'], color: 'ORANGE' })
+    expect(updated).toMatchObject({ tags: ['light'], color: '#f0883e' })
+
+    await core.undo()
+    expect(core.state.objects.get(objects.lamp.id).tags).toBeUndefined()
+  })
+})
+
+describe('tag tools', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('tags an object by name, looking in the current room first', async () => {
+    const core = createCore()
+    const { objects } = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('tag_object', { objectName: 'lamp', addTags: ['Light'], color: 'yellow' }))
+      .toBe('"Lamp" now has tags: light, color #e3b341')
+    expect(await tool.executeTool('tag_object', { objectName: 'aller', removeTags: ['french'] }))
+      .toBe('"Aller" now has no tags')
+    expect(core.state.objects.get(objects.aller.id).tags).toEqual([])
+    expect(await tool.executeTool('tag_object', { objectName: 'Piano', addTags: ['music'] }))
+      .toBe('Failed to tag object: Object "Piano" not found. Objects in this room: Être, Avoir, Lamp')
+  })
+
+  it('lists tagged objects with their rooms, or the tags in use', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('list_objects_by_tag', { tag: 'french' })).toBe(
+      'Objects tagged "french" (3 total):\n- Être (Hall): To be\n- Avoir (Hall): To have\n- Aller (Library): To go'
+    )
+    expect(await tool.executeTool('list_objects_by_tag', { currentRoomOnly: true }))
+      .toBe('Tags in use in this room: french (2), irregular (1), verbs (1)')
+    expect(await tool.executeTool('list_objects_by_tag', { tag: 'german' }))
+      .toBe('No objects tagged "german". Tags in use: french (3), irregular (1), verbs (1)')
+  })
+})
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import MemoryPalaceCore from '../core/MemoryPalaceCore.js'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { ensureDefaultState } from '../utils/stateUtils.js'
+import * as imageGeneration from '../utils/imageGeneration.js'
+import replicateAPI from '../services/ReplicateAPI.js'
+import { ObjectType } from '../types/index.js'
+import { mockStorage } from './helpers.js'
+
+describe('undo/redo history', () => {
+  let core: any
+  let roomId: string
+
+  beforeEach(async () => {
+    globalThis.localStorage = mockStorage
+
+    core = new MemoryPalaceCore({ enableImageGeneration: false })
+    core.state = ensureDefaultState(core.state)
+    core.isInitialized = true
+
+    const room = await core.createRoom('Study', 'A quiet study', { skipImageGeneration: true })
+    roomId = room.id
+    await core.navigateToRoom(roomId)
+    core.clearHistory()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('undoes and redoes object creation', async () => {
+    const object = await core.addObject('Lamp', 'Light of reason', { x: 1, y: 0, z: 0 })
+    expect(core.getHistoryState().undoLabel).toBe('Create object "Lamp"')
+
+    await core.undo()
+    expect(core.state.objects.has(object.id)).toBe(false)
+    expect(core.getHistoryState().canRedo).toBe(true)
+
+    await core.redo()
+    expect(core.state.objects.get(object.id)?.name).toBe('Lamp')
+  })
+
+  it('restores a deleted room with its objects and connections in one step', async () => {
+    const other = await core.createRoom('Hall', 'A long hall', { skipImageGeneration: true })
+    const object = await core.createObject({
+      name: 'Vase',
+      type: ObjectType.OBJECT,
+      information: 'Fragile',
+      roomId: other.id,
+      position: { x: 0, y: 0, z: 1 }
+    })
+    core.state.objects.set(object.id, { ...object, roomId: other.id })
+    core.state.connections.set('c1', { id: 'c1', roomId, targetRoomId: other.id, position: { x: 0, y: 0, z: 0 } })
+    await core.saveState()
+
+    await core.deleteRoom(other.id)
+    expect(core.state.rooms.has(other.id)).toBe(false)
+    expect(core.state.connections.has('c1')).toBe(false)
+
+    await core.undo()
+    expect(core.state.rooms.has(other.id)).toBe(true)
+    expect(core.state.objects.get(object.id)?.roomId).toBe(other.id)
+    expect(core.state.connections.has('c1')).toBe(true)
+  })
+
+  it('does not move the user when undoing', async () => {
+    const other = await core.createRoom('Hall', 'A long hall', { skipImageGeneration: true })
+    await core.navigateToRoom(other.id)
+    await core.editRoom(roomId, { name: 'Library' })
+
+    await core.undo()
+    expect(core.state.rooms.get(roomId)?.name).toBe('Study')
+    expect(core.state.user.currentRoomId).toBe(other.id)
+  })
+
+  it('records only the records an action saves', async () => {
+    const other = await core.createRoom('Hall', 'A long hall', { skipImageGeneration: true })
+    await core.navigateToRoom(other.id)
+    await core.editRoom(roomId, { name: 'Library' })
+
+    const [entry] = core.history.undoStack.slice(-1)
+    expect(entry.changes.map((change: any) => `${change.collection}/${change.id}`)).toEqual([`rooms/${roomId}`])
+  })
+
+  it('clears the redo stack when a new action is recorded', async () => {
+    await core.addObject('Lamp', 'Light', { x: 1, y: 0, z: 0 })
+    await core.undo()
+    await core.addObject('Clock', 'Time', { x: 0, y: 1, z: 0 })
+
+    expect(core.getHistoryState().canRedo).toBe(false)
+  })
+
+  it('undoes through the undo_last_action tool', async () => {
+    const tool = new MemoryPalaceToolManager(core)
+    await core.addObject('Lamp', 'Light', { x: 1, y: 0, z: 0 })
+    await core.addObject('Clock', 'Time', { x: 0, y: 1, z: 0 })
+
+    const result = await tool.executeTool('undo_last_action', { steps: 2 }, null)
+    expect(result).toContain('Undid 2 actions')
+    expect(core.getCurrentRoomObjects()).toHaveLength(0)
+
+    expect(await tool.executeTool('undo_last_action', {}, null)).toBe('Nothing to undo')
+  })
+
+  it('keeps edits made while a new room\'s image renders out of "Create room"', async () => {
+    let finishImage: (url: string) => void = () => {}
+    core.generateRoomImage = () => new Promise(resolve => { finishImage = resolve })
+
+    const creating = core.createRoom('Hall', 'A long hall')
+    await new Promise(resolve => setTimeout(resolve, 0))
+    await core.editRoom(roomId, { name: 'Library' })
+    finishImage('https://example.com/hall.png')
+    const hall = await creating
+
+    expect(hall.imageUrl).toBe('https://example.com/hall.png')
+    expect(core.getHistoryState().undoLabel).toBe('Edit room "Study"')
+    await core.undo()
+    expect(core.state.rooms.get(roomId)?.name).toBe('Study')
+    expect(core.state.rooms.has(hall.id)).toBe(true)
+  })
+
+  it('rolls back a failed action and records nothing', async () => {
+    await core.addObject('Lamp', 'Light', { x: 1, y: 0, z: 0 })
+
+    await expect(core.transaction('Broken', async (scoped: any) => {
+      await scoped.addObject('Clock', 'Time', { x: 0, y: 1, z: 0 })
+      await scoped.editRoom(roomId, { name: 'Library' })
+      throw new Error('boom')
+    })).rejects.toThrow('boom')
+
+    expect(core.getCurrentRoomObjects().map((object: any) => object.name)).toEqual(['Lamp'])
+    expect(core.state.rooms.get(roomId)?.name).toBe('Study')
+    expect(core.getHistoryState().undoLabel).toBe('Create object "Lamp"')
+  })
+
+  it('gives an action started during another its own entry', async () => {
+    let release: () => void = () => {}
+    const gate = new Promise<void>(resolve => { release = resolve })
+
+    const slow = core.transaction('Slow', async (scoped: any) => {
+      await scoped.addObject('Lamp', 'Light', { x: 1, y: 0, z: 0 })
+      await gate
+    })
+    await new Promise(resolve => setTimeout(resolve, 0))
+    const editing = core.editRoom(roomId, { name: 'Library' })
+    release()
+    await Promise.all([slow, editing])
+
+    const [first, second] = core.history.undoStack
+    expect(first.label).toBe('Slow')
+    expect(first.changes.map((change: any) => change.collection)).not.toContain('rooms')
+    expect(second.changes.map((change: any) => `${change.collection}/${change.id}`)).toEqual([`rooms/${roomId}`])
+  })
+
+  it('keeps a room image that arrives during an action out of its entry', async () => {
+    vi.spyOn(replicateAPI, 'isConfigured').mockReturnValue(true)
+    vi.spyOn(replicateAPI, 'generateSkyboxImage').mockResolvedValue({ url: 'https://example.com/study.png' } as any)
+    let release: () => void = () => {}
+    const gate = new Promise<void>(resolve => { release = resolve })
+
+    const slow = core.transaction('Slow', async (scoped: any) => {
+      await scoped.addObject('Lamp', 'Light', { x: 1, y: 0, z: 0 })
+      await gate
+    })
+    const rendering = imageGeneration.generateAndUpdateRoomImage(core.state, roomId, 'A quiet study', undefined, undefined,
+      (update: () => Promise<unknown>) => core.exclusive(update))
+    await new Promise(resolve => setTimeout(resolve, 0))
+    release()
+    await Promise.all([slow, rendering])
+
+    expect(core.state.rooms.get(roomId)?.imageUrl).toBe('https://example.com/study.png')
+    expect(core.history.undoStack[0].changes.map((change: any) => change.collection)).not.toContain('rooms')
+  })
+})
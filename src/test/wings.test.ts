@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import MemoryPalaceToolManager from '../utils/memoryPalaceTools.js'
+import { describeRoomTree } from '../utils/roomUtils.js'
+import { EventTypes } from '../types/index.js'
+import { createCore, mockStorage } from './helpers.js'
+
+/**
+ * Biology wing holding Cells, with Genetics on a floor inside it; Hall belongs to no wing
+ */
+async function createPalace(core: any) {
+  const rooms: Record<string, any> = {}
+  for (const name of ['Hall', 'Cells', 'Genetics']) {
+    rooms[name] = await core.createRoom(name, `The ${name} room`, { skipImageGeneration: true })
+  }
+  const biology = await core.createWing('Biology wing')
+  const floor = await core.createWing('Upper floor', { parentId: biology.id })
+  await core.moveRoomToWing(rooms.Cells.id, biology.id)
+  await core.moveRoomToWing(rooms.Genetics.id, floor.id)
+  await core.navigateToRoom(rooms.Cells.id)
+  return { rooms, biology, floor }
+}
+
+describe('wings', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('groups rooms into nested wings', async () => {
+    const core = createCore()
+    const { rooms, biology, floor } = await createPalace(core)
+
+    const tree = core.getRoomTree()
+
+    expect(tree.rooms.map((room: any) => room.name)).toEqual(['Hall'])
+    expect(tree.wings).toHaveLength(1)
+    expect(tree.wings[0].wing.id).toBe(biology.id)
+    expect(tree.wings[0].rooms.map((room: any) => room.name)).toEqual(['Cells'])
+    expect(tree.wings[0].children[0].wing.id).toBe(floor.id)
+    expect(core.getRoomsInWing(biology.id).map((room: any) => room.id)).toEqual([rooms.Cells.id, rooms.Genetics.id])
+    expect(core.getWingPath(floor.id).map((wing: any) => wing.name)).toEqual(['Biology wing', 'Upper floor'])
+    expect(describeRoomTree(tree, rooms.Cells.id)).toBe(
+      '- Biology wing: Cells (current)\n  - Upper floor: Genetics\n- Not in a wing: Hall'
+    )
+  })
+
+  it('refuses to nest a wing inside itself', async () => {
+    const core = createCore()
+    const { biology, floor } = await createPalace(core)
+
+    await expect(core.editWing(biology.id, { parentId: floor.id })).rejects.toThrow('cannot be placed inside itself')
+    await expect(core.createWing('Annex', { parentId: 'missing' })).rejects.toThrow('Wing missing not found')
+
+    const moved = await core.editWing(floor.id, { name: 'Top floor', parentId: null })
+    expect(moved).toMatchObject({ name: 'Top floor', parentId: null })
+  })
+
+  it('keeps rooms and nested wings when a wing is deleted', async () => {
+    const core = createCore()
+    const { rooms, biology, floor } = await createPalace(core)
+    const events: any[] = []
+    core.on(EventTypes.WING_DELETED, (event: any) => events.push(event))
+
+    expect(await core.deleteWing(biology.id)).toBe(true)
+
+    expect(core.state.rooms.size).toBe(3)
+    expect(core.state.rooms.get(rooms.Cells.id).wingId).toBeNull()
+    expect(core.state.wings.get(floor.id).parentId).toBeNull()
+    expect(events).toEqual([{ wingId: biology.id }])
+  })
+
+  it('undoes wing changes like any other edit', async () => {
+    const core = createCore()
+    const { rooms, biology } = await createPalace(core)
+
+    await core.moveRoomToWing(rooms.Hall.id, biology.id)
+    await core.undo()
+
+    expect(core.state.rooms.get(rooms.Hall.id).wingId).toBeNull()
+  })
+})
+
+describe('wing export and import', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('exports a wing with its rooms, objects and inner doors only', async () => {
+    const core = createCore()
+    const { rooms, biology } = await createPalace(core)
+    await core.addObject('Mitochondrion', 'Powerhouse of the cell')
+    await core.createConnection({ roomId: rooms.Cells.id, targetRoomId: rooms.Genetics.id })
+    await core.createConnection({ roomId: rooms.Cells.id, targetRoomId: rooms.Hall.id, bidirectional: false })
+
+    const data = core.exportWing(biology.id)
+
+    expect(data).toMatchObject({ format: 'palais-wing', wingId: biology.id })
+    expect(data.wings.map((wing: any) => wing.name)).toEqual(['Biology wing', 'Upper floor'])
+    expect(data.rooms.map((room: any) => room.name)).toEqual(['Cells', 'Genetics'])
+    expect(data.objects.map((obj: any) => obj.name)).toEqual(['Mitochondrion'])
+    expect(data.connections).toHaveLength(2)
+    expect(() => core.exportWing('missing')).toThrow('Wing missing not found')
+  })
+
+  it('imports a wing with new IDs alongside the existing rooms', async () => {
+    const source = createCore()
+    const { rooms, biology } = await createPalace(source)
+    await source.addObject('Mitochondrion', 'Powerhouse of the cell')
+    await source.createConnection({ roomId: rooms.Cells.id, targetRoomId: rooms.Genetics.id })
+    const data = JSON.parse(JSON.stringify(source.exportWing(biology.id)))
+
+    const core = createCore()
+    await core.createRoom('Lobby', 'The lobby', { skipImageGeneration: true })
+    const result = await core.importWing(data)
+
+    expect(result.wing.name).toBe('Biology wing')
+    expect(result.wing.id).not.toBe(biology.id)
+    expect(result.rooms.map((room: any) => room.roomCounter)).toEqual([2, 3])
+    expect(result).toMatchObject({ objectCount: 1, connectionCount: 2 })
+    expect(core.state.rooms.size).toBe(3)
+
+    const tree = core.getRoomTree()
+    expect(tree.wings[0].rooms.map((room: any) => room.name)).toEqual(['Cells'])
+    expect(tree.wings[0].children[0].rooms.map((room: any) => room.name)).toEqual(['Genetics'])
+
+    const [cells, genetics] = result.rooms
+    const doors = Array.from(core.state.connections.values()) as any[]
+    expect(doors.map(door => [door.roomId, door.targetRoomId])).toEqual([[cells.id, genetics.id], [genetics.id, cells.id]])
+    expect((Array.from(core.state.objects.values())[0] as any).roomId).toBe(cells.id)
+  })
+
+  it('rejects files that are not wing exports', async () => {
+    const core = createCore()
+
+    await expect(core.importWing({ rooms: [] })).rejects.toThrow('Not a wing export')
+    expect(core.state.wings.size).toBe(0)
+  })
+})
+
+describe('wing tools', () => {
+  beforeEach(() => {
+    globalThis.localStorage = mockStorage
+  })
+
+  it('lists rooms by wing, and one wing with descriptions', async () => {
+    const core = createCore()
+    await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('list_rooms', {})).toBe(
+      'Rooms in your memory palace (3 total), by wing:\n' +
+      '- Biology wing: Cells (current)\n  - Upper floor: Genetics\n- Not in a wing: Hall\n' +
+      'List a wing by name to see its room descriptions.'
+    )
+    expect(await tool.executeTool('list_rooms', { wingName: 'biology' })).toBe(
+      'Rooms in wing "Biology wing" (2 total):\n- Cells (current): The Cells room\n- Genetics: The Genetics room'
+    )
+    expect(await tool.executeTool('list_rooms', { wingName: 'Physics' }))
+      .toBe('Failed to list rooms: Wing "Physics" not found. Available wings: Biology wing, Upper floor')
+  })
+
+  it('creates wings and moves rooms in and out', async () => {
+    const core = createCore()
+    const { rooms } = await createPalace(core)
+    const tool = new MemoryPalaceToolManager(core)
+
+    expect(await tool.executeTool('manage_wing', { action: 'create', wingName: 'Entrance', roomNames: ['Hall', 'Attic'] }))
+      .toBe('Created wing "Entrance" with Hall. Rooms not found: Attic.')
+    expect(core.state.rooms.get(rooms.Hall.id).wingId).toBe(core.findWingByName('Entrance').id)
+
+    expect(await tool.executeTool('manage_wing', { action: 'remove_rooms' }))
+      .toBe('Took Cells out of their wing.')
+    expect(core.state.rooms.get(rooms.Cells.id).wingId).toBeNull()
+
+    expect(await tool.executeTool('manage_wing', { action: 'delete', wingName: 'Entrance' }))
+      .toBe('Deleted wing "Entrance". Its 1 room and any wings inside it were kept.')
+  })
+})
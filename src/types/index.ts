@@ -13,11 +13,62 @@ export const EventTypes = {
   ROOM_DELETED: 'room_deleted',
   ROOM_CHANGED: 'room_changed',
   
+  WING_CREATED: 'wing_created',
+  WING_UPDATED: 'wing_updated',
+  WING_DELETED: 'wing_deleted',
+  
   OBJECT_CREATED: 'object_created',
   OBJECT_UPDATED: 'object_updated',
   OBJECT_DELETED: 'object_deleted',
   
   CONNECTION_CREATED: 'connection_created',
+  CONNECTION_UPDATED: 'connection_updated',
+  CONNECTION_DELETED: 'connection_deleted',
+  
+  ASSOCIATION_CREATED: 'association_created',
+  ASSOCIATION_DELETED: 'association_deleted',
+  
+  TEMPLATE_SAVED: 'template_saved',
+  TEMPLATE_DELETED: 'template_deleted',
+  
+  PAO_TABLE_UPDATED: 'pao_table_updated',
+  
+  REVIEW_SESSION_STARTED: 'review_session_started',
+  REVIEW_ITEM_GRADED: 'review_item_graded',
+  REVIEW_SESSION_COMPLETED: 'review_session_completed',
+  
+  QUIZ_STARTED: 'quiz_started',
+  QUIZ_ANSWERED: 'quiz_answered',
+  QUIZ_ENDED: 'quiz_ended',
+  
+  RECALL_STARTED: 'recall_started',
+  RECALL_ATTEMPTED: 'recall_attempted',
+  RECALL_ENDED: 'recall_ended',
+  
+  WALK_ROUTE_UPDATED: 'walk_route_updated',
+  WALK_STARTED: 'walk_started',
+  WALK_STEP: 'walk_step',
+  WALK_PAUSED: 'walk_paused',
+  WALK_RESUMED: 'walk_resumed',
+  WALK_ENDED: 'walk_ended',
+  
+  JOURNEY_STARTED: 'journey_started',
+  JOURNEY_STEP: 'journey_step',
+  JOURNEY_ENDED: 'journey_ended',
+  
+  MAP_LAYOUT_UPDATED: 'map_layout_updated',
+  
+  HISTORY_CHANGED: 'history_changed',
+  
+  PALACES_UPDATED: 'palaces_updated',
+  PALACE_SWITCHED: 'palace_switched',
+  
+  SEARCH_RESULT_FOCUSED: 'search_result_focused',
+  
+  BACKUPS_UPDATED: 'backups_updated',
+  
+  STATE_ISSUES_FOUND: 'state_issues_found',
+  STATE_REPAIRED: 'state_repaired',
   
   COMMAND_PROCESSED: 'command_processed',
   STATE_CHANGED: 'state_changed',
@@ -98,6 +149,31 @@ export interface MemoryObject extends BaseMemoryObject {
   information: string;
   isPaintedObject?: boolean;
   paintData?: PaintData;
+  // User-defined labels, stored lowercase (see tagUtils.normalizeTag)
+  tags?: string[];
+  // Marker color chosen by the user, as a hex string
+  color?: string | null;
+  // Files kept in the palace's attachment store; `information` may show images with attachment:<id>
+  attachments?: Attachment[];
+  // Imagery the user chose to remember the information by, kept apart from the information itself
+  mnemonic?: string;
+}
+
+/**
+ * What an attachment holds, from its content type
+ */
+export type AttachmentKind = 'image' | 'audio' | 'file';
+
+/**
+ * A file attached to a memory object; the data lives in the attachment store under the same id
+ */
+export interface Attachment {
+  id: string;
+  kind: AttachmentKind;
+  name: string;
+  contentType: string;
+  size: number;
+  createdAt: string;
 }
 
 /**
@@ -111,6 +187,9 @@ export interface DoorObject extends BaseMemoryObject {
   isPaintedDoor?: boolean;
   paintData?: PaintData;
   needsConfiguration?: boolean;
+  // Set on doors drawn from state.connections rather than stored in state.objects
+  connectionId?: string;
+  bidirectional?: boolean;
 }
 
 /**
@@ -147,25 +226,666 @@ export interface Room {
   name: string;
   description: string;
   imageUrl: string | null;
+  imageId?: string | null;
+  wingId?: string | null;
   roomCounter: number;
   createdAt: string;
   updatedAt: string;
 }
 
+/**
+ * A named group of rooms, e.g. "Biology wing"; wings nest, so a floor is a wing inside a wing
+ */
+export interface Wing {
+  id: string;
+  userId: string;
+  name: string;
+  description: string;
+  parentId: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * A wing with its rooms and the wings nested inside it
+ */
+export interface WingTreeNode {
+  wing: Wing;
+  rooms: Room[];
+  children: WingTreeNode[];
+}
+
+/**
+ * All rooms grouped by wing, with the rooms that belong to no wing
+ */
+export interface RoomTree {
+  wings: WingTreeNode[];
+  rooms: Room[];
+}
+
+export interface CreateWingParams {
+  name: string;
+  description?: string;
+  parentId?: string | null;
+}
+
+export interface UpdateWingParams {
+  name?: string;
+  description?: string;
+  parentId?: string | null;
+}
+
+/**
+ * A wing exported on its own: its nested wings, rooms, objects and the doors between them
+ */
+export interface WingExport {
+  format: 'palais-wing';
+  schemaVersion: number;
+  exportedAt: string;
+  wingId: string;
+  wings: Wing[];
+  rooms: Room[];
+  objects: MemoryPalaceObject[];
+  connections: Connection[];
+  associations?: Association[];
+}
+
+/**
+ * What importing a wing added to the palace
+ */
+export interface WingImportResult {
+  wing: Wing;
+  wings: Wing[];
+  rooms: Room[];
+  objectCount: number;
+  connectionCount: number;
+}
+
 /**
  * Connection interface (for room connections)
  */
 export interface Connection {
   id: string;
   roomId: string;
+  userId?: string;
   targetRoomId: string;
   description?: string;
+  bidirectional?: boolean;
   position: Vector3;
   paintData?: PaintData;
   createdAt: string;
   updatedAt: string;
 }
 
+/**
+ * A labelled link from one memory object to another, e.g. "Mitochondria" -produces-> "ATP"
+ * The objects can be in different rooms; the link reads from source to target
+ */
+export interface Association {
+  id: string;
+  sourceId: string;
+  targetId: string;
+  relation: string;
+  createdAt: string;
+}
+
+/**
+ * An object linked to another, seen from that other object
+ * 'outgoing' when the other object is the association's source, 'incoming' when it is the target
+ */
+export interface RelatedObject {
+  association: Association;
+  object: MemoryObject;
+  direction: 'outgoing' | 'incoming';
+  roomName: string | null;
+}
+
+/**
+ * A locus in a room template: where an object goes and what it is called
+ */
+export interface TemplateLocus {
+  name: string;
+  information: string;
+  position: Vector3;
+  tags?: string[];
+  color?: string | null;
+}
+
+/**
+ * A saved room layout (skybox and loci) that new rooms can be built from, e.g. a "chapter room"
+ */
+export interface RoomTemplate {
+  id: string;
+  name: string;
+  description: string;
+  imageUrl: string | null;
+  imageId?: string | null;
+  loci: TemplateLocus[];
+  sourceRoomId?: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Parameters for a door between two existing rooms
+ * Positions default to a free spot at foot level; bidirectional defaults to true
+ */
+export interface CreateConnectionParams {
+  roomId: string;
+  targetRoomId: string;
+  description?: string;
+  position?: Vector3;
+  paintData?: PaintData | null;
+  bidirectional?: boolean;
+  returnDescription?: string;
+  returnPosition?: Vector3;
+}
+
+export interface UpdateConnectionParams {
+  description?: string;
+  targetRoomId?: string;
+  position?: Vector3;
+  paintData?: PaintData;
+}
+
+/**
+ * A new door, its return door (new or reused) and the records actually created
+ */
+export interface CreateConnectionResult {
+  connection: Connection;
+  returnConnection: Connection | null;
+  created: Connection[];
+}
+
+/**
+ * Recall grade for a review, on the SM-2 0-5 quality scale
+ */
+export enum ReviewGrade {
+  AGAIN = 1,
+  HARD = 3,
+  GOOD = 4,
+  EASY = 5
+}
+
+/**
+ * Single entry in an object's recall history
+ */
+export interface ReviewLogEntry {
+  grade: ReviewGrade;
+  reviewedAt: string;
+  interval: number;
+}
+
+/**
+ * Spaced-repetition scheduling state for a memory object
+ */
+export interface ReviewRecord {
+  objectId: string;
+  ease: number;
+  interval: number;
+  repetitions: number;
+  lapses: number;
+  dueAt: string;
+  lastReviewedAt: string | null;
+  history: ReviewLogEntry[];
+}
+
+/**
+ * A due object queued in a review session
+ */
+export interface ReviewItem {
+  objectId: string;
+  roomId: string;
+  name: string;
+  information: string;
+  record: ReviewRecord | null;
+}
+
+/**
+ * An object that can be quizzed on: placed, not a door, and holding some information
+ */
+export interface QuizItem {
+  objectId: string;
+  roomId: string;
+  name: string;
+  information: string;
+}
+
+/**
+ * Where a quiz question came from: written by the assistant, or a cloze deletion made offline
+ */
+export type QuizQuestionSource = 'ai' | 'cloze';
+
+/**
+ * A recall question about one object, asked while the user looks at its locus
+ */
+export interface QuizQuestion {
+  id: string;
+  objectId: string;
+  roomId: string;
+  objectName: string;
+  prompt: string;
+  answer: string;
+  source: QuizQuestionSource;
+}
+
+/**
+ * How close an answer came to the expected one
+ */
+export interface QuizGrade {
+  correct: boolean;
+  score: number;
+  expected: string;
+  given: string;
+}
+
+/**
+ * Single entry in an object's quiz history
+ */
+export interface QuizAttempt {
+  correct: boolean;
+  score: number;
+  answeredAt: string;
+}
+
+/**
+ * Quiz accuracy for a memory object
+ */
+export interface QuizRecord {
+  objectId: string;
+  attempts: number;
+  correct: number;
+  lastAnsweredAt: string | null;
+  history: QuizAttempt[];
+}
+
+/**
+ * The user's person, action and object for a two-digit number, from 00 to 99
+ */
+export interface PaoEntry {
+  digits: string;
+  person: string;
+  action: string;
+  object: string;
+  updatedAt: string;
+}
+
+/**
+ * Digits of a number given one role of a Person-Action-Object image, with the user's
+ * PAO table text for that role when there is one
+ */
+export interface PaoChunk {
+  role: 'person' | 'action' | 'object';
+  digits: string;
+  sounds: string;
+  text: string | null;
+}
+
+/**
+ * A number with its major-system sounds, wordlist words and PAO split
+ */
+export interface NumberEncoding {
+  digits: string;
+  major: string;
+  words: string[];
+  pao: PaoChunk[];
+}
+
+/**
+ * What the mnemonic coach knows about an object: its information, room and locus
+ */
+export interface MnemonicContext {
+  objectId: string | null;
+  objectName: string;
+  information: string;
+  roomName: string | null;
+  roomDescription: string | null;
+  locus: string | null;
+  numbers: NumberEncoding[];
+}
+
+/**
+ * A blind recall attempt: where the user pointed, what they said, and the locus it was
+ * scored against (the object they named, or else the one nearest the spot)
+ */
+export interface RecallResult {
+  objectId: string;
+  objectName: string;
+  information: string;
+  position: Vector3;
+  pointedAt: Vector3;
+  answer: string;
+  distance: number;
+  spatial: { correct: boolean; score: number };
+  content: { correct: boolean; score: number };
+}
+
+/**
+ * Stored memory-walk route: room sequence plus object sequence per room
+ * Rooms and objects missing from the stored order follow in creation order
+ */
+export interface WalkRoute {
+  roomOrder: string[];
+  objectOrder: Record<string, string[]>;
+}
+
+/**
+ * A single locus visited on a memory walk
+ */
+export interface WalkStop {
+  objectId: string;
+  roomId: string;
+  name: string;
+  information: string;
+  position: Vector3;
+}
+
+/**
+ * Playback controls for an active memory walk
+ */
+export type WalkAction = 'start' | 'next' | 'previous' | 'pause' | 'resume' | 'stop';
+
+/**
+ * Position of a room on the palace map, each axis from 0 to 1
+ */
+export interface MapPosition {
+  x: number;
+  y: number;
+}
+
+/**
+ * A room on the palace map; pinned rooms were placed by hand and stay put
+ */
+export interface PalaceMapNode {
+  roomId: string;
+  name: string;
+  objectCount: number;
+  connectionCount: number;
+  isCurrent: boolean;
+  pinned: boolean;
+  position: MapPosition;
+}
+
+/**
+ * Doors between two rooms, drawn as one line; two-way when doors lead both ways
+ */
+export interface PalaceMapEdge {
+  id: string;
+  fromRoomId: string;
+  toRoomId: string;
+  connectionIds: string[];
+  bidirectional: boolean;
+}
+
+/**
+ * Every room and the doors between them, ready to draw
+ */
+export interface PalaceMap {
+  nodes: PalaceMapNode[];
+  edges: PalaceMapEdge[];
+}
+
+/**
+ * One door passed through on the way between rooms
+ */
+export interface PathStep {
+  connectionId: string;
+  fromRoomId: string;
+  toRoomId: string;
+  doorDescription: string;
+  position: Vector3;
+}
+
+/**
+ * Fewest-doors path between two rooms; roomIds includes both ends
+ */
+export interface RoomPath {
+  fromRoomId: string;
+  toRoomId: string;
+  roomIds: string[];
+  steps: PathStep[];
+}
+
+/**
+ * Progress of a journey walking a path door by door
+ */
+export interface JourneyState {
+  path: RoomPath;
+  index: number;
+  total: number;
+  current: PathStep | null;
+}
+
+/**
+ * A single record changed by an action, serialized before and after (null when absent)
+ */
+export interface RecordChange {
+  collection: string;
+  id: string;
+  before: string | null;
+  after: string | null;
+}
+
+/**
+ * An undoable action in the palace history
+ */
+export interface HistoryEntry {
+  id: string;
+  label: string;
+  timestamp: string;
+  changes: RecordChange[];
+}
+
+/**
+ * What a search result points at
+ */
+export type SearchResultKind = 'room' | 'object' | 'door';
+
+/**
+ * A ranked palace search hit
+ * `highlights` are [start, end) character ranges of matched words within `snippet`
+ */
+export interface SearchResult {
+  id: string;
+  kind: SearchResultKind;
+  title: string;
+  roomId: string | null;
+  roomName: string | null;
+  field: string;
+  snippet: string;
+  highlights: Array<[number, number]>;
+  score: number;
+  position: Vector3 | null;
+}
+
+/**
+ * Options for palace search
+ */
+export interface SearchOptions {
+  limit?: number;
+  kinds?: SearchResultKind[];
+}
+
+/**
+ * A named palace in the registry
+ */
+export interface PalaceInfo {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Registry of all palaces and which one is open
+ */
+export interface PalaceRegistry {
+  activePalaceId: string;
+  palaces: PalaceInfo[];
+}
+
+/**
+ * Study material formats understood by bulk import
+ */
+export type StudyMaterialFormat = 'csv' | 'markdown' | 'anki';
+
+/**
+ * One parsed item of study material, destined to become a memory object
+ */
+export interface StudyItem {
+  name: string;
+  information: string;
+}
+
+/**
+ * A room in a bulk import plan
+ * `roomId` is null for overflow rooms still to be created, which are reached
+ * through a door from the room keyed `fromKey`
+ */
+export interface PlannedImportRoom {
+  key: string;
+  roomId: string | null;
+  name: string;
+  description: string;
+  fromKey: string | null;
+  items: Array<StudyItem & { position: Vector3 }>;
+}
+
+/**
+ * Preview of where imported items will be placed
+ */
+export interface BulkImportPlan {
+  format: StudyMaterialFormat;
+  itemCount: number;
+  rooms: PlannedImportRoom[];
+}
+
+/**
+ * Options for planning a bulk import
+ */
+export interface BulkImportOptions {
+  format?: StudyMaterialFormat | 'auto';
+  roomId?: string | null;
+  roomCapacity?: number;
+  roomName?: string;
+  roomDescription?: string;
+}
+
+/**
+ * Records created by committing a bulk import plan
+ */
+export interface BulkImportResult {
+  rooms: Room[];
+  objects: MemoryObject[];
+  connections: Connection[];
+}
+
+/**
+ * A skybox image stored in a palace bundle
+ * `url` is where it came from (null for images that were already local copies)
+ */
+export interface BundledImage {
+  path: string;
+  url: string | null;
+  roomIds: string[];
+  contentType: string;
+  size: number;
+}
+
+/**
+ * An image that could not be fetched while exporting a bundle
+ */
+export interface MissingBundleImage {
+  url: string;
+  roomIds: string[];
+  error: string;
+}
+
+/**
+ * An object attachment stored in a palace bundle
+ */
+export interface BundledAttachment {
+  path: string;
+  attachmentId: string;
+  objectIds: string[];
+  name: string;
+  contentType: string;
+  size: number;
+}
+
+/**
+ * An attachment whose data could not be found while exporting a bundle
+ */
+export interface MissingBundleAttachment {
+  attachmentId: string;
+  name: string;
+  error: string;
+}
+
+/**
+ * Manifest describing the contents of a palace bundle
+ */
+export interface PalaceBundleManifest {
+  format: string;
+  version: number;
+  appVersion: string;
+  schemaVersion: number;
+  exportedAt: string;
+  palaceName: string | null;
+  counts: { rooms: number; objects: number; connections: number };
+  images: BundledImage[];
+  missingImages: MissingBundleImage[];
+  // Absent from bundles made before objects had attachments
+  attachments?: BundledAttachment[];
+  missingAttachments?: MissingBundleAttachment[];
+}
+
+/**
+ * Why a backup was taken
+ */
+export type BackupReason = 'auto' | 'manual' | 'clear' | 'import' | 'delete_room' | 'restore';
+
+/**
+ * A stored snapshot of palace state
+ * `snapshot` is exportState output; `fingerprint` identifies its contents so
+ * unchanged palaces are not backed up again
+ */
+export interface PalaceBackup {
+  id: string;
+  createdAt: string;
+  reason: BackupReason;
+  label: string;
+  fingerprint: string;
+  counts: { rooms: number; objects: number; connections: number };
+  imageIds: string[];
+  attachmentIds?: string[];
+  snapshot: any;
+}
+
+/**
+ * A backup without its snapshot, for listing
+ */
+export type BackupSummary = Omit<PalaceBackup, 'snapshot'>;
+
+/**
+ * A record that restoring a backup would bring back, remove or revert
+ */
+export interface BackupDiffEntry {
+  collection: 'rooms' | 'objects' | 'connections' | 'wings';
+  id: string;
+  name: string;
+  change: 'restored' | 'removed' | 'changed';
+}
+
+/**
+ * What restoring a backup would change in the current palace
+ */
+export interface BackupDiff {
+  backupId: string;
+  entries: BackupDiffEntry[];
+  counts: { restored: number; removed: number; changed: number };
+}
+
 /**
  * User state interface
  */
@@ -175,6 +895,8 @@ export interface UserState {
   objectCounter: number;
   roomCounter: number;
   inventory: string[];
+  route?: WalkRoute;
+  mapLayout?: Record<string, MapPosition>;
   settings?: Record<string, any>;
 }
 
@@ -186,6 +908,13 @@ export interface ApplicationState {
   rooms: Map<string, Room>;
   objects: Map<string, MemoryPalaceObject>;
   connections: Map<string, Connection>;
+  reviews: Map<string, ReviewRecord>;
+  wings: Map<string, Wing>;
+  associations: Map<string, Association>;
+  templates: Map<string, RoomTemplate>;
+  quizStats: Map<string, QuizRecord>;
+  paoTable: Map<string, PaoEntry>;
+  schemaVersion?: number;
   conversationHistory: Array<{
     role: string;
     content: string;
@@ -218,6 +947,9 @@ export interface UpdateObjectParams {
   position?: Vector3;
   targetRoomId?: string;
   paintData?: PaintData;
+  tags?: string[];
+  color?: string | null;
+  mnemonic?: string;
 }
 
 /**
@@ -228,6 +960,40 @@ export interface ValidationResult {
   issues: string[];
 }
 
+/**
+ * Kinds of structural problem found when validating palace state
+ */
+export type StateIssueType = 'orphaned_object' | 'orphaned_connection' | 'dangling_target' | 'missing_position';
+
+/**
+ * A single structural problem in palace state
+ */
+export interface StateIssue {
+  type: StateIssueType;
+  collection: 'objects' | 'connections';
+  id: string;
+  name: string;
+  message: string;
+}
+
+/**
+ * Result of validating palace state
+ */
+export interface StateValidationReport {
+  valid: boolean;
+  checkedAt: string;
+  issues: StateIssue[];
+  counts: Record<StateIssueType, number>;
+}
+
+/**
+ * Result of repairing palace state
+ */
+export interface StateRepairResult {
+  repaired: number;
+  actions: string[];
+}
+
 /**
  * Object statistics interface
  */
@@ -236,6 +1002,15 @@ export interface ObjectStatistics {
   averageDistance: number;
   spread: number;
   categories: Record<string, number>;
+  tags: Record<string, number>;
+}
+
+/**
+ * A tag and the number of objects carrying it
+ */
+export interface TagCount {
+  tag: string;
+  count: number;
 }
 
 /**
@@ -3,10 +3,27 @@
 //   createParticleSystem(position, isDoor=false, objectId=null, options={})
 //   updateParticleSystems()
 //   removeParticleSystem(objectId)
+//   setColor(objectId, color)
+//   setDimmed(objectId, dimmed)
+//   setVisible(objectId, visible)
 //   dispose()
 
 import * as THREE from 'three'
 
+// Random color variations for better visibility
+const PARTICLE_PALETTE = [
+  0xffd700, // Gold
+  0x4dabf7, // Blue
+  0xff6b6b, // Red
+  0x51cf66, // Green
+  0xff8cc8, // Pink
+  0xffd43b, // Yellow
+  0xffffff  // White
+]
+
+// Share of its normal opacity a dimmed particle system keeps
+const DIMMED_OPACITY = 0.15
+
 export class SimpleParticleManager {
   constructor() {
     this.particleSystems = new Map()
@@ -32,6 +49,7 @@ export class SimpleParticleManager {
    *   size?: number                  — point size in pixels (default 8-12)
    *   lifetime?: [min,max]           — seconds (default [2,5])
    *   opacity?: number               — default 0.6-0.8
+   *   color?: string | number        — tint every particle this color instead of the random palette
    */
   createParticleSystem(position, isDoor = false, objectId = null, options = {}) {
     const {
@@ -42,7 +60,8 @@ export class SimpleParticleManager {
       particleCount = Math.floor(Math.random() * 20) + 60, // Random 20-40 particles
       size = Math.random() * 4 + 8, // Random size 8-12
       lifetime = [2, 5],
-      opacity = Math.random() * 0.2 + 0.6 // Random opacity 0.6-0.8
+      opacity = Math.random() * 0.2 + 0.6, // Random opacity 0.6-0.8
+      color = null
     } = options
 
     const count = Math.max(10, Math.floor(particleCount))
@@ -75,16 +94,8 @@ export class SimpleParticleManager {
     const motion    = new Float32Array(count * 4) // phase, frequency, amplitude, orbit_radius
     const alphas    = new Float32Array(count) // individual particle opacity for fade effects
 
-    // Random color variations for better visibility
-    const colorPalette = [
-      new THREE.Color(0xffd700), // Gold
-      new THREE.Color(0x4dabf7), // Blue  
-      new THREE.Color(0xff6b6b), // Red
-      new THREE.Color(0x51cf66), // Green
-      new THREE.Color(0xff8cc8), // Pink
-      new THREE.Color(0xffd43b),  // Yellow
-      new THREE.Color(0xffffff)  // White
-    ]
+    // Random palette for visibility, unless the object has a color of its own
+    const colorPalette = color !== null ? [new THREE.Color(color)] : PARTICLE_PALETTE.map(hex => new THREE.Color(hex))
 
     // Seed initial data with random selection
     for (let i = 0; i < count; i++) {
@@ -182,6 +193,7 @@ export class SimpleParticleManager {
       anchor: position.clone(),
       count,
       lifetime,
+      baseOpacity: opacity,
       blendMode: randomBlendMode // Store the chosen blend mode
     }
 
@@ -306,6 +318,40 @@ export class SimpleParticleManager {
     })
   }
 
+  /**
+   * Recolor a particle system, or return it to the random palette when color is null
+   */
+  setColor(objectId, color) {
+    const ps = this.particleSystems.get(objectId)
+    if (!ps) return
+    const colors = ps.geometry.attributes.color
+    const tint = color !== null && color !== undefined ? new THREE.Color(color) : null
+    for (let i = 0; i < ps.userData.count; i++) {
+      const base = tint || new THREE.Color(PARTICLE_PALETTE[Math.floor(Math.random() * PARTICLE_PALETTE.length)])
+      const cv = 0.7 + Math.random() * 0.3
+      colors.setXYZ(i, base.r * cv, base.g * cv, base.b * cv)
+    }
+    colors.needsUpdate = true
+  }
+
+  /**
+   * Fade a particle system to a faint glow, e.g. when it doesn't match a filter
+   */
+  setDimmed(objectId, dimmed) {
+    const ps = this.particleSystems.get(objectId)
+    if (!ps) return
+    ps.material.uniforms.opacity.value = ps.userData.baseOpacity * (dimmed ? DIMMED_OPACITY : 1)
+  }
+
+  /**
+   * Show or hide a particle system without removing it, e.g. while its locus is being recalled
+   */
+  setVisible(objectId, visible) {
+    const ps = this.particleSystems.get(objectId)
+    if (!ps) return
+    ps.visible = visible
+  }
+
   removeParticleSystem(objectId) {
     const ps = this.particleSystems.get(objectId)
     if (ps) {
@@ -0,0 +1,162 @@
+/**
+ * Association Utilities
+ * Labelled links between memory objects, across rooms: "this fact relates to that one"
+ *
+ * Connections join rooms; associations join loci. Each reads from source to target
+ * ("Mitochondria" produces "ATP") and is shown from both ends.
+ */
+
+import {
+  ApplicationState,
+  Association,
+  MemoryObject,
+  RelatedObject,
+  isMemoryObject
+} from '../types/index.js'
+import { generateId, saveState } from './stateUtils.js'
+
+export const DEFAULT_RELATION = 'relates to'
+
+// Offered in the inspector; any other label can be typed
+export const RELATION_SUGGESTIONS = [
+  'relates to',
+  'causes',
+  'is part of',
+  'is an example of',
+  'contrasts with',
+  'comes before',
+  'is the same as'
+]
+
+const MAX_RELATION_LENGTH = 40
+
+/**
+ * Lowercase a relation label and tidy its spacing; blank labels become "relates to"
+ */
+export function normalizeRelation(relation: string | null | undefined): string {
+  const label = String(relation ?? '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_RELATION_LENGTH)
+  return label || DEFAULT_RELATION
+}
+
+/**
+ * Get a memory object that can be linked
+ * @throws If the object doesn't exist or is a door
+ */
+function getLinkableObject(state: ApplicationState, objectId: string): MemoryObject {
+  const object = state.objects.get(objectId)
+  if (!object) {
+    throw new Error(`Object ${objectId} not found`)
+  }
+  if (!isMemoryObject(object)) {
+    throw new Error(`"${object.name}" is a door; only memory objects can be linked`)
+  }
+  return object
+}
+
+/**
+ * Link two memory objects
+ * @throws If either object can't be linked, they are the same object, or the same link exists
+ */
+export async function createAssociation(
+  state: ApplicationState,
+  sourceId: string,
+  targetId: string,
+  relation: string | null = null
+): Promise<Association> {
+  const source = getLinkableObject(state, sourceId)
+  const target = getLinkableObject(state, targetId)
+  if (sourceId === targetId) {
+    throw new Error(`"${source.name}" cannot be linked to itself`)
+  }
+
+  const label = normalizeRelation(relation)
+  const existing = Array.from(state.associations.values()).find(association =>
+    association.sourceId === sourceId && association.targetId === targetId && association.relation === label
+  )
+  if (existing) {
+    throw new Error(`"${source.name}" already ${label} "${target.name}"`)
+  }
+
+  const association: Association = {
+    id: `assoc_${generateId()}`,
+    sourceId,
+    targetId,
+    relation: label,
+    createdAt: new Date().toISOString()
+  }
+  state.associations.set(association.id, association)
+  await saveState(state)
+  return association
+}
+
+/**
+ * Remove a link
+ * @throws If the association doesn't exist
+ */
+export async function deleteAssociation(state: ApplicationState, associationId: string): Promise<Association> {
+  const association = state.associations.get(associationId)
+  if (!association) {
+    throw new Error(`Association ${associationId} not found`)
+  }
+
+  state.associations.delete(associationId)
+  await saveState(state)
+  return association
+}
+
+/**
+ * Drop the links of objects that are being deleted; the caller saves state
+ */
+export function removeObjectAssociations(state: ApplicationState, objectIds: Set<string>): void {
+  state.associations?.forEach((association, id) => {
+    if (objectIds.has(association.sourceId) || objectIds.has(association.targetId)) {
+      state.associations.delete(id)
+    }
+  })
+}
+
+/**
+ * Every object linked to an object, in either direction, oldest link first
+ */
+export function getRelatedObjects(state: ApplicationState, objectId: string): RelatedObject[] {
+  const related: RelatedObject[] = []
+
+  state.associations.forEach(association => {
+    const isSource = association.sourceId === objectId
+    if (!isSource && association.targetId !== objectId) return
+
+    const other = state.objects.get(isSource ? association.targetId : association.sourceId)
+    if (!other || !isMemoryObject(other)) return
+
+    related.push({
+      association,
+      object: other,
+      direction: isSource ? 'outgoing' : 'incoming',
+      roomName: other.roomId ? state.rooms.get(other.roomId)?.name || null : null
+    })
+  })
+
+  return related.sort((a, b) => a.association.createdAt.localeCompare(b.association.createdAt))
+}
+
+/**
+ * Links whose two objects are both in a room, for drawing in the scene
+ */
+export function getRoomAssociations(state: ApplicationState, roomId: string | null): Association[] {
+  if (!roomId) return []
+  const inRoom = (objectId: string) => state.objects.get(objectId)?.roomId === roomId
+
+  return Array.from(state.associations.values())
+    .filter(association => inRoom(association.sourceId) && inRoom(association.targetId))
+}
+
+/**
+ * Describe a link from one end: "causes → ATP" when this object causes ATP,
+ * "← Cell contains" when Cell contains this object
+ */
+export function describeRelated(related: RelatedObject): string {
+  const { association, object, direction } = related
+  return direction === 'outgoing'
+    ? `${association.relation} → ${object.name}`
+    : `← ${object.name} ${association.relation}`
+}
@@ -0,0 +1,171 @@
+/**
+ * Attachment Utilities
+ * Pictures, audio clips and other files attached to memory objects
+ *
+ * Objects list their attachments in `attachments`; the data is kept in the palace's
+ * attachment store (services/AttachmentStore.js) under the same id. Removing an
+ * attachment only drops it from the object, so undo can bring it back; unused data
+ * is collected when the palace is opened, as with skybox images.
+ */
+
+import {
+  ApplicationState,
+  Attachment,
+  AttachmentKind,
+  MemoryObject,
+  isMemoryObject
+} from '../types/index.js'
+import { generateId, saveState } from './stateUtils.js'
+
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024
+
+export interface AttachmentStoreLike {
+  put(record: any): Promise<any>
+  get(id: string): Promise<any>
+  getAll(): Promise<any[]>
+  delete(ids: string[]): Promise<void>
+}
+
+/**
+ * Whether a content type is shown as an image, played as audio or offered as a file
+ */
+export function getAttachmentKind(contentType: string): AttachmentKind {
+  if (contentType.startsWith('image/')) return 'image'
+  if (contentType.startsWith('audio/')) return 'audio'
+  return 'file'
+}
+
+/**
+ * Human-readable file size, e.g. "1.5 MB"
+ */
+export function formatFileSize(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Get a memory object that can take attachments
+ * @throws If the object doesn't exist or is a door
+ */
+function getAttachableObject(state: ApplicationState, objectId: string): MemoryObject {
+  const object = state.objects.get(objectId)
+  if (!object) {
+    throw new Error(`Object ${objectId} not found`)
+  }
+  if (!isMemoryObject(object)) {
+    throw new Error(`"${object.name}" is a door and cannot hold attachments`)
+  }
+  return object
+}
+
+/**
+ * Save an attachment's data and describe it, ready to add to its object
+ * @throws If the object cannot take attachments or the file is too large
+ */
+export async function storeAttachment(
+  state: ApplicationState,
+  store: AttachmentStoreLike,
+  objectId: string,
+  blob: Blob,
+  name: string
+): Promise<Attachment> {
+  getAttachableObject(state, objectId)
+  if (blob.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`"${name}" is too large (${formatFileSize(blob.size)}); attachments can be up to ${formatFileSize(MAX_ATTACHMENT_SIZE)}`)
+  }
+
+  const contentType = blob.type || 'application/octet-stream'
+  const attachment: Attachment = {
+    id: `att_${generateId()}`,
+    kind: getAttachmentKind(contentType),
+    name: name.trim() || 'Attachment',
+    contentType,
+    size: blob.size,
+    createdAt: new Date().toISOString()
+  }
+  await store.put({ ...attachment, objectId, blob })
+  return attachment
+}
+
+/**
+ * Add a stored attachment to its object
+ */
+export async function addAttachment(state: ApplicationState, objectId: string, attachment: Attachment): Promise<MemoryObject> {
+  const object = getAttachableObject(state, objectId)
+  const updated: MemoryObject = {
+    ...object,
+    attachments: [...(object.attachments || []), attachment],
+    updatedAt: new Date().toISOString()
+  }
+  state.objects.set(objectId, updated)
+  await saveState(state)
+  return updated
+}
+
+/**
+ * Remove an attachment from its object; the stored data is left for garbage collection
+ * @throws If the object or attachment doesn't exist
+ */
+export async function removeAttachment(state: ApplicationState, objectId: string, attachmentId: string): Promise<MemoryObject> {
+  const object = getAttachableObject(state, objectId)
+  const attachments = object.attachments || []
+  if (!attachments.some(attachment => attachment.id === attachmentId)) {
+    throw new Error(`Attachment ${attachmentId} not found on "${object.name}"`)
+  }
+
+  const updated: MemoryObject = {
+    ...object,
+    attachments: attachments.filter(attachment => attachment.id !== attachmentId),
+    updatedAt: new Date().toISOString()
+  }
+  state.objects.set(objectId, updated)
+  await saveState(state)
+  return updated
+}
+
+/**
+ * Every attachment in the palace with the objects that list it
+ * Copied rooms share their attachments' data, so one attachment can belong to several objects
+ */
+export function getAllAttachments(state: ApplicationState): Array<{ attachment: Attachment; objectIds: string[] }> {
+  const entries = new Map<string, { attachment: Attachment; objectIds: string[] }>()
+  state.objects.forEach(object => {
+    const attachments = isMemoryObject(object) ? object.attachments || [] : []
+    attachments.forEach(attachment => {
+      const entry = entries.get(attachment.id) || { attachment, objectIds: [] }
+      entry.objectIds.push(object.id)
+      entries.set(attachment.id, entry)
+    })
+  })
+  return Array.from(entries.values())
+}
+
+/**
+ * IDs of every attachment an object still lists
+ */
+export function getReferencedAttachmentIds(state: ApplicationState): Set<string> {
+  return new Set(getAllAttachments(state).map(({ attachment }) => attachment.id))
+}
+
+/**
+ * Delete stored attachments no object lists any more
+ * @param keepIds - Other attachments to keep, such as those referenced by backups
+ * @returns IDs of the deleted attachments
+ */
+export async function collectAttachmentGarbage(
+  state: ApplicationState,
+  store: AttachmentStoreLike,
+  keepIds: Set<string> = new Set()
+): Promise<string[]> {
+  const inUse = getReferencedAttachmentIds(state)
+  keepIds.forEach(id => inUse.add(id))
+  const unused = (await store.getAll())
+    .filter(record => !inUse.has(record.id))
+    .map(record => record.id)
+
+  if (unused.length > 0) {
+    await store.delete(unused)
+  }
+  return unused
+}
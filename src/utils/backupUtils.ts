@@ -0,0 +1,208 @@
+/**
+ * Backup Utilities
+ * Rotating snapshots of palace state: creation, pruning by age and count,
+ * and previews of what restoring one would change
+ *
+ * Snapshots are exportState output, so restoring one is an ordinary import.
+ */
+
+import {
+  ApplicationState,
+  BackupDiff,
+  BackupDiffEntry,
+  BackupReason,
+  BackupSummary,
+  PalaceBackup,
+  RecordChange
+} from '../types/index.js'
+import { exportState, importState, generateId } from './stateUtils.js'
+import { crc32 } from './zipUtils.js'
+import { getReferencedAttachmentIds } from './attachmentUtils.js'
+
+export const AUTO_BACKUP_INTERVAL_MS = 60 * 60 * 1000
+export const DEFAULT_MAX_BACKUP_AGE_DAYS = 30
+export const MAX_BACKUPS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const REASON_LABELS: Record<BackupReason, string> = {
+  auto: 'Automatic backup',
+  manual: 'Manual backup',
+  clear: 'Before clearing the palace',
+  import: 'Before importing a palace',
+  delete_room: 'Before deleting a room',
+  restore: 'Before restoring a backup'
+}
+
+const DIFF_COLLECTIONS: Array<BackupDiffEntry['collection']> = ['rooms', 'objects', 'connections', 'wings']
+
+/**
+ * Fingerprint of the palace contents, ignoring when the export was made
+ */
+function fingerprintOf(data: unknown): string {
+  return crc32(new TextEncoder().encode(JSON.stringify(data))).toString(16).padStart(8, '0')
+}
+
+/**
+ * Snapshot the palace
+ */
+export function createBackup(state: ApplicationState, reason: BackupReason, label: string | null = null): PalaceBackup {
+  const snapshot = exportState(state) as { data: unknown }
+  return {
+    id: `backup_${generateId()}`,
+    createdAt: new Date().toISOString(),
+    reason,
+    label: label || REASON_LABELS[reason],
+    fingerprint: fingerprintOf(snapshot.data),
+    counts: {
+      rooms: state.rooms.size,
+      objects: state.objects.size,
+      connections: state.connections.size
+    },
+    imageIds: [...state.rooms.values(), ...(state.templates?.values() || [])]
+      .map(holder => holder.imageId)
+      .filter((id): id is string => !!id),
+    attachmentIds: Array.from(getReferencedAttachmentIds(state)),
+    snapshot
+  }
+}
+
+/**
+ * Strip the snapshot, leaving what a backup list needs
+ */
+export function summarizeBackup(backup: PalaceBackup): BackupSummary {
+  const { snapshot, ...summary } = backup
+  return summary
+}
+
+/**
+ * Sort backups newest first
+ */
+export function sortBackups<T extends BackupSummary>(backups: T[]): T[] {
+  return [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+}
+
+/**
+ * Pick the backups to delete: those older than maxAgeDays and any beyond the newest maxBackups
+ * The newest backup is always kept, however old, so a palace left alone never loses its last one
+ */
+export function getExpiredBackupIds(
+  backups: BackupSummary[],
+  options: { maxAgeDays?: number; maxBackups?: number; now?: number } = {}
+): string[] {
+  const { maxAgeDays = DEFAULT_MAX_BACKUP_AGE_DAYS, maxBackups = MAX_BACKUPS, now = Date.now() } = options
+  const cutoff = now - maxAgeDays * DAY_MS
+
+  return sortBackups(backups)
+    .filter((backup, index) => index > 0 && (index >= maxBackups || Date.parse(backup.createdAt) < cutoff))
+    .map(backup => backup.id)
+}
+
+/**
+ * Whether a periodic backup should be taken: the palace changed since the
+ * newest backup and that backup is at least one interval old
+ */
+export function isBackupDue(
+  state: ApplicationState,
+  backups: BackupSummary[],
+  options: { intervalMs?: number; now?: number } = {}
+): boolean {
+  const { intervalMs = AUTO_BACKUP_INTERVAL_MS, now = Date.now() } = options
+  const [latest] = sortBackups(backups)
+  if (!latest) return true
+
+  const { data } = exportState(state) as { data: unknown }
+  return latest.fingerprint !== fingerprintOf(data) && now - Date.parse(latest.createdAt) >= intervalMs
+}
+
+/**
+ * Image IDs that backups still refer to, so their skyboxes survive garbage collection
+ */
+export function getBackupImageIds(backups: BackupSummary[]): Set<string> {
+  return new Set(backups.flatMap(backup => backup.imageIds || []))
+}
+
+/**
+ * Attachment IDs that backups still refer to, so their files survive garbage collection
+ */
+export function getBackupAttachmentIds(backups: BackupSummary[]): Set<string> {
+  return new Set(backups.flatMap(backup => backup.attachmentIds || []))
+}
+
+/**
+ * Serialized view of the records a diff lists, keyed by collection then id
+ */
+type StateSnapshot = Map<string, Map<string, string>>
+
+/**
+ * Capture a serialized snapshot of the records a diff lists
+ */
+function captureSnapshot(state: ApplicationState): StateSnapshot {
+  const snapshot: StateSnapshot = new Map()
+  DIFF_COLLECTIONS.forEach(collection => {
+    const records = new Map<string, string>()
+    state[collection]?.forEach((record, id) => {
+      records.set(id, JSON.stringify(record))
+    })
+    snapshot.set(collection, records)
+  })
+  return snapshot
+}
+
+/**
+ * List every record that differs between two snapshots
+ */
+function diffSnapshots(before: StateSnapshot, after: StateSnapshot): RecordChange[] {
+  const changes: RecordChange[] = []
+  const collections = new Set([...before.keys(), ...after.keys()])
+
+  collections.forEach(collection => {
+    const beforeRecords = before.get(collection) || new Map<string, string>()
+    const afterRecords = after.get(collection) || new Map<string, string>()
+    const ids = new Set([...beforeRecords.keys(), ...afterRecords.keys()])
+
+    ids.forEach(id => {
+      const previous = beforeRecords.get(id) ?? null
+      const next = afterRecords.get(id) ?? null
+      if (previous !== next) {
+        changes.push({ collection, id, before: previous, after: next })
+      }
+    })
+  })
+
+  return changes
+}
+
+/**
+ * Describe a serialized record for the diff list
+ */
+function describeRecord(serialized: string, id: string): string {
+  const record = JSON.parse(serialized)
+  return record.name || record.description || id
+}
+
+/**
+ * Preview what restoring a backup would do to the current palace
+ */
+export function diffBackup(state: ApplicationState, backup: PalaceBackup): BackupDiff {
+  const restored = importState(backup.snapshot) as ApplicationState
+  const changes = diffSnapshots(captureSnapshot(state), captureSnapshot(restored))
+
+  const entries: BackupDiffEntry[] = changes
+    .map(change => ({
+      collection: change.collection as BackupDiffEntry['collection'],
+      id: change.id,
+      name: describeRecord((change.after ?? change.before) as string, change.id),
+      change: change.before === null ? 'restored' : change.after === null ? 'removed' : 'changed'
+    }))
+
+  return {
+    backupId: backup.id,
+    entries,
+    counts: {
+      restored: entries.filter(entry => entry.change === 'restored').length,
+      removed: entries.filter(entry => entry.change === 'removed').length,
+      changed: entries.filter(entry => entry.change === 'changed').length
+    }
+  }
+}
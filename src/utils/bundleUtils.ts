@@ -0,0 +1,283 @@
+/**
+ * Bundle Utilities
+ * Self-contained palace export: state JSON, skybox images, object attachments and a
+ * manifest packed into one ZIP
+ *
+ * Remote skybox URLs expire, so each distinct image is stored in the bundle once and
+ * restored as a local copy on import, making a round trip lossless. Attachments only
+ * live on the device, so they travel in the bundle under their own IDs.
+ */
+
+import {
+  ApplicationState,
+  BundledAttachment,
+  BundledImage,
+  MissingBundleAttachment,
+  MissingBundleImage,
+  PalaceBundleManifest
+} from '../types/index.js'
+import { exportState } from './stateUtils.js'
+import { createZip, readZip } from './zipUtils.js'
+import { getAllAttachments } from './attachmentUtils.js'
+
+export const BUNDLE_FORMAT = 'palais-de-memoire-bundle'
+export const BUNDLE_VERSION = 1
+export const DEFAULT_SKYBOX_URL = '/default_skybox.png'
+
+const MANIFEST_PATH = 'manifest.json'
+const STATE_PATH = 'palace.json'
+
+// Images served with the app itself; rooms keep pointing at them after import
+const APP_IMAGE_URLS = new Set([DEFAULT_SKYBOX_URL])
+
+const EXTENSIONS: Record<string, string> = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+}
+
+export interface FetchedImage {
+  bytes: Uint8Array
+  contentType: string
+}
+
+export type ImageFetcher = (url: string) => Promise<FetchedImage>
+
+/**
+ * Download an image over the network
+ */
+export async function fetchImage(url: string): Promise<FetchedImage> {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`)
+  }
+  return {
+    bytes: new Uint8Array(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type')?.split(';')[0] || 'application/octet-stream'
+  }
+}
+
+/**
+ * Decode a data: URL, or return null for any other URL
+ */
+export function decodeDataUrl(url: string): FetchedImage | null {
+  const match = url.match(/^data:([^;,]*)((?:;[^,]*)?),(.*)$/s)
+  if (!match) return null
+
+  const contentType = match[1] || 'application/octet-stream'
+  if (match[2].includes(';base64')) {
+    const binary = atob(match[3])
+    const bytes = new Uint8Array(binary.length)
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i)
+    }
+    return { bytes, contentType }
+  }
+  return { bytes: new TextEncoder().encode(decodeURIComponent(match[3])), contentType }
+}
+
+/**
+ * Encode bytes as a base64 data: URL
+ */
+export function encodeDataUrl(bytes: Uint8Array, contentType: string): string {
+  let binary = ''
+  const chunkSize = 0x8000
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize))
+  }
+  return `data:${contentType};base64,${btoa(binary)}`
+}
+
+/**
+ * File extension for an image, from its content type or else its URL
+ */
+function getExtension(contentType: string, url: string): string {
+  if (EXTENSIONS[contentType]) return EXTENSIONS[contentType]
+  const fromUrl = url.startsWith('data:') ? null : url.split(/[?#]/)[0].match(/\.(\w{2,5})$/)
+  return fromUrl ? fromUrl[1].toLowerCase() : 'bin'
+}
+
+/**
+ * Path for an attachment in the bundle, keeping its file name readable
+ */
+function getAttachmentPath(index: number, name: string): string {
+  const safeName = name.replace(/[^\w.-]+/g, '_').slice(-80) || 'attachment'
+  return `attachments/${String(index).padStart(3, '0')}-${safeName}`
+}
+
+/**
+ * Pack the palace, every skybox it uses (plus the default skybox) and every object attachment into a ZIP
+ * Rooms with a local copy are packed from it; images and attachments that cannot be found are
+ * listed in the manifest rather than failing the export
+ */
+export async function createPalaceBundle(
+  state: ApplicationState,
+  options: {
+    fetcher?: ImageFetcher
+    loadStoredImage?: (imageId: string) => Promise<FetchedImage | null>
+    loadAttachment?: (attachmentId: string) => Promise<FetchedImage | null>
+    palaceName?: string | null
+  } = {}
+): Promise<{ bytes: Uint8Array; manifest: PalaceBundleManifest }> {
+  const { fetcher = fetchImage, loadStoredImage = null, loadAttachment = null, palaceName = null } = options
+  const exported = exportState(state) as { version: string; schemaVersion: number; exportedAt: string }
+
+  // Each distinct image is stored once, however many rooms share it
+  const groups = new Map<string, { url: string | null; imageId: string | null; roomIds: string[] }>([
+    [DEFAULT_SKYBOX_URL, { url: DEFAULT_SKYBOX_URL, imageId: null, roomIds: [] }]
+  ])
+  state.rooms.forEach(room => {
+    const key = room.imageId || room.imageUrl
+    if (!key) return
+    const group = groups.get(key) || { url: room.imageUrl, imageId: room.imageId || null, roomIds: [] }
+    group.roomIds.push(room.id)
+    groups.set(key, group)
+  })
+
+  const images: BundledImage[] = []
+  const missingImages: MissingBundleImage[] = []
+  const imageEntries: Array<{ name: string; data: Uint8Array }> = []
+
+  for (const { url, imageId, roomIds } of groups.values()) {
+    try {
+      const stored = imageId && loadStoredImage ? await loadStoredImage(imageId) : null
+      const image = stored ?? (url ? decodeDataUrl(url) ?? await fetcher(url) : null)
+      if (!image) {
+        throw new Error('No local copy or URL')
+      }
+
+      const path = `images/${String(images.length + 1).padStart(3, '0')}.${getExtension(image.contentType, url || '')}`
+      imageEntries.push({ name: path, data: image.bytes })
+      images.push({
+        path,
+        url: url && !url.startsWith('data:') ? url : null,
+        roomIds,
+        contentType: image.contentType,
+        size: image.bytes.length
+      })
+    } catch (error) {
+      console.warn(`Could not bundle image ${url || imageId}:`, error)
+      missingImages.push({ url: url || `local image ${imageId}`, roomIds, error: (error as Error).message })
+    }
+  }
+
+  const attachments: BundledAttachment[] = []
+  const missingAttachments: MissingBundleAttachment[] = []
+  const attachmentEntries: Array<{ name: string; data: Uint8Array }> = []
+
+  for (const { attachment, objectIds } of getAllAttachments(state)) {
+    try {
+      const stored = loadAttachment ? await loadAttachment(attachment.id) : null
+      if (!stored) {
+        throw new Error('No local copy')
+      }
+
+      const path = getAttachmentPath(attachments.length + 1, attachment.name)
+      attachmentEntries.push({ name: path, data: stored.bytes })
+      attachments.push({
+        path,
+        attachmentId: attachment.id,
+        objectIds,
+        name: attachment.name,
+        contentType: stored.contentType,
+        size: stored.bytes.length
+      })
+    } catch (error) {
+      console.warn(`Could not bundle attachment ${attachment.name}:`, error)
+      missingAttachments.push({ attachmentId: attachment.id, name: attachment.name, error: (error as Error).message })
+    }
+  }
+
+  const manifest: PalaceBundleManifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    appVersion: exported.version,
+    schemaVersion: exported.schemaVersion,
+    exportedAt: exported.exportedAt,
+    palaceName,
+    counts: {
+      rooms: state.rooms.size,
+      objects: state.objects.size,
+      connections: state.connections.size
+    },
+    images,
+    missingImages,
+    attachments,
+    missingAttachments
+  }
+
+  const bytes = createZip([
+    { name: MANIFEST_PATH, data: JSON.stringify(manifest, null, 2) },
+    { name: STATE_PATH, data: JSON.stringify(exported) },
+    ...imageEntries,
+    ...attachmentEntries
+  ])
+
+  return { bytes, manifest }
+}
+
+/**
+ * Unpack a palace bundle into importable state data
+ * Each room's skybox is handed to `storeImage` when given, so rooms can refer to
+ * a stored copy by `imageId`; otherwise it is embedded as a data: URL.
+ * Attachments are handed to `storeAttachment`, keeping the IDs objects know them by
+ * @throws If the file is not a palace bundle, is from a newer version or is missing an image or attachment
+ */
+export async function readPalaceBundle(
+  bytes: Uint8Array,
+  options: {
+    storeImage?: (image: BundledImage, bytes: Uint8Array) => Promise<string | null>
+    storeAttachment?: (attachment: BundledAttachment, bytes: Uint8Array) => Promise<void>
+  } = {}
+): Promise<{ manifest: PalaceBundleManifest; exportData: any }> {
+  const files = await readZip(bytes)
+  const decoder = new TextDecoder()
+
+  const manifestFile = files.get(MANIFEST_PATH)
+  const stateFile = files.get(STATE_PATH)
+  if (!manifestFile || !stateFile) {
+    throw new Error('Not a palace bundle: manifest or palace data missing')
+  }
+
+  const manifest = JSON.parse(decoder.decode(manifestFile)) as PalaceBundleManifest
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw new Error('Not a palace bundle')
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error(`Palace bundle version ${manifest.version} is newer than supported version ${BUNDLE_VERSION}`)
+  }
+
+  const exportData = JSON.parse(decoder.decode(stateFile))
+  const rooms = (exportData.data || exportData).rooms || {}
+
+  for (const image of manifest.images) {
+    const file = files.get(image.path)
+    if (!file) {
+      throw new Error(`Palace bundle is missing ${image.path}`)
+    }
+    // Rooms keep pointing at images served with the app
+    if (image.url && APP_IMAGE_URLS.has(image.url)) continue
+
+    const imageId = options.storeImage ? await options.storeImage(image, file) : null
+    const update = imageId
+      ? { imageUrl: image.url, imageId }
+      : { imageUrl: encodeDataUrl(file, image.contentType), imageId: null }
+
+    image.roomIds.forEach(roomId => {
+      if (rooms[roomId]) {
+        Object.assign(rooms[roomId], update)
+      }
+    })
+  }
+
+  for (const attachment of manifest.attachments || []) {
+    const file = files.get(attachment.path)
+    if (!file) {
+      throw new Error(`Palace bundle is missing ${attachment.path}`)
+    }
+    await options.storeAttachment?.(attachment, file)
+  }
+
+  return { manifest, exportData }
+}
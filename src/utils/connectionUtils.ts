@@ -0,0 +1,259 @@
+/**
+ * Connection Utilities
+ * Doors between rooms: creating, retargeting and removing connections,
+ * one-way or paired with a return door in the target room
+ */
+
+import {
+  ApplicationState,
+  Connection,
+  CreateConnectionParams,
+  CreateConnectionResult,
+  PaintData,
+  UpdateConnectionParams,
+  Vector3
+} from '../types/index.js'
+import { calculateDistance, positionOnSphere } from './objectUtils.js'
+import { generateId, saveState } from './stateUtils.js'
+
+// Doors sit at the user's feet: forward doors to the left, return doors to the right
+export const FORWARD_DOOR_DIRECTION = { x: -1, y: -0.9, z: 0 }
+export const RETURN_DOOR_DIRECTION = { x: 1, y: -0.9, z: 0 }
+export const DOOR_DIMENSIONS = { width: 50, height: 100 }
+
+// Doors closer than this to an existing door are moved further round the room
+const DOOR_SPACING = 100
+const DOOR_SLOTS = 12
+
+/**
+ * Get a connection by ID
+ */
+export function getConnection(state: ApplicationState, connectionId: string): Connection | null {
+  return state.connections.get(connectionId) || null
+}
+
+/**
+ * Find a door from one room to another
+ */
+export function findConnectionBetween(state: ApplicationState, roomId: string, targetRoomId: string): Connection | null {
+  for (const candidate of state.connections.values()) {
+    if (candidate.roomId === roomId && candidate.targetRoomId === targetRoomId) {
+      return candidate
+    }
+  }
+  return null
+}
+
+/**
+ * Find the door leading back along a connection
+ */
+export function findReverseConnection(state: ApplicationState, connection: Connection): Connection | null {
+  return findConnectionBetween(state, connection.targetRoomId, connection.roomId)
+}
+
+/**
+ * Pick a spot at foot level that no other door in the room occupies,
+ * starting from the given direction and working round the room
+ */
+export function findDoorPosition(state: ApplicationState, roomId: string, direction: Vector3 = FORWARD_DOOR_DIRECTION): Vector3 {
+  const doors = Array.from(state.connections.values()).filter(conn => conn.roomId === roomId)
+  const startAngle = Math.atan2(direction.z, direction.x)
+
+  for (let slot = 0; slot < DOOR_SLOTS; slot++) {
+    const angle = startAngle + (slot * 2 * Math.PI) / DOOR_SLOTS
+    const position = positionOnSphere({ x: Math.cos(angle), y: direction.y, z: Math.sin(angle) })
+    if (doors.every(door => calculateDistance(door.position, position) >= DOOR_SPACING)) {
+      return position
+    }
+  }
+
+  return positionOnSphere(direction)
+}
+
+/**
+ * Build a connection record and add it to state
+ */
+function addConnection(
+  state: ApplicationState,
+  roomId: string,
+  targetRoomId: string,
+  description: string,
+  position: Vector3,
+  paintData: PaintData | null | undefined,
+  bidirectional: boolean
+): Connection {
+  const now = new Date().toISOString()
+  const connection: Connection = {
+    id: generateId(),
+    roomId,
+    userId: state.user.id,
+    targetRoomId,
+    description,
+    bidirectional,
+    position,
+    paintData: paintData === undefined ? { dimensions: { ...DOOR_DIMENSIONS } } as PaintData : paintData as PaintData,
+    createdAt: now,
+    updatedAt: now
+  }
+  state.connections.set(connection.id, connection)
+  return connection
+}
+
+/**
+ * Create a door from one room to another, and a return door when bidirectional
+ * Existing doors between the two rooms, either way, are reused rather than duplicated;
+ * only the doors actually added are listed in `created`
+ * @throws If either room doesn't exist or the door would lead to its own room
+ */
+export async function createConnection(state: ApplicationState, params: CreateConnectionParams): Promise<CreateConnectionResult> {
+  const { roomId, targetRoomId, bidirectional = true } = params
+  const room = state.rooms.get(roomId)
+  const targetRoom = state.rooms.get(targetRoomId)
+
+  if (!room) {
+    throw new Error(`Room ${roomId} not found`)
+  }
+  if (!targetRoom) {
+    throw new Error(`Room ${targetRoomId} not found`)
+  }
+  if (roomId === targetRoomId) {
+    throw new Error(`A door cannot lead to the room it is in`)
+  }
+
+  const now = new Date().toISOString()
+  const created: Connection[] = []
+  let connection = findConnectionBetween(state, roomId, targetRoomId)
+  if (connection) {
+    if (bidirectional && !connection.bidirectional) {
+      connection.bidirectional = true
+      connection.updatedAt = now
+    }
+  } else {
+    connection = addConnection(
+      state,
+      roomId,
+      targetRoomId,
+      params.description || `Door to ${targetRoom.name}`,
+      params.position || findDoorPosition(state, roomId, FORWARD_DOOR_DIRECTION),
+      params.paintData,
+      bidirectional
+    )
+    created.push(connection)
+  }
+
+  let returnConnection: Connection | null = null
+  if (bidirectional) {
+    returnConnection = findReverseConnection(state, connection)
+    if (returnConnection) {
+      if (!returnConnection.bidirectional) {
+        returnConnection.bidirectional = true
+        returnConnection.updatedAt = now
+      }
+    } else {
+      returnConnection = addConnection(
+        state,
+        targetRoomId,
+        roomId,
+        params.returnDescription || `Return to ${room.name}`,
+        params.returnPosition || findDoorPosition(state, targetRoomId, RETURN_DOOR_DIRECTION),
+        undefined,
+        true
+      )
+      created.push(returnConnection)
+    }
+  }
+
+  await saveState(state)
+  return { connection, returnConnection, created }
+}
+
+/**
+ * Update a connection's description, target, position or shape
+ * @throws If the connection or new target room doesn't exist
+ */
+export async function updateConnection(state: ApplicationState, connectionId: string, updates: UpdateConnectionParams): Promise<Connection> {
+  const connection = state.connections.get(connectionId)
+  if (!connection) {
+    throw new Error(`Connection ${connectionId} not found`)
+  }
+
+  if (updates.targetRoomId !== undefined) {
+    if (!state.rooms.has(updates.targetRoomId)) {
+      throw new Error(`Room ${updates.targetRoomId} not found`)
+    }
+    if (updates.targetRoomId === connection.roomId) {
+      throw new Error(`A door cannot lead to the room it is in`)
+    }
+  }
+
+  const retargeted = updates.targetRoomId !== undefined && updates.targetRoomId !== connection.targetRoomId
+  const previousReverse = retargeted ? findReverseConnection(state, connection) : null
+
+  const allowed: Array<keyof UpdateConnectionParams> = ['description', 'targetRoomId', 'position', 'paintData']
+  allowed.forEach(key => {
+    if (updates[key] !== undefined) {
+      (connection as any)[key] = updates[key]
+    }
+  })
+  connection.updatedAt = new Date().toISOString()
+
+  // A retargeted door pairs with whichever door leads back from its new room
+  if (retargeted) {
+    if (previousReverse && !findReverseConnection(state, previousReverse)) {
+      previousReverse.bidirectional = false
+    }
+    const reverse = findReverseConnection(state, connection)
+    connection.bidirectional = !!reverse
+    if (reverse) {
+      reverse.bidirectional = true
+    }
+  }
+
+  await saveState(state)
+  return connection
+}
+
+/**
+ * Translate inspector edits of a door object into connection updates;
+ * a connection door's name is its description
+ */
+export function toConnectionUpdates(updates: Record<string, any>): UpdateConnectionParams {
+  return {
+    description: updates.name ?? updates.description,
+    targetRoomId: updates.targetRoomId || undefined,
+    position: updates.position,
+    paintData: updates.paintData
+  }
+}
+
+/**
+ * Delete a connection, and the door back along it when includeReverse is set
+ * @returns The deleted connections
+ * @throws If the connection doesn't exist
+ */
+export async function deleteConnection(
+  state: ApplicationState,
+  connectionId: string,
+  options: { includeReverse?: boolean } = {}
+): Promise<Connection[]> {
+  const connection = state.connections.get(connectionId)
+  if (!connection) {
+    throw new Error(`Connection ${connectionId} not found`)
+  }
+
+  const deleted = [connection]
+  const reverse = findReverseConnection(state, connection)
+  state.connections.delete(connectionId)
+
+  if (reverse) {
+    if (options.includeReverse) {
+      state.connections.delete(reverse.id)
+      deleted.push(reverse)
+    } else {
+      reverse.bidirectional = false
+    }
+  }
+
+  await saveState(state)
+  return deleted
+}
@@ -0,0 +1,82 @@
+/**
+ * History Utilities
+ * Record-level change capture for undo/redo of palace mutations
+ */
+
+import { ApplicationState, HistoryEntry, RecordChange } from '../types/index.js'
+import { MAP_COLLECTIONS, generateId, observeSavedChanges } from './stateUtils.js'
+
+const USER_COLLECTION = 'user'
+const USER_RECORD_ID = 'user'
+
+/**
+ * Drop where the user is standing from a serialized user record
+ */
+function withoutPosition(json: string | null): string | null {
+  if (json === null) return null
+  const { currentRoomId, ...user } = JSON.parse(json)
+  return JSON.stringify(user)
+}
+
+/**
+ * Start recording the records an action changes in a state, from the diffs its saves compute
+ * Returns a function that stops recording and lists each record's first before and last after value
+ */
+export function recordChanges(state: ApplicationState): () => RecordChange[] {
+  const changes = new Map<string, RecordChange>()
+
+  const stop = observeSavedChanges((change: RecordChange, saved: ApplicationState) => {
+    if (saved !== state) return
+    if (change.collection !== USER_COLLECTION && !MAP_COLLECTIONS.includes(change.collection)) return
+
+    const key = `${change.collection}/${change.id}`
+    const first = changes.get(key)
+    changes.set(key, { ...change, before: first ? first.before : change.before })
+  })
+
+  return () => {
+    stop()
+    return Array.from(changes.values())
+      .map(change => change.collection === USER_COLLECTION
+        ? { ...change, before: withoutPosition(change.before), after: withoutPosition(change.after) }
+        : change)
+      .filter(change => change.before !== change.after)
+  }
+}
+
+/**
+ * Create a history entry for a completed action
+ */
+export function createHistoryEntry(label: string, changes: RecordChange[]): HistoryEntry {
+  return {
+    id: generateId(),
+    label,
+    timestamp: new Date().toISOString(),
+    changes
+  }
+}
+
+/**
+ * Apply one side of a history entry to state: 'undo' restores the before values, 'redo' the after values
+ */
+export function applyHistoryEntry(state: ApplicationState, entry: HistoryEntry, direction: 'undo' | 'redo'): void {
+  entry.changes.forEach(change => {
+    const value = direction === 'undo' ? change.before : change.after
+
+    if (change.collection === USER_COLLECTION) {
+      if (value !== null) {
+        state.user = { ...JSON.parse(value), currentRoomId: state.user.currentRoomId }
+      }
+      return
+    }
+
+    const map = (state as any)[change.collection] as Map<string, unknown> | undefined
+    if (!map) return
+
+    if (value === null) {
+      map.delete(change.id)
+    } else {
+      map.set(change.id, JSON.parse(value))
+    }
+  })
+}
@@ -33,6 +33,9 @@ export async function generateRoomImage(state, roomId, description, onProgress =
     return {
       success: true,
       imageUrl: result.url,
+      prompt: result.prompt || null,
+      seed: result.parameters?.seed ?? null,
+      parameters: result.parameters || null,
       roomId,
       description
     }
@@ -53,9 +56,10 @@ export async function generateRoomImage(state, roomId, description, onProgress =
  * @param {Object} state - Application state
  * @param {string} roomId - Room ID
  * @param {string} imageUrl - Generated image URL
+ * @param {string|null} [imageId] - ID of the local copy in the image store, if one was saved
  * @returns {Promise<Object>} Updated room
  */
-export async function updateRoomImage(state, roomId, imageUrl) {
+export async function updateRoomImage(state, roomId, imageUrl, imageId = null) {
   const room = state.rooms.get(roomId)
   if (!room) {
     throw new Error(`Room ${roomId} not found`)
@@ -64,6 +68,7 @@ export async function updateRoomImage(state, roomId, imageUrl) {
   const updatedRoom = {
     ...room,
     imageUrl,
+    imageId,
     lastImageGenerated: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   }
@@ -77,24 +82,95 @@ export async function updateRoomImage(state, roomId, imageUrl) {
   return updatedRoom
 }
 
+/**
+ * Save a local copy of a room image, downloading it unless a blob is given
+ * @param {Object} imageStore - Store from createImageStore
+ * @param {Object} image - { roomId, sourceUrl, blob?, prompt?, seed?, parameters? }
+ * @returns {Promise<Object>} Stored image record
+ */
+export async function storeRoomImage(imageStore, { roomId, sourceUrl, blob = null, prompt = null, seed = null, parameters = null }) {
+  let data = blob
+  if (!data) {
+    const response = await fetch(sourceUrl)
+    if (!response.ok) {
+      throw new Error(`Image download failed: ${response.status} ${response.statusText}`)
+    }
+    data = await response.blob()
+  }
+
+  const { generateId } = await import('./stateUtils.js')
+  return imageStore.put({
+    id: `img_${generateId()}`,
+    roomId,
+    sourceUrl,
+    contentType: data.type || 'application/octet-stream',
+    size: data.size,
+    blob: data,
+    prompt,
+    seed,
+    parameters,
+    createdAt: new Date().toISOString()
+  })
+}
+
+/**
+ * Delete stored images no room or room template uses any more (deleted rooms, replaced skyboxes)
+ * @param {Object} state - Application state
+ * @param {Object} imageStore - Store from createImageStore
+ * @param {Set<string>} [keepIds] - Other images to keep, such as those referenced by backups
+ * @returns {Promise<string[]>} IDs of the deleted images
+ */
+export async function collectImageGarbage(state, imageStore, keepIds = new Set()) {
+  const inUse = new Set([...state.rooms.values(), ...(state.templates?.values() || [])]
+    .map(holder => holder.imageId)
+    .filter(Boolean))
+  keepIds.forEach(id => inUse.add(id))
+  const unused = (await imageStore.getAll())
+    .filter(record => !inUse.has(record.id))
+    .map(record => record.id)
+
+  if (unused.length > 0) {
+    await imageStore.delete(unused)
+  }
+  return unused
+}
+
 /**
  * Generate and update room image in one operation
  * @param {Object} state - Application state
  * @param {string} roomId - Room ID
  * @param {string} description - Description for image generation
  * @param {Function} onProgress - Progress callback
+ * @param {Object|null} [imageStore] - Where to keep a local copy; the remote URL is used if saving fails
+ * @param {Function} [runUpdate] - Runs the room update it is given, e.g. once other changes are done
  * @returns {Promise<Object>} Result with updated room
  */
-export async function generateAndUpdateRoomImage(state, roomId, description, onProgress = null) {
+export async function generateAndUpdateRoomImage(state, roomId, description, onProgress = null, imageStore = null, runUpdate = update => update()) {
   try {
     const result = await generateRoomImage(state, roomId, description, onProgress)
     
     if (result.success) {
-      const updatedRoom = await updateRoomImage(state, roomId, result.imageUrl)
+      let image = null
+      if (imageStore) {
+        try {
+          image = await storeRoomImage(imageStore, {
+            roomId,
+            sourceUrl: result.imageUrl,
+            prompt: result.prompt,
+            seed: result.seed,
+            parameters: result.parameters
+          })
+        } catch (error) {
+          console.warn('Failed to keep a local copy of the room image:', error)
+        }
+      }
+
+      const updatedRoom = await runUpdate(() => updateRoomImage(state, roomId, result.imageUrl, image?.id || null))
       return {
         success: true,
         room: updatedRoom,
-        imageUrl: result.imageUrl
+        imageUrl: result.imageUrl,
+        image
       }
     } else {
       return result
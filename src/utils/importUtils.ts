@@ -0,0 +1,432 @@
+/**
+ * Import Utilities
+ * Bulk import of study material (CSV, Markdown lists, Anki TSV) into evenly spaced loci,
+ * spilling over into new rooms joined by doors when a room fills up
+ */
+
+import {
+  ApplicationState,
+  BulkImportOptions,
+  BulkImportPlan,
+  BulkImportResult,
+  Connection,
+  MemoryObject,
+  ObjectType,
+  PaintData,
+  PlannedImportRoom,
+  Room,
+  StudyItem,
+  StudyMaterialFormat,
+  Vector3
+} from '../types/index.js'
+import { calculateDistance, getRoomObjects, positionOnSphere } from './objectUtils.js'
+import { createRoom } from './roomUtils.js'
+import { DOOR_DIMENSIONS, FORWARD_DOOR_DIRECTION, RETURN_DOOR_DIRECTION } from './connectionUtils.js'
+import { generateId, saveState } from './stateUtils.js'
+
+export const DEFAULT_ROOM_CAPACITY = 10
+const MAX_ROOM_CAPACITY = 40
+const DEFAULT_ROOM_NAME = 'Study Hall'
+const DEFAULT_ROOM_DESCRIPTION = 'A calm, spacious study hall with bare walls waiting to be filled'
+
+// Loci sit in rings around eye level, at most this many per ring
+const LOCI_PER_RING = 12
+const RING_HEIGHTS = [[0.05], [0.2, -0.1], [0.3, 0.05, -0.2]]
+
+// Header cells that name the term column, and those that are recognised as headers at all
+const NAME_HEADERS = new Set(['name', 'term', 'front', 'question', 'item', 'word', 'title', 'key', 'prompt'])
+const INFO_HEADERS = new Set([
+  'back', 'answer', 'definition', 'information', 'info', 'description', 'notes', 'meaning', 'value', 'details'
+])
+
+const LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/
+
+/**
+ * Split delimited text into rows of cells, honouring double-quoted cells
+ * that contain delimiters, newlines or doubled quotes
+ */
+export function parseDelimited(text: string, delimiter: string): string[][] {
+  const rows: string[][] = []
+  let row: string[] = []
+  let cell = ''
+  let quoted = false
+
+  const endRow = () => {
+    row.push(cell)
+    if (row.some(value => value.trim() !== '')) rows.push(row)
+    row = []
+    cell = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true
+      cell = ''
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      endRow()
+    } else {
+      cell += char
+    }
+  }
+  endRow()
+
+  return rows.map(cells => cells.map(value => value.trim()))
+}
+
+/**
+ * Reduce Anki field HTML to plain text
+ */
+function stripHtml(html: string): string {
+  return html
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>|<\/(?:div|p|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+}
+
+/**
+ * Remove Markdown emphasis and inline code markers
+ */
+function stripMarkdown(text: string): string {
+  return text.replace(/(\*\*|__|\*|`)(.+?)\1/g, '$2').trim()
+}
+
+/**
+ * Split "Term: definition" (or "Term - definition") into its two halves
+ */
+function splitTerm(text: string): StudyItem {
+  const match = text.match(/^(.+?)(?::\s+|\s+[-–—]\s+)(.+)$/)
+  if (!match) {
+    return { name: stripMarkdown(text), information: '' }
+  }
+  return { name: stripMarkdown(match[1]), information: stripMarkdown(match[2]) }
+}
+
+/**
+ * Turn table rows into items; a recognised header row picks the term and detail columns
+ */
+function rowsToItems(rows: string[][]): StudyItem[] {
+  let nameColumn = 0
+  let body = rows
+
+  const header = rows[0]?.map(cell => cell.toLowerCase())
+  if (header && header.some(cell => NAME_HEADERS.has(cell) || INFO_HEADERS.has(cell)) &&
+      header.every(cell => !cell || NAME_HEADERS.has(cell) || INFO_HEADERS.has(cell) || cell === 'tags')) {
+    const named = header.findIndex(cell => NAME_HEADERS.has(cell))
+    nameColumn = named === -1 ? 0 : named
+    body = rows.slice(1)
+  }
+
+  return body
+    .map(cells => ({
+      name: cells[nameColumn] || '',
+      information: cells
+        .filter((cell, index) => index !== nameColumn && cell)
+        .join('; ')
+    }))
+    .filter(item => item.name)
+}
+
+function parseCsv(text: string): StudyItem[] {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim()) || ''
+  const delimiter = (firstLine.match(/;/g)?.length ?? 0) > (firstLine.match(/,/g)?.length ?? 0) ? ';' : ','
+  return rowsToItems(parseDelimited(text, delimiter))
+}
+
+function parseMarkdown(text: string): StudyItem[] {
+  const items: StudyItem[] = []
+  let topIndent = -1
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(LIST_ITEM)
+    if (!match) return
+
+    const indent = match[1].replace(/\t/g, '  ').length
+    const content = match[2].trim()
+    if (!content) return
+
+    // Nested bullets are details of the item above them
+    const parent = items[items.length - 1]
+    if (parent && topIndent !== -1 && indent > topIndent) {
+      const detail = stripMarkdown(content)
+      parent.information = parent.information ? `${parent.information}\n${detail}` : detail
+      return
+    }
+
+    topIndent = indent
+    items.push(splitTerm(content))
+  })
+
+  return items.filter(item => item.name)
+}
+
+function parseAnki(text: string): StudyItem[] {
+  // Anki 2.1.54+ exports start with "#separator:tab"-style header lines
+  const lines = text.split(/\r?\n/)
+  const start = lines.findIndex(line => !/^#\w[\w ]*:/.test(line))
+  const body = start === -1 ? '' : lines.slice(start).join('\n')
+
+  return parseDelimited(body, '\t')
+    .map(cells => ({
+      name: stripHtml(cells[0] || ''),
+      information: stripHtml(cells[1] || '')
+    }))
+    .filter(item => item.name)
+}
+
+/**
+ * Guess the format of pasted study material
+ */
+export function detectFormat(text: string): StudyMaterialFormat {
+  const lines = text.split(/\r?\n/).filter(line => line.trim())
+  if (lines.some(line => line.includes('\t') || /^#separator:/i.test(line))) return 'anki'
+
+  const listLines = lines.filter(line => LIST_ITEM.test(line)).length
+  if (listLines > 0 && listLines >= lines.filter(line => !line.trim().startsWith('#')).length / 2) return 'markdown'
+
+  return 'csv'
+}
+
+/**
+ * Parse study material into items
+ * @throws If the text holds no items
+ */
+export function parseStudyMaterial(
+  text: string,
+  format: StudyMaterialFormat | 'auto' = 'auto'
+): { format: StudyMaterialFormat; items: StudyItem[] } {
+  const resolved = format === 'auto' ? detectFormat(text || '') : format
+  const parsers = { csv: parseCsv, markdown: parseMarkdown, anki: parseAnki }
+  const parse = parsers[resolved]
+  if (!parse) {
+    throw new Error(`Unknown import format "${format}"`)
+  }
+
+  const items = parse(text || '')
+  if (items.length === 0) {
+    throw new Error(`No items found in the ${resolved} text`)
+  }
+
+  return { format: resolved, items }
+}
+
+/**
+ * Evenly spaced loci for a room holding `capacity` items, in walking order
+ */
+export function getLocusSlots(capacity: number): Vector3[] {
+  const rings = Math.min(RING_HEIGHTS.length, Math.ceil(capacity / LOCI_PER_RING))
+  const perRing = Math.ceil(capacity / rings)
+  const slots: Vector3[] = []
+
+  for (let ring = 0; ring < rings; ring++) {
+    // Stagger alternate rings so loci don't stack above one another
+    const offset = ring % 2 === 0 ? 0 : Math.PI / perRing
+    for (let i = 0; i < perRing && slots.length < capacity; i++) {
+      const angle = offset + (i / perRing) * Math.PI * 2
+      slots.push(positionOnSphere({
+        x: Math.cos(angle),
+        y: RING_HEIGHTS[rings - 1][ring],
+        z: Math.sin(angle)
+      }))
+    }
+  }
+
+  return slots
+}
+
+/**
+ * Pick the free slots furthest from what is already in a room, keeping walking order
+ */
+function getFreeSlots(state: ApplicationState, roomId: string, capacity: number): Vector3[] {
+  const existing = getRoomObjects(state, roomId).filter(obj => obj.type !== ObjectType.DOOR)
+  const free = capacity - existing.length
+  if (free <= 0) return []
+
+  const slots = getLocusSlots(capacity)
+  if (existing.length === 0) return slots
+
+  const clearance = (slot: Vector3) => Math.min(...existing.map(obj => calculateDistance(slot, obj.position)))
+  const chosen = new Set(
+    slots
+      .map((slot, index) => ({ index, clearance: clearance(slot) }))
+      .sort((a, b) => b.clearance - a.clearance)
+      .slice(0, free)
+      .map(entry => entry.index)
+  )
+  return slots.filter((_, index) => chosen.has(index))
+}
+
+/**
+ * Room name not yet taken, e.g. "Capitals 3"
+ */
+function getUniqueRoomName(taken: Set<string>, baseName: string, counter: number): string {
+  let name = `${baseName} ${counter}`
+  while (taken.has(name.toLowerCase())) {
+    counter++
+    name = `${baseName} ${counter}`
+  }
+  return name
+}
+
+/**
+ * Plan where each item goes without changing the palace
+ * Fills the free loci of the starting room (the current one by default),
+ * then chains new rooms through doors until every item has a place
+ */
+export function planBulkImport(
+  state: ApplicationState,
+  items: StudyItem[],
+  format: StudyMaterialFormat,
+  options: BulkImportOptions = {}
+): BulkImportPlan {
+  const capacity = Math.max(1, Math.min(MAX_ROOM_CAPACITY, Math.round(options.roomCapacity || DEFAULT_ROOM_CAPACITY)))
+  const startRoomId = options.roomId === undefined ? state.user.currentRoomId : options.roomId
+  const startRoom = startRoomId ? state.rooms.get(startRoomId) : null
+  if (startRoomId && !startRoom) {
+    throw new Error(`Room ${startRoomId} not found`)
+  }
+
+  const baseName = options.roomName?.trim() || startRoom?.name || DEFAULT_ROOM_NAME
+  const description = options.roomDescription?.trim() || startRoom?.description || DEFAULT_ROOM_DESCRIPTION
+  const takenNames = new Set(Array.from(state.rooms.values()).map(room => room.name.toLowerCase()))
+
+  const rooms: PlannedImportRoom[] = []
+  let remaining = items
+
+  const fill = (room: Omit<PlannedImportRoom, 'items'>, slots: Vector3[]) => {
+    const placed = remaining.slice(0, slots.length).map((item, index) => ({ ...item, position: slots[index] }))
+    remaining = remaining.slice(placed.length)
+    rooms.push({ ...room, items: placed })
+  }
+
+  if (startRoom) {
+    const slots = getFreeSlots(state, startRoom.id, capacity)
+    if (slots.length > 0) {
+      fill({ key: startRoom.id, roomId: startRoom.id, name: startRoom.name, description: startRoom.description, fromKey: null }, slots)
+    }
+  }
+
+  let previousKey = startRoom ? startRoom.id : null
+  let newRooms = 0
+  while (remaining.length > 0) {
+    newRooms++
+    const counter = startRoom ? newRooms + 1 : newRooms
+    const name = counter === 1 && !takenNames.has(baseName.toLowerCase())
+      ? baseName
+      : getUniqueRoomName(takenNames, baseName, Math.max(counter, 2))
+    takenNames.add(name.toLowerCase())
+
+    const key = `new_${newRooms}`
+    fill({ key, roomId: null, name, description, fromKey: previousKey }, getLocusSlots(capacity))
+    previousKey = key
+  }
+
+  return { format, itemCount: items.length, rooms }
+}
+
+/**
+ * Door record joining two rooms
+ */
+function createDoor(state: ApplicationState, fromRoom: Room, toRoom: Room, description: string, direction: Vector3): Connection {
+  const now = new Date().toISOString()
+  const connection = {
+    id: generateId(),
+    roomId: fromRoom.id,
+    userId: state.user.id,
+    targetRoomId: toRoom.id,
+    description,
+    bidirectional: true,
+    position: positionOnSphere(direction),
+    // Sized like the return door of create_door, which carries only dimensions
+    paintData: { dimensions: { ...DOOR_DIMENSIONS } } as PaintData,
+    createdAt: now,
+    updatedAt: now
+  }
+  state.connections.set(connection.id, connection)
+  return connection
+}
+
+/**
+ * Create the rooms, doors and objects of a plan
+ * @throws If a room the plan fills has been deleted since it was planned
+ */
+export async function applyBulkImport(state: ApplicationState, plan: BulkImportPlan): Promise<BulkImportResult> {
+  const plannedKeys = new Set(plan.rooms.map(planned => planned.key))
+  plan.rooms.forEach(planned => {
+    if (planned.roomId && !state.rooms.has(planned.roomId)) {
+      throw new Error(`Room ${planned.roomId} not found`)
+    }
+    if (planned.fromKey && !plannedKeys.has(planned.fromKey) && !state.rooms.has(planned.fromKey)) {
+      throw new Error(`Room ${planned.fromKey} not found`)
+    }
+  })
+
+  const result: BulkImportResult = { rooms: [], objects: [], connections: [] }
+  const roomsByKey = new Map<string, Room>()
+
+  for (const planned of plan.rooms) {
+    let room = planned.roomId ? state.rooms.get(planned.roomId) as Room : null
+
+    if (!room) {
+      room = await createRoom(state, planned.name, planned.description) as Room
+      result.rooms.push(room)
+
+      const fromRoom = planned.fromKey
+        ? roomsByKey.get(planned.fromKey) || state.rooms.get(planned.fromKey)
+        : null
+      if (fromRoom) {
+        result.connections.push(
+          createDoor(state, fromRoom, room, `Door to ${room.name}`, FORWARD_DOOR_DIRECTION),
+          createDoor(state, room, fromRoom, `Return to ${fromRoom.name}`, RETURN_DOOR_DIRECTION)
+        )
+      }
+    }
+    roomsByKey.set(planned.key, room)
+
+    for (const item of planned.items) {
+      const now = new Date().toISOString()
+      const objectCounter = state.user.objectCounter + 1
+      const object: MemoryObject = {
+        id: generateId(),
+        roomId: room.id,
+        userId: state.user.id,
+        name: item.name,
+        type: ObjectType.OBJECT,
+        information: item.information,
+        position: item.position,
+        objectCounter,
+        createdAt: now,
+        updatedAt: now
+      }
+      state.objects.set(object.id, object)
+      state.user.objectCounter = objectCounter
+      result.objects.push(object)
+    }
+  }
+
+  await saveState(state)
+  return result
+}
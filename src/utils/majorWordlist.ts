@@ -0,0 +1,40 @@
+/**
+ * Major System Wordlist
+ * Concrete, easily pictured words for the major-system encoder, bundled so encoding works
+ * offline. Digits are read from each word's consonant sounds (see numberEncoding.wordToDigits),
+ * so only words whose spelling gives their sound are listed.
+ *
+ * The first block is a peg for every number from 0 to 99, so any number can be split into
+ * words; the rest are longer words that cover three or more digits at once.
+ */
+
+export const MAJOR_WORDLIST: readonly string[] = [
+  // 0-9
+  'sow', 'tea', 'noah', 'emu', 'ray', 'law', 'shoe', 'cow', 'ivy', 'bee',
+  // 00-99
+  'sauce', 'suit', 'sun', 'sumo', 'sewer', 'seal', 'sash', 'sock', 'sofa', 'soap',
+  'toes', 'tattoo', 'tuna', 'tomb', 'tire', 'towel', 'dish', 'duck', 'dove', 'tuba',
+  'nose', 'net', 'nun', 'gnome', 'winery', 'nail', 'notch', 'neck', 'knife', 'knob',
+  'mouse', 'mat', 'moon', 'mime', 'mower', 'mule', 'match', 'mug', 'movie', 'mop',
+  'rose', 'rat', 'rain', 'ram', 'rower', 'rail', 'roach', 'rock', 'roof', 'rope',
+  'lace', 'light', 'lion', 'lime', 'lure', 'lily', 'leash', 'log', 'leaf', 'lip',
+  'cheese', 'sheet', 'chain', 'jam', 'chair', 'jail', 'judge', 'jack', 'chef', 'ship',
+  'case', 'cat', 'cone', 'comb', 'car', 'coal', 'cage', 'cake', 'cave', 'cap',
+  'face', 'foot', 'fan', 'foam', 'fire', 'file', 'fish', 'fig', 'fife', 'fob',
+  'bus', 'bat', 'bone', 'bomb', 'bear', 'bell', 'beach', 'book', 'beef', 'pipe',
+  // More than two digits
+  'tomato', 'rocket', 'pencil', 'candle', 'ladder', 'mirror', 'robot', 'parrot', 'turtle', 'camel',
+  'tiger', 'lemon', 'melon', 'pepper', 'butter', 'bottle', 'kettle', 'helmet', 'jacket', 'puppet',
+  'dragon', 'wizard', 'pirate', 'sailor', 'doctor', 'teacher', 'farmer', 'baker', 'dentist', 'volcano',
+  'tunnel', 'bridge', 'garden', 'market', 'temple', 'palace', 'cabin', 'museum', 'rainbow', 'lantern',
+  'magnet', 'muffin', 'donut', 'banana', 'carrot', 'potato', 'pickle', 'noodle', 'biscuit', 'toaster',
+  'blender', 'table', 'carpet', 'curtain', 'blanket', 'basket', 'bucket', 'barrel', 'compass', 'shovel',
+  'saddle', 'submarine', 'train', 'tractor', 'taxi', 'motor', 'camera', 'laptop', 'guitar', 'violin',
+  'trumpet', 'drum', 'medal', 'trophy', 'crown', 'shield', 'cannon', 'diamond', 'pearl', 'gold',
+  'button', 'zipper', 'needle', 'ribbon', 'mitten', 'sandal', 'scarf', 'necktie', 'balloon', 'puzzle',
+  'domino', 'marble', 'monster', 'vampire', 'mermaid', 'unicorn', 'dinosaur', 'octopus', 'lobster', 'dolphin',
+  'shark', 'spider', 'beetle', 'butterfly', 'mosquito', 'turkey', 'chicken', 'peacock', 'gorilla', 'monkey',
+  'donkey', 'zebra', 'panda', 'beaver', 'rooster', 'lizard', 'snake', 'frog', 'bison', 'walrus',
+  'hedgehog', 'squirrel', 'falcon', 'robin', 'cactus', 'tulip', 'mushroom', 'pumpkin', 'acorn', 'cloud',
+  'comet', 'planet', 'tornado', 'thunder', 'brain', 'skull', 'elbow'
+]
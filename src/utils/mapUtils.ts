@@ -0,0 +1,198 @@
+/**
+ * Map Utilities
+ * The palace as a graph for the 2D map: rooms as nodes, doors as edges,
+ * laid out by a force-directed simulation around any rooms placed by hand
+ *
+ * Positions run from 0 to 1 on each axis so the map can be drawn at any size.
+ */
+
+import {
+  ApplicationState,
+  MapPosition,
+  PalaceMap,
+  PalaceMapEdge,
+  PalaceMapNode,
+  Room
+} from '../types/index.js'
+import { getAllRooms, getRoomStats } from './roomUtils.js'
+import { saveState } from './stateUtils.js'
+
+const LAYOUT_ITERATIONS = 200
+const LAYOUT_MARGIN = 0.08
+const MIN_DISTANCE = 0.01
+
+/**
+ * Get the stored hand-placed positions, creating the map if needed
+ */
+function getStoredLayout(state: ApplicationState): Record<string, MapPosition> {
+  if (!state.user.mapLayout) {
+    state.user.mapLayout = {}
+  }
+  return state.user.mapLayout
+}
+
+function clamp(value: number): number {
+  return Math.min(1 - LAYOUT_MARGIN, Math.max(LAYOUT_MARGIN, value))
+}
+
+/**
+ * Merge the doors between each pair of rooms into one edge
+ */
+export function getMapEdges(state: ApplicationState): PalaceMapEdge[] {
+  const edges = new Map<string, PalaceMapEdge>()
+
+  state.connections.forEach(conn => {
+    if (!state.rooms.has(conn.roomId) || !state.rooms.has(conn.targetRoomId)) return
+
+    const [a, b] = [conn.roomId, conn.targetRoomId].sort()
+    const key = `${a}|${b}`
+    const edge = edges.get(key)
+    if (!edge) {
+      edges.set(key, {
+        id: key,
+        fromRoomId: conn.roomId,
+        toRoomId: conn.targetRoomId,
+        connectionIds: [conn.id],
+        bidirectional: false
+      })
+    } else {
+      edge.connectionIds.push(conn.id)
+      edge.bidirectional = edge.bidirectional || conn.roomId !== edge.fromRoomId
+    }
+  })
+
+  return Array.from(edges.values())
+}
+
+/**
+ * Force-directed layout (Fruchterman-Reingold): rooms repel each other and doors pull rooms together
+ * Fixed positions are kept as they are; the rest start on a circle, so the result is deterministic
+ */
+export function layoutPalaceMap(
+  roomIds: string[],
+  edges: Array<Pick<PalaceMapEdge, 'fromRoomId' | 'toRoomId'>>,
+  fixed: Record<string, MapPosition> = {},
+  options: { iterations?: number } = {}
+): Record<string, MapPosition> {
+  const { iterations = LAYOUT_ITERATIONS } = options
+  const positions: Record<string, MapPosition> = {}
+
+  roomIds.forEach((roomId, index) => {
+    const angle = (2 * Math.PI * index) / Math.max(roomIds.length, 1) - Math.PI / 2
+    positions[roomId] = fixed[roomId]
+      ? { ...fixed[roomId] }
+      : roomIds.length === 1
+        ? { x: 0.5, y: 0.5 }
+        : { x: 0.5 + 0.35 * Math.cos(angle), y: 0.5 + 0.35 * Math.sin(angle) }
+  })
+
+  const free = roomIds.filter(roomId => !fixed[roomId])
+  if (free.length === 0 || roomIds.length < 2) return positions
+
+  const k = Math.sqrt(1 / roomIds.length) * 0.6
+  const links = edges.filter(edge => positions[edge.fromRoomId] && positions[edge.toRoomId])
+
+  for (let step = 0; step < iterations; step++) {
+    const temperature = 0.1 * (1 - step / iterations)
+    const forces: Record<string, MapPosition> = {}
+    roomIds.forEach(roomId => { forces[roomId] = { x: 0, y: 0 } })
+
+    // Every pair of rooms pushes apart
+    for (let i = 0; i < roomIds.length; i++) {
+      for (let j = i + 1; j < roomIds.length; j++) {
+        const a = positions[roomIds[i]]
+        const b = positions[roomIds[j]]
+        const dx = a.x - b.x
+        const dy = a.y - b.y
+        const distance = Math.max(Math.hypot(dx, dy), MIN_DISTANCE)
+        const push = (k * k) / distance
+        forces[roomIds[i]].x += (dx / distance) * push
+        forces[roomIds[i]].y += (dy / distance) * push
+        forces[roomIds[j]].x -= (dx / distance) * push
+        forces[roomIds[j]].y -= (dy / distance) * push
+      }
+    }
+
+    // Doors pull the rooms they join together
+    links.forEach(({ fromRoomId, toRoomId }) => {
+      const a = positions[fromRoomId]
+      const b = positions[toRoomId]
+      const dx = a.x - b.x
+      const dy = a.y - b.y
+      const distance = Math.max(Math.hypot(dx, dy), MIN_DISTANCE)
+      const pull = (distance * distance) / k
+      forces[fromRoomId].x -= (dx / distance) * pull
+      forces[fromRoomId].y -= (dy / distance) * pull
+      forces[toRoomId].x += (dx / distance) * pull
+      forces[toRoomId].y += (dy / distance) * pull
+    })
+
+    free.forEach(roomId => {
+      const force = forces[roomId]
+      const length = Math.max(Math.hypot(force.x, force.y), MIN_DISTANCE)
+      const move = Math.min(length, temperature)
+      positions[roomId] = {
+        x: clamp(positions[roomId].x + (force.x / length) * move),
+        y: clamp(positions[roomId].y + (force.y / length) * move)
+      }
+    })
+  }
+
+  return positions
+}
+
+/**
+ * Build the palace map: every room with its object count, every pair of connected rooms, and their positions
+ */
+export function getPalaceMap(state: ApplicationState): PalaceMap {
+  const rooms = getAllRooms(state) as Room[]
+  const roomIds = rooms.map(room => room.id)
+  const edges = getMapEdges(state)
+  const layout = getStoredLayout(state)
+  const positions = layoutPalaceMap(roomIds, edges, layout)
+
+  const nodes: PalaceMapNode[] = rooms.map(room => {
+    const stats = getRoomStats(state, room.id) as { objectCount: number, connectionCount: number }
+    return {
+      roomId: room.id,
+      name: room.name,
+      objectCount: stats.objectCount,
+      connectionCount: stats.connectionCount,
+      isCurrent: room.id === state.user.currentRoomId,
+      pinned: !!layout[room.id],
+      position: positions[room.id]
+    }
+  })
+
+  return { nodes, edges }
+}
+
+/**
+ * Place a room on the map by hand
+ * Every room on the map is pinned where it is shown, so moving one doesn't rearrange the others;
+ * rooms added later are laid out around them
+ * @throws If the room doesn't exist
+ */
+export async function setMapPosition(state: ApplicationState, roomId: string, position: MapPosition): Promise<MapPosition> {
+  if (!state.rooms.has(roomId)) {
+    throw new Error(`Room ${roomId} not found`)
+  }
+
+  const layout = getStoredLayout(state)
+  getPalaceMap(state).nodes.forEach(node => {
+    layout[node.roomId] = node.position
+  })
+
+  const placed = { x: clamp(position.x), y: clamp(position.y) }
+  layout[roomId] = placed
+  await saveState(state)
+  return placed
+}
+
+/**
+ * Forget hand-placed positions, leaving the whole map to the automatic layout
+ */
+export async function resetMapLayout(state: ApplicationState): Promise<void> {
+  state.user.mapLayout = {}
+  await saveState(state)
+}
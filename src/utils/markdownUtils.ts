@@ -0,0 +1,217 @@
+/**
+ * Markdown Utilities
+ * Renders the Markdown in object information as HTML for the inspector
+ *
+ * Covers what study notes need: headings, emphasis, lists, quotes, code, links,
+ * images and formulas between $ signs (shown as written, in a formula style).
+ * All text is escaped before any markup is added, and only http(s), mailto and
+ * attachment: URLs become links, so the output is safe to set as innerHTML.
+ */
+
+export interface MarkdownOptions {
+  // URL for an attachment: reference (e.g. an object URL), or null while it isn't loaded
+  resolveAttachmentUrl?: (attachmentId: string) => string | null
+}
+
+const ATTACHMENT_PREFIX = 'attachment:'
+const SAFE_URL = /^(https?:\/\/|mailto:)/i
+// Placeholders for finished inline HTML, so later rules don't rewrite it
+const TOKEN = /\u0000(\d+)\u0000/g
+// Link targets may hold one level of brackets, as in Wikipedia URLs like /wiki/Mercury_(planet)
+// URLs never take in a placeholder, whose HTML would otherwise end up inside an attribute
+const LINK_TARGET = '((?:[^()\\s\\u0000]|\\([^()\\s\\u0000]*\\))+)'
+const IMAGE = new RegExp(`!\\[([^\\]]*)\\]\\(${LINK_TARGET}\\)`, 'g')
+const LINK = new RegExp(`\\[([^\\]]+)\\]\\(${LINK_TARGET}\\)`, 'g')
+const BARE_URL = /\bhttps?:\/\/[^\s<\u0000]+[^\s<.,;:!?)\u0000]/g
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Turn a Markdown URL into one that is safe to link to, or null
+ * The URL is already HTML-escaped
+ */
+function resolveUrl(url: string, options: MarkdownOptions): { href: string; isAttachment: boolean } | null {
+  if (url.startsWith(ATTACHMENT_PREFIX)) {
+    const href = options.resolveAttachmentUrl?.(url.slice(ATTACHMENT_PREFIX.length)) || null
+    return href ? { href: escapeHtml(href), isAttachment: true } : null
+  }
+  return SAFE_URL.test(url) ? { href: url, isAttachment: false } : null
+}
+
+/**
+ * Put placeholders back, recursively, as they would read without markup, for use in an
+ * attribute value
+ */
+function tokensToText(text: string, tokens: string[]): string {
+  return text.replace(TOKEN, (_, index) => tokensToText(tokens[Number(index)], tokens).replace(/<[^>]*>/g, ''))
+}
+
+/**
+ * Render inline Markdown in one line or paragraph of escaped text
+ */
+function renderInline(escaped: string, options: MarkdownOptions): string {
+  const tokens: string[] = []
+  const keep = (html: string) => `\u0000${tokens.push(html) - 1}\u0000`
+
+  let html = escaped
+    // Code and formulas are shown exactly as written
+    .replace(/`([^`]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(/\$([^$\s](?:[^$]*[^$\s])?)\$/g, (_, formula) => keep(`<span class="md-math">${formula}</span>`))
+    .replace(IMAGE, (match, alt, url) => {
+      const target = resolveUrl(url, options)
+      return target ? keep(`<img src="${target.href}" alt="${tokensToText(alt, tokens)}" loading="lazy">`) : alt
+    })
+    .replace(LINK, (match, text, url) => {
+      const target = resolveUrl(url, options)
+      if (!target) return text
+      return keep(target.isAttachment
+        ? `<a href="${target.href}" download="${tokensToText(text, tokens)}">${text}</a>`
+        : `<a href="${target.href}" target="_blank" rel="noopener noreferrer">${text}</a>`)
+    })
+    .replace(BARE_URL, url => keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`))
+
+  html = html
+    .replace(/(\*\*|\b__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+    // Underscores only emphasise whole words, so snake_case names are left alone
+    .replace(/\b_(?=\S)(.+?)(?<=\S)_\b/g, '<em>$1</em>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>')
+
+  // Tokens may hold other tokens (a link around code), so restore until none are left
+  while (html.search(TOKEN) !== -1) {
+    html = html.replace(TOKEN, (_, index) => tokens[Number(index)])
+  }
+  return html
+}
+
+/**
+ * Render Markdown as HTML
+ */
+export function renderMarkdown(markdown: string | null | undefined, options: MarkdownOptions = {}): string {
+  const lines = escapeHtml(String(markdown ?? '')).replace(/\r\n?/g, '\n').split('\n')
+  const blocks: string[] = []
+  let paragraph: string[] = []
+  let list: { type: 'ul' | 'ol'; items: string[] } | null = null
+  let quote: string[] = []
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(line => renderInline(line, options)).join('<br>')}</p>`)
+      paragraph = []
+    }
+  }
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.type}>${list.items.map(item => `<li>${renderInline(item, options)}</li>`).join('')}</${list.type}>`)
+      list = null
+    }
+  }
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      blocks.push(`<blockquote>${renderMarkdown(unescapeHtml(quote.join('\n')), options)}</blockquote>`)
+      quote = []
+    }
+  }
+  const flushAll = () => {
+    flushParagraph()
+    flushList()
+    flushQuote()
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    // Fenced code block
+    if (/^\s*```/.test(line)) {
+      flushAll()
+      const code: string[] = []
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i])
+      }
+      blocks.push(`<pre><code>${code.join('\n')}</code></pre>`)
+      continue
+    }
+
+    // Display formula between $$ lines, or on one line
+    const formula = line.match(/^\s*\$\$(.*?)(\$\$)?\s*$/)
+    if (formula) {
+      flushAll()
+      const parts = [formula[1]]
+      if (!formula[2]) {
+        while (++i < lines.length && !/\$\$\s*$/.test(lines[i])) {
+          parts.push(lines[i])
+        }
+        if (i < lines.length) parts.push(lines[i].replace(/\$\$\s*$/, ''))
+      }
+      blocks.push(`<div class="md-math">${parts.join('\n').trim()}</div>`)
+      continue
+    }
+
+    if (!line.trim()) {
+      flushAll()
+      continue
+    }
+
+    const quoted = line.match(/^\s*&gt;\s?(.*)$/)
+    if (quoted) {
+      flushParagraph()
+      flushList()
+      quote.push(quoted[1])
+      continue
+    }
+    flushQuote()
+
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/)
+    if (heading) {
+      flushAll()
+      const level = heading[1].length
+      blocks.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`)
+      continue
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushAll()
+      blocks.push('<hr>')
+      continue
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/)
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/)
+    if (bullet || numbered) {
+      flushParagraph()
+      const type = bullet ? 'ul' : 'ol'
+      if (list && list.type !== type) flushList()
+      if (!list) list = { type, items: [] }
+      list.items.push((bullet || numbered)![1])
+      continue
+    }
+
+    // A line under a list item continues it
+    if (list && /^\s+/.test(line)) {
+      list.items[list.items.length - 1] += ` ${line.trim()}`
+      continue
+    }
+
+    flushList()
+    paragraph.push(line)
+  }
+  flushAll()
+
+  return blocks.join('\n')
+}
+
+function unescapeHtml(text: string): string {
+  return text
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&')
+}
@@ -4,7 +4,12 @@
  */
 
 import replicateAPI from '../services/ReplicateAPI.js'
-import { ObjectType, EventTypes } from '../types/index.ts'
+import { ObjectType, EventTypes, ReviewGrade } from '../types/index.ts'
+import { describeRoomTree } from './roomUtils.js'
+import { describeRelated, normalizeRelation } from './associationUtils.ts'
+import { createQuizQuestions } from './quizUtils.ts'
+import { describeMnemonicContext } from './mnemonicUtils.ts'
+import { describePaoChunk } from './numberEncoding.ts'
 
 export class MemoryPalaceToolManager {
   constructor(memoryPalaceCore, voiceInterface = null) {
@@ -34,14 +39,36 @@ export class MemoryPalaceToolManager {
           return await this.editRoom(input)
         case 'go_to_room':
           return await this.goToRoom(input)
+        case 'find_path':
+          return await this.findPath(input)
         case 'add_object':
           return await this.addObject(input)
         case 'remove_object':
           return await this.removeObject(input)
         case 'pickup_object':
           return await this.pickupObject(input)
+        case 'place_object':
+          return await this.placeObject(input)
+        case 'list_inventory':
+          return await this.listInventory()
+        case 'tag_object':
+          return await this.tagObject(input)
+        case 'list_objects_by_tag':
+          return await this.listObjectsByTag(input)
+        case 'suggest_mnemonic':
+          return await this.suggestMnemonic(input)
+        case 'set_mnemonic':
+          return await this.setMnemonic(input)
+        case 'encode_number':
+          return await this.encodeNumber(input)
+        case 'link_objects':
+          return await this.linkObjects(input)
+        case 'get_related':
+          return await this.getRelated(input)
         case 'list_rooms':
-          return await this.listRooms()
+          return await this.listRooms(input)
+        case 'manage_wing':
+          return await this.manageWing(input)
         case 'get_room_info':
           return await this.getRoomInfo()
         case 'regenerate_room_image':
@@ -50,8 +77,50 @@ export class MemoryPalaceToolManager {
           return await this.addObjectAtPosition(input)
         case 'create_door':
           return await this.createDoor(input)
+        case 'connect_rooms':
+          return await this.connectRooms(input)
+        case 'duplicate_room':
+          return await this.duplicateRoom(input)
+        case 'manage_room_template':
+          return await this.manageRoomTemplate(input)
+        case 'create_room_from_template':
+          return await this.createRoomFromTemplate(input)
         case 'narrate':
           return await this.narrateText(input)
+        case 'start_review':
+          return await this.startReview(input)
+        case 'grade_review':
+          return await this.gradeReview(input)
+        case 'start_quiz':
+          return await this.startQuiz(input)
+        case 'answer_quiz':
+          return await this.answerQuiz(input)
+        case 'recall_mode':
+          return await this.recallMode(input)
+        case 'memory_walk':
+          return await this.memoryWalk(input)
+        case 'set_walk_route':
+          return await this.setWalkRoute(input)
+        case 'undo_last_action':
+          return await this.undoLastAction(input)
+        case 'check_palace_integrity':
+          return await this.checkPalaceIntegrity(input)
+        case 'search_palace':
+          return await this.searchPalace(input)
+        case 'import_study_material':
+          return await this.importStudyMaterial(input)
+        case 'list_palaces':
+          return await this.listPalaces()
+        case 'create_palace':
+          return await this.createPalace(input)
+        case 'switch_palace':
+          return await this.switchPalace(input)
+        case 'rename_palace':
+          return await this.renamePalace(input)
+        case 'duplicate_palace':
+          return await this.duplicatePalace(input)
+        case 'delete_palace':
+          return await this.deletePalace(input)
         default:
           throw new Error(`Unknown tool: ${toolName}`)
       }
@@ -66,124 +135,251 @@ export class MemoryPalaceToolManager {
    * Handles both object conversion and new door creation
    * Automatically creates target room and bidirectional connections
    */
-  async createDoor({ description, targetRoomName, targetRoomDescription, position, dimensions, objectId }) {
+  async createDoor(input) {
+    const created = {}
+    let result
     try {
-      const currentRoom = this.core.getCurrentRoom()
-      if (!currentRoom) {
-        return `No current room to create door from. Please create a room first.`
-      }
+      result = await this.core.transaction(`Create door to "${input.targetRoomName}"`, core => this.createDoorAction(input, created, core))
+    } catch (error) {
+      return `Failed to create door: ${error.message}`
+    }
 
-      if (!targetRoomName || !targetRoomDescription) {
-        return `Target room name and description are required for door creation`
-      }
+    // The new room's image is generated once the door is committed, not inside its transaction
+    if (created.room && !created.room.imageUrl) {
+      await this.core.generateRoomImage(created.room.id, created.room.description)
+    }
+    return result
+  }
 
-      let doorPosition = position
-      let doorDescription = description || `Door to ${targetRoomName}`
-      let paintData = null
-      
-      // Create paintData for dimensions if provided
-      if (dimensions) {
-        console.log(`[createDoor] Creating door with dimensions:`, dimensions)
-        paintData = {
-          areas: [],
-          canvasPosition: position,
-          color: '#00ffff',
-          dimensions: {
-            width: dimensions.width,
-            height: dimensions.height
-          }
+  /**
+   * Door creation steps, run as a single undoable transaction by createDoor
+   * Errors are thrown so the transaction rolls back whatever was already done
+   * @param {Object} created - Receives the new target room as `room` when it needs an image
+   * @param {Object} core - The core the transaction hands its steps
+   */
+  async createDoorAction({ description, targetRoomName, targetRoomDescription, templateName, position, dimensions, objectId }, created = {}, core = this.core) {
+    const currentRoom = core.getCurrentRoom()
+    if (!currentRoom) {
+      return `No current room to create door from. Please create a room first.`
+    }
+
+    if (!targetRoomName || (!targetRoomDescription && !templateName)) {
+      return `Target room name and description (or a template) are required for door creation`
+    }
+    const template = templateName ? this.resolveTemplate(templateName) : null
+
+    let doorPosition = position
+    let doorDescription = description || `Door to ${targetRoomName}`
+    let paintData = null
+    
+    // Create paintData for dimensions if provided
+    if (dimensions) {
+      console.log(`[createDoor] Creating door with dimensions:`, dimensions)
+      paintData = {
+        areas: [],
+        canvasPosition: position,
+        color: '#00ffff',
+        dimensions: {
+          width: dimensions.width,
+          height: dimensions.height
         }
       }
+    }
+    
+    // Handle object conversion scenario
+    if (objectId) {
+      const existingObject = core.state.objects.get(objectId)
+      if (!existingObject) {
+        return `Object with ID "${objectId}" not found`
+      }
       
-      // Handle object conversion scenario
-      if (objectId) {
-        const existingObject = this.core.state.objects.get(objectId)
-        if (!existingObject) {
-          return `Object with ID "${objectId}" not found`
-        }
-        
-        if (existingObject.roomId !== currentRoom.id) {
-          return `Cannot convert object from different room`
-        }
-        
-        // Use existing object's position and remove it
-        doorPosition = existingObject.position
-        doorDescription = description || `${existingObject.name} (converted to door)`
-        
-        await this.core.deleteObject(objectId)
+      if (existingObject.roomId !== currentRoom.id) {
+        return `Cannot convert object from different room`
       }
       
-      // Validate position for new door creation
-      if (!doorPosition) {
-        return `Position is required for door creation (either through objectId or position parameter)`
+      // Use existing object's position and remove it
+      doorPosition = existingObject.position
+      doorDescription = description || `${existingObject.name} (converted to door)`
+      
+      await core.deleteObject(objectId)
+    }
+    
+    // Validate position for new door creation
+    if (!doorPosition) {
+      return `Position is required for door creation (either through objectId or position parameter)`
+    }
+
+    // Create the target room in the same wing as the room the door leads from
+    const wingId = currentRoom.wingId || null
+    const newRoom = template
+      ? await core.createRoomFromTemplate(template.id, { name: targetRoomName, description: targetRoomDescription, wingId })
+      : await core.createRoom(targetRoomName, targetRoomDescription, { wingId, skipImageGeneration: true })
+    if (!template) created.room = newRoom
+    
+    // Connect both ways; the return door is placed at the user's feet in the new room
+    await core.createConnection({
+      roomId: currentRoom.id,
+      targetRoomId: newRoom.id,
+      description: doorDescription,
+      position: doorPosition,
+      paintData,
+      bidirectional: true
+    })
+    
+    // Emit ROOM_CHANGED event to trigger UI update for the new door
+    core.emit(EventTypes.ROOM_CHANGED, {
+      previousRoomId: currentRoom.id,
+      currentRoomId: currentRoom.id,
+      currentRoom: currentRoom
+    })
+    
+    const conversionNote = objectId ? ' (converted from existing object)' : ''
+    const dimensionNote = dimensions ? ` (${dimensions.width}×${dimensions.height} units)` : ''
+    const templateNote = template ? ` (built from template "${template.name}" with ${template.loci.length} loci)` : ''
+    return `Successfully created door "${doorDescription}"${conversionNote}${dimensionNote} leading to the new room "${targetRoomName}"${templateNote}. A return door has been automatically placed in the new room.`
+
+  }
+
+  /**
+   * Connect the current room (or a named one) to an existing room
+   * Two-way links also get a return door, unless one already leads back
+   */
+  async connectRooms({ targetRoomName, fromRoomName, description, direction = 'two-way', returnDescription }) {
+    try {
+      const fromRoom = fromRoomName ? this.core.findRoomByName(fromRoomName) : this.core.getCurrentRoom()
+      if (!fromRoom) {
+        return fromRoomName
+          ? `Room "${fromRoomName}" not found`
+          : `No current room to connect from. Please create a room first.`
       }
 
-      // Create the target room
-      const newRoom = await this.core.createRoom(targetRoomName, targetRoomDescription)
-      
-      // Create forward connection from current room to new room
-      const forwardConnection = {
-        id: this.core.generateId(),
-        roomId: currentRoom.id,
-        userId: this.core.state.user.id,
-        targetRoomId: newRoom.id,
-        description: doorDescription,
-        bidirectional: true,
-        position: doorPosition,
-        paintData: paintData,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+      const targetRoom = this.core.findRoomByName(targetRoomName)
+      if (!targetRoom) {
+        const availableRooms = this.core.getAllRooms().map(r => r.name).join(', ')
+        return `Room "${targetRoomName}" not found. Available rooms: ${availableRooms || 'none'}`
       }
-      
-      this.core.state.connections.set(forwardConnection.id, forwardConnection)
-      
-      // Create return door in the new room - place at user's "feet" on sphere surface
-      // When entering a new room, the user should see the return door at ground level, facing them
-      // Calculate position as normalized vector on sphere surface (radius 500)
-      const direction = { x: 1, y: -0.9, z: 0 } // Forward and down (ground level)
-      const magnitude = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z)
-      const sphereRadius = 500
-      
-      const returnPosition = {
-        x: (direction.x / magnitude) * sphereRadius,  // Normalized to sphere surface
-        y: (direction.y / magnitude) * sphereRadius,  // Ground level relative to sphere
-        z: (direction.z / magnitude) * sphereRadius   // Center horizontally
+
+      const bidirectional = direction !== 'one-way'
+      const { connection, returnConnection, created } = await this.core.createConnection({
+        roomId: fromRoom.id,
+        targetRoomId: targetRoom.id,
+        description: description || undefined,
+        returnDescription: returnDescription || undefined,
+        bidirectional
+      })
+
+      let returnNote = ` It is one-way; there is no door back from "${targetRoom.name}".`
+      if (returnConnection) {
+        returnNote = created.includes(returnConnection)
+          ? ` A return door "${returnConnection.description}" has been placed in "${targetRoom.name}".`
+          : ` The existing door "${returnConnection.description}" in "${targetRoom.name}" leads back.`
       }
-      
-      const returnConnection = {
-        id: this.core.generateId(),
-        roomId: newRoom.id,
-        userId: this.core.state.user.id,
-        targetRoomId: currentRoom.id,
-        description: `Return to ${currentRoom.name}`,
-        bidirectional: true,
-        position: returnPosition,
-        paintData: {
-          dimensions: {
-            width: 50,
-            height: 100,
+      if (!created.includes(connection)) {
+        return `The door "${connection.description}" already leads from "${fromRoom.name}" to "${targetRoom.name}".${returnNote}`
+      }
+      return `Successfully created door "${connection.description}" from "${fromRoom.name}" to the existing room "${targetRoom.name}".${returnNote}`
+    } catch (error) {
+      return `Failed to connect rooms: ${error.message}`
+    }
+  }
+
+  /**
+   * Find a room template by name, listing the templates there are when it doesn't exist
+   * @private
+   */
+  resolveTemplate(templateName) {
+    const template = this.core.findRoomTemplate(templateName)
+    if (!template) {
+      const available = this.core.getRoomTemplates().map(entry => entry.name).join(', ')
+      throw new Error(`Template "${templateName}" not found. Available templates: ${available || 'none'}`)
+    }
+    return template
+  }
+
+  /**
+   * Copy a room (the current room by default) with its skybox and objects; doors are not copied
+   */
+  async duplicateRoom({ roomName, newName, clearInformation = false } = {}) {
+    try {
+      const room = roomName ? this.core.findRoomByName(roomName) : this.core.getCurrentRoom()
+      if (!room) {
+        return roomName ? `Room "${roomName}" not found` : `No current room to duplicate`
+      }
+
+      const copy = await this.core.duplicateRoom(room.id, { name: newName || null, clearInformation })
+      const objectCount = this.core.getRoomObjects(copy.id).length
+      const clearedNote = clearInformation ? ' with their information cleared' : ''
+      return `Duplicated room "${room.name}" as "${copy.name}" with ${objectCount} object${objectCount === 1 ? '' : 's'}${clearedNote}. It has no doors yet; use connect_rooms to reach it.`
+    } catch (error) {
+      return `Failed to duplicate room: ${error.message}`
+    }
+  }
+
+  /**
+   * Save a room (the current room by default) as a template, list the templates, or delete one
+   */
+  async manageRoomTemplate({ action, templateName, roomName, includeInformation = false }) {
+    try {
+      switch (action) {
+        case 'save': {
+          const room = roomName ? this.core.findRoomByName(roomName) : this.core.getCurrentRoom()
+          if (!room) {
+            return roomName ? `Room "${roomName}" not found` : `No current room to save as a template`
+          }
+          const template = await this.core.saveRoomAsTemplate(room.id, { name: templateName || null, includeInformation })
+          const informationNote = includeInformation ? ' and their information' : ''
+          return `Saved room "${room.name}" as template "${template.name}" with ${template.loci.length} loci${informationNote}`
+        }
+        case 'list': {
+          const templates = this.core.getRoomTemplates()
+          if (templates.length === 0) {
+            return `No room templates yet. Save a room as a template to reuse its layout.`
           }
-        },
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
+          const list = templates.map(template => `- ${template.name}: ${template.loci.length} loci`).join('\n')
+          return `Room templates (${templates.length}):\n${list}`
+        }
+        case 'delete': {
+          const template = this.resolveTemplate(templateName || '')
+          await this.core.deleteRoomTemplate(template.id)
+          return `Deleted template "${template.name}". Rooms built from it were kept.`
+        }
+        default:
+          return `Unknown template action "${action}". Use save, list or delete`
       }
-      
-      this.core.state.connections.set(returnConnection.id, returnConnection)
-      await this.core.saveState()
-      
-      // Emit ROOM_CHANGED event to trigger UI update for the new door
-      this.core.emit(EventTypes.ROOM_CHANGED, {
-        previousRoomId: currentRoom.id,
-        currentRoomId: currentRoom.id,
-        currentRoom: currentRoom
+    } catch (error) {
+      return `Failed to manage room template: ${error.message}`
+    }
+  }
+
+  /**
+   * Build a room from a template and put a two-way door to it in the current room
+   */
+  async createRoomFromTemplate({ templateName, roomName, roomDescription }) {
+    try {
+      const template = this.resolveTemplate(templateName || '')
+      const currentRoom = this.core.getCurrentRoom()
+      const name = roomName || template.name
+
+      return await this.core.transaction(`Create room "${name}" from template "${template.name}"`, async core => {
+        const room = await core.createRoomFromTemplate(template.id, {
+          name,
+          description: roomDescription || null,
+          wingId: currentRoom?.wingId || null
+        })
+        const loci = `${template.loci.length} loci`
+        if (!currentRoom) {
+          return `Created room "${room.name}" from template "${template.name}" with ${loci}`
+        }
+
+        const { connection } = await core.createConnection({
+          roomId: currentRoom.id,
+          targetRoomId: room.id,
+          bidirectional: true
+        })
+        return `Created room "${room.name}" from template "${template.name}" with ${loci}. The door "${connection.description}" in "${currentRoom.name}" leads there, with a return door back.`
       })
-      
-      const conversionNote = objectId ? ' (converted from existing object)' : ''
-      const dimensionNote = dimensions ? ` (${dimensions.width}×${dimensions.height} units)` : ''
-      return `Successfully created door "${doorDescription}"${conversionNote}${dimensionNote} leading to the new room "${targetRoomName}". A return door has been automatically placed in the new room.`
-      
     } catch (error) {
-      return `Failed to create door: ${error.message}`
+      return `Failed to create room from template: ${error.message}`
     }
   }
 
@@ -208,7 +404,7 @@ export class MemoryPalaceToolManager {
   /**
    * Navigate to another room
    */
-  async goToRoom({ roomName }) {
+  async goToRoom({ roomName, mode = 'teleport' }) {
     try {
       const room = this.core.findRoomByName(roomName)
       
@@ -217,6 +413,12 @@ export class MemoryPalaceToolManager {
         return `Room "${roomName}" not found. Available rooms: ${availableRooms || 'none'}`
       }
 
+      if (mode === 'walk') {
+        return await this.findPath({ targetRoomName: room.name, walk: true })
+      }
+
+      // Teleporting abandons any journey under way
+      this.core.endJourney()
       await this.core.navigateToRoom(room.id)
       return `Successfully navigated to room: ${room.name}`
     } catch (error) {
@@ -224,6 +426,50 @@ export class MemoryPalaceToolManager {
     }
   }
 
+  /**
+   * Plan the path through the fewest doors to a room, and optionally walk it
+   * Walking faces and narrates each door in turn; the UI advances through them
+   */
+  async findPath({ targetRoomName, fromRoomName, walk = false }) {
+    try {
+      const fromRoom = fromRoomName ? this.core.findRoomByName(fromRoomName) : this.core.getCurrentRoom()
+      if (!fromRoom) {
+        return fromRoomName
+          ? `Room "${fromRoomName}" not found`
+          : `No current room to start from. Please create a room first.`
+      }
+
+      const targetRoom = this.core.findRoomByName(targetRoomName)
+      if (!targetRoom) {
+        const availableRooms = this.core.getAllRooms().map(r => r.name).join(', ')
+        return `Room "${targetRoomName}" not found. Available rooms: ${availableRooms || 'none'}`
+      }
+
+      const path = this.core.findPath(targetRoom.id, fromRoom.id)
+      if (!path) {
+        return `No doors lead from "${fromRoom.name}" to "${targetRoom.name}". Use go_to_room to teleport there instead.`
+      }
+      if (path.steps.length === 0) {
+        return `Already in "${targetRoom.name}"`
+      }
+
+      const route = this.core.describePath(path)
+      const doors = `${path.steps.length} door${path.steps.length === 1 ? '' : 's'}`
+      if (!walk) {
+        return `Path from "${fromRoom.name}" to "${targetRoom.name}" (${doors}): ${route}`
+      }
+
+      if (fromRoom.id !== this.core.getCurrentRoom()?.id) {
+        return `Walks start from the current room. Path from "${fromRoom.name}" (${doors}): ${route}`
+      }
+
+      await this.core.startJourney(targetRoom.id)
+      return `Walking to "${targetRoom.name}" through ${doors}: ${route}. Each door is narrated as the user passes through it.`
+    } catch (error) {
+      return `Failed to find path to "${targetRoomName}": ${error.message}`
+    }
+  }
+
   /**
    * Add object to current room
    */
@@ -346,31 +592,378 @@ export class MemoryPalaceToolManager {
     }
   }
 
+  /**
+   * Put an object from the inventory down in the current room
+   */
+  async placeObject({ name, position }) {
+    try {
+      const currentRoom = this.core.getCurrentRoom()
+      if (!currentRoom) {
+        return `No current room to place an object in`
+      }
+
+      const inventory = this.core.getInventory()
+      const lowerName = (name || '').toLowerCase()
+      const object = inventory.find(obj => obj.name.toLowerCase() === lowerName) ||
+        inventory.find(obj => obj.name.toLowerCase().includes(lowerName))
+
+      if (!object) {
+        const carried = inventory.map(obj => obj.name).join(', ')
+        return `Object "${name}" is not in the inventory. Carrying: ${carried || 'nothing'}`
+      }
+
+      await this.core.placeObjectFromInventory(object.id, position || null)
+      return `Placed "${object.name}" in "${currentRoom.name}"`
+    } catch (error) {
+      return `Failed to place object "${name}": ${error.message}`
+    }
+  }
+
+  /**
+   * List the objects the user is carrying
+   */
+  async listInventory() {
+    try {
+      const inventory = this.core.getInventory()
+      if (inventory.length === 0) {
+        return `The inventory is empty. Pick up an object to carry it to another room.`
+      }
+
+      const list = inventory.map(obj => `- ${obj.name}: ${obj.information || obj.description || ''}`.trimEnd()).join('\n')
+      return `Carrying ${inventory.length} object${inventory.length === 1 ? '' : 's'}:\n${list}`
+    } catch (error) {
+      return `Failed to list inventory: ${error.message}`
+    }
+  }
+
+  /**
+   * Find a memory object by name, in the current room first and then anywhere in the palace
+   */
+  resolveObject(objectName) {
+    const lowerName = objectName.toLowerCase()
+    const matches = (obj) => obj.type !== ObjectType.DOOR && obj.name.toLowerCase().includes(lowerName)
+    const inRoom = this.core.getCurrentRoomObjects().filter(matches)
+    const found = inRoom.length > 0
+      ? inRoom
+      : this.core.findObjectsByName(objectName).filter(matches)
+
+    if (found.length === 0) {
+      const available = this.core.getCurrentRoomObjects()
+        .filter(obj => obj.type !== ObjectType.DOOR)
+        .map(obj => obj.name)
+        .join(', ')
+      throw new Error(`Object "${objectName}" not found. Objects in this room: ${available || 'none'}`)
+    }
+    return found.find(obj => obj.name.toLowerCase() === lowerName) || found[0]
+  }
+
+  /**
+   * Add or remove tags on an object and set its marker color
+   */
+  async tagObject({ objectName, addTags, removeTags, color }) {
+    try {
+      if (!objectName) {
+        return `Please say which object to tag`
+      }
+      const object = this.resolveObject(objectName)
+      const updated = await this.core.tagObject(object.id, { add: addTags, remove: removeTags, color })
+
+      const tags = updated.tags.length > 0 ? `tags: ${updated.tags.join(', ')}` : 'no tags'
+      const colorNote = updated.color ? `, color ${updated.color}` : ''
+      return `"${updated.name}" now has ${tags}${colorNote}`
+    } catch (error) {
+      return `Failed to tag object: ${error.message}`
+    }
+  }
+
+  /**
+   * List the objects carrying a tag, or every tag in use when none is given
+   */
+  async listObjectsByTag({ tag, currentRoomOnly = false } = {}) {
+    try {
+      const roomId = currentRoomOnly ? this.core.getCurrentRoom()?.id || null : null
+      const scope = currentRoomOnly ? ' in this room' : ''
+      const tagList = this.core.getAllTags(roomId).map(entry => `${entry.tag} (${entry.count})`).join(', ')
+
+      if (!tag) {
+        return tagList ? `Tags in use${scope}: ${tagList}` : `No objects are tagged${scope} yet`
+      }
+
+      const objects = this.core.getObjectsByTag(tag, roomId)
+      if (objects.length === 0) {
+        return `No objects tagged "${tag}"${scope}. Tags in use: ${tagList || 'none'}`
+      }
+
+      const lines = objects.map(obj => {
+        const room = this.core.state.rooms.get(obj.roomId)
+        return `- ${obj.name} (${room?.name || 'inventory'}): ${obj.information}`
+      })
+      return `Objects tagged "${tag}"${scope} (${objects.length} total):\n${lines.join('\n')}`
+    } catch (error) {
+      return `Failed to list tagged objects: ${error.message}`
+    }
+  }
+
+
+  /**
+   * Brief the assistant for mnemonic suggestions: the object's information, its room and
+   * locus, and major-system and PAO encodings of any numbers
+   */
+  async suggestMnemonic({ objectName, information } = {}) {
+    try {
+      let context
+      if (information) {
+        context = this.core.getMnemonicContext({
+          name: objectName,
+          information,
+          roomId: this.core.getCurrentRoom()?.id || null
+        })
+      } else if (objectName) {
+        context = this.core.getMnemonicContext({ objectId: this.resolveObject(objectName).id })
+      } else {
+        return `Please give an object name or the information to find a mnemonic for`
+      }
+      if (!context.information) {
+        return `"${context.objectName}" has no information to make a mnemonic for`
+      }
+
+      const save = context.objectId
+        ? 'When the user picks one, save it with set_mnemonic.'
+        : 'When the user picks one, add the object and then save it with set_mnemonic.'
+      return `Mnemonic brief:\n${describeMnemonicContext(context)}\n` +
+        `Propose two or three absurd, vivid images that tie the information to this room and locus, ` +
+        `turning numbers into words with the sounds above. ${save}`
+    } catch (error) {
+      return `Failed to suggest mnemonic: ${error.message}`
+    }
+  }
+
+  /**
+   * Keep the mnemonic the user accepted on an object, or clear it
+   */
+  async setMnemonic({ objectName, mnemonic }) {
+    try {
+      if (!objectName) {
+        return `Please say which object the mnemonic is for`
+      }
+      const object = this.resolveObject(objectName)
+      const updated = await this.core.setObjectMnemonic(object.id, mnemonic)
+
+      return updated.mnemonic
+        ? `Saved the mnemonic for "${updated.name}": ${updated.mnemonic}`
+        : `Cleared the mnemonic for "${updated.name}"`
+    } catch (error) {
+      return `Failed to set mnemonic: ${error.message}`
+    }
+  }
+
+  /**
+   * Turn a number into major-system words and a Person-Action-Object split from the
+   * user's PAO table
+   */
+  async encodeNumber({ number } = {}) {
+    try {
+      const encoding = this.core.encodeNumber(number)
+      const lines = [
+        `Encodings of ${encoding.digits}:`,
+        `Major system: ${encoding.major}`,
+        encoding.words.length > 0
+          ? `Words: ${encoding.words.join('; ')}`
+          : 'Words: none in the wordlist, make some up from the sounds',
+        `PAO: ${encoding.pao.map(describePaoChunk).join(', ')}`
+      ]
+
+      const missing = encoding.pao.filter(chunk => !chunk.text).map(chunk => chunk.digits)
+      if (missing.length > 0) {
+        lines.push(`No PAO table entry for ${missing.join(', ')}; picture the ${missing.length === 1 ? 'role' : 'roles'} from the sounds, or fill in the PAO table from the menu`)
+      }
+      return lines.join('\n')
+    } catch (error) {
+      return `Failed to encode number: ${error.message}`
+    }
+  }
+  /**
+   * Link two objects with a relation, or remove the link between them
+   */
+  async linkObjects({ sourceObject, targetObject, relation, unlink = false }) {
+    try {
+      if (!sourceObject || !targetObject) {
+        return `Please say which two objects to ${unlink ? 'unlink' : 'link'}`
+      }
+      const source = this.resolveObject(sourceObject)
+      const target = this.resolveObject(targetObject)
+
+      if (unlink) {
+        const label = relation ? normalizeRelation(relation) : null
+        const links = this.core.getRelatedObjects(source.id)
+          .filter(related => related.object.id === target.id && (!label || related.association.relation === label))
+        if (links.length === 0) {
+          return `"${source.name}" and "${target.name}" are not linked`
+        }
+        for (const related of links) {
+          await this.core.unlinkObjects(related.association.id)
+        }
+        return `Unlinked "${source.name}" and "${target.name}"`
+      }
+
+      const association = await this.core.linkObjects(source.id, target.id, relation)
+      const sourceRoom = this.core.state.rooms.get(source.roomId)?.name || 'inventory'
+      const targetRoom = this.core.state.rooms.get(target.roomId)?.name || 'inventory'
+      const rooms = sourceRoom === targetRoom ? '' : ` (${sourceRoom} → ${targetRoom})`
+      return `Linked: "${source.name}" ${association.relation} "${target.name}"${rooms}`
+    } catch (error) {
+      return `Failed to ${unlink ? 'unlink' : 'link'} objects: ${error.message}`
+    }
+  }
+
+  /**
+   * List the objects linked to an object, in either direction
+   */
+  async getRelated({ objectName }) {
+    try {
+      if (!objectName) {
+        return `Please say which object to look up`
+      }
+      const object = this.resolveObject(objectName)
+      const related = this.core.getRelatedObjects(object.id)
+      if (related.length === 0) {
+        return `"${object.name}" is not linked to any other objects yet`
+      }
+
+      const lines = related.map(entry =>
+        `- ${describeRelated(entry)} (${entry.roomName || 'inventory'}): ${entry.object.information}`
+      )
+      return `"${object.name}" is linked to ${related.length} object${related.length === 1 ? '' : 's'}:\n${lines.join('\n')}`
+    } catch (error) {
+      return `Failed to get related objects: ${error.message}`
+    }
+  }
+
   /**
    * List all available rooms
    */
-  async listRooms() {
+  async listRooms({ wingName } = {}) {
     try {
-      const rooms = this.core.getAllRooms()
+      const wing = wingName ? this.resolveWing(wingName) : null
+      const rooms = wing ? this.core.getRoomsInWing(wing.id) : this.core.getAllRooms()
       
       if (rooms.length === 0) {
-        return `No rooms found in your memory palace. Say "create a room" to get started!`
+        return wing
+          ? `No rooms in wing "${wing.name}" yet`
+          : `No rooms found in your memory palace. Say "create a room" to get started!`
       }
 
       const currentRoom = this.core.getCurrentRoom()
       const currentRoomId = currentRoom?.id
 
+      // With wings, the whole palace is listed by name only to stay short
+      if (!wing && this.core.getAllWings().length > 0) {
+        const tree = describeRoomTree(this.core.getRoomTree(), currentRoomId)
+        return `Rooms in your memory palace (${rooms.length} total), by wing:\n${tree}\nList a wing by name to see its room descriptions.`
+      }
+
       const roomList = rooms.map(room => {
         const marker = room.id === currentRoomId ? ' (current)' : ''
         return `- ${room.name}${marker}: ${room.description}`
       }).join('\n')
 
-      return `Available rooms in your memory palace (${rooms.length} total):\n${roomList}`
+      return wing
+        ? `Rooms in wing "${wing.name}" (${rooms.length} total):\n${roomList}`
+        : `Available rooms in your memory palace (${rooms.length} total):\n${roomList}`
     } catch (error) {
       return `Failed to list rooms: ${error.message}`
     }
   }
 
+  /**
+   * Find a wing by name, listing the wings there are when it doesn't exist
+   * @private
+   */
+  resolveWing(wingName) {
+    const wing = this.core.findWingByName(wingName)
+    if (!wing) {
+      const available = this.core.getAllWings().map(entry => entry.name).join(', ')
+      throw new Error(`Wing "${wingName}" not found. Available wings: ${available || 'none'}`)
+    }
+    return wing
+  }
+
+  /**
+   * Create, edit or delete a wing, or move rooms (the current room by default) in or out of one
+   */
+  async manageWing({ action, wingName, newName, description, parentWingName, roomNames }) {
+    try {
+      const rooms = []
+      const missing = []
+      const names = Array.isArray(roomNames) && roomNames.length > 0 ? roomNames : null
+      if (names) {
+        names.forEach(name => {
+          const room = this.core.findRoomByName(name)
+          room ? rooms.push(room) : missing.push(name)
+        })
+      } else if (this.core.getCurrentRoom()) {
+        rooms.push(this.core.getCurrentRoom())
+      }
+      const missingNote = missing.length > 0 ? ` Rooms not found: ${missing.join(', ')}.` : ''
+      const parent = parentWingName ? this.resolveWing(parentWingName) : null
+
+      switch (action) {
+        case 'create': {
+          if (!wingName) {
+            return `Please give the new wing a name`
+          }
+          const wing = await this.core.createWing(wingName, { description, parentId: parent?.id || null })
+          // Only rooms named explicitly are moved into a new wing
+          const moved = names ? rooms : []
+          for (const room of moved) {
+            await this.core.moveRoomToWing(room.id, wing.id)
+          }
+          const parentNote = parent ? ` inside "${parent.name}"` : ''
+          const roomNote = moved.length > 0 ? ` with ${moved.map(room => room.name).join(', ')}` : ''
+          return `Created wing "${wing.name}"${parentNote}${roomNote}.${missingNote}`
+        }
+        case 'edit': {
+          const wing = this.resolveWing(wingName)
+          const updates = {}
+          if (newName) updates.name = newName
+          if (description !== undefined) updates.description = description
+          if (parent) updates.parentId = parent.id
+          const updated = await this.core.editWing(wing.id, updates)
+          return `Updated wing "${updated.name}"${parent ? ` (now inside "${parent.name}")` : ''}`
+        }
+        case 'delete': {
+          const wing = this.resolveWing(wingName)
+          const roomCount = this.core.getRoomsInWing(wing.id).filter(room => room.wingId === wing.id).length
+          await this.core.deleteWing(wing.id)
+          return `Deleted wing "${wing.name}". Its ${roomCount} room${roomCount === 1 ? '' : 's'} and any wings inside it were kept.`
+        }
+        case 'add_rooms': {
+          const wing = this.resolveWing(wingName)
+          if (rooms.length === 0) {
+            return `No rooms to add to "${wing.name}".${missingNote}`
+          }
+          for (const room of rooms) {
+            await this.core.moveRoomToWing(room.id, wing.id)
+          }
+          return `Moved ${rooms.map(room => room.name).join(', ')} into wing "${wing.name}".${missingNote}`
+        }
+        case 'remove_rooms': {
+          if (rooms.length === 0) {
+            return `No rooms to take out of their wing.${missingNote}`
+          }
+          for (const room of rooms) {
+            await this.core.moveRoomToWing(room.id, null)
+          }
+          return `Took ${rooms.map(room => room.name).join(', ')} out of their wing.${missingNote}`
+        }
+        default:
+          return `Unknown wing action "${action}". Use create, edit, delete, add_rooms or remove_rooms`
+      }
+    } catch (error) {
+      return `Failed to manage wing: ${error.message}`
+    }
+  }
+
   /**
    * Get information about current room
    */
@@ -390,7 +983,13 @@ export class MemoryPalaceToolManager {
       
       if (objects.length > 0) {
         info += `\nObjects in this room (${objects.length} total):\n`
-        info += objects.map(obj => `- ${obj.name}: ${obj.information}`).join('\n')
+        info += objects.map(obj => {
+          const tags = obj.tags?.length ? ` [${obj.tags.join(', ')}]` : ''
+          const attachments = obj.attachments?.length
+            ? ` (attached: ${obj.attachments.map(attachment => attachment.name).join(', ')})`
+            : ''
+          return `- ${obj.name}${tags}: ${obj.information}${attachments}`
+        }).join('\n')
       } else {
         info += `\nNo objects in this room yet. Say "add an object" to place something here.`
       }
@@ -405,6 +1004,454 @@ export class MemoryPalaceToolManager {
     }
   }
 
+  /**
+   * Start a spaced-repetition review session over due objects
+   */
+  async startReview({ currentRoomOnly = false } = {}) {
+    try {
+      const roomId = currentRoomOnly ? this.core.getCurrentRoom()?.id : null
+      if (currentRoomOnly && !roomId) {
+        return `No current room to review`
+      }
+
+      const item = await this.core.startReviewSession({ roomId })
+      if (!item) {
+        const stats = this.core.getReviewStats()
+        return `Nothing is due for review right now. ${stats.total} objects tracked, ${stats.learned} learned.`
+      }
+
+      const progress = this.core.getReviewProgress()
+      return `Review session started with ${progress.total} due objects. First object: "${item.name}". Ask the user what it helps them remember, then grade their answer with grade_review.`
+    } catch (error) {
+      return `Failed to start review: ${error.message}`
+    }
+  }
+
+  /**
+   * Grade the current review item and move on to the next one
+   */
+  async gradeReview({ grade }) {
+    try {
+      const gradeValue = ReviewGrade[String(grade || '').toUpperCase()]
+      if (!gradeValue) {
+        return `Invalid grade "${grade}". Use one of: again, hard, good, easy`
+      }
+
+      const current = this.core.getCurrentReviewItem()
+      if (!current) {
+        return `No active review session. Use start_review to begin one.`
+      }
+
+      const next = await this.core.submitReviewGrade(gradeValue)
+      const graded = `Graded "${current.name}" as ${grade}. The answer was: ${current.information}`
+      if (!next) {
+        return `${graded}\nReview session complete!`
+      }
+
+      const progress = this.core.getReviewProgress()
+      return `${graded}\nNext object (${progress.remaining} remaining): "${next.name}"`
+    } catch (error) {
+      return `Failed to grade review: ${error.message}`
+    }
+  }
+
+  /**
+   * Start a recall quiz over the palace or one room, with the assistant's own questions
+   * or cloze deletions generated from the objects' information
+   */
+  async startQuiz({ roomName, currentRoomOnly = false, count, questions } = {}) {
+    try {
+      const room = roomName ? this.core.findRoomByName(roomName) : currentRoomOnly ? this.core.getCurrentRoom() : null
+      if ((roomName || currentRoomOnly) && !room) {
+        return roomName ? `Room "${roomName}" not found` : `No current room to quiz on`
+      }
+
+      const items = this.core.getQuizItems(room?.id || null)
+      const written = Array.isArray(questions) ? createQuizQuestions(questions, items) : []
+      const question = await this.core.startQuiz({ roomId: room?.id || null, questions: written, count })
+      if (!question) {
+        return `There is nothing to quiz on${room ? ` in "${room.name}"` : ''} yet. Objects need some information to be asked about.`
+      }
+
+      const progress = this.core.getQuizProgress()
+      const source = written.length > 0 ? 'your questions' : 'cloze questions from the objects\' information'
+      return `Quiz started with ${progress.total} question${progress.total === 1 ? '' : 's'} (${source}). ` +
+        `${this.describeQuizQuestion(question, progress)}\n` +
+        `Ask the user without revealing the answer, then pass what they say to answer_quiz.`
+    } catch (error) {
+      return `Failed to start quiz: ${error.message}`
+    }
+  }
+
+  /**
+   * Grade the user's answer to the current quiz question (or skip it) and move on
+   */
+  async answerQuiz({ answer, skip = false } = {}) {
+    try {
+      const question = this.core.getCurrentQuizQuestion()
+      if (!question) {
+        return `No active quiz. Use start_quiz to begin one.`
+      }
+
+      let outcome
+      let result
+      if (skip || !String(answer || '').trim()) {
+        outcome = await this.core.skipQuizQuestion()
+        result = `Skipped "${question.objectName}". The answer was: ${question.answer}`
+      } else {
+        outcome = await this.core.answerQuizQuestion(answer)
+        const { grade, record } = outcome
+        result = grade.correct
+          ? `Correct! "${question.objectName}": ${question.answer}`
+          : `Not quite. The answer for "${question.objectName}" was: ${question.answer} (the user said "${grade.given}")`
+        result += `\nAccuracy on "${question.objectName}": ${record.correct} of ${record.attempts}`
+      }
+
+      const { next, progress } = outcome
+      if (!next) {
+        return `${result}\nQuiz complete: ${progress.correct} of ${progress.completed} answered correctly.`
+      }
+      return `${result}\n${this.describeQuizQuestion(next, progress)}`
+    } catch (error) {
+      return `Failed to answer quiz: ${error.message}`
+    }
+  }
+
+  /**
+   * "Question 2 of 5, about "Kettle": ..." for the question at the current quiz position
+   */
+  describeQuizQuestion(question, progress) {
+    const number = progress.total - progress.remaining + 1
+    return `Question ${number} of ${progress.total}, about "${question.objectName}": ${question.prompt}`
+  }
+
+  /**
+   * Start, stop or check blind recall, which hides the labels of a room's objects until
+   * the user points at each spot and says what belongs there
+   */
+  async recallMode({ action, roomName } = {}) {
+    try {
+      if (action === 'stop') {
+        const summary = this.core.endRecall()
+        if (!summary) {
+          return `Blind recall is not active.`
+        }
+        return `Blind recall ended. ${this.describeRecallScore(summary)}`
+      }
+
+      if (action === 'status') {
+        const recall = this.core.getRecallState()
+        if (!recall) {
+          return `Blind recall is not active.`
+        }
+        return `Blind recall: ${recall.remaining} of ${recall.total} objects still hidden. ${this.describeRecallScore(recall)}`
+      }
+
+      const room = roomName ? this.core.findRoomByName(roomName) : this.core.getCurrentRoom()
+      if (!room) {
+        return roomName ? `Room "${roomName}" not found` : `No current room to recall`
+      }
+
+      const recall = await this.core.startRecall(room.id)
+      if (!recall) {
+        return `There are no objects to recall in "${room.name}" yet.`
+      }
+      return `Blind recall started in "${room.name}": ${recall.total} object${recall.total === 1 ? '' : 's'} hidden.\n` +
+        `Ask the user to look or click at a spot and say what belongs there; their replies are scored and the object revealed automatically.`
+    } catch (error) {
+      return `Failed to control blind recall: ${error.message}`
+    }
+  }
+
+  /**
+   * "2 of 3 spots right, 1 of 3 contents right" for a recall state or summary
+   */
+  describeRecallScore({ attempts, spatialHits, contentHits }) {
+    if (attempts === 0) {
+      return `Nothing recalled yet.`
+    }
+    return `${spatialHits} of ${attempts} spots right, ${contentHits} of ${attempts} contents right.`
+  }
+
+  /**
+   * Control the guided memory walk along the route
+   */
+  async memoryWalk({ action }) {
+    try {
+      const walkState = await this.core.controlWalk(action)
+
+      if (!walkState) {
+        if (action === 'start') {
+          return `There are no objects on the route yet. Add memory objects to rooms to walk through them.`
+        }
+        return action === 'stop' || action === 'next'
+          ? `Memory walk finished`
+          : `No memory walk in progress. Use action "start" to begin one.`
+      }
+
+      const { current, index, total, isPlaying } = walkState
+      return `Memory walk ${isPlaying ? 'playing' : 'paused'} at locus ${index + 1} of ${total}: "${current.name}". The object's information is narrated automatically.`
+    } catch (error) {
+      return `Failed to control memory walk: ${error.message}`
+    }
+  }
+
+  /**
+   * Reorder the walk route by room names, or objects within the current room
+   */
+  async setWalkRoute({ rooms, objects }) {
+    try {
+      const results = []
+
+      if (Array.isArray(rooms) && rooms.length > 0) {
+        const roomIds = rooms.map(name => {
+          const room = this.core.findRoomByName(name)
+          if (!room) throw new Error(`Room "${name}" not found`)
+          return room.id
+        })
+        const ordered = await this.core.setWalkRoomOrder(roomIds)
+        results.push(`Room order: ${ordered.map(room => room.name).join(' → ')}`)
+      }
+
+      if (Array.isArray(objects) && objects.length > 0) {
+        const currentRoom = this.core.getCurrentRoom()
+        if (!currentRoom) {
+          return `No current room to order objects in`
+        }
+
+        const roomObjects = this.core.getCurrentRoomObjects().filter(obj => obj.type !== ObjectType.DOOR)
+        const objectIds = objects.map(name => {
+          const object = roomObjects.find(obj => obj.name.toLowerCase().includes(name.toLowerCase()))
+          if (!object) throw new Error(`Object "${name}" not found in ${currentRoom.name}`)
+          return object.id
+        })
+        const ordered = await this.core.setWalkObjectOrder(currentRoom.id, objectIds)
+        results.push(`Loci in ${currentRoom.name}: ${ordered.map(obj => obj.name).join(' → ')}`)
+      }
+
+      if (results.length === 0) {
+        return `Provide room names or object names to reorder the walk route`
+      }
+
+      return `Updated memory walk route.\n${results.join('\n')}`
+    } catch (error) {
+      return `Failed to set walk route: ${error.message}`
+    }
+  }
+
+  /**
+   * Undo one or more recent palace changes
+   */
+  async undoLastAction({ steps = 1 } = {}) {
+    try {
+      const count = Math.max(1, Math.min(20, Math.floor(steps) || 1))
+      const undone = []
+
+      for (let i = 0; i < count; i++) {
+        const entry = await this.core.undo()
+        if (!entry) break
+        undone.push(entry.label)
+      }
+
+      if (undone.length === 0) {
+        return `Nothing to undo`
+      }
+
+      const { undoLabel } = this.core.getHistoryState()
+      const next = undoLabel ? ` Next undo would revert: ${undoLabel}.` : ''
+      return `Undid ${undone.length} action${undone.length === 1 ? '' : 's'}: ${undone.join(', ')}.${next}`
+    } catch (error) {
+      return `Failed to undo: ${error.message}`
+    }
+  }
+
+  /**
+   * Validate the palace structure and optionally repair what is found
+   */
+  async checkPalaceIntegrity({ repair = false } = {}) {
+    try {
+      const report = this.core.validatePalace()
+      if (report.valid) {
+        return `No issues found: every object and door is in a room, and every door leads somewhere.`
+      }
+
+      const issueList = report.issues.map(issue => `- ${issue.message}`).join('\n')
+      if (!repair) {
+        return `Found ${report.issues.length} issue${report.issues.length === 1 ? '' : 's'}:\n${issueList}\nAsk the user whether to repair them.`
+      }
+
+      const result = await this.core.repairPalace(report)
+      return `Repaired ${result.repaired} issue${result.repaired === 1 ? '' : 's'}:\n${result.actions.map(action => `- ${action}`).join('\n')}`
+    } catch (error) {
+      return `Failed to check palace integrity: ${error.message}`
+    }
+  }
+
+  /**
+   * Search the whole palace and optionally go to the best match
+   */
+  async searchPalace({ query, limit = 5, goTo = false }) {
+    try {
+      if (!query || !query.trim()) {
+        return `Please provide something to search for`
+      }
+
+      const results = this.core.searchPalace(query, { limit })
+      if (results.length === 0) {
+        return `No matches for "${query}"`
+      }
+
+      const lines = results.map((result, index) => {
+        const where = result.roomName ? ` in ${result.roomName}` : ''
+        return `${index + 1}. ${result.kind} "${result.title}"${where}: ${result.snippet}`
+      })
+
+      let summary = `Found ${results.length} match${results.length === 1 ? '' : 'es'} for "${query}":\n${lines.join('\n')}`
+      if (goTo) {
+        const best = results[0]
+        await this.core.focusSearchResult(best)
+        summary += best.roomId
+          ? `\nWent to ${best.roomName} and turned to face "${best.title}".`
+          : `\n"${best.title}" is in the inventory.`
+      }
+      return summary
+    } catch (error) {
+      return `Failed to search palace: ${error.message}`
+    }
+  }
+
+  /**
+   * Bulk import a list into loci, previewing the layout unless asked to commit
+   */
+  async importStudyMaterial({ text, format = 'auto', roomCapacity, roomName, commit = false }) {
+    try {
+      if (!text || !text.trim()) {
+        return `Please provide the list to import`
+      }
+
+      const plan = this.core.previewBulkImport(text, { format, roomCapacity, roomName })
+      const roomNames = new Map(plan.rooms.map(room => [room.key, room.name]))
+      const layout = plan.rooms.map(room => {
+        const from = room.fromKey && (roomNames.get(room.fromKey) || this.core.state.rooms.get(room.fromKey)?.name)
+        const origin = room.roomId ? 'existing room' : from ? `new room, through a door from ${from}` : 'new room'
+        return `- ${room.name} (${origin}): ${room.items.map(item => item.name).join(', ')}`
+      }).join('\n')
+
+      if (!commit) {
+        return `Preview of ${plan.itemCount} ${plan.format} items:\n${layout}\nNothing has been created yet - import again with commit once the user agrees.`
+      }
+
+      const result = await this.core.commitBulkImport(plan)
+      const newRooms = result.rooms.length > 0
+        ? ` and ${result.rooms.length} new room${result.rooms.length === 1 ? '' : 's'} (${result.rooms.map(room => room.name).join(', ')})`
+        : ''
+      return `Imported ${result.objects.length} items${newRooms}:\n${layout}`
+    } catch (error) {
+      return `Failed to import study material: ${error.message}`
+    }
+  }
+
+  /**
+   * Look up a palace by name, defaulting to the open one
+   * @private
+   */
+  resolvePalace(palaceName) {
+    if (!palaceName) {
+      return this.core.getActivePalace()
+    }
+
+    const palace = this.core.findPalace(palaceName)
+    if (!palace) {
+      const available = this.core.listPalaces().map(entry => entry.name).join(', ')
+      throw new Error(`Palace "${palaceName}" not found. Available palaces: ${available}`)
+    }
+    return palace
+  }
+
+  /**
+   * List all palaces
+   */
+  async listPalaces() {
+    try {
+      const palaces = this.core.listPalaces()
+      const lines = palaces.map(palace => `- ${palace.name}${palace.isActive ? ' (current)' : ''}`)
+      return `${palaces.length} palace${palaces.length === 1 ? '' : 's'}:\n${lines.join('\n')}`
+    } catch (error) {
+      return `Failed to list palaces: ${error.message}`
+    }
+  }
+
+  /**
+   * Create a new palace and open it
+   */
+  async createPalace({ name, switchTo = true }) {
+    try {
+      const palace = await this.core.createPalace(name, { switchTo })
+      return switchTo
+        ? `Created and opened palace "${palace.name}". It is empty - create a room to begin.`
+        : `Created palace "${palace.name}"`
+    } catch (error) {
+      return `Failed to create palace: ${error.message}`
+    }
+  }
+
+  /**
+   * Open another palace
+   */
+  async switchPalace({ palaceName }) {
+    try {
+      const palace = this.resolvePalace(palaceName)
+      await this.core.switchPalace(palace.id)
+      const room = this.core.getCurrentRoom()
+      return `Opened palace "${palace.name}"${room ? `, standing in ${room.name}` : ''}`
+    } catch (error) {
+      return `Failed to switch palace: ${error.message}`
+    }
+  }
+
+  /**
+   * Rename a palace (the open one by default)
+   */
+  async renamePalace({ palaceName, newName }) {
+    try {
+      const palace = this.resolvePalace(palaceName)
+      const oldName = palace.name
+      await this.core.renamePalace(palace.id, newName)
+      return `Renamed palace "${oldName}" to "${newName.trim()}"`
+    } catch (error) {
+      return `Failed to rename palace: ${error.message}`
+    }
+  }
+
+  /**
+   * Copy a palace (the open one by default)
+   */
+  async duplicatePalace({ palaceName, newName }) {
+    try {
+      const palace = this.resolvePalace(palaceName)
+      const copy = await this.core.duplicatePalace(palace.id, newName || null)
+      return `Duplicated palace "${palace.name}" as "${copy.name}"`
+    } catch (error) {
+      return `Failed to duplicate palace: ${error.message}`
+    }
+  }
+
+  /**
+   * Delete a palace and everything in it
+   */
+  async deletePalace({ palaceName }) {
+    try {
+      if (!palaceName) {
+        return `Please name the palace to delete`
+      }
+      const palace = this.resolvePalace(palaceName)
+      await this.core.deletePalace(palace.id)
+      return `Deleted palace "${palace.name}". Now in palace "${this.core.getActivePalace().name}".`
+    } catch (error) {
+      return `Failed to delete palace: ${error.message}`
+    }
+  }
+
   /**
    * Narrate text using speech synthesis and captions
    */
@@ -486,15 +1533,29 @@ export class MemoryPalaceToolManager {
       },
       {
         name: 'go_to_room',
-        description: 'Navigate to another room in the memory palace',
+        description: 'Navigate to another room in the memory palace, teleporting directly by default',
         input_schema: {
           type: 'object',
           properties: {
-            roomName: { type: 'string', description: 'Name of the room to navigate to' }
+            roomName: { type: 'string', description: 'Name of the room to navigate to' },
+            mode: { type: 'string', enum: ['teleport', 'walk'], description: 'Teleport straight there (default) or walk through the doors in between' }
           },
           required: ['roomName']
         }
       },
+      {
+        name: 'find_path',
+        description: 'Find the route through the fewest doors between two rooms. With walk true, walks the user there from the current room, facing and narrating each door on the way.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            targetRoomName: { type: 'string', description: 'Name of the destination room' },
+            fromRoomName: { type: 'string', description: 'Name of the starting room (defaults to the current room)' },
+            walk: { type: 'boolean', description: 'Walk the route now instead of only describing it (default false)' }
+          },
+          required: ['targetRoomName']
+        }
+      },
       {
         name: 'add_object',
         description: 'Add a memory object to the current room',
@@ -520,7 +1581,7 @@ export class MemoryPalaceToolManager {
       },
       {
         name: 'pickup_object',
-        description: 'Pick up an object from the current room and store it in the inventory',
+        description: 'Pick up an object from the current room and store it in the inventory, to place it in another room later',
         input_schema: {
           type: 'object',
           properties: {
@@ -530,10 +1591,141 @@ export class MemoryPalaceToolManager {
         }
       },
       {
-        name: 'list_rooms',
-        description: 'List all available rooms in the memory palace',
+        name: 'place_object',
+        description: 'Put an object from the inventory down in the current room. Pick an object up in one room and place it in another to move it between rooms',
+        input_schema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Name of the carried object to place' },
+            position: {
+              type: 'object',
+              description: 'Where to put it (defaults to a free spot in the room)',
+              properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+              },
+              required: ['x', 'y', 'z']
+            }
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: 'list_inventory',
+        description: 'List the objects the user is carrying in the inventory',
         input_schema: { type: 'object', properties: {} }
       },
+      {
+        name: 'tag_object',
+        description: 'Add or remove tags on an object and set its marker color, so related objects can be found and highlighted together. Looks in the current room first, then the whole palace',
+        input_schema: {
+          type: 'object',
+          properties: {
+            objectName: { type: 'string', description: 'Name of the object to tag' },
+            addTags: { type: 'array', items: { type: 'string' }, description: 'Tags to add, e.g. ["french", "verbs"]' },
+            removeTags: { type: 'array', items: { type: 'string' }, description: 'Tags to remove' },
+            color: { type: 'string', description: 'Marker color: red, orange, yellow, green, blue, purple, pink, gray or a hex color like #3399ff. Use "none" to clear it' }
+          },
+          required: ['objectName']
+        }
+      },
+      {
+        name: 'list_objects_by_tag',
+        description: 'List the objects carrying a tag across the palace, with their rooms. Without a tag, lists every tag in use with its object count',
+        input_schema: {
+          type: 'object',
+          properties: {
+            tag: { type: 'string', description: 'Tag to look for' },
+            currentRoomOnly: { type: 'boolean', description: 'Only look in the current room (default false)' }
+          }
+        }
+      },
+      {
+        name: 'suggest_mnemonic',
+        description: 'Get a brief for mnemonic imagery: an object\'s information, its room and locus, and major-system and Person-Action-Object encodings of any numbers in it. Use it to propose vivid images the user can accept',
+        input_schema: {
+          type: 'object',
+          properties: {
+            objectName: { type: 'string', description: 'Name of an existing object, or of the one about to be added' },
+            information: { type: 'string', description: 'Information of an object not added yet (leave out for an existing object)' }
+          }
+        }
+      },
+      {
+        name: 'set_mnemonic',
+        description: 'Save the mnemonic image the user accepted on an object, shown next to its information. An empty mnemonic clears it',
+        input_schema: {
+          type: 'object',
+          properties: {
+            objectName: { type: 'string', description: 'Name of the object' },
+            mnemonic: { type: 'string', description: 'The accepted image, as the user should picture it' }
+          },
+          required: ['objectName', 'mnemonic']
+        }
+      },
+      {
+        name: 'encode_number',
+        description: 'Encode a number (a date, a phone number, a constant) as things to picture: major-system words from a bundled wordlist, where each digit is a consonant sound, and a Person-Action-Object image from the user\'s PAO table, one two-digit entry per role',
+        input_schema: {
+          type: 'object',
+          properties: {
+            number: { type: 'string', description: 'The number, as digits; spaces and separators are ignored' }
+          },
+          required: ['number']
+        }
+      },
+      {
+        name: 'link_objects',
+        description: 'Link two memory objects, in the same or different rooms, with a relation such as "causes" or "is part of", so one fact leads to the other. The link reads from source to target. Set unlink to remove the link instead',
+        input_schema: {
+          type: 'object',
+          properties: {
+            sourceObject: { type: 'string', description: 'Name of the object the relation starts from' },
+            targetObject: { type: 'string', description: 'Name of the object it points to' },
+            relation: { type: 'string', description: 'How the source relates to the target, e.g. "causes", "is part of", "contrasts with" (default "relates to")' },
+            unlink: { type: 'boolean', description: 'Remove the link between the two objects instead of adding one (default false)' }
+          },
+          required: ['sourceObject', 'targetObject']
+        }
+      },
+      {
+        name: 'get_related',
+        description: 'List the objects linked to an object, with the relation and the room each is in. Looks in the current room first, then the whole palace',
+        input_schema: {
+          type: 'object',
+          properties: {
+            objectName: { type: 'string', description: 'Name of the object to look up' }
+          },
+          required: ['objectName']
+        }
+      },
+      {
+        name: 'list_rooms',
+        description: 'List the rooms in the memory palace. When rooms are grouped into wings, the whole palace is listed by name only; name a wing to see its rooms with descriptions',
+        input_schema: {
+          type: 'object',
+          properties: {
+            wingName: { type: 'string', description: 'Only list rooms in this wing and the wings inside it' }
+          }
+        }
+      },
+      {
+        name: 'manage_wing',
+        description: 'Group rooms into wings (e.g. "Biology wing"); wings can sit inside wings, like floors. Create, edit or delete a wing, or add rooms to or remove them from a wing. Deleting a wing keeps its rooms',
+        input_schema: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['create', 'edit', 'delete', 'add_rooms', 'remove_rooms'], description: 'What to do' },
+            wingName: { type: 'string', description: 'Wing to create, edit, delete or add rooms to' },
+            newName: { type: 'string', description: 'New name (edit only)' },
+            description: { type: 'string', description: 'What the wing is for (create or edit)' },
+            parentWingName: { type: 'string', description: 'Wing to place this wing inside, e.g. a floor inside a wing (create or edit)' },
+            roomNames: { type: 'array', items: { type: 'string' }, description: 'Rooms to move. add_rooms and remove_rooms default to the current room; create moves only the rooms listed' }
+          },
+          required: ['action']
+        }
+      },
       {
         name: 'get_room_info',
         description: 'Get detailed information about the current room and its objects',
@@ -583,7 +1775,8 @@ export class MemoryPalaceToolManager {
           properties: {
             description: { type: 'string', description: 'Description of the door/entrance' },
             targetRoomName: { type: 'string', description: 'Name of the new room to create and connect to' },
-            targetRoomDescription: { type: 'string', description: 'Description of the new room to create' },
+            targetRoomDescription: { type: 'string', description: 'Description of the new room to create (optional with a template, which has its own)' },
+            templateName: { type: 'string', description: 'Room template to build the new room from, copying its skybox and loci' },
             position: {
               type: 'object',
               description: 'Spatial position coordinates (required if not converting existing object)',
@@ -605,7 +1798,61 @@ export class MemoryPalaceToolManager {
             },
             objectId: { type: 'string', description: 'ID of existing object to convert to door (alternative to position)' }
           },
-          required: ['targetRoomName', 'targetRoomDescription']
+          required: ['targetRoomName']
+        }
+      },
+      {
+        name: 'connect_rooms',
+        description: 'Create a door between two rooms that already exist, without creating a new room. Two-way links also place a return door in the target room.',
+        input_schema: {
+          type: 'object',
+          properties: {
+            targetRoomName: { type: 'string', description: 'Name of the existing room the door leads to' },
+            fromRoomName: { type: 'string', description: 'Name of the room to place the door in (defaults to the current room)' },
+            description: { type: 'string', description: 'Description of the door (defaults to "Door to <target>")' },
+            direction: { type: 'string', enum: ['two-way', 'one-way'], description: 'Whether a return door is placed in the target room (default two-way)' },
+            returnDescription: { type: 'string', description: 'Description of the return door for two-way links' }
+          },
+          required: ['targetRoomName']
+        }
+      },
+      {
+        name: 'duplicate_room',
+        description: 'Copy a room with its skybox and its objects in the same places. Doors are not copied, so connect the copy afterwards',
+        input_schema: {
+          type: 'object',
+          properties: {
+            roomName: { type: 'string', description: 'Room to copy (defaults to the current room)' },
+            newName: { type: 'string', description: 'Name for the copy (defaults to "<name> (copy)")' },
+            clearInformation: { type: 'boolean', description: 'Keep the objects and their places but empty their information (default false)' }
+          }
+        }
+      },
+      {
+        name: 'manage_room_template',
+        description: 'Keep a library of room layouts: save a room\'s skybox and object places as a reusable template (e.g. a "chapter room"), list the templates, or delete one',
+        input_schema: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['save', 'list', 'delete'], description: 'What to do' },
+            templateName: { type: 'string', description: 'Template to save (defaults to the room name; an existing template with the name is replaced) or delete' },
+            roomName: { type: 'string', description: 'Room to save (defaults to the current room)' },
+            includeInformation: { type: 'boolean', description: 'Also keep what each object holds, not just its name and place (default false)' }
+          },
+          required: ['action']
+        }
+      },
+      {
+        name: 'create_room_from_template',
+        description: 'Build a new room from a saved room template and add a two-way door to it from the current room',
+        input_schema: {
+          type: 'object',
+          properties: {
+            templateName: { type: 'string', description: 'Name of the template to build from' },
+            roomName: { type: 'string', description: 'Name of the new room (defaults to the template name)' },
+            roomDescription: { type: 'string', description: 'Description of the new room (defaults to the template\'s)' }
+          },
+          required: ['templateName']
         }
       },
       {
@@ -618,6 +1865,210 @@ export class MemoryPalaceToolManager {
           },
           required: ['text']
         }
+      },
+      {
+        name: 'start_review',
+        description: 'Start a spaced-repetition review session, walking room by room through objects that are due for recall',
+        input_schema: {
+          type: 'object',
+          properties: {
+            currentRoomOnly: { type: 'boolean', description: 'Only review objects in the current room' }
+          }
+        }
+      },
+      {
+        name: 'grade_review',
+        description: 'Grade how well the user recalled the current review object and advance to the next one',
+        input_schema: {
+          type: 'object',
+          properties: {
+            grade: { type: 'string', enum: ['again', 'hard', 'good', 'easy'], description: 'Recall quality: again (forgot), hard, good, or easy' }
+          },
+          required: ['grade']
+        }
+      },
+      {
+        name: 'start_quiz',
+        description: 'Start a recall quiz that asks about objects one at a time while the user looks at each locus. Write your own questions from the objects\' information, or leave them out to use cloze questions generated offline',
+        input_schema: {
+          type: 'object',
+          properties: {
+            roomName: { type: 'string', description: 'Only ask about objects in this room' },
+            currentRoomOnly: { type: 'boolean', description: 'Only ask about objects in the current room' },
+            count: { type: 'number', description: 'Most questions to generate when none are given' },
+            questions: {
+              type: 'array',
+              description: 'Questions to ask, in order',
+              items: {
+                type: 'object',
+                properties: {
+                  object: { type: 'string', description: 'Name of the object the question is about' },
+                  question: { type: 'string', description: 'The question, about the object\'s information' },
+                  answer: { type: 'string', description: 'Short expected answer (one to five words)' }
+                },
+                required: ['object', 'question', 'answer']
+              }
+            }
+          }
+        }
+      },
+      {
+        name: 'answer_quiz',
+        description: 'Grade the user\'s answer to the current quiz question (typos and extra words are tolerated), record it against the object, and move to the next question',
+        input_schema: {
+          type: 'object',
+          properties: {
+            answer: { type: 'string', description: 'What the user answered, as they said it' },
+            skip: { type: 'boolean', description: 'Skip the question without recording an answer' }
+          }
+        }
+      },
+      {
+        name: 'recall_mode',
+        description: 'Start or stop blind recall: the labels of a room\'s objects are hidden, the user points at a spot and says what belongs there, and each answer is scored for place and content before the object is revealed',
+        input_schema: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['start', 'stop', 'status'], description: 'Start blind recall, stop it, or report progress' },
+            roomName: { type: 'string', description: 'Room to recall (default: the current room)' }
+          },
+          required: ['action']
+        }
+      },
+      {
+        name: 'undo_last_action',
+        description: 'Undo the most recent change(s) to the memory palace, such as a room edit, deletion or new object',
+        input_schema: {
+          type: 'object',
+          properties: {
+            steps: { type: 'number', description: 'How many actions to undo (default 1)' }
+          }
+        }
+      },
+      {
+        name: 'check_palace_integrity',
+        description: 'Check the memory palace for orphaned objects, doors leading to missing rooms and objects without positions, and optionally repair them',
+        input_schema: {
+          type: 'object',
+          properties: {
+            repair: { type: 'boolean', description: 'Repair the issues found (default false: only report them)' }
+          }
+        }
+      },
+      {
+        name: 'search_palace',
+        description: 'Search every room, object and door in the palace by name, description or stored information. Tolerates typos and partial words. Use for "where did I put X?" questions',
+        input_schema: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'What to look for' },
+            limit: { type: 'number', description: 'Maximum number of results (default 5)' },
+            goTo: { type: 'boolean', description: 'Navigate to the best match and face it (default false)' }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'import_study_material',
+        description: 'Bulk import a list of study items (CSV, Markdown list or Anki tab-separated export) as memory objects spread evenly around the current room, adding rooms joined by doors when it fills. Previews the layout unless commit is true',
+        input_schema: {
+          type: 'object',
+          properties: {
+            text: { type: 'string', description: 'The list, one item per line or row; "term: details" or term,details' },
+            format: { type: 'string', enum: ['auto', 'csv', 'markdown', 'anki'], description: 'Format of the text (default auto-detect)' },
+            roomCapacity: { type: 'number', description: 'Maximum objects per room before a new room is added (default 10)' },
+            roomName: { type: 'string', description: 'Base name for any new rooms (default the current room name)' },
+            commit: { type: 'boolean', description: 'Create the objects and rooms (default false: only preview the layout)' }
+          },
+          required: ['text']
+        }
+      },
+      {
+        name: 'list_palaces',
+        description: 'List all of the user\'s memory palaces, marking the one currently open',
+        input_schema: {
+          type: 'object',
+          properties: {}
+        }
+      },
+      {
+        name: 'create_palace',
+        description: 'Create a new, separate memory palace (e.g. for a language or exam subject) with its own rooms, objects and inventory',
+        input_schema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Unique name for the new palace' },
+            switchTo: { type: 'boolean', description: 'Open the new palace immediately (default true)' }
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: 'switch_palace',
+        description: 'Close the current memory palace and open another one by name',
+        input_schema: {
+          type: 'object',
+          properties: {
+            palaceName: { type: 'string', description: 'Name of the palace to open' }
+          },
+          required: ['palaceName']
+        }
+      },
+      {
+        name: 'rename_palace',
+        description: 'Rename a memory palace (the current one if no palace is named)',
+        input_schema: {
+          type: 'object',
+          properties: {
+            palaceName: { type: 'string', description: 'Palace to rename (default: current palace)' },
+            newName: { type: 'string', description: 'New unique name' }
+          },
+          required: ['newName']
+        }
+      },
+      {
+        name: 'duplicate_palace',
+        description: 'Copy a memory palace with all its rooms and objects into a new palace (the current one if no palace is named)',
+        input_schema: {
+          type: 'object',
+          properties: {
+            palaceName: { type: 'string', description: 'Palace to copy (default: current palace)' },
+            newName: { type: 'string', description: 'Name for the copy (default: "<name> (copy)")' }
+          }
+        }
+      },
+      {
+        name: 'delete_palace',
+        description: 'Permanently delete a memory palace and everything in it. Only use when the user explicitly asks and has confirmed',
+        input_schema: {
+          type: 'object',
+          properties: {
+            palaceName: { type: 'string', description: 'Name of the palace to delete' }
+          },
+          required: ['palaceName']
+        }
+      },
+      {
+        name: 'memory_walk',
+        description: 'Control the guided memory walk that visits each object along the route, turning to face it and narrating its information',
+        input_schema: {
+          type: 'object',
+          properties: {
+            action: { type: 'string', enum: ['start', 'next', 'previous', 'pause', 'resume', 'stop'], description: 'Walk control to apply' }
+          },
+          required: ['action']
+        }
+      },
+      {
+        name: 'set_walk_route',
+        description: 'Set the order of the memory walk: rooms by name, and/or objects within the current room by name. Unlisted rooms and objects follow in creation order',
+        input_schema: {
+          type: 'object',
+          properties: {
+            rooms: { type: 'array', items: { type: 'string' }, description: 'Room names in walk order' },
+            objects: { type: 'array', items: { type: 'string' }, description: 'Object names in the current room in walk order' }
+          }
+        }
       }
     ]
   }
@@ -0,0 +1,138 @@
+/**
+ * Migration Utilities
+ * Versioned schema for persisted and exported state, upgraded by an ordered migration pipeline
+ *
+ * Migrations run on the plain serialized form (collections as { [id]: record }),
+ * before state is converted to Maps by loadState/importState.
+ */
+
+import { ObjectType } from '../types/index.js'
+
+/**
+ * Schema version written by this build
+ */
+export const CURRENT_SCHEMA_VERSION = 2
+
+/**
+ * Version assumed for state saved before schema versioning existed
+ */
+export const LEGACY_SCHEMA_VERSION = 1
+
+/**
+ * Serialized state as stored or exported
+ */
+export type StateData = Record<string, any>
+
+/**
+ * A single upgrade step from `version - 1` to `version`
+ */
+export interface StateMigration {
+  version: number
+  description: string
+  migrate: (data: StateData) => StateData
+}
+
+/**
+ * Outcome of running the migration pipeline
+ */
+export interface MigrationResult {
+  data: StateData
+  fromVersion: number
+  toVersion: number
+  applied: StateMigration[]
+}
+
+/**
+ * Ordered migrations; append new steps here when the schema changes
+ */
+export const MIGRATIONS: StateMigration[] = [
+  {
+    version: 2,
+    description: 'Move objects stored under connections and rename info to information',
+    migrate: migrateLegacyObjects
+  }
+]
+
+/**
+ * Read the schema version of serialized state, treating unversioned data as legacy
+ */
+export function getSchemaVersion(data: StateData | null | undefined): number {
+  const version = data?.schemaVersion
+  return Number.isInteger(version) && version > 0 ? version : LEGACY_SCHEMA_VERSION
+}
+
+/**
+ * Upgrade serialized state to the current schema version
+ * The input is not modified
+ * @throws If the data was written by a newer schema than this build understands
+ */
+export function migrateStateData(
+  data: StateData,
+  fromVersion: number = getSchemaVersion(data)
+): MigrationResult {
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `State schema version ${fromVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`
+    )
+  }
+
+  const applied = MIGRATIONS.filter(migration => migration.version > fromVersion)
+  const migrated = applied.reduce((current, migration) => migration.migrate(current), { ...data })
+  migrated.schemaVersion = CURRENT_SCHEMA_VERSION
+
+  return { data: migrated, fromVersion, toVersion: CURRENT_SCHEMA_VERSION, applied }
+}
+
+// === MIGRATIONS ===
+
+/**
+ * v1 -> v2: early builds saved some objects in the connections collection
+ * and used `info` instead of `information`
+ */
+function migrateLegacyObjects(data: StateData): StateData {
+  const objects: StateData = { ...(data.objects || {}) }
+  const connections: StateData = {}
+
+  Object.entries(data.connections || {}).forEach(([id, record]) => {
+    if (isStoredObject(record)) {
+      objects[id] = record
+    } else {
+      connections[id] = record
+    }
+  })
+
+  Object.entries(objects).forEach(([id, record]) => {
+    objects[id] = normalizeLegacyObject(record)
+  })
+
+  return { ...data, objects, connections }
+}
+
+/**
+ * A connection record is really an object if it has object fields and no destination
+ */
+function isStoredObject(record: any): boolean {
+  if (!record || typeof record !== 'object') return false
+  if (record.type === ObjectType.OBJECT) return true
+  return !record.targetRoomId && ('name' in record || 'information' in record || 'info' in record)
+}
+
+function normalizeLegacyObject(record: any): any {
+  if (!record || typeof record !== 'object') return record
+
+  const { info, ...object } = record
+  if (object.information === undefined && info !== undefined) {
+    object.information = info
+  }
+  if (!object.type) {
+    object.type = object.targetRoomId ? ObjectType.DOOR : ObjectType.OBJECT
+  }
+  if (object.type === ObjectType.OBJECT && typeof object.information !== 'string') {
+    object.information = object.information == null ? '' : String(object.information)
+  }
+  if (object.roomId === undefined) {
+    object.roomId = null
+  }
+
+  return object
+}
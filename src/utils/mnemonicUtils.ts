@@ -0,0 +1,139 @@
+/**
+ * Mnemonic Utilities
+ * Context for the mnemonic coach (the room, the locus and any numbers to encode) and the
+ * `mnemonic` field where an accepted suggestion is kept apart from the information
+ */
+
+import {
+  ApplicationState,
+  MemoryObject,
+  MnemonicContext,
+  Vector3,
+  isMemoryObject
+} from '../types/index.js'
+import { getObjectsNearPosition, updateObject } from './objectUtils.js'
+import { describeNumberEncoding, encodeNumber, extractNumbers } from './numberEncoding.js'
+
+const MAX_NEIGHBOURS = 2
+const MAX_SUGGESTIONS = 3
+
+export const MNEMONIC_SYSTEM_PROMPT = `You are a memory coach helping someone place information in a memory palace.
+Reply with only a JSON array of two or three strings and no other text. Each string is one image
+in one or two sentences: absurd, vivid, exaggerated and multi-sensory, happening at the given
+locus and using what is in the room. Encode numbers with the major-system words or sounds or
+the Person-Action-Object split given, naming the words you chose.`
+
+/**
+ * Where a locus is: its height and the objects beside it, e.g. "high up, near the Kettle"
+ */
+export function describeLocus(
+  state: ApplicationState,
+  roomId: string,
+  position: Vector3,
+  excludeId: string | null = null
+): string {
+  const length = Math.hypot(position.x, position.y, position.z) || 1
+  const elevation = Math.asin(position.y / length) * 180 / Math.PI
+  const height = elevation > 30 ? 'high up' : elevation < -30 ? 'low down' : 'at eye level'
+
+  const neighbours = getObjectsNearPosition(state, position, Infinity, roomId)
+    .filter(obj => obj.id !== excludeId && isMemoryObject(obj))
+    .slice(0, MAX_NEIGHBOURS)
+    .map(obj => `the ${obj.name}`)
+  return neighbours.length > 0 ? `${height}, near ${neighbours.join(' and ')}` : height
+}
+
+/**
+ * Gather what the coach needs for an existing object or a draft one (name, information
+ * and, when known, the room and position it will go in)
+ */
+export function getMnemonicContext(
+  state: ApplicationState,
+  draft: { objectId?: string | null; name?: string; information?: string; roomId?: string | null; position?: Vector3 | null }
+): MnemonicContext {
+  const object = draft.objectId ? state.objects.get(draft.objectId) : null
+  if (draft.objectId && !object) {
+    throw new Error(`Object ${draft.objectId} not found`)
+  }
+
+  const name = object?.name ?? draft.name ?? ''
+  const information = (object?.information ?? draft.information ?? '').trim()
+  const roomId = object ? object.roomId : draft.roomId ?? null
+  const position = object ? object.position : draft.position ?? null
+  const room = roomId ? state.rooms.get(roomId) : null
+
+  return {
+    objectId: object?.id ?? null,
+    objectName: name,
+    information,
+    roomName: room?.name ?? null,
+    roomDescription: room?.description ?? null,
+    locus: room && position ? describeLocus(state, room.id, position, object?.id ?? null) : null,
+    numbers: extractNumbers(information).map(digits => encodeNumber(digits, state.paoTable))
+  }
+}
+
+/**
+ * The coach's brief, one fact per line: object, information, room, locus and numbers
+ */
+export function describeMnemonicContext(context: MnemonicContext): string {
+  const lines = [`Object: ${context.objectName || 'new object'}`, `Information: ${context.information}`]
+  if (context.roomName) {
+    lines.push(`Room: ${context.roomName}${context.roomDescription ? ` (${context.roomDescription})` : ''}`)
+  }
+  if (context.locus) {
+    lines.push(`Locus: ${context.locus}`)
+  }
+  context.numbers.forEach(encoding => lines.push(`Number ${describeNumberEncoding(encoding)}`))
+  return lines.join('\n')
+}
+
+/**
+ * The message asking the assistant for imagery for this object
+ */
+export function buildMnemonicPrompt(context: MnemonicContext): string {
+  return `Suggest mnemonic images for this memory palace object:\n${describeMnemonicContext(context)}`
+}
+
+/**
+ * Read the assistant's JSON reply into suggestions; an unreadable reply gives the whole text
+ * as a single suggestion, or none when it is empty
+ */
+export function parseMnemonicSuggestions(text: string): string[] {
+  const start = text.indexOf('[')
+  const end = text.lastIndexOf(']')
+  if (start !== -1 && end > start) {
+    try {
+      const entries = JSON.parse(text.slice(start, end + 1))
+      if (Array.isArray(entries)) {
+        return entries
+          .filter((entry): entry is string => typeof entry === 'string' && entry.trim().length > 0)
+          .map(entry => entry.trim())
+          .slice(0, MAX_SUGGESTIONS)
+      }
+    } catch {
+      // Fall through to the plain reply
+    }
+  }
+  return text.trim() ? [text.trim()] : []
+}
+
+/**
+ * Keep a mnemonic on a memory object; an empty one clears it
+ */
+export async function setObjectMnemonic(
+  state: ApplicationState,
+  objectId: string,
+  mnemonic: string | null
+): Promise<MemoryObject> {
+  const object = state.objects.get(objectId)
+  if (!object) {
+    throw new Error(`Object ${objectId} not found`)
+  }
+  if (!isMemoryObject(object)) {
+    throw new Error('Doors do not have mnemonics')
+  }
+
+  const text = (mnemonic || '').trim()
+  return await updateObject(state, objectId, { mnemonic: text || undefined }) as MemoryObject
+}
@@ -0,0 +1,286 @@
+/**
+ * Number Encoding
+ * Turns digit strings into things to picture: words from the major system (digits as
+ * consonant sounds, matched against a bundled offline wordlist) and Person-Action-Object
+ * images from the user's own PAO table, one two-digit entry per role
+ */
+
+import {
+  ApplicationState,
+  NumberEncoding,
+  PaoChunk,
+  PaoEntry
+} from '../types/index.js'
+import { saveState } from './stateUtils.js'
+import { MAJOR_WORDLIST } from './majorWordlist.js'
+
+const MAX_NUMBERS = 3
+const MAX_DIGITS = 12
+const MAX_INPUT_DIGITS = 40
+const MAX_PHRASES = 5
+
+// Consonant sounds of each digit in the major system
+export const MAJOR_SYSTEM: Record<string, string[]> = {
+  '0': ['s', 'z'],
+  '1': ['t', 'd'],
+  '2': ['n'],
+  '3': ['m'],
+  '4': ['r'],
+  '5': ['l'],
+  '6': ['j', 'sh', 'ch'],
+  '7': ['k', 'g'],
+  '8': ['f', 'v'],
+  '9': ['p', 'b']
+}
+
+// Digit of each single consonant letter; vowels, h, w and y carry no digit
+const LETTER_DIGITS: Record<string, string> = {
+  s: '0', z: '0', t: '1', d: '1', n: '2', m: '3', r: '4', l: '5',
+  j: '6', k: '7', q: '7', f: '8', v: '8', p: '9', b: '9', x: '70'
+}
+
+// Letter pairs and triples read as one sound, longest first
+const DIGRAPH_DIGITS: Array<[string, string]> = [
+  ['tch', '6'], ['dge', '6'], ['sh', '6'], ['ch', '6'], ['th', '1'], ['ph', '8'], ['ck', '7']
+]
+
+const PAO_ROLES: PaoChunk['role'][] = ['person', 'action', 'object']
+
+let majorIndex: Map<string, string[]> | null = null
+
+/**
+ * Numbers written in a text, as digit strings ("1,000" is 1000; "9:15" is 9 and 15)
+ */
+export function extractNumbers(text: string): string[] {
+  const numbers = (text.match(/\d+(?:,\d{3})*/g) || [])
+    .map(match => match.replace(/,/g, ''))
+    .filter(digits => digits.length <= MAX_DIGITS)
+  return Array.from(new Set(numbers)).slice(0, MAX_NUMBERS)
+}
+
+/**
+ * The digits of a number the user typed or said, ignoring spaces, separators and signs
+ * ("3.14159" is 314159, "555-0199" is 5550199)
+ * @throws If there are no digits, letters among them, or too many to encode
+ */
+export function parseNumber(input: string | number): string {
+  const text = String(input ?? '').trim()
+  if (/[a-z]/i.test(text)) {
+    throw new Error(`"${text}" is not a number`)
+  }
+  const digits = text.replace(/\D/g, '')
+  if (!digits) {
+    throw new Error('Give a number to encode')
+  }
+  if (digits.length > MAX_INPUT_DIGITS) {
+    throw new Error(`Numbers of up to ${MAX_INPUT_DIGITS} digits can be encoded`)
+  }
+  return digits
+}
+
+/**
+ * Major-system sounds of each digit, e.g. "t/d k/g" for 17
+ */
+export function majorSounds(digits: string): string {
+  return digits
+    .split('')
+    .filter(digit => MAJOR_SYSTEM[digit])
+    .map(digit => MAJOR_SYSTEM[digit].join('/'))
+    .join(' ')
+}
+
+/**
+ * The number a word stands for in the major system, from its spelling
+ * Doubled consonants sound once, soft c is s, a final "ge" and "dge" are j, and silent
+ * initial letters (knife, gnome, wrist) and a final "mb" (comb) are dropped
+ */
+export function wordToDigits(word: string): string {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '')
+  let digits = ''
+  let i = /^(kn|gn|wr)/.test(letters) ? 1 : 0
+
+  while (i < letters.length) {
+    const rest = letters.slice(i)
+    const letter = letters[i]
+
+    if (letter === letters[i + 1] && !'aeiou'.includes(letter)) {
+      i++
+      continue
+    }
+    const digraph = DIGRAPH_DIGITS.find(([spelling]) => rest.startsWith(spelling))
+    if (digraph) {
+      digits += digraph[1]
+      i += digraph[0].length
+      continue
+    }
+    if (rest.startsWith('gh')) {
+      digits += i === 0 ? '7' : ''
+      i += 2
+      continue
+    }
+    if (rest === 'mb') {
+      digits += '3'
+      break
+    }
+
+    if (letter === 'c') {
+      digits += 'eiy'.includes(letters[i + 1] || '') ? '0' : '7'
+    } else if (letter === 'g') {
+      digits += rest === 'ge' ? '6' : '7'
+    } else {
+      digits += LETTER_DIGITS[letter] || ''
+    }
+    i++
+  }
+
+  return digits
+}
+
+/**
+ * Wordlist words by the number they encode, built on first use
+ */
+function getMajorIndex(): Map<string, string[]> {
+  if (!majorIndex) {
+    majorIndex = new Map()
+    for (const word of MAJOR_WORDLIST) {
+      const digits = wordToDigits(word)
+      if (!digits) continue
+      majorIndex.set(digits, [...(majorIndex.get(digits) || []), word])
+    }
+  }
+  return majorIndex
+}
+
+/**
+ * Wordlist words that encode exactly these digits
+ */
+export function findMajorWords(digits: string): string[] {
+  return [...(getMajorIndex().get(digits) || [])]
+}
+
+/**
+ * Ways to say a number as wordlist words, using as few words as possible, e.g. "rocket"
+ * for 471 and "dish jail" for 1665
+ */
+export function encodeMajor(digits: string, limit: number = MAX_PHRASES): string[] {
+  const index = getMajorIndex()
+  const length = digits.length
+  if (length === 0) return []
+
+  // fewest[i]: fewest words that say digits[i..]
+  const fewest = new Array<number>(length + 1).fill(Infinity)
+  fewest[length] = 0
+  for (let start = length - 1; start >= 0; start--) {
+    for (let end = start + 1; end <= length; end++) {
+      if (index.has(digits.slice(start, end))) {
+        fewest[start] = Math.min(fewest[start], 1 + fewest[end])
+      }
+    }
+  }
+  if (fewest[0] === Infinity) return []
+
+  const phrases: string[] = []
+  const walk = (start: number, words: string[]) => {
+    if (phrases.length >= limit) return
+    if (start === length) {
+      phrases.push(words.join(' '))
+      return
+    }
+    // Longest words first, only along splits that keep the word count lowest
+    for (let end = length; end > start; end--) {
+      if (fewest[end] !== fewest[start] - 1) continue
+      for (const word of index.get(digits.slice(start, end)) || []) {
+        walk(end, [...words, word])
+        if (phrases.length >= limit) return
+      }
+    }
+  }
+  walk(0, [])
+  return phrases
+}
+
+/**
+ * A PAO table key: two digits, so "7" is "07"
+ * @throws If the key isn't one or two digits
+ */
+export function normalizePaoDigits(digits: string): string {
+  const trimmed = String(digits).trim()
+  if (!/^\d{1,2}$/.test(trimmed)) {
+    throw new Error(`PAO entries are numbered 00 to 99, not "${digits}"`)
+  }
+  return trimmed.padStart(2, '0')
+}
+
+/**
+ * Get the user's PAO table entries, in number order
+ */
+export function getPaoTable(state: ApplicationState): PaoEntry[] {
+  return Array.from(state.paoTable?.values() || []).sort((a, b) => a.digits.localeCompare(b.digits))
+}
+
+/**
+ * Fill in, change or clear PAO table entries; an entry with no person, action or object
+ * is removed
+ */
+export async function setPaoEntries(
+  state: ApplicationState,
+  entries: Array<{ digits: string; person?: string; action?: string; object?: string }>
+): Promise<PaoEntry[]> {
+  const now = new Date().toISOString()
+  const normalized = entries.map(entry => ({
+    digits: normalizePaoDigits(entry.digits),
+    person: (entry.person || '').trim(),
+    action: (entry.action || '').trim(),
+    object: (entry.object || '').trim()
+  }))
+
+  for (const entry of normalized) {
+    if (!entry.person && !entry.action && !entry.object) {
+      state.paoTable.delete(entry.digits)
+    } else {
+      state.paoTable.set(entry.digits, { ...entry, updatedAt: now })
+    }
+  }
+  await saveState(state)
+  return getPaoTable(state)
+}
+
+/**
+ * Split a number into two-digit chunks for a person, an action and an object, in turn,
+ * each filled in from the PAO table where it has an entry
+ */
+export function splitPao(digits: string, table: Map<string, PaoEntry> | null = null): PaoChunk[] {
+  const chunks = digits.match(/\d{1,2}/g) || []
+  return chunks.map((chunk, index) => {
+    const role = PAO_ROLES[index % PAO_ROLES.length]
+    const entry = chunk.length === 2 ? table?.get(chunk) : null
+    return { role, digits: chunk, sounds: majorSounds(chunk), text: entry?.[role] || null }
+  })
+}
+
+/**
+ * Major-system words and PAO split of a number
+ */
+export function encodeNumber(digits: string, table: Map<string, PaoEntry> | null = null): NumberEncoding {
+  return {
+    digits,
+    major: majorSounds(digits),
+    words: encodeMajor(digits),
+    pao: splitPao(digits, table)
+  }
+}
+
+/**
+ * "person 17 Tom Kite" from the table, or "person 17 (t/d k/g)" to make one up
+ */
+export function describePaoChunk(chunk: PaoChunk): string {
+  return chunk.text ? `${chunk.role} ${chunk.digits} ${chunk.text}` : `${chunk.role} ${chunk.digits} (${chunk.sounds})`
+}
+
+/**
+ * Describe a number's encodings in one line, e.g. "8: major system f/v (ivy); PAO person 8 (f/v)"
+ */
+export function describeNumberEncoding(encoding: NumberEncoding): string {
+  const words = encoding.words.length > 0 ? ` (${encoding.words.slice(0, 3).join(', ')})` : ''
+  return `${encoding.digits}: major system ${encoding.major}${words}; PAO ${encoding.pao.map(describePaoChunk).join(', ')}`
+}
@@ -21,6 +21,8 @@ import {
   isDoorObject,
   isMemoryObject
 } from '../types/index.js';
+import { normalizeTags, normalizeColor, getObjectTags } from './tagUtils.js';
+import { removeObjectAssociations } from './associationUtils.js';
 
 /**
  * Add a memory object to a room with explicit type support
@@ -156,9 +158,17 @@ export async function updateObject(
     throw new Error(`Object ${objectId} not found`);
   }
 
+  const normalized: UpdateObjectParams = { ...updates };
+  if (updates.tags !== undefined) {
+    normalized.tags = normalizeTags(updates.tags);
+  }
+  if (updates.color !== undefined) {
+    normalized.color = normalizeColor(updates.color);
+  }
+
   const updatedObject: MemoryPalaceObject = {
     ...object,
-    ...updates,
+    ...normalized,
     updatedAt: new Date().toISOString()
   } as MemoryPalaceObject;
 
@@ -178,6 +188,9 @@ export async function deleteObject(state: ApplicationState, objectId: string): P
   }
 
   state.objects.delete(objectId);
+  state.reviews?.delete(objectId);
+  state.quizStats?.delete(objectId);
+  removeObjectAssociations(state, new Set([objectId]));
   await saveState(state);
   
   return true;
@@ -206,7 +219,9 @@ export function getCurrentRoomObjects(state: ApplicationState): MemoryPalaceObje
       type: ObjectType.DOOR,
       description: conn.description || 'Door leading to another room',
       information: `Door leading to another room`,
-      targetRoomId: conn.targetRoomId
+      targetRoomId: conn.targetRoomId,
+      connectionId: conn.id,
+      bidirectional: !!conn.bidirectional
     } as DoorObject));
     
   // Combine objects and door connections
@@ -343,16 +358,19 @@ export function performRayCasting(
 
 /**
  * Convert screen coordinates to world position on sphere surface using ray casting
+ * Screen coordinates run from 0 to 1 across the viewport; pass the THREE module to ray cast
+ * when it isn't on window
  */
 export function screenToWorldPosition(
   screenX: number,
   screenY: number,
   sphereRadius: number = 500,
-  camera: any = null
+  camera: any = null,
+  three: any = typeof window !== 'undefined' ? (window as any).THREE : null
 ): Position3D {
   // If camera is available, use proper ray casting (preferred method)
-  if (camera && typeof window !== 'undefined' && (window as any).THREE) {
-    const THREE = (window as any).THREE;
+  if (camera && three) {
+    const THREE = three;
     
     // Convert normalized screen coordinates to NDC (-1 to +1)
     const mouse = new THREE.Vector2();
@@ -363,15 +381,17 @@ export function screenToWorldPosition(
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, camera);
     
-    // Create sphere geometry for intersection testing
+    // Create sphere geometry for intersection testing; the camera is inside it, so test the inner faces
     const sphereGeometry = new THREE.SphereGeometry(sphereRadius, 32, 16);
-    const sphereMesh = new THREE.Mesh(sphereGeometry);
+    const sphereMaterial = new THREE.MeshBasicMaterial({ side: THREE.BackSide });
+    const sphereMesh = new THREE.Mesh(sphereGeometry, sphereMaterial);
     
     // Find intersection with sphere
     const intersects = raycaster.intersectObject(sphereMesh);
     
     // Cleanup
     sphereGeometry.dispose();
+    sphereMaterial.dispose();
     
     if (intersects.length > 0) {
       const intersectionPoint = intersects[0].point;
@@ -512,7 +532,8 @@ export function getRoomObjectStats(state: ApplicationState, roomId: string): Obj
       count: 0,
       averageDistance: 0,
       spread: 0,
-      categories: {}
+      categories: {},
+      tags: {}
     };
   }
   
@@ -531,12 +552,21 @@ export function getRoomObjectStats(state: ApplicationState, roomId: string): Obj
     const category = classifyObject(obj);
     categories[category] = (categories[category] || 0) + 1;
   });
+
+  // User-defined tags are counted separately from the inferred categories
+  const tags: Record<string, number> = {};
+  objects.forEach(obj => {
+    getObjectTags(obj).forEach(tag => {
+      tags[tag] = (tags[tag] || 0) + 1;
+    });
+  });
   
   return {
     count: objects.length,
     averageDistance: Math.round(averageDistance),
     spread: Math.round(spread),
-    categories
+    categories,
+    tags
   };
 }
 
@@ -0,0 +1,191 @@
+/**
+ * Palace Utilities
+ * Registry of named palaces, each persisted under its own storage namespace
+ *
+ * The registry itself is small metadata and always lives in localStorage,
+ * whichever backend holds the palaces' records.
+ */
+
+import { PalaceInfo, PalaceRegistry } from '../types/index.js'
+import { generateId } from './stateUtils.js'
+
+export const DEFAULT_PALACE_ID = 'default'
+const DEFAULT_PALACE_NAME = 'My Palace'
+const REGISTRY_KEY = 'palais_palaces'
+
+/**
+ * Storage namespace for a palace
+ * The default palace keeps the original keys so existing data carries over
+ */
+export function getPalaceNamespace(palaceId: string): string | null {
+  return palaceId === DEFAULT_PALACE_ID ? null : palaceId
+}
+
+/**
+ * Create a registry holding only the default palace
+ */
+export function createDefaultRegistry(): PalaceRegistry {
+  const now = new Date().toISOString()
+  return {
+    activePalaceId: DEFAULT_PALACE_ID,
+    palaces: [{ id: DEFAULT_PALACE_ID, name: DEFAULT_PALACE_NAME, createdAt: now, updatedAt: now }]
+  }
+}
+
+/**
+ * Load the palace registry, creating the default one on first run
+ */
+export function loadRegistry(): PalaceRegistry {
+  try {
+    const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(REGISTRY_KEY) : null
+    if (stored) {
+      const registry = JSON.parse(stored) as PalaceRegistry
+      if (Array.isArray(registry?.palaces) && registry.palaces.length > 0) {
+        if (!registry.palaces.some(palace => palace.id === registry.activePalaceId)) {
+          registry.activePalaceId = registry.palaces[0].id
+        }
+        return registry
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to load palace registry:', error)
+  }
+
+  return createDefaultRegistry()
+}
+
+/**
+ * Persist the palace registry
+ */
+export function saveRegistry(registry: PalaceRegistry): void {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry))
+    }
+  } catch (error) {
+    console.error('Failed to save palace registry:', error)
+  }
+}
+
+/**
+ * List palaces with the open one flagged
+ */
+export function listPalaces(registry: PalaceRegistry): Array<PalaceInfo & { isActive: boolean }> {
+  return registry.palaces.map(palace => ({ ...palace, isActive: palace.id === registry.activePalaceId }))
+}
+
+/**
+ * Get the open palace
+ */
+export function getActivePalace(registry: PalaceRegistry): PalaceInfo {
+  return getPalace(registry, registry.activePalaceId)
+}
+
+/**
+ * Get a palace by ID
+ * @throws If no palace has that ID
+ */
+export function getPalace(registry: PalaceRegistry, palaceId: string): PalaceInfo {
+  const palace = registry.palaces.find(entry => entry.id === palaceId)
+  if (!palace) {
+    throw new Error(`Palace ${palaceId} not found`)
+  }
+  return palace
+}
+
+/**
+ * Find a palace by ID or case-insensitive name
+ */
+export function findPalace(registry: PalaceRegistry, idOrName: string): PalaceInfo | null {
+  const needle = idOrName.trim().toLowerCase()
+  return registry.palaces.find(palace => palace.id === idOrName)
+    || registry.palaces.find(palace => palace.name.toLowerCase() === needle)
+    || null
+}
+
+/**
+ * Suggest a name not yet used by any palace, e.g. "Spanish (copy 2)"
+ */
+export function getUniquePalaceName(registry: PalaceRegistry, baseName: string): string {
+  const taken = new Set(registry.palaces.map(palace => palace.name.toLowerCase()))
+  if (!taken.has(baseName.toLowerCase())) return baseName
+
+  let counter = 2
+  while (taken.has(`${baseName} ${counter}`.toLowerCase())) {
+    counter++
+  }
+  return `${baseName} ${counter}`
+}
+
+function validatePalaceName(registry: PalaceRegistry, name: string, exceptId: string | null = null): string {
+  const trimmed = (name || '').trim()
+  if (!trimmed) {
+    throw new Error('Palace name is required')
+  }
+
+  const clash = registry.palaces.find(palace =>
+    palace.id !== exceptId && palace.name.toLowerCase() === trimmed.toLowerCase()
+  )
+  if (clash) {
+    throw new Error(`A palace named "${trimmed}" already exists`)
+  }
+
+  return trimmed
+}
+
+/**
+ * Register a new, empty palace
+ */
+export function addPalace(registry: PalaceRegistry, name: string): PalaceInfo {
+  const now = new Date().toISOString()
+  const palace: PalaceInfo = {
+    id: `palace_${generateId()}`,
+    name: validatePalaceName(registry, name),
+    createdAt: now,
+    updatedAt: now
+  }
+
+  registry.palaces.push(palace)
+  saveRegistry(registry)
+  return palace
+}
+
+/**
+ * Rename a palace
+ */
+export function renamePalace(registry: PalaceRegistry, palaceId: string, name: string): PalaceInfo {
+  const palace = getPalace(registry, palaceId)
+  palace.name = validatePalaceName(registry, name, palaceId)
+  palace.updatedAt = new Date().toISOString()
+
+  saveRegistry(registry)
+  return palace
+}
+
+/**
+ * Remove a palace from the registry (its stored state is deleted separately)
+ * @throws If it is the only palace or is currently open
+ */
+export function removePalace(registry: PalaceRegistry, palaceId: string): PalaceInfo {
+  const palace = getPalace(registry, palaceId)
+  if (registry.palaces.length === 1) {
+    throw new Error('Cannot delete the only palace')
+  }
+  if (registry.activePalaceId === palaceId) {
+    throw new Error('Cannot delete the open palace - switch to another palace first')
+  }
+
+  registry.palaces = registry.palaces.filter(entry => entry.id !== palaceId)
+  saveRegistry(registry)
+  return palace
+}
+
+/**
+ * Mark a palace as the open one
+ */
+export function setActivePalace(registry: PalaceRegistry, palaceId: string): PalaceInfo {
+  const palace = getPalace(registry, palaceId)
+  registry.activePalaceId = palaceId
+  saveRegistry(registry)
+  return palace
+}
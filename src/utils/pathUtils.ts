@@ -0,0 +1,87 @@
+/**
+ * Path Utilities
+ * Shortest routes between rooms over the door graph, for walking rather than teleporting
+ *
+ * Every door costs the same, so a breadth-first search finds the path through the fewest doors.
+ */
+
+import { ApplicationState, Connection, PathStep, RoomPath } from '../types/index.js'
+
+/**
+ * Doors leading out of each room, oldest first so equal-length paths are chosen consistently
+ */
+function getDoorsByRoom(state: ApplicationState): Map<string, Connection[]> {
+  const doorsByRoom = new Map<string, Connection[]>()
+  Array.from(state.connections.values())
+    .filter(conn => state.rooms.has(conn.targetRoomId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(conn => {
+      const doors = doorsByRoom.get(conn.roomId) || []
+      doors.push(conn)
+      doorsByRoom.set(conn.roomId, doors)
+    })
+  return doorsByRoom
+}
+
+/**
+ * Find the path through the fewest doors from one room to another
+ * @returns The path (with no steps when both rooms are the same), or null if no doors lead there
+ * @throws If either room doesn't exist
+ */
+export function findPath(state: ApplicationState, fromRoomId: string, toRoomId: string): RoomPath | null {
+  if (!state.rooms.has(fromRoomId)) {
+    throw new Error(`Room ${fromRoomId} not found`)
+  }
+  if (!state.rooms.has(toRoomId)) {
+    throw new Error(`Room ${toRoomId} not found`)
+  }
+
+  const doorsByRoom = getDoorsByRoom(state)
+  const arrivedBy = new Map<string, Connection | null>([[fromRoomId, null]])
+  const queue = [fromRoomId]
+
+  while (queue.length > 0 && !arrivedBy.has(toRoomId)) {
+    const roomId = queue.shift() as string
+    for (const door of doorsByRoom.get(roomId) || []) {
+      if (!arrivedBy.has(door.targetRoomId)) {
+        arrivedBy.set(door.targetRoomId, door)
+        queue.push(door.targetRoomId)
+      }
+    }
+  }
+
+  if (!arrivedBy.has(toRoomId)) return null
+
+  const steps: PathStep[] = []
+  for (let door = arrivedBy.get(toRoomId); door; door = arrivedBy.get(door.roomId)) {
+    steps.unshift({
+      connectionId: door.id,
+      fromRoomId: door.roomId,
+      toRoomId: door.targetRoomId,
+      doorDescription: door.description || 'Door',
+      position: door.position
+    })
+  }
+
+  return {
+    fromRoomId,
+    toRoomId,
+    roomIds: [fromRoomId, ...steps.map(step => step.toRoomId)],
+    steps
+  }
+}
+
+/**
+ * Room names along a path, e.g. "Hall → Corridor → Library"
+ */
+export function describePath(state: ApplicationState, path: RoomPath): string {
+  return path.roomIds.map(roomId => state.rooms.get(roomId)?.name || roomId).join(' → ')
+}
+
+/**
+ * Narration for passing through one door of a path
+ */
+export function describeStep(state: ApplicationState, step: PathStep): string {
+  const roomName = state.rooms.get(step.toRoomId)?.name || 'the next room'
+  return `Through "${step.doorDescription}" into ${roomName}.`
+}
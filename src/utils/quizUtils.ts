@@ -0,0 +1,323 @@
+/**
+ * Quiz Utilities
+ * Recall questions about memory objects, fuzzy answer grading and per-object accuracy
+ *
+ * Questions are written by the assistant when an API key is set; otherwise each object's
+ * information is turned into a cloze deletion offline, always blanking the same word.
+ */
+
+import {
+  ApplicationState,
+  QuizAttempt,
+  QuizGrade,
+  QuizItem,
+  QuizQuestion,
+  QuizRecord
+} from '../types/index.js'
+import { saveState } from './stateUtils.js'
+import { getRouteObjects, getRouteRooms } from './routeUtils.js'
+import { allowedTypos, editDistance, tokenize } from './searchUtils.js'
+
+const BLANK = '_____'
+const MIN_CLOZE_WORD_LENGTH = 4
+const MAX_HISTORY = 20
+
+// Score at or above which an answer counts as correct
+export const PASS_SCORE = 0.8
+
+// Words a cloze never blanks; articles are also ignored when grading
+const CLOZE_STOPWORDS = new Set([
+  'about', 'after', 'also', 'been', 'before', 'being', 'each', 'from', 'have', 'into',
+  'more', 'most', 'only', 'over', 'same', 'some', 'such', 'than', 'that', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'those', 'very', 'were', 'what',
+  'when', 'where', 'which', 'while', 'with', 'your'
+])
+const ARTICLES = new Set(['a', 'an', 'the'])
+// Words that are no answer of their own: spoken hedges and function words. They never count
+// as extra guesses; "and" and "or" join guesses, so they are not among them
+const NON_ANSWER_WORDS = new Set([
+  ...CLOZE_STOPWORDS,
+  'i', 'im', 'me', 'my', 'think', 'thought', 'know', 'guess', 'believe', 'sure', 'maybe',
+  'perhaps', 'probably', 'answer', 'it', 'its', 's', 'is', 'are', 'was', 'be', 'that', 'this',
+  'in', 'on', 'at', 'of', 'to', 'for', 'by', 'as', 'called', 'named', 'well', 'so', 'um',
+  'uh', 'er', 'erm', 'hmm', 'oh'
+])
+// Extra words an answer may add ("Paris, France") before they count against it
+const ALLOWED_EXTRA_WORDS = 1
+
+export const QUIZ_SYSTEM_PROMPT = `You write short recall questions for a memory palace quiz.
+Reply with only a JSON array and no other text. Each entry is
+{"object": "<object name exactly as given>", "question": "<question>", "answer": "<answer in one to five words>"}.
+Ask about the information stored on each object, never about the object's name or where it is.
+Write one question per object unless asked for a different number.`
+
+/**
+ * Objects that can be quizzed on, in walk order, optionally limited to one room
+ */
+export function getQuizItems(state: ApplicationState, roomId: string | null = null): QuizItem[] {
+  const items: QuizItem[] = []
+  for (const room of getRouteRooms(state)) {
+    if (roomId && room.id !== roomId) continue
+    for (const obj of getRouteObjects(state, room.id)) {
+      const information = (obj.information || '').trim()
+      if (!information) continue
+      items.push({ objectId: obj.id, roomId: room.id, name: obj.name, information })
+    }
+  }
+  return items
+}
+
+/**
+ * Rank a word as a cloze answer: figures first, then names, then long content words
+ */
+function clozeRank(word: string, isSentenceStart: boolean): number {
+  if (/\p{N}/u.test(word)) return 3
+  if (!isSentenceStart && /^\p{Lu}/u.test(word)) return 2
+  if (word.length >= MIN_CLOZE_WORD_LENGTH && !CLOZE_STOPWORDS.has(word.toLowerCase())) return 1
+  return 0
+}
+
+/**
+ * Blank the most telling word of the first sentence that has one
+ * Returns null when nothing is worth blanking
+ */
+export function createCloze(text: string): { prompt: string; answer: string } | null {
+  const sentences = text.trim().split(/(?<=[.!?])\s+/)
+
+  for (const sentence of sentences) {
+    let best: { word: string; start: number; score: number } | null = null
+    let index = 0
+    for (const match of sentence.matchAll(/[\p{L}\p{N}]+(?:[.,'’-][\p{L}\p{N}]+)*/gu)) {
+      const word = match[0]
+      const rank = clozeRank(word, index === 0)
+      index++
+      if (rank === 0) continue
+      const score = rank * 100 + word.length
+      if (!best || score > best.score) {
+        best = { word, start: match.index ?? 0, score }
+      }
+    }
+    if (!best) continue
+
+    const prompt = sentence.slice(0, best.start) + BLANK + sentence.slice(best.start + best.word.length)
+    if (!/[\p{L}\p{N}]/u.test(prompt.replace(BLANK, ''))) {
+      return null
+    }
+    return { prompt, answer: best.word }
+  }
+
+  return null
+}
+
+function numberQuestions(questions: Omit<QuizQuestion, 'id'>[]): QuizQuestion[] {
+  return questions.map((question, index) => ({ id: `quiz_${index + 1}`, ...question }))
+}
+
+/**
+ * Build a quiz offline: one cloze deletion per object, or a plain recall question when
+ * the information is a single word or figure
+ */
+export function generateClozeQuestions(items: QuizItem[], options: { count?: number } = {}): QuizQuestion[] {
+  const questions = items.map(item => {
+    const cloze = createCloze(item.information)
+    return {
+      objectId: item.objectId,
+      roomId: item.roomId,
+      objectName: item.name,
+      prompt: cloze ? cloze.prompt : `What does "${item.name}" help you remember?`,
+      answer: cloze ? cloze.answer : item.information,
+      source: 'cloze' as const
+    }
+  })
+  return numberQuestions(options.count ? questions.slice(0, options.count) : questions)
+}
+
+/**
+ * The message asking the assistant for questions about these objects
+ */
+export function buildQuizPrompt(items: QuizItem[], options: { count?: number } = {}): string {
+  const lines = items.map(item => `- ${item.name}: ${item.information}`)
+  const count = options.count ? `\n\nWrite ${options.count} questions in total.` : ''
+  return `Write quiz questions for these memory palace objects:\n${lines.join('\n')}${count}`
+}
+
+function findQuizItem(items: QuizItem[], name: string): QuizItem | null {
+  const lowerName = name.trim().toLowerCase()
+  if (!lowerName) return null
+  return items.find(item => item.name.toLowerCase() === lowerName) ||
+    items.find(item => item.name.toLowerCase().includes(lowerName)) ||
+    null
+}
+
+/**
+ * Turn question entries ({ object, question, answer }) into questions about the matching
+ * objects, dropping entries for unknown objects or without both a question and an answer
+ */
+export function createQuizQuestions(entries: unknown[], items: QuizItem[]): QuizQuestion[] {
+  const questions: Omit<QuizQuestion, 'id'>[] = []
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue
+    const { object, question, answer } = entry as Record<string, unknown>
+    if (typeof question !== 'string' || typeof answer !== 'string') continue
+    if (!question.trim() || !answer.trim()) continue
+
+    const item = findQuizItem(items, String(object ?? ''))
+    if (!item) continue
+    questions.push({
+      objectId: item.objectId,
+      roomId: item.roomId,
+      objectName: item.name,
+      prompt: question.trim(),
+      answer: answer.trim(),
+      source: 'ai'
+    })
+  }
+  return numberQuestions(questions)
+}
+
+/**
+ * Read the assistant's JSON reply into questions; an unreadable reply gives none
+ */
+export function parseQuizQuestions(text: string, items: QuizItem[]): QuizQuestion[] {
+  const start = text.indexOf('[')
+  const end = text.lastIndexOf(']')
+  if (start === -1 || end < start) return []
+
+  let entries: unknown
+  try {
+    entries = JSON.parse(text.slice(start, end + 1))
+  } catch {
+    return []
+  }
+  return Array.isArray(entries) ? createQuizQuestions(entries, items) : []
+}
+
+/**
+ * Words of an answer for comparison: lower case, accents and punctuation gone, no articles,
+ * and a degree sign read out as "degrees" (100°C is "100 degrees")
+ */
+export function normalizeAnswer(text: string): string[] {
+  const spoken = text.replace(/°\s*(?:[cf](?!\p{L}))?/giu, ' degrees ')
+  return tokenize(spoken).map(token => token.term).filter(term => !ARTICLES.has(term))
+}
+
+function wordsMatch(expected: string, given: string): boolean {
+  if (expected === given) return true
+  // Figures must be exact: 1789 is not 1798
+  if (/\p{N}/u.test(expected) || /\p{N}/u.test(given)) return false
+  const maxTypos = allowedTypos(expected)
+  return maxTypos > 0 && editDistance(expected, given, maxTypos) <= maxTypos
+}
+
+/**
+ * How close an answer is to the expected one, from 0 to 1
+ * The better of whole-answer spelling similarity and the F-measure of the words given. Filler
+ * ("I think it's in Paris") and one extra word ("Paris, France") cost nothing, so spoken
+ * answers still count, but a list of guesses does not
+ */
+export function scoreAnswer(expected: string, given: string): number {
+  const expectedWords = normalizeAnswer(expected)
+  const givenWords = normalizeAnswer(given)
+  if (expectedWords.length === 0 || givenWords.length === 0) return 0
+
+  const expectedPhrase = expectedWords.join(' ')
+  const givenPhrase = givenWords.join(' ')
+  if (expectedPhrase === givenPhrase) return 1
+
+  const length = Math.max(expectedPhrase.length, givenPhrase.length)
+  const spelling = /\p{N}/u.test(expectedPhrase)
+    ? 0
+    : 1 - editDistance(expectedPhrase, givenPhrase, length) / length
+  const recalled = expectedWords.filter(word => givenWords.some(other => wordsMatch(word, other))).length
+  const correct = givenWords.filter(word => expectedWords.some(other => wordsMatch(other, word))).length
+  const extra = givenWords.filter(word => !NON_ANSWER_WORDS.has(word) && !expectedWords.some(other => wordsMatch(other, word))).length
+  const recall = recalled / expectedWords.length
+  const precision = correct > 0 ? correct / (correct + Math.max(0, extra - ALLOWED_EXTRA_WORDS)) : 0
+  const overlap = recall + precision > 0 ? (2 * recall * precision) / (recall + precision) : 0
+
+  return Math.round(Math.max(spelling, overlap) * 100) / 100
+}
+
+/**
+ * Grade an answer against the expected one
+ */
+export function gradeAnswer(expected: string, given: string, passScore: number = PASS_SCORE): QuizGrade {
+  const score = scoreAnswer(expected, given)
+  return { correct: score >= passScore, score, expected, given }
+}
+
+/**
+ * Get an object's quiz record, or null if it has never been quizzed
+ */
+export function getQuizRecord(state: ApplicationState, objectId: string): QuizRecord | null {
+  return state.quizStats?.get(objectId) || null
+}
+
+/**
+ * Share of an object's answers that were correct, or null before its first answer
+ */
+export function getQuizAccuracy(record: QuizRecord | null): number | null {
+  if (!record || record.attempts === 0) return null
+  return record.correct / record.attempts
+}
+
+/**
+ * Record a graded answer for an object and persist its accuracy
+ */
+export async function recordQuizAnswer(
+  state: ApplicationState,
+  objectId: string,
+  grade: QuizGrade,
+  now: Date = new Date()
+): Promise<QuizRecord> {
+  if (!state.objects.has(objectId)) {
+    throw new Error(`Object ${objectId} not found`)
+  }
+
+  const current = getQuizRecord(state, objectId)
+  const answeredAt = now.toISOString()
+  const attempt: QuizAttempt = { correct: grade.correct, score: grade.score, answeredAt }
+  const updated: QuizRecord = {
+    objectId,
+    attempts: (current?.attempts || 0) + 1,
+    correct: (current?.correct || 0) + (grade.correct ? 1 : 0),
+    lastAnsweredAt: answeredAt,
+    history: [...(current?.history || []), attempt].slice(-MAX_HISTORY)
+  }
+
+  state.quizStats.set(objectId, updated)
+  await saveState(state)
+  return updated
+}
+
+/**
+ * Summarise quiz accuracy across the palace or one room
+ */
+export function getQuizStats(state: ApplicationState, roomId: string | null = null) {
+  const items = getQuizItems(state, roomId)
+  const records = items
+    .map(item => getQuizRecord(state, item.objectId))
+    .filter((record): record is QuizRecord => record !== null)
+  const attempts = records.reduce((sum, record) => sum + record.attempts, 0)
+  const correct = records.reduce((sum, record) => sum + record.correct, 0)
+
+  return {
+    total: items.length,
+    quizzed: records.length,
+    attempts,
+    correct,
+    accuracy: attempts > 0 ? correct / attempts : null
+  }
+}
+
+/**
+ * Recognise spoken quiz controls ("skip", "end the quiz"); anything else is an answer
+ */
+export function parseQuizCommand(text: string): 'skip' | 'end' | null {
+  const input = text.toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim()
+
+  if (/^(skip|pass)( it| this| this one| this question| the question)?$/.test(input)) return 'skip'
+  if (/^(stop|end|finish|quit)( the)? quiz$/.test(input)) return 'end'
+
+  return null
+}
@@ -0,0 +1,102 @@
+/**
+ * Recall Utilities
+ * Blind recall: with every label hidden, the user points at a spot in the room and says
+ * what was placed there; the attempt is scored for where and for what
+ */
+
+import {
+  ApplicationState,
+  MemoryObject,
+  MemoryPalaceObject,
+  RecallResult,
+  Vector3,
+  isMemoryObject
+} from '../types/index.js'
+import { getObjectsNearPosition } from './objectUtils.js'
+import { PASS_SCORE, scoreAnswer } from './quizUtils.js'
+
+// Markers are drawn where each object's direction meets the skybox, so points are compared there
+const SKYBOX_RADIUS = 500
+
+// Distance on the skybox within which a point counts as the right spot (about 11 degrees)
+export const RECALL_HIT_RADIUS = 100
+
+/**
+ * Scale a position onto the skybox sphere, keeping its direction from the viewer
+ */
+function onSkybox(position: Vector3): Vector3 {
+  const length = Math.hypot(position.x, position.y, position.z) || 1
+  const scale = SKYBOX_RADIUS / length
+  return { x: position.x * scale, y: position.y * scale, z: position.z * scale }
+}
+
+/**
+ * The loci of a room that blind recall hides: placed memory objects, not doors
+ */
+export function getRecallLoci(state: ApplicationState, roomId: string): MemoryObject[] {
+  return Array.from(state.objects.values())
+    .filter((obj): obj is MemoryObject => obj.roomId === roomId && isMemoryObject(obj))
+    .sort((a, b) => (a.objectCounter || 0) - (b.objectCounter || 0))
+}
+
+/**
+ * How well an answer names an object or gives its information, from 0 to 1
+ */
+function contentScore(obj: MemoryPalaceObject, answer: string): number {
+  return Math.max(scoreAnswer(obj.name, answer), scoreAnswer(obj.information || '', answer))
+}
+
+/**
+ * Score a recall attempt against the loci still hidden
+ * The attempt is about the object the answer names, if it names one; otherwise it is about
+ * the locus nearest the spot pointed at, and the answer is judged against that
+ * @returns The result, or null when no candidate loci are left
+ */
+export function scoreRecall(
+  state: ApplicationState,
+  roomId: string,
+  pointedAt: Vector3,
+  answer: string,
+  candidateIds: string[] | null = null
+): RecallResult | null {
+  const candidates = new Set(candidateIds || getRecallLoci(state, roomId).map(obj => obj.id))
+  const loci = new Map<string, MemoryPalaceObject>()
+  getRecallLoci(state, roomId)
+    .filter(obj => candidates.has(obj.id))
+    .forEach(obj => loci.set(obj.id, { ...obj, position: onSkybox(obj.position) }))
+
+  const nearest = getObjectsNearPosition({ ...state, objects: loci }, onSkybox(pointedAt), Infinity, roomId)
+  if (nearest.length === 0) return null
+
+  // Nearest first, so an answer matching two objects equally goes to the closer one
+  const named = nearest
+    .map(obj => ({ obj, score: contentScore(obj, answer) }))
+    .reduce((best, entry) => (entry.score > best.score ? entry : best))
+  const target = named.score >= PASS_SCORE ? named.obj : nearest[0]
+  const object = state.objects.get(target.id) as MemoryObject
+  const content = named.score >= PASS_SCORE ? named.score : contentScore(target, answer)
+  const distance = Math.round(target.distance)
+
+  return {
+    objectId: object.id,
+    objectName: object.name,
+    information: object.information || '',
+    position: object.position,
+    pointedAt,
+    answer,
+    distance,
+    spatial: {
+      correct: distance <= RECALL_HIT_RADIUS,
+      score: Math.round(Math.max(0, 1 - distance / (2 * RECALL_HIT_RADIUS)) * 100) / 100
+    },
+    content: { correct: content >= PASS_SCORE, score: content }
+  }
+}
+
+/**
+ * Recognise a spoken request to leave blind recall; anything else is an answer
+ */
+export function parseRecallCommand(text: string): 'end' | null {
+  const input = text.toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim()
+  return /^(stop|end|finish|quit|leave)( the)?( blind)? recall( mode)?$/.test(input) ? 'end' : null
+}
@@ -0,0 +1,175 @@
+/**
+ * Review Utilities
+ * Spaced-repetition scheduling (SM-2) for memory objects and review session building
+ */
+
+import {
+  ApplicationState,
+  MemoryPalaceObject,
+  ObjectType,
+  ReviewGrade,
+  ReviewItem,
+  ReviewRecord
+} from '../types/index.js'
+import { saveState } from './stateUtils.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_EASE = 2.5
+const MIN_EASE = 1.3
+const MAX_HISTORY = 20
+
+/**
+ * Create a fresh review record for an object that has never been reviewed
+ */
+export function createReviewRecord(objectId: string, now: Date = new Date()): ReviewRecord {
+  return {
+    objectId,
+    ease: DEFAULT_EASE,
+    interval: 0,
+    repetitions: 0,
+    lapses: 0,
+    dueAt: now.toISOString(),
+    lastReviewedAt: null,
+    history: []
+  }
+}
+
+/**
+ * Apply a recall grade to a review record using the SM-2 algorithm
+ * Returns a new record; the input is not modified
+ */
+export function scheduleReview(
+  record: ReviewRecord,
+  grade: ReviewGrade,
+  now: Date = new Date()
+): ReviewRecord {
+  const quality = Math.max(0, Math.min(5, grade))
+  let { ease, interval, repetitions, lapses } = record
+
+  if (quality < 3) {
+    repetitions = 0
+    interval = 1
+    lapses += 1
+  } else {
+    repetitions += 1
+    if (repetitions === 1) {
+      interval = 1
+    } else if (repetitions === 2) {
+      interval = 6
+    } else {
+      interval = Math.round(interval * ease)
+    }
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)))
+
+  const reviewedAt = now.toISOString()
+  const history = [...record.history, { grade, reviewedAt, interval }].slice(-MAX_HISTORY)
+
+  return {
+    ...record,
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    lastReviewedAt: reviewedAt,
+    history
+  }
+}
+
+/**
+ * Check whether an object can be reviewed (placed memory objects only, not doors or carried items)
+ */
+export function isReviewable(object: MemoryPalaceObject): boolean {
+  return object.type !== ObjectType.DOOR && !!object.roomId
+}
+
+/**
+ * Get the review record for an object, or null if it has never been reviewed
+ */
+export function getReviewRecord(state: ApplicationState, objectId: string): ReviewRecord | null {
+  return state.reviews?.get(objectId) || null
+}
+
+/**
+ * Check whether an object is due for review at the given time
+ */
+export function isDue(state: ApplicationState, objectId: string, now: Date = new Date()): boolean {
+  const record = getReviewRecord(state, objectId)
+  return !record || new Date(record.dueAt).getTime() <= now.getTime()
+}
+
+/**
+ * Record a recall grade for an object and persist the updated schedule
+ */
+export async function gradeObject(
+  state: ApplicationState,
+  objectId: string,
+  grade: ReviewGrade,
+  now: Date = new Date()
+): Promise<ReviewRecord> {
+  const object = state.objects.get(objectId)
+  if (!object) {
+    throw new Error(`Object ${objectId} not found`)
+  }
+
+  const current = getReviewRecord(state, objectId) || createReviewRecord(objectId, now)
+  const updated = scheduleReview(current, grade, now)
+
+  state.reviews.set(objectId, updated)
+  await saveState(state)
+
+  return updated
+}
+
+/**
+ * Get all objects due for review, walking rooms in palace order and objects in placement order
+ */
+export function getDueReviewItems(
+  state: ApplicationState,
+  now: Date = new Date(),
+  roomId: string | null = null
+): ReviewItem[] {
+  const rooms = Array.from(state.rooms.values())
+    .filter(room => !roomId || room.id === roomId)
+    .sort((a, b) => a.roomCounter - b.roomCounter)
+
+  const items: ReviewItem[] = []
+  for (const room of rooms) {
+    const roomObjects = Array.from(state.objects.values())
+      .filter(obj => obj.roomId === room.id && isReviewable(obj))
+      .sort((a, b) => (a.objectCounter || 0) - (b.objectCounter || 0))
+
+    for (const obj of roomObjects) {
+      if (!isDue(state, obj.id, now)) continue
+      items.push({
+        objectId: obj.id,
+        roomId: room.id,
+        name: obj.name,
+        information: obj.information || '',
+        record: getReviewRecord(state, obj.id)
+      })
+    }
+  }
+
+  return items
+}
+
+/**
+ * Summarise review progress across the palace
+ */
+export function getReviewStats(state: ApplicationState, now: Date = new Date()) {
+  const reviewable = Array.from(state.objects.values()).filter(isReviewable)
+  const records = reviewable
+    .map(obj => getReviewRecord(state, obj.id))
+    .filter((record): record is ReviewRecord => record !== null)
+
+  return {
+    total: reviewable.length,
+    due: reviewable.filter(obj => isDue(state, obj.id, now)).length,
+    neverReviewed: reviewable.length - records.length,
+    learned: records.filter(record => record.repetitions >= 2).length,
+    lapses: records.reduce((sum, record) => sum + record.lapses, 0)
+  }
+}
@@ -4,6 +4,8 @@
  */
 
 import { generateId, saveState } from './stateUtils.js'
+import { CURRENT_SCHEMA_VERSION } from './migrationUtils.ts'
+import { removeObjectAssociations } from './associationUtils.ts'
 
 /**
  * Create a new room
@@ -14,6 +16,10 @@ import { generateId, saveState } from './stateUtils.js'
  * @returns {Object} Created room object
  */
 export async function createRoom(state, name, description, options = {}) {
+  if (options.wingId && !state.wings?.has(options.wingId)) {
+    throw new Error(`Wing ${options.wingId} not found`)
+  }
+
   const roomId = generateId()
   const roomCounter = state.user.roomCounter + 1
 
@@ -23,6 +29,7 @@ export async function createRoom(state, name, description, options = {}) {
     name: name || `Room ${roomCounter}`,
     description,
     imageUrl: options.imageUrl || null,
+    wingId: options.wingId || null,
     roomCounter,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
@@ -85,12 +92,17 @@ export async function deleteRoom(state, roomId) {
   // Remove room
   state.rooms.delete(roomId)
   
-  // Remove associated objects
+  // Remove associated objects and their links to objects elsewhere
+  const removedObjectIds = new Set()
   for (const [objId, obj] of state.objects.entries()) {
     if (obj.roomId === roomId) {
       state.objects.delete(objId)
+      state.reviews?.delete(objId)
+      state.quizStats?.delete(objId)
+      removedObjectIds.add(objId)
     }
   }
+  removeObjectAssociations(state, removedObjectIds)
   
   // Remove associated connections
   for (const [connId, conn] of state.connections.entries()) {
@@ -259,6 +271,7 @@ export async function importRoom(state, roomData) {
     ...room,
     id: newRoomId,
     userId: state.user.id,
+    wingId: state.wings?.has(room.wingId) ? room.wingId : null,
     roomCounter,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
@@ -271,6 +284,7 @@ export async function importRoom(state, roomData) {
   const objectIdMap = new Map()
   for (const obj of objects) {
     const newObjectId = generateId()
+    const objectCounter = state.user.objectCounter + 1
     objectIdMap.set(obj.id, newObjectId)
     
     const newObject = {
@@ -278,11 +292,13 @@ export async function importRoom(state, roomData) {
       id: newObjectId,
       roomId: newRoomId,
       userId: state.user.id,
+      objectCounter,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     }
     
     state.objects.set(newObjectId, newObject)
+    state.user.objectCounter = objectCounter
   }
 
   // Import connections
@@ -304,6 +320,398 @@ export async function importRoom(state, roomData) {
   return newRoomId
 }
 
+/**
+ * Copy a room with its skybox and its objects in the same places
+ * Doors stay behind, since the copy isn't connected to anything yet
+ * @param {Object} state - Application state
+ * @param {string} roomId - Room ID to copy
+ * @param {Object} options - name for the copy (defaults to "<name> (copy)"), clearInformation to keep only the loci
+ * @returns {Object} The new room
+ */
+export async function duplicateRoom(state, roomId, options = {}) {
+  const data = exportRoom(state, roomId)
+  if (!data) {
+    throw new Error(`Room ${roomId} not found`)
+  }
+
+  const objects = data.objects
+    .filter(obj => obj.type !== 'door')
+    .map(obj => (options.clearInformation ? { ...obj, information: '', mnemonic: undefined, attachments: [] } : obj))
+
+  const newRoomId = await importRoom(state, {
+    room: { ...data.room, name: options.name?.trim() || `${data.room.name} (copy)` },
+    objects,
+    connections: []
+  })
+  return state.rooms.get(newRoomId)
+}
+
+/**
+ * Create a wing to group rooms in
+ * @param {Object} state - Application state
+ * @param {string} name - Wing name, e.g. "Biology wing"
+ * @param {Object} options - description, and parentId to nest it inside another wing (e.g. a floor)
+ * @returns {Object} Created wing
+ */
+export async function createWing(state, name, options = {}) {
+  const parentId = options.parentId || null
+  if (parentId && !state.wings.has(parentId)) {
+    throw new Error(`Wing ${parentId} not found`)
+  }
+
+  const wing = {
+    id: generateId(),
+    userId: state.user.id,
+    name: name || `Wing ${state.wings.size + 1}`,
+    description: options.description || '',
+    parentId,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }
+
+  state.wings.set(wing.id, wing)
+  await saveState(state)
+
+  return wing
+}
+
+/**
+ * Rename, describe or move a wing
+ * @param {Object} state - Application state
+ * @param {string} wingId - Wing ID to edit
+ * @param {Object} updates - name, description and/or parentId (null for the top level)
+ * @returns {Object} Updated wing
+ */
+export async function editWing(state, wingId, updates) {
+  const wing = state.wings.get(wingId)
+  if (!wing) {
+    throw new Error(`Wing ${wingId} not found`)
+  }
+
+  if (updates.parentId) {
+    if (!state.wings.has(updates.parentId)) {
+      throw new Error(`Wing ${updates.parentId} not found`)
+    }
+    if (getNestedWingIds(state, wingId).includes(updates.parentId)) {
+      throw new Error(`Wing "${wing.name}" cannot be placed inside itself`)
+    }
+  }
+
+  const updatedWing = {
+    ...wing,
+    ...updates,
+    parentId: updates.parentId === undefined ? wing.parentId : updates.parentId || null,
+    updatedAt: new Date().toISOString()
+  }
+
+  state.wings.set(wingId, updatedWing)
+  await saveState(state)
+
+  return updatedWing
+}
+
+/**
+ * Delete a wing, keeping its rooms and nested wings in the wing it was inside
+ * @param {Object} state - Application state
+ * @param {string} wingId - Wing ID to delete
+ * @returns {boolean} Success status
+ */
+export async function deleteWing(state, wingId) {
+  const wing = state.wings.get(wingId)
+  if (!wing) {
+    return false
+  }
+
+  const now = new Date().toISOString()
+  state.wings.forEach((child, childId) => {
+    if (child.parentId === wingId) {
+      state.wings.set(childId, { ...child, parentId: wing.parentId, updatedAt: now })
+    }
+  })
+  state.rooms.forEach((room, roomId) => {
+    if (room.wingId === wingId) {
+      state.rooms.set(roomId, { ...room, wingId: wing.parentId, updatedAt: now })
+    }
+  })
+  state.wings.delete(wingId)
+
+  await saveState(state)
+
+  return true
+}
+
+/**
+ * Put a room in a wing, or take it out of every wing
+ * @param {Object} state - Application state
+ * @param {string} roomId - Room ID to move
+ * @param {string|null} wingId - Target wing ID, or null for no wing
+ * @returns {Object} Updated room
+ */
+export async function moveRoomToWing(state, roomId, wingId) {
+  if (wingId && !state.wings.has(wingId)) {
+    throw new Error(`Wing ${wingId} not found`)
+  }
+  return editRoom(state, roomId, { wingId: wingId || null })
+}
+
+/**
+ * Get all wings
+ * @param {Object} state - Application state
+ * @returns {Object[]} Array of all wings, oldest first
+ */
+export function getAllWings(state) {
+  return Array.from(state.wings.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Find wing by name (exact, then partial match)
+ * @param {Object} state - Application state
+ * @param {string} name - Wing name to search for
+ * @returns {Object|null} Found wing or null
+ */
+export function findWingByName(state, name) {
+  const wings = getAllWings(state)
+  const lowerName = name.toLowerCase()
+
+  return wings.find(w => w.name.toLowerCase() === lowerName) ||
+    wings.find(w => w.name.toLowerCase().includes(lowerName)) ||
+    null
+}
+
+/**
+ * Get a wing and every wing nested inside it, at any depth
+ * @param {Object} state - Application state
+ * @param {string} wingId - Outermost wing ID
+ * @returns {string[]} Wing IDs, starting with wingId
+ */
+export function getNestedWingIds(state, wingId) {
+  const wingIds = [wingId]
+  for (let i = 0; i < wingIds.length; i++) {
+    state.wings.forEach(wing => {
+      if (wing.parentId === wingIds[i]) {
+        wingIds.push(wing.id)
+      }
+    })
+  }
+  return wingIds
+}
+
+/**
+ * Get the wings a room or wing sits in, outermost first
+ * @param {Object} state - Application state
+ * @param {string|null} wingId - Innermost wing ID
+ * @returns {Object[]} e.g. [Biology wing, Second floor]
+ */
+export function getWingPath(state, wingId) {
+  const path = []
+  for (let wing = state.wings.get(wingId); wing && !path.includes(wing); wing = state.wings.get(wing.parentId)) {
+    path.unshift(wing)
+  }
+  return path
+}
+
+/**
+ * Get the rooms in a wing, including those in wings nested inside it
+ * @param {Object} state - Application state
+ * @param {string} wingId - Wing ID
+ * @returns {Object[]} Rooms sorted by room counter
+ */
+export function getRoomsInWing(state, wingId) {
+  const wingIds = getNestedWingIds(state, wingId)
+  return getAllRooms(state).filter(room => wingIds.includes(room.wingId))
+}
+
+/**
+ * Group every room by wing, for room pickers and compact listings
+ * Rooms whose wing no longer exists count as belonging to no wing
+ * @param {Object} state - Application state
+ * @returns {{wings: Object[], rooms: Object[]}} Top-level wing nodes ({wing, rooms, children}) and the rooms in no wing
+ */
+export function getRoomTree(state) {
+  const rooms = getAllRooms(state)
+  const wings = getAllWings(state)
+
+  const buildNode = (wing) => ({
+    wing,
+    rooms: rooms.filter(room => room.wingId === wing.id),
+    children: wings.filter(child => child.parentId === wing.id).map(buildNode)
+  })
+
+  return {
+    wings: wings.filter(wing => !state.wings.has(wing.parentId)).map(buildNode),
+    rooms: rooms.filter(room => !state.wings.has(room.wingId))
+  }
+}
+
+/**
+ * Describe a room tree in a few lines, with room names only, for prompts and spoken listings
+ * @param {Object} tree - From getRoomTree
+ * @param {string|null} [currentRoomId] - Room to mark as current
+ * @returns {string} One line per wing, indented by nesting, then the rooms in no wing
+ */
+export function describeRoomTree(tree, currentRoomId = null) {
+  const names = (rooms) => rooms.map(room => room.id === currentRoomId ? `${room.name} (current)` : room.name).join(', ')
+  const lines = []
+
+  const describeWing = (node, depth) => {
+    const rooms = node.rooms.length > 0 ? `: ${names(node.rooms)}` : node.children.length > 0 ? '' : ': no rooms yet'
+    lines.push(`${'  '.repeat(depth)}- ${node.wing.name}${rooms}`)
+    node.children.forEach(child => describeWing(child, depth + 1))
+  }
+
+  tree.wings.forEach(node => describeWing(node, 0))
+  if (tree.rooms.length > 0) {
+    lines.push(`- ${tree.wings.length > 0 ? 'Not in a wing' : 'Rooms'}: ${names(tree.rooms)}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Export a wing with its nested wings, rooms, objects and the doors between them
+ * Doors leading out of the wing are left out, since their rooms are not part of the export
+ * @param {Object} state - Application state
+ * @param {string} wingId - Wing ID to export
+ * @returns {Object|null} Exportable wing data
+ */
+export function exportWing(state, wingId) {
+  if (!state.wings.has(wingId)) return null
+
+  const wingIds = getNestedWingIds(state, wingId)
+  const rooms = getRoomsInWing(state, wingId)
+  const roomIds = new Set(rooms.map(room => room.id))
+  const objects = Array.from(state.objects.values()).filter(obj => roomIds.has(obj.roomId))
+  const objectIds = new Set(objects.map(obj => obj.id))
+
+  return {
+    format: 'palais-wing',
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    wingId,
+    wings: wingIds.map(id => state.wings.get(id)),
+    rooms,
+    objects,
+    connections: Array.from(state.connections.values())
+      .filter(conn => roomIds.has(conn.roomId) && roomIds.has(conn.targetRoomId)),
+    // Links to objects outside the wing are left behind
+    associations: Array.from(state.associations?.values() || [])
+      .filter(association => objectIds.has(association.sourceId) && objectIds.has(association.targetId))
+  }
+}
+
+/**
+ * Import an exported wing alongside the rooms already in the palace
+ * Everything gets new IDs, so the same wing can be imported more than once
+ * @param {Object} state - Application state
+ * @param {Object} wingData - Data from exportWing
+ * @param {Object} options - parentId to import it inside an existing wing
+ * @returns {Object} The imported top-level wing, all imported wings and rooms, and object/door counts
+ */
+export async function importWing(state, wingData, options = {}) {
+  if (wingData?.format !== 'palais-wing' || !Array.isArray(wingData.wings) ||
+      !wingData.wings.some(wing => wing.id === wingData.wingId)) {
+    throw new Error('Not a wing export')
+  }
+  if (wingData.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Wing export schema version ${wingData.schemaVersion} is newer than supported version ${CURRENT_SCHEMA_VERSION}`)
+  }
+  const parentId = options.parentId || null
+  if (parentId && !state.wings.has(parentId)) {
+    throw new Error(`Wing ${parentId} not found`)
+  }
+
+  const now = new Date().toISOString()
+  const wingIdMap = new Map(wingData.wings.map(wing => [wing.id, generateId()]))
+  const roomIdMap = new Map()
+  const objectIdMap = new Map()
+
+  const wings = wingData.wings.map(wing => {
+    const newWing = {
+      ...wing,
+      id: wingIdMap.get(wing.id),
+      userId: state.user.id,
+      parentId: wing.id === wingData.wingId ? parentId : wingIdMap.get(wing.parentId) || null,
+      createdAt: now,
+      updatedAt: now
+    }
+    state.wings.set(newWing.id, newWing)
+    return newWing
+  })
+
+  const rooms = (wingData.rooms || []).map(room => {
+    const roomCounter = state.user.roomCounter + 1
+    const newRoom = {
+      ...room,
+      id: generateId(),
+      userId: state.user.id,
+      // Local skybox copies stay behind; the room falls back to its image URL
+      imageId: null,
+      wingId: wingIdMap.get(room.wingId) || wingIdMap.get(wingData.wingId),
+      roomCounter,
+      createdAt: now,
+      updatedAt: now
+    }
+    roomIdMap.set(room.id, newRoom.id)
+    state.rooms.set(newRoom.id, newRoom)
+    state.user.roomCounter = roomCounter
+    return newRoom
+  })
+
+  const objects = (wingData.objects || []).filter(obj => roomIdMap.has(obj.roomId))
+  objects.forEach(obj => {
+    const objectCounter = state.user.objectCounter + 1
+    const newObject = {
+      ...obj,
+      id: generateId(),
+      roomId: roomIdMap.get(obj.roomId),
+      userId: state.user.id,
+      objectCounter,
+      createdAt: now,
+      updatedAt: now
+    }
+    objectIdMap.set(obj.id, newObject.id)
+    state.objects.set(newObject.id, newObject)
+    state.user.objectCounter = objectCounter
+  })
+
+  const connections = (wingData.connections || [])
+    .filter(conn => roomIdMap.has(conn.roomId) && roomIdMap.has(conn.targetRoomId))
+  connections.forEach(conn => {
+    const newConnection = {
+      ...conn,
+      id: generateId(),
+      roomId: roomIdMap.get(conn.roomId),
+      targetRoomId: roomIdMap.get(conn.targetRoomId),
+      userId: state.user.id,
+      createdAt: now
+    }
+    state.connections.set(newConnection.id, newConnection)
+  })
+
+  const associations = (wingData.associations || [])
+    .filter(association => objectIdMap.has(association.sourceId) && objectIdMap.has(association.targetId))
+  associations.forEach(association => {
+    const newAssociation = {
+      ...association,
+      id: `assoc_${generateId()}`,
+      sourceId: objectIdMap.get(association.sourceId),
+      targetId: objectIdMap.get(association.targetId),
+      createdAt: now
+    }
+    state.associations.set(newAssociation.id, newAssociation)
+  })
+
+  await saveState(state)
+
+  return {
+    wing: wings.find(wing => wing.id === wingIdMap.get(wingData.wingId)),
+    wings,
+    rooms,
+    objectCount: objects.length,
+    connectionCount: connections.length
+  }
+}
+
 /**
  * Apply initial configuration and ensure default room exists
  * @param {Object} state - Application state
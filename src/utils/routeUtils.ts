@@ -0,0 +1,172 @@
+/**
+ * Route Utilities
+ * Ordered memory-walk route through rooms and the objects (loci) within them
+ */
+
+import {
+  ApplicationState,
+  MemoryPalaceObject,
+  ObjectType,
+  Room,
+  WalkAction,
+  WalkRoute,
+  WalkStop
+} from '../types/index.js'
+import { saveState } from './stateUtils.js'
+
+/**
+ * Get the stored route, creating an empty one if needed
+ */
+function getStoredRoute(state: ApplicationState): WalkRoute {
+  if (!state.user.route) {
+    state.user.route = { roomOrder: [], objectOrder: {} }
+  }
+  return state.user.route
+}
+
+/**
+ * Order items by a stored id list; unlisted items follow in fallback order
+ */
+function applyOrder<T extends { id: string }>(items: T[], order: string[], fallback: (a: T, b: T) => number): T[] {
+  const byId = new Map(items.map(item => [item.id, item]))
+  const ordered = order
+    .filter(id => byId.has(id))
+    .map(id => byId.get(id) as T)
+  const listed = new Set(ordered.map(item => item.id))
+  const rest = items.filter(item => !listed.has(item.id)).sort(fallback)
+  return [...ordered, ...rest]
+}
+
+/**
+ * Get rooms in walk order
+ */
+export function getRouteRooms(state: ApplicationState): Room[] {
+  const route = getStoredRoute(state)
+  return applyOrder(
+    Array.from(state.rooms.values()),
+    route.roomOrder,
+    (a, b) => a.roomCounter - b.roomCounter
+  )
+}
+
+/**
+ * Get the loci of a room in walk order (doors are not loci)
+ */
+export function getRouteObjects(state: ApplicationState, roomId: string): MemoryPalaceObject[] {
+  const route = getStoredRoute(state)
+  const objects = Array.from(state.objects.values())
+    .filter(obj => obj.roomId === roomId && obj.type !== ObjectType.DOOR)
+  return applyOrder(
+    objects,
+    route.objectOrder[roomId] || [],
+    (a, b) => (a.objectCounter || 0) - (b.objectCounter || 0)
+  )
+}
+
+/**
+ * Flatten the route into the sequence of stops visited on a walk
+ */
+export function getWalkStops(state: ApplicationState): WalkStop[] {
+  const stops: WalkStop[] = []
+  for (const room of getRouteRooms(state)) {
+    for (const obj of getRouteObjects(state, room.id)) {
+      stops.push({
+        objectId: obj.id,
+        roomId: room.id,
+        name: obj.name,
+        information: obj.information || '',
+        position: obj.position
+      })
+    }
+  }
+  return stops
+}
+
+/**
+ * Set the order in which rooms are walked
+ */
+export async function setRoomOrder(state: ApplicationState, roomIds: string[]): Promise<Room[]> {
+  for (const roomId of roomIds) {
+    if (!state.rooms.has(roomId)) {
+      throw new Error(`Room ${roomId} not found`)
+    }
+  }
+
+  getStoredRoute(state).roomOrder = [...new Set(roomIds)]
+  await saveState(state)
+
+  return getRouteRooms(state)
+}
+
+/**
+ * Set the order in which the objects of a room are walked
+ */
+export async function setObjectOrder(
+  state: ApplicationState,
+  roomId: string,
+  objectIds: string[]
+): Promise<MemoryPalaceObject[]> {
+  if (!state.rooms.has(roomId)) {
+    throw new Error(`Room ${roomId} not found`)
+  }
+  for (const objectId of objectIds) {
+    if (state.objects.get(objectId)?.roomId !== roomId) {
+      throw new Error(`Object ${objectId} not found in room ${roomId}`)
+    }
+  }
+
+  getStoredRoute(state).objectOrder[roomId] = [...new Set(objectIds)]
+  await saveState(state)
+
+  return getRouteObjects(state, roomId)
+}
+
+/**
+ * Move a room to a new position in the walk
+ */
+export async function moveRouteRoom(state: ApplicationState, roomId: string, toIndex: number): Promise<Room[]> {
+  const ids = getRouteRooms(state).map(room => room.id)
+  return setRoomOrder(state, moveId(ids, roomId, toIndex))
+}
+
+/**
+ * Move an object to a new position within its room's walk
+ */
+export async function moveRouteObject(
+  state: ApplicationState,
+  objectId: string,
+  toIndex: number
+): Promise<MemoryPalaceObject[]> {
+  const roomId = state.objects.get(objectId)?.roomId
+  if (!roomId) {
+    throw new Error(`Object ${objectId} is not placed in a room`)
+  }
+  const ids = getRouteObjects(state, roomId).map(obj => obj.id)
+  return setObjectOrder(state, roomId, moveId(ids, objectId, toIndex))
+}
+
+function moveId(ids: string[], id: string, toIndex: number): string[] {
+  const from = ids.indexOf(id)
+  if (from === -1) {
+    throw new Error(`${id} is not on the route`)
+  }
+  const result = ids.filter(other => other !== id)
+  result.splice(Math.max(0, Math.min(result.length, toIndex)), 0, id)
+  return result
+}
+
+/**
+ * Recognise spoken walk controls such as "next locus" or "pause the walk"
+ */
+export function parseWalkCommand(text: string): WalkAction | null {
+  const input = text.toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim()
+
+  if (/^(start|begin)( the| a| my)?( memory)? walk$/.test(input)) return 'start'
+  if (/^(next|forward|skip)( locus| loci| object| stop| one)?$/.test(input)) return 'next'
+  if (/^(previous|back|go back|last)( locus| loci| object| stop| one)?$/.test(input)) return 'previous'
+  if (/^(pause|hold|wait)( the)?( walk)?$/.test(input)) return 'pause'
+  if (/^(resume|continue|play|carry on)( the)?( walk)?$/.test(input)) return 'resume'
+  if (/^(stop|end|finish)( the)?( memory)? walk$/.test(input)) return 'stop'
+
+  return null
+}
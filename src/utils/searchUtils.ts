@@ -0,0 +1,350 @@
+/**
+ * Search Utilities
+ * Ranked full-text search over rooms, objects and doors with typo tolerance and snippets
+ */
+
+import {
+  ApplicationState,
+  ObjectType,
+  SearchOptions,
+  SearchResult,
+  SearchResultKind,
+  Vector3
+} from '../types/index.js'
+
+const DEFAULT_LIMIT = 10
+const SNIPPET_LENGTH = 120
+const SNIPPET_LEAD = 40
+
+// Match quality for each way a query word can hit an indexed word
+const PREFIX_SIMILARITY = 0.75
+const FUZZY_SIMILARITY = [1, 0.6, 0.4]
+
+// Filler words ignored unless the query has nothing else ("where did I put the key?")
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'did', 'do', 'for', 'i', 'in', 'is', 'it', 'my',
+  'of', 'on', 'or', 'put', 'the', 'to', 'was', 'what', 'where', 'which', 'with'
+])
+
+interface Token {
+  term: string
+  start: number
+  end: number
+}
+
+interface IndexedField {
+  name: string
+  text: string
+  weight: number
+  tokens: Token[]
+}
+
+interface IndexedDocument {
+  key: string
+  id: string
+  kind: SearchResultKind
+  title: string
+  roomId: string | null
+  roomName: string | null
+  position: Vector3 | null
+  fields: IndexedField[]
+}
+
+/**
+ * Inverted index: term -> document key -> weighted term frequency
+ */
+export interface SearchIndex {
+  documents: Map<string, IndexedDocument>
+  postings: Map<string, Map<string, number>>
+}
+
+/**
+ * Lower-case, accent-folded word for matching
+ */
+export function normalizeTerm(word: string): string {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+/**
+ * Split text into words, keeping their positions in the original text
+ */
+export function tokenize(text: string): Token[] {
+  const tokens: Token[] = []
+  for (const match of (text || '').matchAll(/[\p{L}\p{N}]+/gu)) {
+    const start = match.index ?? 0
+    tokens.push({ term: normalizeTerm(match[0]), start, end: start + match[0].length })
+  }
+  return tokens
+}
+
+function createDocument(
+  kind: SearchResultKind,
+  id: string,
+  title: string,
+  roomId: string | null,
+  roomName: string | null,
+  position: Vector3 | null,
+  fields: Array<[string, string | undefined, number]>
+): IndexedDocument {
+  return {
+    key: `${kind}:${id}`,
+    id,
+    kind,
+    title,
+    roomId,
+    roomName,
+    position,
+    fields: fields
+      .filter(([, text]) => !!text)
+      .map(([name, text, weight]) => ({ name, text: text as string, weight, tokens: tokenize(text as string) }))
+  }
+}
+
+/**
+ * Index every room, object and door in the palace
+ */
+export function buildSearchIndex(state: ApplicationState): SearchIndex {
+  const documents = new Map<string, IndexedDocument>()
+  const roomName = (roomId: string | null) => (roomId ? state.rooms.get(roomId)?.name ?? null : null)
+
+  state.rooms.forEach(room => {
+    const doc = createDocument('room', room.id, room.name, room.id, room.name, null, [
+      ['name', room.name, 3],
+      ['description', room.description, 1]
+    ])
+    documents.set(doc.key, doc)
+  })
+
+  state.objects.forEach(object => {
+    if (object.roomId && !state.rooms.has(object.roomId)) return
+
+    const isDoor = object.type === ObjectType.DOOR
+    const doc = createDocument(
+      isDoor ? 'door' : 'object',
+      object.id,
+      object.name,
+      object.roomId,
+      object.roomId ? roomName(object.roomId) : 'Inventory',
+      object.roomId ? object.position : null,
+      [
+        ['name', object.name, 3],
+        ['information', object.information, 1.5],
+        ['mnemonic', isDoor ? undefined : object.mnemonic, 1],
+        ['description', isDoor ? object.description : undefined, 1]
+      ]
+    )
+    documents.set(doc.key, doc)
+  })
+
+  state.connections.forEach(connection => {
+    if (!state.rooms.has(connection.roomId)) return
+
+    const target = roomName(connection.targetRoomId)
+    const doc = createDocument(
+      'door',
+      connection.id,
+      connection.description || 'Door',
+      connection.roomId,
+      roomName(connection.roomId),
+      connection.position,
+      [
+        ['description', connection.description, 2],
+        ['destination', target ? `Leads to ${target}` : undefined, 0.5]
+      ]
+    )
+    documents.set(doc.key, doc)
+  })
+
+  const postings = new Map<string, Map<string, number>>()
+  documents.forEach(doc => {
+    doc.fields.forEach(field => {
+      field.tokens.forEach(({ term }) => {
+        const docs = postings.get(term) ?? new Map<string, number>()
+        docs.set(doc.key, (docs.get(doc.key) ?? 0) + field.weight)
+        postings.set(term, docs)
+      })
+    })
+  })
+
+  return { documents, postings }
+}
+
+/**
+ * Restricted Damerau-Levenshtein distance, giving up once it exceeds `maxDistance`
+ */
+export function editDistance(a: string, b: string, maxDistance: number): number {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1
+
+  let previousPrevious: number[] = []
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1)
+      }
+      current.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+    if (rowMin > maxDistance) return maxDistance + 1
+    previousPrevious = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Typos tolerated for a query word of this length
+ */
+export function allowedTypos(word: string): number {
+  if (word.length >= 8) return 2
+  if (word.length >= 4) return 1
+  return 0
+}
+
+/**
+ * Find indexed terms matching a query word: exactly, as a prefix, or within a few typos
+ */
+function matchTerms(index: SearchIndex, word: string): Map<string, number> {
+  const matches = new Map<string, number>()
+  const maxTypos = allowedTypos(word)
+
+  index.postings.forEach((_, term) => {
+    if (term === word) {
+      matches.set(term, 1)
+    } else if (word.length >= 2 && term.startsWith(word)) {
+      matches.set(term, PREFIX_SIMILARITY)
+    } else if (maxTypos > 0) {
+      const distance = editDistance(word, term, maxTypos)
+      if (distance <= maxTypos) {
+        matches.set(term, FUZZY_SIMILARITY[distance])
+      }
+    }
+  })
+
+  return matches
+}
+
+/**
+ * Query words to search for, dropping filler words when something more specific remains
+ */
+function getQueryTerms(query: string): string[] {
+  const terms = Array.from(new Set(tokenize(query).map(token => token.term)))
+  const meaningful = terms.filter(term => !STOPWORDS.has(term))
+  return meaningful.length > 0 ? meaningful : terms
+}
+
+/**
+ * Cut a snippet around the first matched word and locate every matched word within it
+ */
+function buildSnippet(field: IndexedField, matched: Set<string>): { snippet: string; highlights: Array<[number, number]> } {
+  const hits = field.tokens.filter(token => matched.has(token.term))
+  const first = hits[0]
+  const text = field.text
+
+  let start = 0
+  if (first && text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, first.start - SNIPPET_LEAD)
+    const wordStart = text.lastIndexOf(' ', start)
+    start = start === 0 || wordStart === -1 ? start : wordStart + 1
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH)
+
+  const prefix = start > 0 ? '…' : ''
+  const suffix = end < text.length ? '…' : ''
+  const offset = prefix.length - start
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: hits
+      .filter(token => token.start >= start && token.end <= end)
+      .map(token => [token.start + offset, token.end + offset] as [number, number])
+  }
+}
+
+/**
+ * Search the index, best matches first
+ */
+export function searchIndex(index: SearchIndex, query: string, options: SearchOptions = {}): SearchResult[] {
+  const { limit = DEFAULT_LIMIT, kinds } = options
+  const queryTerms = getQueryTerms(query)
+  if (queryTerms.length === 0) return []
+
+  const documentCount = Math.max(1, index.documents.size)
+  const normalizedQuery = tokenize(query).map(token => token.term).join(' ')
+
+  // Best score per document for each query word, and which indexed terms matched
+  const scores = new Map<string, number[]>()
+  const matchedTerms = new Map<string, Set<string>>()
+
+  queryTerms.forEach((word, wordIndex) => {
+    matchTerms(index, word).forEach((similarity, term) => {
+      const docs = index.postings.get(term)!
+      const idf = Math.log(1 + documentCount / docs.size)
+
+      docs.forEach((frequency, key) => {
+        const perWord = scores.get(key) ?? new Array(queryTerms.length).fill(0)
+        perWord[wordIndex] = Math.max(perWord[wordIndex], similarity * frequency * idf)
+        scores.set(key, perWord)
+
+        const terms = matchedTerms.get(key) ?? new Set<string>()
+        terms.add(term)
+        matchedTerms.set(key, terms)
+      })
+    })
+  })
+
+  const results: SearchResult[] = []
+  scores.forEach((perWord, key) => {
+    const doc = index.documents.get(key)!
+    if (kinds && !kinds.includes(doc.kind)) return
+
+    // Favour documents matching every query word, then exact phrases
+    const coverage = perWord.filter(score => score > 0).length / queryTerms.length
+    let score = perWord.reduce((sum, value) => sum + value, 0) * (0.25 + 0.75 * coverage * coverage)
+
+    const matched = matchedTerms.get(key)!
+    const bestField = doc.fields
+      .map(field => ({ field, hits: field.tokens.filter(token => matched.has(token.term)).length * field.weight }))
+      .sort((a, b) => b.hits - a.hits)[0]?.field ?? doc.fields[0]
+
+    if (queryTerms.length > 1 && doc.fields.some(field =>
+      field.tokens.map(token => token.term).join(' ').includes(normalizedQuery)
+    )) {
+      score *= 1.5
+    }
+
+    const { snippet, highlights } = bestField
+      ? buildSnippet(bestField, matched)
+      : { snippet: '', highlights: [] }
+
+    results.push({
+      id: doc.id,
+      kind: doc.kind,
+      title: doc.title,
+      roomId: doc.roomId,
+      roomName: doc.roomName,
+      field: bestField?.name ?? 'name',
+      snippet,
+      highlights,
+      score: Math.round(score * 1000) / 1000,
+      position: doc.position
+    })
+  })
+
+  return results
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, limit)
+}
+
+/**
+ * One-off search without keeping the index around
+ */
+export function searchPalace(state: ApplicationState, query: string, options: SearchOptions = {}): SearchResult[] {
+  return searchIndex(buildSearchIndex(state), query, options)
+}
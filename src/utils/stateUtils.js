@@ -3,17 +3,57 @@
  * Handles state persistence, serialization, and basic state operations
  */
 
+import { createStorageAdapter, toFullChanges } from '../services/StorageAdapters.js'
+import { CURRENT_SCHEMA_VERSION, getSchemaVersion, migrateStateData } from './migrationUtils.ts'
+
 /**
- * State keys for localStorage persistence
+ * State keys for persistence
  */
 export const StateKeys = {
   USER_STATE: 'user',
   ROOMS: 'rooms', 
   OBJECTS: 'objects',
   CONNECTIONS: 'connections',
+  REVIEWS: 'reviews',
+  WINGS: 'wings',
+  ASSOCIATIONS: 'associations',
+  TEMPLATES: 'templates',
+  QUIZ_STATS: 'quizStats',
+  PAO_TABLE: 'paoTable',
+  SCHEMA_VERSION: 'schemaVersion',
   CONVERSATION_HISTORY: 'conversationHistory'
 }
 
+/**
+ * State keys that are held in memory as Maps and persisted as plain objects
+ */
+export const MAP_COLLECTIONS = [
+  StateKeys.ROOMS,
+  StateKeys.OBJECTS,
+  StateKeys.CONNECTIONS,
+  StateKeys.REVIEWS,
+  StateKeys.WINGS,
+  StateKeys.ASSOCIATIONS,
+  StateKeys.TEMPLATES,
+  StateKeys.QUIZ_STATS,
+  StateKeys.PAO_TABLE
+]
+
+/**
+ * Create an empty, unpersisted state object
+ * @returns {Object} Empty state with all collections initialised
+ */
+export function createEmptyState() {
+  const state = {
+    user: null,
+    conversationHistory: []
+  }
+  MAP_COLLECTIONS.forEach(key => {
+    state[key] = new Map()
+  })
+  return state
+}
+
 /**
  * Generate a unique ID
  * @returns {string} Unique identifier
@@ -23,36 +63,226 @@ export function generateId() {
 }
 
 /**
- * Load state from localStorage
+ * Active storage adapter and a snapshot of what it currently holds,
+ * used to write only the records that changed
+ */
+let storageAdapter = null
+let persisted = createSnapshot()
+let writeQueue = Promise.resolve()
+
+function createSnapshot() {
+  return { collections: new Map(), values: new Map() }
+}
+
+function getStorageAdapter() {
+  if (!storageAdapter) {
+    storageAdapter = createStorageAdapter('localStorage', getAdapterOptions(null))
+  }
+  return storageAdapter
+}
+
+function getAdapterOptions(namespace) {
+  return { keys: Object.values(StateKeys), collections: MAP_COLLECTIONS, namespace }
+}
+
+/**
+ * The persistence type a palace may still be stored under after the setting changed
+ */
+function otherPersistenceType(type) {
+  return type === 'indexedDB' ? 'localStorage' : 'indexedDB'
+}
+
+/**
+ * Whether loaded data holds a palace worth keeping (rooms, not just the user record)
+ */
+function holdsPalace(data) {
+  return Object.keys(data[StateKeys.ROOMS] || {}).length > 0
+}
+
+/**
+ * Bring a palace over from the other backend when the persistence type has changed
+ * The palace moves only when the chosen backend has none of its own, and the old copy is
+ * removed only once the new one is written; if the write fails, the old backend stays in use
+ * @returns {Promise<Object>} The adapter holding the palace
+ */
+async function adoptStoredState(adapter, namespace) {
+  const otherType = otherPersistenceType(adapter.type)
+  const other = createStorageAdapter(otherType, getAdapterOptions(namespace))
+  if (!(await other.isAvailable())) return adapter
+
+  const data = await other.load()
+  if (!holdsPalace(data) || holdsPalace(await adapter.load())) {
+    await other.close()
+    return adapter
+  }
+
+  console.log(`[stateUtils] Moving palace state from ${otherType} to ${adapter.type}`)
+  try {
+    await adapter.clear()
+    await adapter.writeChanges(toFullChanges(data, MAP_COLLECTIONS))
+  } catch (error) {
+    console.error(`[stateUtils] Could not move palace state to ${adapter.type}, keeping ${otherType}:`, error)
+    // A half-written copy would otherwise be taken for the palace next time
+    await adapter.clear().catch(() => {})
+    await adapter.close()
+    return other
+  }
+
+  try {
+    await other.destroy()
+  } catch (error) {
+    console.warn(`[stateUtils] Palace state moved, but the ${otherType} copy could not be removed:`, error)
+    await other.close()
+  }
+  return adapter
+}
+
+/**
+ * Select the persistence backend, falling back to localStorage if it is unavailable
+ * A palace saved under the other backend is moved across, so changing the setting in either
+ * direction keeps the data
+ * @param {string} type - 'localStorage' or 'indexedDB'
+ * @param {string|null} [namespace] - Palace storage namespace (null for the default palace)
+ * @returns {string} The persistence type actually in use
+ */
+export async function configurePersistence(type = 'localStorage', namespace = null) {
+  let adapter = createStorageAdapter(type, getAdapterOptions(namespace))
+
+  if (!(await adapter.isAvailable())) {
+    console.warn(`[stateUtils] ${type} persistence unavailable, falling back to localStorage`)
+    adapter = createStorageAdapter('localStorage', getAdapterOptions(namespace))
+  } else {
+    adapter = await adoptStoredState(adapter, namespace)
+  }
+
+  // Finish writing to the outgoing palace, then let go of its database
+  await writeQueue
+  const previous = storageAdapter
+  setStorageAdapter(adapter)
+  await previous?.close?.()
+  return adapter.type
+}
+
+/**
+ * Load a palace's stored state from whichever backend holds it: the active one, or the other
+ * one for a palace that has not been opened (and so moved over) since the setting changed
+ * @private
+ */
+async function loadStoredPalace(namespace) {
+  const type = getStorageAdapter().type
+  const adapter = createStorageAdapter(type, getAdapterOptions(namespace))
+  const data = await adapter.load()
+  await adapter.close()
+  if (holdsPalace(data)) return data
+
+  const other = createStorageAdapter(otherPersistenceType(type), getAdapterOptions(namespace))
+  if (!(await other.isAvailable())) return data
+  try {
+    const otherData = await other.load()
+    return holdsPalace(otherData) ? otherData : data
+  } finally {
+    await other.close()
+  }
+}
+
+/**
+ * Copy everything stored under one palace namespace into another, using the active backend
+ * Queued writes are flushed first so the copy includes them
+ * @param {string|null} fromNamespace - Source palace namespace
+ * @param {string|null} toNamespace - Target palace namespace
+ */
+export async function copyStoredState(fromNamespace, toNamespace) {
+  await writeQueue
+  const data = await loadStoredPalace(fromNamespace)
+  const target = createStorageAdapter(getStorageAdapter().type, getAdapterOptions(toNamespace))
+
+  try {
+    await target.writeChanges(toFullChanges(data, MAP_COLLECTIONS))
+  } finally {
+    await target.close()
+  }
+}
+
+/**
+ * Delete everything stored under a palace namespace, from both backends, since a palace
+ * not opened since the setting changed is still in the other one
+ * @param {string|null} namespace - Palace namespace to delete
+ */
+export async function deleteStoredState(namespace) {
+  const type = getStorageAdapter().type
+  await createStorageAdapter(type, getAdapterOptions(namespace)).destroy()
+
+  const other = createStorageAdapter(otherPersistenceType(type), getAdapterOptions(namespace))
+  if (await other.isAvailable()) {
+    await other.destroy()
+  }
+}
+
+/**
+ * Use a specific storage adapter (resets the record snapshot)
+ * @param {Object} adapter - Object implementing load, writeChanges and clear
+ */
+export function setStorageAdapter(adapter) {
+  storageAdapter = adapter
+  persisted = createSnapshot()
+}
+
+/**
+ * Wait for queued writes to reach the storage backend
+ */
+export function flushState() {
+  return writeQueue
+}
+
+/**
+ * Load state from the storage backend
+ * Stored data from an older schema is migrated and written back
  * @returns {Object} Loaded state object
  */
 export async function loadState() {
-  const state = {
-    user: null,
-    rooms: new Map(),
-    objects: new Map(), 
-    connections: new Map(),
-    conversationHistory: []
-  }
+  let state = createEmptyState()
+  persisted = createSnapshot()
 
   try {
-    const keys = Object.values(StateKeys)
-    
-    keys.forEach(key => {
-      const stored = localStorage.getItem(`palais_${key}`)
-      if (stored) {
-        try {
-          const parsed = JSON.parse(stored)
-          if (key === 'rooms' || key === 'objects' || key === 'connections') {
-            state[key] = new Map(Object.entries(parsed))
-          } else {
-            state[key] = parsed
-          }
-        } catch (error) {
-          console.warn(`Failed to parse stored state for ${key}:`, error)
-        }
+    const stored = await getStorageAdapter().load()
+
+    Object.values(StateKeys).forEach(key => {
+      const value = stored[key]
+      if (value === undefined || value === null) return
+
+      if (MAP_COLLECTIONS.includes(key)) {
+        persisted.collections.set(key, new Map(
+          Object.entries(value).map(([id, record]) => [id, JSON.stringify(record)])
+        ))
+      } else {
+        persisted.values.set(key, JSON.stringify(value))
       }
     })
+
+    // Nothing stored yet - a fresh palace starts at the current schema
+    if (Object.keys(stored).length === 0) {
+      return state
+    }
+
+    let data = stored
+    let migrated = false
+    try {
+      const result = migrateStateData(stored)
+      data = result.data
+      migrated = result.applied.length > 0
+      if (migrated) {
+        console.log(`[stateUtils] Migrated palace state from schema v${result.fromVersion} to v${result.toVersion}`)
+      }
+    } catch (error) {
+      // Written by a newer build - load as-is rather than discard it
+      console.warn('[stateUtils] Loading state without migration:', error.message)
+    }
+
+    state = deserializeState(data)
+
+    if (migrated) {
+      await saveState(state)
+    }
   } catch (error) {
     console.error('Failed to load state:', error)
   }
@@ -61,24 +291,132 @@ export async function loadState() {
 }
 
 /**
- * Save state to localStorage
+ * Convert serialized state data into in-memory state with Map collections
+ * @param {Object} data - Plain state data keyed by state key
+ * @returns {Object} State object
+ */
+function deserializeState(data) {
+  const state = createEmptyState()
+
+  Object.values(StateKeys).forEach(key => {
+    const value = data[key]
+    if (value === undefined || value === null) return
+
+    state[key] = MAP_COLLECTIONS.includes(key)
+      ? new Map(Object.entries(value))
+      : value
+  })
+
+  return state
+}
+
+/**
+ * Undo a failed write's effect on the snapshot, so the next save retries its puts and deletes
+ * Each entry keeps its JSON wrapped: it then matches no record, so the next save puts the
+ * record again, or deletes it if it is gone by then
+ * @private
+ */
+function markUnpersisted(snapshot, changes) {
+  const wrap = entry => (typeof entry === 'object' && entry !== null ? entry : { unpersisted: entry ?? null })
+
+  Object.entries(changes.collections).forEach(([key, { put, delete: deleted }]) => {
+    if (!snapshot.collections.has(key)) {
+      snapshot.collections.set(key, new Map())
+    }
+    const records = snapshot.collections.get(key)
+    Object.keys(put).concat(deleted).forEach(id => records.set(id, wrap(records.get(id))))
+  })
+  Object.keys(changes.values).forEach(key => snapshot.values.set(key, wrap(snapshot.values.get(key))))
+}
+
+/**
+ * The JSON a snapshot entry last saw in memory, whether or not it reached storage
+ * @private
+ */
+function snapshotJson(entry) {
+  if (typeof entry === 'object' && entry !== null) return entry.unpersisted
+  return entry ?? null
+}
+
+const changeObservers = new Set()
+
+/**
+ * Be told about every record a save changes, as found by its diff against the snapshot
+ * @param {Function} observer - Called with ({ collection, id, before, after }, state); before and after are JSON or null
+ * @returns {Function} Stops observing
+ */
+export function observeSavedChanges(observer) {
+  changeObservers.add(observer)
+  return () => {
+    changeObservers.delete(observer)
+  }
+}
+
+function reportChange(state, collection, id, before, after) {
+  changeObservers.forEach(observer => observer({ collection, id, before: snapshotJson(before), after }, state))
+}
+
+/**
+ * Save state to the storage backend
+ * Only records that changed since the last save are written
  * @param {Object} state - State object to save
  * @param {string} [specificKey] - Optional specific key to save
  */
 export async function saveState(state, specificKey = null) {
   try {
     const keysToSave = specificKey ? [specificKey] : Object.values(StateKeys)
-    
+    const changes = { collections: {}, values: {} }
+    let hasChanges = false
+
     keysToSave.forEach(key => {
       const value = state[key]
-      if (value !== undefined) {
-        let serializable = value
-        if (value instanceof Map) {
-          serializable = Object.fromEntries(value)
+      if (value === undefined) return
+
+      if (MAP_COLLECTIONS.includes(key) && value instanceof Map) {
+        const previous = persisted.collections.get(key) || new Map()
+        const next = new Map()
+        const put = {}
+
+        value.forEach((record, id) => {
+          const json = JSON.stringify(record)
+          next.set(id, json)
+          if (previous.get(id) !== json) {
+            put[id] = record
+            reportChange(state, key, id, previous.get(id), json)
+          }
+        })
+        const deleted = Array.from(previous.keys()).filter(id => !next.has(id))
+        deleted.forEach(id => reportChange(state, key, id, previous.get(id), null))
+
+        persisted.collections.set(key, next)
+        if (Object.keys(put).length > 0 || deleted.length > 0) {
+          changes.collections[key] = { put, delete: deleted }
+          hasChanges = true
+        }
+      } else {
+        const json = JSON.stringify(value)
+        if (persisted.values.get(key) !== json) {
+          reportChange(state, key, key, persisted.values.get(key), json)
+          persisted.values.set(key, json)
+          changes.values[key] = value
+          hasChanges = true
         }
-        localStorage.setItem(`palais_${key}`, JSON.stringify(serializable))
       }
     })
+
+    if (!hasChanges) return
+
+    const adapter = getStorageAdapter()
+    const snapshot = persisted
+    writeQueue = writeQueue
+      .then(() => adapter.writeChanges(changes))
+      .catch(error => {
+        console.error('Failed to save state:', error)
+        if (persisted === snapshot) {
+          markUnpersisted(snapshot, changes)
+        }
+      })
+    await writeQueue
   } catch (error) {
     console.error('Failed to save state:', error)
   }
@@ -98,6 +436,8 @@ export function ensureDefaultState(state) {
       roomCounter: 0,
       objectCounter: 0,
       inventory: [],
+      route: { roomOrder: [], objectOrder: {} },
+      mapLayout: {},
       settings: {}
     }
   }
@@ -112,9 +452,23 @@ export function ensureDefaultState(state) {
     state.user.inventory = []
   }
 
+  // Ensure memory-walk route exists
+  if (!state.user.route) {
+    state.user.route = { roomOrder: [], objectOrder: {} }
+  }
+
+  // Ensure hand-placed map positions exist
+  if (!state.user.mapLayout) {
+    state.user.mapLayout = {}
+  }
+
+  // Unversioned in-memory state is already in the current shape
+  if (!state.schemaVersion) {
+    state.schemaVersion = CURRENT_SCHEMA_VERSION
+  }
+
   // Initialize collections if not exist
-  const collections = ['rooms', 'objects', 'connections']
-  collections.forEach(key => {
+  MAP_COLLECTIONS.forEach(key => {
     if (!state[key]) {
       state[key] = new Map()
     } else if (!(state[key] instanceof Map)) {
@@ -132,13 +486,13 @@ export function ensureDefaultState(state) {
 }
 
 /**
- * Clear all state from localStorage
+ * Clear all state from the storage backend
  */
 export async function clearState() {
   try {
-    Object.values(StateKeys).forEach(key => {
-      localStorage.removeItem(`palais_${key}`)
-    })
+    await writeQueue
+    persisted = createSnapshot()
+    await getStorageAdapter().clear()
   } catch (error) {
     console.error('Failed to clear state:', error)
   }
@@ -165,6 +519,7 @@ export function exportState(state) {
   
   return {
     version: '0.1.0',
+    schemaVersion: exportData.schemaVersion ?? CURRENT_SCHEMA_VERSION,
     exportedAt: new Date().toISOString(),
     data: exportData
   }
@@ -172,28 +527,21 @@ export function exportState(state) {
 
 /**
  * Import state from backup
+ * Exports from an older schema are migrated before import
  * @param {Object} importData - State data to import
  * @returns {Object} Imported state object
+ * @throws {Error} If the export was written by a newer schema version
  */
 export function importState(importData) {
-  const state = {
-    user: null,
-    rooms: new Map(),
-    objects: new Map(),
-    connections: new Map(), 
-    conversationHistory: []
-  }
+  const data = importData.data || importData
+  const fromVersion = getSchemaVersion({ schemaVersion: importData.schemaVersion ?? data.schemaVersion })
+  let state = createEmptyState()
+
+  // Version checks run outside the try so a too-new export fails loudly
+  const { data: migrated } = migrateStateData(data, fromVersion)
 
   try {
-    const data = importData.data || importData
-    
-    Object.entries(data).forEach(([key, value]) => {
-      if (key === 'rooms' || key === 'objects' || key === 'connections') {
-        state[key] = new Map(Object.entries(value || {}))
-      } else {
-        state[key] = value
-      }
-    })
+    state = deserializeState(migrated)
   } catch (error) {
     console.error('Failed to import state:', error)
   }
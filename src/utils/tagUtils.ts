@@ -0,0 +1,161 @@
+/**
+ * Tag Utilities
+ * User-defined tags and marker colors on memory objects, alongside the
+ * name-based categories from objectUtils.classifyObject
+ *
+ * Tags are stored lowercase without a leading '#', so "#French Verbs" and
+ * "french verbs" are the same tag.
+ */
+
+import {
+  ApplicationState,
+  MemoryObject,
+  MemoryPalaceObject,
+  TagCount,
+  isMemoryObject
+} from '../types/index.js'
+import { saveState } from './stateUtils.js'
+
+// Named colors offered by the tag editor, as marker hex colors
+export const TAG_COLORS: Record<string, string> = {
+  red: '#e5534b',
+  orange: '#f0883e',
+  yellow: '#e3b341',
+  green: '#57ab5a',
+  blue: '#539bf5',
+  purple: '#b083f0',
+  pink: '#e275ad',
+  gray: '#909dab'
+}
+
+const MAX_TAG_LENGTH = 40
+
+/**
+ * Normalize a tag: trimmed, lowercase, without a leading '#' and with single spaces
+ * Returns an empty string for tags with nothing left
+ */
+export function normalizeTag(tag: string): string {
+  return String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH)
+}
+
+/**
+ * Normalize a list of tags, dropping empty ones and duplicates
+ * A single string may hold several tags separated by commas
+ */
+export function normalizeTags(tags: string | string[] | null | undefined): string[] {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',')
+  const normalized = list.map(normalizeTag).filter(Boolean)
+  return Array.from(new Set(normalized))
+}
+
+/**
+ * Normalize a marker color: a named color or a hex color like #39f or #3399ff
+ * Returns null when the color is cleared
+ * @throws If the color is neither
+ */
+export function normalizeColor(color: string | null | undefined): string | null {
+  if (color === null || color === undefined) return null
+  const value = String(color).trim().toLowerCase()
+  if (!value || value === 'none') return null
+
+  if (TAG_COLORS[value]) {
+    return TAG_COLORS[value]
+  }
+  const short = value.match(/^#?([0-9a-f])([0-9a-f])([0-9a-f])$/)
+  if (short) {
+    return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`
+  }
+  const long = value.match(/^#?([0-9a-f]{6})$/)
+  if (long) {
+    return `#${long[1]}`
+  }
+  throw new Error(`Invalid color "${color}". Use a hex color or one of: ${Object.keys(TAG_COLORS).join(', ')}`)
+}
+
+/**
+ * Get the tags on an object; doors have none
+ */
+export function getObjectTags(object: MemoryPalaceObject | null | undefined): string[] {
+  return object && isMemoryObject(object) ? object.tags || [] : []
+}
+
+/**
+ * Whether an object carries any of the given tags
+ * An empty filter matches every object
+ */
+export function matchesTags(object: MemoryPalaceObject, tags: string[]): boolean {
+  const wanted = normalizeTags(tags)
+  if (wanted.length === 0) return true
+  const objectTags = getObjectTags(object)
+  return wanted.some(tag => objectTags.includes(tag))
+}
+
+/**
+ * Add and remove tags on an object, and optionally change its marker color
+ * Pass color null to clear it; leave it undefined to keep the current one
+ * @throws If the object doesn't exist or is a door
+ */
+export async function tagObject(
+  state: ApplicationState,
+  objectId: string,
+  changes: { add?: string | string[], remove?: string | string[], color?: string | null } = {}
+): Promise<MemoryObject> {
+  const object = state.objects.get(objectId)
+  if (!object) {
+    throw new Error(`Object ${objectId} not found`)
+  }
+  if (!isMemoryObject(object)) {
+    throw new Error(`"${object.name}" is a door and cannot be tagged`)
+  }
+
+  const removed = new Set(normalizeTags(changes.remove))
+  const tags = normalizeTags([...(object.tags || []), ...normalizeTags(changes.add)])
+    .filter(tag => !removed.has(tag))
+  const color = changes.color === undefined ? object.color ?? null : normalizeColor(changes.color)
+
+  const updated: MemoryObject = {
+    ...object,
+    tags,
+    color,
+    updatedAt: new Date().toISOString()
+  }
+  state.objects.set(objectId, updated)
+  await saveState(state)
+  return updated
+}
+
+/**
+ * Count how many objects carry each tag, most used first
+ * @param roomId - Only count objects in this room
+ */
+export function getAllTags(state: ApplicationState, roomId: string | null = null): TagCount[] {
+  const counts = new Map<string, number>()
+  state.objects.forEach(object => {
+    if (roomId && object.roomId !== roomId) return
+    getObjectTags(object).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+  })
+
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+}
+
+/**
+ * Get the objects carrying a tag, across the palace or in one room
+ */
+export function getObjectsByTag(state: ApplicationState, tag: string, roomId: string | null = null): MemoryObject[] {
+  const wanted = normalizeTag(tag)
+  if (!wanted) return []
+
+  return Array.from(state.objects.values())
+    .filter((object): object is MemoryObject =>
+      isMemoryObject(object) &&
+      (!roomId || object.roomId === roomId) &&
+      getObjectTags(object).includes(wanted)
+    )
+}
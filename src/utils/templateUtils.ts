@@ -0,0 +1,151 @@
+/**
+ * Room Template Utilities
+ * A library of room layouts (skybox plus named loci) to build new rooms from
+ *
+ * A template keeps where each object sits and what it is called; its information is
+ * only kept when asked for, so a "chapter room" can be reused for every chapter.
+ */
+
+import {
+  ApplicationState,
+  MemoryObject,
+  ObjectType,
+  Room,
+  RoomTemplate,
+  TemplateLocus,
+  isMemoryObject
+} from '../types/index.js'
+import { generateId, saveState } from './stateUtils.js'
+import { importRoom } from './roomUtils.js'
+
+export interface SaveTemplateOptions {
+  name?: string | null
+  includeInformation?: boolean
+}
+
+export interface TemplateRoomOptions {
+  name?: string | null
+  description?: string | null
+  wingId?: string | null
+}
+
+/**
+ * Save a room's skybox and loci as a template
+ * Saving under the name of an existing template (any case) replaces it
+ * @throws If the room doesn't exist
+ */
+export async function saveRoomTemplate(
+  state: ApplicationState,
+  roomId: string,
+  options: SaveTemplateOptions = {}
+): Promise<RoomTemplate> {
+  const room = state.rooms.get(roomId)
+  if (!room) {
+    throw new Error(`Room ${roomId} not found`)
+  }
+
+  const name = options.name?.trim() || room.name
+  const loci: TemplateLocus[] = Array.from(state.objects.values())
+    .filter((obj): obj is MemoryObject => obj.roomId === roomId && isMemoryObject(obj))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(obj => ({
+      name: obj.name,
+      information: options.includeInformation ? obj.information : '',
+      position: { ...obj.position },
+      tags: obj.tags ? [...obj.tags] : [],
+      color: obj.color ?? null
+    }))
+
+  const existing = findRoomTemplate(state, name, { exact: true })
+  const now = new Date().toISOString()
+  const template: RoomTemplate = {
+    id: existing?.id || `tpl_${generateId()}`,
+    name,
+    description: room.description,
+    imageUrl: room.imageUrl,
+    imageId: room.imageId || null,
+    loci,
+    sourceRoomId: room.id,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  }
+
+  state.templates.set(template.id, template)
+  await saveState(state)
+  return template
+}
+
+/**
+ * Remove a template from the library; rooms built from it are untouched
+ * @throws If the template doesn't exist
+ */
+export async function deleteRoomTemplate(state: ApplicationState, templateId: string): Promise<RoomTemplate> {
+  const template = state.templates.get(templateId)
+  if (!template) {
+    throw new Error(`Template ${templateId} not found`)
+  }
+
+  state.templates.delete(templateId)
+  await saveState(state)
+  return template
+}
+
+/**
+ * All templates, by name
+ */
+export function getRoomTemplates(state: ApplicationState): RoomTemplate[] {
+  return Array.from(state.templates?.values() || [])
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Find a template by name, exact match first and then partial unless `exact` is set
+ */
+export function findRoomTemplate(
+  state: ApplicationState,
+  name: string,
+  options: { exact?: boolean } = {}
+): RoomTemplate | null {
+  const lowerName = name.trim().toLowerCase()
+  const templates = getRoomTemplates(state)
+
+  return templates.find(template => template.name.toLowerCase() === lowerName) ||
+    (options.exact ? null : templates.find(template => template.name.toLowerCase().includes(lowerName))) ||
+    null
+}
+
+/**
+ * Build a new room from a template, with an object at each locus
+ * The room shares the template's skybox, so no image is generated
+ * @throws If the template doesn't exist
+ */
+export async function createRoomFromTemplate(
+  state: ApplicationState,
+  templateId: string,
+  options: TemplateRoomOptions = {}
+): Promise<Room> {
+  const template = state.templates.get(templateId)
+  if (!template) {
+    throw new Error(`Template ${templateId} not found`)
+  }
+
+  const roomId = await importRoom(state, {
+    room: {
+      name: options.name?.trim() || template.name,
+      description: options.description?.trim() || template.description,
+      imageUrl: template.imageUrl,
+      imageId: template.imageId || null,
+      wingId: options.wingId || null
+    },
+    objects: template.loci.map(locus => ({
+      type: ObjectType.OBJECT,
+      name: locus.name,
+      information: locus.information,
+      position: { ...locus.position },
+      tags: [...(locus.tags || [])],
+      color: locus.color ?? null
+    })),
+    connections: []
+  })
+  return state.rooms.get(roomId) as Room
+}
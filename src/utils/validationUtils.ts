@@ -0,0 +1,183 @@
+/**
+ * Validation Utilities
+ * Structural checks over palace state and repair of what they find
+ */
+
+import {
+  ApplicationState,
+  ObjectType,
+  Position3D,
+  StateIssue,
+  StateIssueType,
+  StateRepairResult,
+  StateValidationReport
+} from '../types/index.js'
+import { saveState } from './stateUtils.js'
+import { generateDefaultPosition } from './objectUtils.js'
+
+function hasValidPosition(position: Partial<Position3D> | null | undefined): boolean {
+  return !!position && [position.x, position.y, position.z].every(value => Number.isFinite(value))
+}
+
+/**
+ * Check palace state for orphaned objects, doors leading nowhere and missing positions
+ */
+export function validateState(state: ApplicationState): StateValidationReport {
+  const issues: StateIssue[] = []
+  const inventory = state.user?.inventory || []
+
+  state.objects.forEach((object, id) => {
+    const name = object.name || id
+
+    if (object.roomId && !state.rooms.has(object.roomId)) {
+      issues.push({
+        type: 'orphaned_object',
+        collection: 'objects',
+        id,
+        name,
+        message: `Object "${name}" belongs to missing room ${object.roomId}`
+      })
+    } else if (!object.roomId && !inventory.includes(id)) {
+      issues.push({
+        type: 'orphaned_object',
+        collection: 'objects',
+        id,
+        name,
+        message: `Object "${name}" is not in any room or the inventory`
+      })
+    } else if (object.roomId && !hasValidPosition(object.position)) {
+      issues.push({
+        type: 'missing_position',
+        collection: 'objects',
+        id,
+        name,
+        message: `Object "${name}" has no valid position`
+      })
+    }
+
+    if (object.type === ObjectType.DOOR && object.targetRoomId && !state.rooms.has(object.targetRoomId)) {
+      issues.push({
+        type: 'dangling_target',
+        collection: 'objects',
+        id,
+        name,
+        message: `Door "${name}" leads to missing room ${object.targetRoomId}`
+      })
+    }
+  })
+
+  state.connections.forEach((connection, id) => {
+    const name = connection.description || id
+
+    if (!state.rooms.has(connection.roomId)) {
+      issues.push({
+        type: 'orphaned_connection',
+        collection: 'connections',
+        id,
+        name,
+        message: `Door "${name}" is in missing room ${connection.roomId}`
+      })
+    } else if (!state.rooms.has(connection.targetRoomId)) {
+      issues.push({
+        type: 'dangling_target',
+        collection: 'connections',
+        id,
+        name,
+        message: `Door "${name}" leads to missing room ${connection.targetRoomId}`
+      })
+    } else if (!hasValidPosition(connection.position)) {
+      issues.push({
+        type: 'missing_position',
+        collection: 'connections',
+        id,
+        name,
+        message: `Door "${name}" has no valid position`
+      })
+    }
+  })
+
+  const counts: Record<StateIssueType, number> = {
+    orphaned_object: 0,
+    orphaned_connection: 0,
+    dangling_target: 0,
+    missing_position: 0
+  }
+  issues.forEach(issue => {
+    counts[issue.type]++
+  })
+
+  return {
+    valid: issues.length === 0,
+    checkedAt: new Date().toISOString(),
+    issues,
+    counts
+  }
+}
+
+/**
+ * Repair the issues in a validation report:
+ * orphaned objects go to the inventory, doors into missing rooms are removed,
+ * doors to missing rooms are removed or flagged for reconfiguration,
+ * and missing positions are regenerated
+ */
+export async function repairState(
+  state: ApplicationState,
+  report: StateValidationReport = validateState(state)
+): Promise<StateRepairResult> {
+  const actions: string[] = []
+  const now = new Date().toISOString()
+
+  report.issues.forEach(issue => {
+    if (issue.collection === 'objects') {
+      const object = state.objects.get(issue.id)
+      if (!object) return
+
+      switch (issue.type) {
+        case 'orphaned_object':
+          object.roomId = null
+          if (!state.user.inventory.includes(issue.id)) {
+            state.user.inventory.push(issue.id)
+          }
+          actions.push(`Moved "${issue.name}" to the inventory`)
+          break
+        case 'dangling_target':
+          if (object.type === ObjectType.DOOR) {
+            object.targetRoomId = ''
+            object.needsConfiguration = true
+            actions.push(`Door "${issue.name}" now needs a destination`)
+          }
+          break
+        case 'missing_position':
+          if (object.roomId) {
+            object.position = generateDefaultPosition(state, object.roomId)
+            actions.push(`Placed "${issue.name}" at a new position`)
+          }
+          break
+      }
+      object.updatedAt = now
+      return
+    }
+
+    const connection = state.connections.get(issue.id)
+    if (!connection) return
+
+    switch (issue.type) {
+      case 'orphaned_connection':
+      case 'dangling_target':
+        state.connections.delete(issue.id)
+        actions.push(`Removed door "${issue.name}"`)
+        break
+      case 'missing_position':
+        connection.position = generateDefaultPosition(state, connection.roomId)
+        connection.updatedAt = now
+        actions.push(`Placed door "${issue.name}" at a new position`)
+        break
+    }
+  })
+
+  if (actions.length > 0) {
+    await saveState(state)
+  }
+
+  return { repaired: actions.length, actions }
+}
@@ -0,0 +1,205 @@
+/**
+ * ZIP Utilities
+ * Minimal ZIP archive writer and reader for palace bundles
+ *
+ * Entries are written uncompressed since skybox images are already compressed;
+ * the reader also accepts deflated entries where the browser offers DecompressionStream.
+ */
+
+export interface ZipEntry {
+  name: string
+  data: Uint8Array | string
+  modifiedAt?: Date
+}
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50
+const LOCAL_HEADER_SIZE = 30
+const CENTRAL_HEADER_SIZE = 46
+const END_OF_DIRECTORY_SIZE = 22
+const MAX_COMMENT_LENGTH = 0xffff
+
+const VERSION = 20
+const UTF8_NAMES_FLAG = 0x0800
+const METHOD_STORE = 0
+const METHOD_DEFLATE = 8
+
+let crcTable: Uint32Array | null = null
+
+/**
+ * CRC-32 checksum as used by ZIP
+ */
+export function crc32(bytes: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      crcTable[n] = c >>> 0
+    }
+  }
+
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * MS-DOS time and date words stored in ZIP headers
+ */
+function toDosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(1980, date.getFullYear())
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Pack entries into an uncompressed ZIP archive
+ */
+export function createZip(entries: ZipEntry[]): Uint8Array {
+  const encoder = new TextEncoder()
+  const files = entries.map(entry => {
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data
+    return {
+      name: encoder.encode(entry.name),
+      data,
+      crc: crc32(data),
+      stamp: toDosDateTime(entry.modifiedAt || new Date()),
+      offset: 0
+    }
+  })
+
+  const dataSize = files.reduce((sum, file) => sum + LOCAL_HEADER_SIZE + file.name.length + file.data.length, 0)
+  const directorySize = files.reduce((sum, file) => sum + CENTRAL_HEADER_SIZE + file.name.length, 0)
+  const output = new Uint8Array(dataSize + directorySize + END_OF_DIRECTORY_SIZE)
+  const view = new DataView(output.buffer)
+  let cursor = 0
+
+  files.forEach(file => {
+    file.offset = cursor
+    view.setUint32(cursor, LOCAL_HEADER_SIGNATURE, true)
+    view.setUint16(cursor + 4, VERSION, true)
+    view.setUint16(cursor + 6, UTF8_NAMES_FLAG, true)
+    view.setUint16(cursor + 8, METHOD_STORE, true)
+    view.setUint16(cursor + 10, file.stamp.time, true)
+    view.setUint16(cursor + 12, file.stamp.date, true)
+    view.setUint32(cursor + 14, file.crc, true)
+    view.setUint32(cursor + 18, file.data.length, true)
+    view.setUint32(cursor + 22, file.data.length, true)
+    view.setUint16(cursor + 26, file.name.length, true)
+    view.setUint16(cursor + 28, 0, true)
+    output.set(file.name, cursor + LOCAL_HEADER_SIZE)
+    output.set(file.data, cursor + LOCAL_HEADER_SIZE + file.name.length)
+    cursor += LOCAL_HEADER_SIZE + file.name.length + file.data.length
+  })
+
+  const directoryOffset = cursor
+  files.forEach(file => {
+    view.setUint32(cursor, CENTRAL_HEADER_SIGNATURE, true)
+    view.setUint16(cursor + 4, VERSION, true)
+    view.setUint16(cursor + 6, VERSION, true)
+    view.setUint16(cursor + 8, UTF8_NAMES_FLAG, true)
+    view.setUint16(cursor + 10, METHOD_STORE, true)
+    view.setUint16(cursor + 12, file.stamp.time, true)
+    view.setUint16(cursor + 14, file.stamp.date, true)
+    view.setUint32(cursor + 16, file.crc, true)
+    view.setUint32(cursor + 20, file.data.length, true)
+    view.setUint32(cursor + 24, file.data.length, true)
+    view.setUint16(cursor + 28, file.name.length, true)
+    view.setUint32(cursor + 42, file.offset, true)
+    output.set(file.name, cursor + CENTRAL_HEADER_SIZE)
+    cursor += CENTRAL_HEADER_SIZE + file.name.length
+  })
+
+  view.setUint32(cursor, END_OF_DIRECTORY_SIGNATURE, true)
+  view.setUint16(cursor + 8, files.length, true)
+  view.setUint16(cursor + 10, files.length, true)
+  view.setUint32(cursor + 12, directorySize, true)
+  view.setUint32(cursor + 16, directoryOffset, true)
+
+  return output
+}
+
+/**
+ * Inflate a raw deflate stream with the browser's DecompressionStream
+ */
+async function inflateRaw(data: Uint8Array): Promise<Uint8Array> {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Compressed ZIP entries are not supported in this browser')
+  }
+  const stream = new Blob([data as BlobPart]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Unpack a ZIP archive into a map of file name to contents
+ * @throws If the archive is malformed, uses an unsupported method or fails its checksums
+ */
+export async function readZip(bytes: Uint8Array): Promise<Map<string, Uint8Array>> {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  let end = -1
+  const earliest = Math.max(0, bytes.length - END_OF_DIRECTORY_SIZE - MAX_COMMENT_LENGTH)
+  for (let i = bytes.length - END_OF_DIRECTORY_SIZE; i >= earliest; i--) {
+    if (view.getUint32(i, true) === END_OF_DIRECTORY_SIGNATURE) {
+      end = i
+      break
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive')
+  }
+
+  const decoder = new TextDecoder()
+  const files = new Map<string, Uint8Array>()
+  const count = view.getUint16(end + 10, true)
+  let cursor = view.getUint32(end + 16, true)
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(cursor, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('ZIP directory is corrupt')
+    }
+
+    const method = view.getUint16(cursor + 10, true)
+    const crc = view.getUint32(cursor + 16, true)
+    const compressedSize = view.getUint32(cursor + 20, true)
+    const nameLength = view.getUint16(cursor + 28, true)
+    const extraLength = view.getUint16(cursor + 30, true)
+    const commentLength = view.getUint16(cursor + 32, true)
+    const localOffset = view.getUint32(cursor + 42, true)
+    const name = decoder.decode(bytes.subarray(cursor + CENTRAL_HEADER_SIZE, cursor + CENTRAL_HEADER_SIZE + nameLength))
+    cursor += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+
+    if (view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`ZIP entry ${name} is corrupt`)
+    }
+    const dataStart = localOffset + LOCAL_HEADER_SIZE +
+      view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const raw = bytes.slice(dataStart, dataStart + compressedSize)
+
+    let data: Uint8Array
+    if (method === METHOD_STORE) {
+      data = raw
+    } else if (method === METHOD_DEFLATE) {
+      data = await inflateRaw(raw)
+    } else {
+      throw new Error(`ZIP entry ${name} uses unsupported compression method ${method}`)
+    }
+
+    if (crc32(data) !== crc) {
+      throw new Error(`ZIP entry ${name} is corrupt`)
+    }
+    files.set(name, data)
+  }
+
+  return files
+}